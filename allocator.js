@@ -0,0 +1,247 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Allocator module: malloc-style heap with chunk headers, free lists, splitting and coalescing
+ */
+
+import { HeapBlock } from './state.js';
+import { MEMORY_LAYOUT } from './memory.js';
+
+/**
+ * Bytes in front of every payload; the last 8 hold the chunk size with bit 0 set while it is in use
+ */
+export const HEADER_SIZE = 16;
+
+/**
+ * Alignment of payload addresses and chunk sizes
+ */
+export const ALIGNMENT = 16;
+
+// A chunk smaller than this could not hold a header and any payload
+const MIN_CHUNK_SIZE = HEADER_SIZE + ALIGNMENT;
+
+/**
+ * Get the size of the chunk that holds a request, header and padding included
+ * @param {number} size - Requested bytes
+ * @returns {number} Chunk size
+ */
+export function chunkSizeFor(size) {
+  return HEADER_SIZE + Math.ceil(Math.max(size, 1) / ALIGNMENT) * ALIGNMENT;
+}
+
+/**
+ * Heap allocator working on the blocks in appState.heap
+ * Every chunk, allocated or free, is a HeapBlock keyed by its payload address; free chunks
+ * have freed set, and the space after the last chunk (the top) has never been handed out
+ */
+export class HeapAllocator {
+  /**
+   * Create an allocator for the application's heap
+   * @param {AppState} appState - Application state
+   */
+  constructor(appState) {
+    this.appState = appState;
+    this.start = MEMORY_LAYOUT.heap.start;
+  }
+
+  /**
+   * Get the heap size past which allocations fail
+   * @returns {number} Limit in bytes
+   */
+  limit() {
+    const configured = Number(this.appState.heapLimit);
+    return configured > 0 ? Math.min(configured, MEMORY_LAYOUT.heap.size) : MEMORY_LAYOUT.heap.size;
+  }
+
+  /**
+   * Get every chunk in address order
+   * @returns {Array} Heap blocks
+   */
+  chunks() {
+    return Object.values(this.appState.heap).sort((a, b) => a.address - b.address);
+  }
+
+  /**
+   * Get the first address past the last chunk
+   * @returns {number} Top of the heap
+   */
+  top() {
+    return this.chunks().reduce((top, chunk) => Math.max(top, this.chunkEnd(chunk)), this.start);
+  }
+
+  /**
+   * Get the address just past a chunk
+   * @param {HeapBlock} chunk - Heap block
+   * @returns {number} End address
+   */
+  chunkEnd(chunk) {
+    return chunk.address - HEADER_SIZE + chunk.chunkSize;
+  }
+
+  /**
+   * Find the chunk of a payload that starts at an address
+   * @param {number} address - Payload address
+   * @returns {HeapBlock|null} Heap block or null
+   */
+  chunkAt(address) {
+    return this.appState.heap[address] || null;
+  }
+
+  /**
+   * Allocate a chunk for a request
+   * @param {number} size - Requested bytes
+   * @returns {HeapBlock|null} Allocated block, or null when the heap limit would be exceeded
+   */
+  allocate(size) {
+    const needed = chunkSizeFor(size);
+    let chunk = this.findFree(needed);
+
+    if (!chunk) {
+      // Grow the heap at the top, taking in a free chunk that ends there
+      const chunks = this.chunks();
+      const last = chunks[chunks.length - 1];
+      const base = last && last.freed ? last.address - HEADER_SIZE : this.top();
+      if (base + needed > this.start + this.limit()) return null;
+
+      if (last && last.freed) delete this.appState.heap[last.address];
+      chunk = new HeapBlock(base + HEADER_SIZE, size, [], needed);
+      this.appState.heap[chunk.address] = chunk;
+    }
+
+    this.split(chunk, needed);
+    chunk.freed = false;
+    chunk.size = size;
+    chunk.content = [];
+    this.writeHeader(chunk);
+    return chunk;
+  }
+
+  /**
+   * Find a free chunk that fits, using the configured strategy
+   * @param {number} needed - Chunk size needed
+   * @returns {HeapBlock|null} Free chunk or null
+   */
+  findFree(needed) {
+    const candidates = this.chunks().filter(chunk => chunk.freed && chunk.chunkSize >= needed);
+    if (this.appState.allocationStrategy === 'best-fit') {
+      // Smallest chunk that fits; the lowest address wins ties
+      return candidates.reduce((best, chunk) => !best || chunk.chunkSize < best.chunkSize ? chunk : best, null);
+    }
+    return candidates[0] || null;
+  }
+
+  /**
+   * Cut a chunk down to a size, leaving the rest as a free chunk when it is big enough
+   * @param {HeapBlock} chunk - Heap block
+   * @param {number} needed - Chunk size to keep
+   * @returns {HeapBlock|null} Free remainder or null
+   */
+  split(chunk, needed) {
+    const rest = chunk.chunkSize - needed;
+    if (rest < MIN_CHUNK_SIZE) return null;
+
+    chunk.chunkSize = needed;
+    const remainder = new HeapBlock(chunk.address + needed, rest - HEADER_SIZE, [], rest);
+    remainder.freed = true;
+    this.appState.heap[remainder.address] = remainder;
+    this.writeHeader(remainder);
+    return remainder;
+  }
+
+  /**
+   * Free a chunk and merge it with free neighbours
+   * @param {HeapBlock} chunk - Allocated heap block
+   * @returns {HeapBlock} Resulting free chunk
+   */
+  free(chunk) {
+    chunk.freed = true;
+    chunk.content = [];
+    chunk.size = chunk.chunkSize - HEADER_SIZE;
+    this.writeHeader(chunk);
+    return this.coalesce(chunk);
+  }
+
+  /**
+   * Merge a free chunk with the free chunks right before and after it
+   * @param {HeapBlock} chunk - Free heap block
+   * @returns {HeapBlock} Merged chunk
+   */
+  coalesce(chunk) {
+    const next = this.chunkAt(this.chunkEnd(chunk) + HEADER_SIZE);
+    if (next && next.freed) {
+      chunk.chunkSize += next.chunkSize;
+      delete this.appState.heap[next.address];
+    }
+
+    const previous = this.chunks().find(other => other.freed && this.chunkEnd(other) === chunk.address - HEADER_SIZE);
+    if (previous) {
+      previous.chunkSize += chunk.chunkSize;
+      delete this.appState.heap[chunk.address];
+      chunk = previous;
+    }
+
+    chunk.size = chunk.chunkSize - HEADER_SIZE;
+    this.writeHeader(chunk);
+    return chunk;
+  }
+
+  /**
+   * Resize an allocated chunk without moving it, if the space after it allows
+   * @param {HeapBlock} chunk - Allocated heap block
+   * @param {number} size - New requested size
+   * @returns {boolean} True if the chunk now holds the new size
+   */
+  resizeInPlace(chunk, size) {
+    const needed = chunkSizeFor(size);
+
+    if (needed > chunk.chunkSize) {
+      const next = this.chunkAt(this.chunkEnd(chunk) + HEADER_SIZE);
+      if (next && next.freed && chunk.chunkSize + next.chunkSize >= needed) {
+        // Take in the free chunk that follows
+        chunk.chunkSize += next.chunkSize;
+        delete this.appState.heap[next.address];
+      } else if (!next && this.chunkEnd(chunk) === this.top() &&
+          chunk.address - HEADER_SIZE + needed <= this.start + this.limit()) {
+        // The last chunk grows into the top of the heap
+        chunk.chunkSize = needed;
+      } else {
+        return false;
+      }
+    }
+
+    const remainder = this.split(chunk, needed);
+    if (remainder) this.coalesce(remainder);
+    chunk.size = size;
+    this.writeHeader(chunk);
+    return true;
+  }
+
+  /**
+   * Write a chunk's header into simulated memory
+   * @param {HeapBlock} chunk - Heap block
+   */
+  writeHeader(chunk) {
+    this.appState.ram.store(chunk.address - 8, 'unsigned long', chunk.chunkSize | (chunk.freed ? 0 : 1));
+  }
+
+  /**
+   * Summarize how the heap is used
+   * @returns {Object} Usage ({used, free, top, largestFree, fragmentation}) where fragmentation is a percentage
+   */
+  usage() {
+    const chunks = this.chunks();
+    const free = chunks.filter(chunk => chunk.freed).reduce((total, chunk) => total + chunk.chunkSize, 0);
+    const largestFree = chunks.filter(chunk => chunk.freed)
+      .reduce((largest, chunk) => Math.max(largest, chunk.chunkSize), 0);
+    const used = chunks.filter(chunk => !chunk.freed).reduce((total, chunk) => total + chunk.chunkSize, 0);
+    const top = this.start + this.limit() - this.top();
+
+    return {
+      used,
+      free,
+      top,
+      largestFree,
+      // Share of the free chunks that the largest one cannot serve in one piece
+      fragmentation: free > 0 ? Math.round((1 - largestFree / free) * 100) : 0
+    };
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Arithmetic module: C integer and floating-point semantics on top of JS numbers and BigInt
+ */
+
+import { TypeC } from './state.js';
+import { usesBigInt } from './memory.js';
+
+/**
+ * Get the width and signedness of an integer (or pointer) type
+ * @param {string} type - Type name
+ * @returns {Object|null} Format ({bits, signed}) or null for floating and aggregate types
+ */
+export function integerFormat(type) {
+  const info = new TypeC(type);
+  if (info.isPointer()) return { bits: 64, signed: false };
+  if (!info.isInteger()) return null;
+  if (type === '_Bool') return { bits: 1, signed: false };
+  return { bits: info.getSizeof() * 8, signed: !info.isUnsigned() };
+}
+
+/**
+ * Convert a value to a type, as assignment and casts do
+ * Integers keep their low-order bits (char c = 300 gives 44); float rounds to single precision
+ * @param {number|bigint} value - Value to convert
+ * @param {string} type - Target type
+ * @returns {number|bigint} Converted value
+ */
+export function convertArithmetic(value, type) {
+  if (type === 'float') return Math.fround(Number(value));
+  if (new TypeC(type).isFloating()) return Number(value);
+
+  if (type === '_Bool') return Number(value) !== 0 ? 1 : 0;
+
+  const format = integerFormat(type);
+  if (!format) return value;
+
+  let integer = value;
+  if (typeof integer !== 'bigint') {
+    // Floating values are truncated toward zero; NaN and infinities have no integer value
+    integer = Number.isFinite(integer) ? BigInt(Math.trunc(integer)) : 0n;
+  }
+  integer = format.signed ? BigInt.asIntN(format.bits, integer) : BigInt.asUintN(format.bits, integer);
+  return usesBigInt(type) ? integer : Number(integer);
+}
+
+/**
+ * Check whether an exact integer result fits in a type
+ * @param {bigint} value - Exact result
+ * @param {string} type - Integer type
+ * @returns {boolean} True if no wrap-around is needed
+ */
+export function fitsInType(value, type) {
+  const { bits, signed } = integerFormat(type);
+  const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+  const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+  return value >= min && value <= max;
+}
+
+/**
+ * Apply an arithmetic or bitwise operator to two operands already converted to a common type
+ * @param {string} operator - Operator (+, -, *, /, %, &, |, ^, <<, >>)
+ * @param {number|bigint} a - Left operand
+ * @param {number|bigint} b - Right operand (int for shifts)
+ * @param {string} type - Type of the operation (the promoted left type for shifts)
+ * @returns {Object} Result ({value, undefinedBehavior}) where undefinedBehavior names the problem, if any
+ */
+export function applyArithmetic(operator, a, b, type) {
+  if (new TypeC(type).isFloating()) {
+    const x = Number(a);
+    const y = Number(b);
+    const results = { '+': x + y, '-': x - y, '*': x * y, '/': x / y };
+    return { value: convertArithmetic(results[operator], type), undefinedBehavior: null };
+  }
+
+  const { bits, signed } = integerFormat(type);
+  const x = BigInt(a);
+  const y = BigInt(b);
+  let exact;
+  let undefinedBehavior = null;
+
+  switch (operator) {
+    case '+': exact = x + y; break;
+    case '-': exact = x - y; break;
+    case '*': exact = x * y; break;
+    // BigInt division truncates toward zero and % takes the sign of the dividend, as in C99
+    case '/': exact = x / y; break;
+    case '%': exact = x % y; break;
+    case '&': exact = x & y; break;
+    case '|': exact = x | y; break;
+    case '^': exact = x ^ y; break;
+    case '<<':
+    case '>>':
+      if (y < 0n || y >= BigInt(bits)) {
+        return {
+          value: convertArithmetic(0n, type),
+          undefinedBehavior: y < 0n ?
+            `shift exponent ${y} is negative` :
+            `shift exponent ${y} is too large for ${bits}-bit type '${type}'`
+        };
+      }
+      if (operator === '>>') {
+        // Arithmetic shift for signed values, logical for unsigned ones
+        exact = x >> y;
+        break;
+      }
+      if (signed && x < 0n) {
+        undefinedBehavior = `left shift of negative value ${x}`;
+      }
+      exact = x << y;
+      break;
+    default:
+      throw new Error(`Unsupported operator: ${operator}`);
+  }
+
+  // Unsigned arithmetic wraps modulo 2^n by definition; signed overflow is undefined
+  if (signed && !undefinedBehavior && !fitsInType(exact, type)) {
+    undefinedBehavior = operator === '<<' ?
+      `left shift of ${x} by ${y} places cannot be represented in type '${type}'` :
+      `signed integer overflow: ${x} ${operator} ${y} cannot be represented in type '${type}'`;
+  }
+
+  return { value: convertArithmetic(exact, type), undefinedBehavior };
+}
@@ -7,6 +7,7 @@ import { Lexer } from './lexer.js';
 import { Parser } from './parser.js';
 import { Interpreter } from './interpreter.js';
 import { Visualizer } from './visualization.js';
+import { ExecutionRunner, PAGE_TIME_LIMIT } from './runner.js';
 
 /**
  * Set up event handlers for the application
@@ -14,6 +15,7 @@ import { Visualizer } from './visualization.js';
  */
 export function setupEventHandlers(appState) {
   const { UIElements } = appState;
+  const runner = new ExecutionRunner();
   
   // Example selector change event
   if (UIElements.exampleSelector) {
@@ -24,7 +26,12 @@ export function setupEventHandlers(appState) {
   
   // Run button event
   if (UIElements.runBtn) {
-    UIElements.runBtn.addEventListener('click', () => executeCode(appState));
+    UIElements.runBtn.addEventListener('click', () => executeCode(appState, runner));
+  }
+  
+  // Stop button: ends a run whose steps are still being generated
+  if (UIElements.stopBtn) {
+    UIElements.stopBtn.addEventListener('click', () => stopRun(appState, runner));
   }
   
   // Navigation buttons
@@ -54,13 +61,55 @@ export function setupEventHandlers(appState) {
     UIElements.speedControl.addEventListener('input', () => updateExecutionSpeed(appState));
   }
   
-  // Input area
+  // Files seeded before a run: the program finds them in the virtual file system
+  if (UIElements.seedFileBtn && UIElements.seedFileName && UIElements.seedFileContent) {
+    UIElements.seedFileBtn.addEventListener('click', () => seedFile(appState));
+  }
+  
+  if (UIElements.fileContainer) {
+    UIElements.fileContainer.addEventListener('click', (event) => {
+      const button = event.target.closest('.remove-file-btn');
+      if (!button) return;
+      
+      const inputFiles = { ...appState.inputFiles };
+      delete inputFiles[button.getAttribute('data-file')];
+      appState.updateState({ inputFiles });
+      new Visualizer(appState).updateFileVisualization();
+    });
+  }
+  
+  // Input area: the program's standard input, or C expressions to evaluate
+  if (UIElements.inputMode && UIElements.inputArea) {
+    UIElements.inputMode.addEventListener('change', () => {
+      UIElements.inputArea.placeholder = UIElements.inputMode.value === 'evaluate' ?
+        'C expression or statement, evaluated in the current step (e.g. *ptr + 1) - press Enter' :
+        'Program input (stdin) - type it before running or when the program waits for it';
+    });
+  }
+  
   if (UIElements.inputArea) {
-    UIElements.inputArea.addEventListener('keypress', (event) => {
+    UIElements.inputArea.addEventListener('keydown', (event) => {
+      if (UIElements.inputMode && UIElements.inputMode.value === 'evaluate') {
+        if (event.key === 'Enter' && !event.shiftKey) {
+          event.preventDefault();
+          evaluateUserInput(appState, UIElements.inputArea.value.trim());
+          UIElements.inputArea.value = '';
+        }
+        return;
+      }
+      
+      if (!isWaitingForInput(appState)) return;
+      
       if (event.key === 'Enter') {
-        const input = UIElements.inputArea.value.trim();
-        processUserInput(appState, input);
-        UIElements.inputArea.value = ''; // Clear input
+        // The typed line goes to the waiting program, newline included
+        event.preventDefault();
+        UIElements.inputArea.value += '\n';
+        resumeWithInput(appState, runner);
+      } else if (event.key === 'd' && event.ctrlKey) {
+        // Ctrl+D closes standard input, as in a terminal
+        event.preventDefault();
+        appState.updateState({ stdinClosed: true });
+        resumeWithInput(appState, runner);
       }
     });
   }
@@ -69,61 +118,172 @@ export function setupEventHandlers(appState) {
 /**
  * Execute code and generate visualizations
  * @param {AppState} appState - Application state
+ * @param {ExecutionRunner} runner - Runner of the worker that compiles and runs the code
  */
-function executeCode(appState) {
-  try {
-    // Get code from editor
-    appState.updateState({ code: appState.UIElements.codeInput.value });
-    
-    // Reset execution state
-    appState.resetExecutionState();
-    
-    // Create lexer, parser and interpreter instances
-    const lexer = new Lexer(appState);
-    const parser = new Parser(appState);
-    const interpreter = new Interpreter(appState);
-    
-    // Tokenize the code
-    console.log("Starting tokenization...");
-    const tokens = lexer.tokenize();
-    appState.updateState({ tokens });
-    console.log("Tokens generated:", tokens);
-    
-    // Generate AST
-    console.log("Starting AST generation...");
-    const ast = parser.parse();
-    appState.updateState({ ast });
-    console.log("AST generated:", ast);
-    
-    // Check for AST errors
-    const astErrors = checkASTErrors();
-    if (astErrors.length > 0) {
-      console.warn("Warnings in AST, but continuing execution:", astErrors);
+function executeCode(appState, runner) {
+  // Get code from editor
+  appState.updateState({ code: appState.UIElements.codeInput.value });
+  
+  // Reset execution state
+  appState.resetExecutionState();
+  new Visualizer(appState).showDiagnostics([]);
+  
+  // The input area is read as standard input
+  appState.updateState({ userInput: appState.UIElements.inputArea.value, stdinClosed: false });
+  if (appState.UIElements.allocationStrategy && appState.UIElements.heapLimit) {
+    appState.updateState({
+      allocationStrategy: appState.UIElements.allocationStrategy.value,
+      heapLimit: readLimit(appState.UIElements.heapLimit)
+    });
+  }
+  if (appState.UIElements.stepLimit && appState.UIElements.depthLimit) {
+    appState.updateState({
+      stepLimit: readLimit(appState.UIElements.stepLimit),
+      callDepthLimit: readLimit(appState.UIElements.depthLimit)
+    });
+  }
+  if (appState.UIElements.timeLimit) {
+    appState.updateState({ timeLimit: readLimit(appState.UIElements.timeLimit) * 1000 });
+  }
+  
+  startRun(appState, runner, 0);
+}
+
+/**
+ * Read a limit from its number box, kept within the box's min and max
+ * @param {HTMLInputElement} input - Number box of the limit
+ * @returns {number} The limit; the box's initial value if it is empty or not a number
+ */
+function readLimit(input) {
+  const value = input.value.trim() === '' ? NaN : Number(input.value);
+  if (!Number.isFinite(value)) return Number(input.defaultValue);
+  return Math.min(Math.max(value, Number(input.min)), Number(input.max));
+}
+
+/**
+ * Compile and run the code in the worker, showing the steps as they arrive
+ * @param {AppState} appState - Application state
+ * @param {ExecutionRunner} runner - Runner of the worker
+ * @param {number} firstStep - Step to show first; until the new trace reaches it, the steps shown before stay
+ */
+function startRun(appState, runner, firstStep) {
+  // A resumed run compiles the same code again, so only the steps are taken from it
+  const resuming = firstStep > 0;
+  const steps = [];
+  let shown = false;
+  
+  appState.updateState({ isGenerating: true });
+  updateControls(appState, appState.executionSteps.length > 0);
+  
+  runner.start(appState, message => {
+    switch (message.type) {
+      case 'compiled':
+        if (!resuming) showCompilation(appState, message);
+        break;
+        
+      case 'steps':
+        steps.push(...message.steps);
+        if (shown) {
+          // Stepping can go on while the trace grows
+          appState.updateState({ executionSteps: steps });
+          updateControls(appState, true);
+        } else if (steps.length > firstStep) {
+          shown = true;
+          showTrace(appState, steps, firstStep);
+        }
+        break;
+        
+      case 'done':
+        appState.updateState({
+          isGenerating: false,
+          compilationProcess: message.compilationProcess,
+          errors: message.errors
+        });
+        if (!shown && steps.length > 0) {
+          showTrace(appState, steps, steps.length - 1);
+        } else {
+          updateControls(appState, appState.executionSteps.length > 0);
+        }
+        // Errors of the simulator itself, which the trace can only mark with an error step
+        if (message.errors.length > 0) {
+          showError(appState, message.errors.map(error => error.message).join('\n'));
+        }
+        console.log("Execution steps:", steps);
+        break;
+        
+      case 'failed':
+        appState.updateState({ isGenerating: false });
+        updateControls(appState, appState.executionSteps.length > 0);
+        showError(appState, message.message);
+        break;
     }
-    
-    // Generate execution steps
-    console.log("Generating execution steps...");
-    const executionSteps = interpreter.generateExecutionSteps();
-    appState.updateState({ executionSteps });
-    console.log("Execution steps:", executionSteps);
-    
-    // Show first step
-    updateControls(appState, true);
-    goToFirstStep(appState);
-    
-  } catch (error) {
-    console.error('Execution error:', error);
-    showError(appState, error.message);
+  });
+}
+
+/**
+ * Take the tokens, AST and diagnostics of a run, stopping on compile errors
+ * @param {AppState} appState - Application state
+ * @param {Object} compiled - The worker's 'compiled' message
+ */
+function showCompilation(appState, compiled) {
+  const { preprocessedCode, sourceMap, tokens, ast, diagnostics, compilationProcess, stopped } = compiled;
+  appState.updateState({ preprocessedCode, sourceMap, tokens, ast, diagnostics, compilationProcess });
+  console.log("AST generated:", ast);
+  
+  // Compile errors: mark them in the editor and show the partial AST instead of running
+  if (stopped) {
+    stopOnDiagnostics(appState, stopped.diagnostics, stopped.kind);
+    return;
   }
+  
+  // Warnings are marked but do not stop execution
+  new Visualizer(appState).showDiagnostics(diagnostics);
 }
 
 /**
- * Check for errors in the AST
- * @returns {Array} Array of error messages
+ * Show a trace, which may still be growing, at one of its steps
+ * @param {AppState} appState - Application state
+ * @param {Array} steps - Execution steps received so far
+ * @param {number} stepIndex - Step to show
  */
-function checkASTErrors() {
-  // In a real implementation, this would analyze the AST for errors
-  return [];
+function showTrace(appState, steps, stepIndex) {
+  appState.updateState({ executionSteps: steps });
+  appState.goToStep(stepIndex);
+  new Visualizer(appState).updateVisualizations();
+  updateControls(appState, true);
+}
+
+/**
+ * Stop the run whose steps are still being generated; the steps already shown can still be stepped through
+ * @param {AppState} appState - Application state
+ * @param {ExecutionRunner} runner - Runner of the worker
+ */
+function stopRun(appState, runner) {
+  if (!runner.stop()) return;
+  
+  appState.updateState({ isGenerating: false });
+  updateControls(appState, appState.executionSteps.length > 0);
+  showError(appState, `Execution stopped after ${appState.executionSteps.length} steps - the rest of the trace was not generated`);
+}
+
+/**
+ * Mark compile errors in the editor, show the AST and report them instead of running
+ * @param {AppState} appState - Application state
+ * @param {Array} diagnostics - Diagnostics to mark
+ * @param {string} kind - Kind of error for the message header
+ */
+function stopOnDiagnostics(appState, diagnostics, kind) {
+  const visualizer = new Visualizer(appState);
+  visualizer.showDiagnostics(diagnostics);
+  visualizer.renderASTVisualization();
+  updateControls(appState, false);
+  
+  const errorCount = diagnostics.filter(diagnostic => diagnostic.severity !== 'warning').length;
+  showError(
+    appState,
+    `${errorCount} ${kind}${errorCount > 1 ? 's' : ''}:\n` +
+    [...appState.compilationProcess.errors, ...appState.compilationProcess.warnings].join('\n')
+  );
 }
 
 /**
@@ -138,58 +298,95 @@ function showError(appState, message) {
 }
 
 /**
- * Process user input
+ * Evaluate a C expression or statement typed in the input area against the current step
+ * Nothing runs as JavaScript: the text is parsed with the project's lexer and parser and interpreted
  * @param {AppState} appState - Application state
- * @param {string} input - User input
+ * @param {string} input - Expression or statement
  */
-function processUserInput(appState, input) {
+function evaluateUserInput(appState, input) {
+  if (!input) return;
+  
+  const visualizer = new Visualizer(appState);
+  const step = appState.executionSteps[appState.currentStep];
+  if (!step || !appState.ast) {
+    visualizer.showEvaluation(input, 'Run the code first - expressions are evaluated in the current step', true);
+    return;
+  }
+  
+  // Writes go to this copy; reads of the program, tokens and AST fall through to the real state
+  const scratch = Object.create(appState);
+  
+  // The evaluation runs on the page, where Stop cannot interrupt a loop that never ends
+  scratch.timeLimit = appState.timeLimit || PAGE_TIME_LIMIT;
   try {
-    // Try to evaluate as an expression
-    const result = eval(input);
-    
-    // Add execution step
-    appState.executionSteps.push({
-      type: 'interactive',
-      line: 0, // No specific line
-      description: `Result: ${result}`,
-      changes: {
-        saida: `${result}\n`
-      }
-    });
-    
-    // Update visualizations
-    const visualizer = new Visualizer(appState);
-    visualizer.updateVisualizations();
+    const tokens = new Lexer(scratch).tokenize(input);
+    const parsed = new Parser(scratch).parseInteractive(tokens, appState.ast.typedefs);
+    const interpreter = new Interpreter(scratch);
+    const result = interpreter.evaluateInteractive(parsed, appState.currentStep);
     
-    return result;
+    const value = result && result.type !== 'void' ?
+      `${interpreter.formatValue(result.value, result.type)} (${result.type})` :
+      'done';
+    visualizer.showEvaluation(input, scratch.consoleOutput + value, false);
   } catch (error) {
-    // If not an expression, try as a statement
-    try {
-      // Here you could add more sophisticated parsing
-      Function(input)();
-      
-      appState.executionSteps.push({
-        type: 'interactive',
-        line: 0,
-        description: 'Statement executed successfully',
-        changes: {}
-      });
-      
-      const visualizer = new Visualizer(appState);
-      visualizer.updateVisualizations();
-    } catch (statementError) {
-      showError(appState, `Interactive mode error: ${statementError.message}`);
-    }
+    visualizer.showEvaluation(input, error.diagnostic ? `syntax error: ${error.diagnostic.message}` : error.message, true);
   }
 }
 
+/**
+ * Check whether the trace is paused at a read that needs more input
+ * @param {AppState} appState - Application state
+ * @returns {boolean} True if the last step waits for input
+ */
+function isWaitingForInput(appState) {
+  const { executionSteps } = appState;
+  return executionSteps.length > 0 && executionSteps[executionSteps.length - 1].type === 'input';
+}
+
+/**
+ * Generate the trace again with the input typed so far and continue from the step that was waiting
+ * @param {AppState} appState - Application state
+ * @param {ExecutionRunner} runner - Runner of the worker
+ */
+function resumeWithInput(appState, runner) {
+  const waitingStep = appState.executionSteps.length - 1;
+  appState.updateState({ userInput: appState.UIElements.inputArea.value });
+  
+  // Simulation is deterministic, so the new trace repeats the old one up to the read
+  startRun(appState, runner, waitingStep);
+}
+
+/**
+ * Create or replace a file for the next run with the name and contents typed in the FILES panel
+ * @param {AppState} appState - Application state
+ */
+function seedFile(appState) {
+  const { seedFileName, seedFileContent } = appState.UIElements;
+  const name = seedFileName.value.trim();
+  if (!name) {
+    seedFileName.focus();
+    return;
+  }
+  
+  appState.updateState({ inputFiles: { ...appState.inputFiles, [name]: seedFileContent.value } });
+  seedFileName.value = '';
+  seedFileContent.value = '';
+  
+  // The list of seeded files replaces whatever run was shown
+  new Visualizer(appState).updateFileVisualization();
+}
+
 /**
  * Update controls state based on execution state
  * @param {AppState} appState - Application state
  * @param {boolean} enabled - Whether controls should be enabled
  */
 function updateControls(appState, enabled) {
-  const { UIElements, currentStep, executionSteps } = appState;
+  const { UIElements, currentStep, executionSteps, isGenerating } = appState;
+  
+  if (UIElements.stopBtn) {
+    UIElements.stopBtn.disabled = !isGenerating;
+  }
   
   if (UIElements.firstBtn) {
     UIElements.firstBtn.disabled = !enabled || currentStep === 0;
@@ -213,7 +410,8 @@ function updateControls(appState, enabled) {
     }
     
     if (UIElements.stepCounter) {
-      UIElements.stepCounter.textContent = `Step ${currentStep + 1} of ${executionSteps.length}`;
+      // While the worker is still sending steps the total is only a lower bound
+      UIElements.stepCounter.textContent = `Step ${currentStep + 1} of ${executionSteps.length}${isGenerating ? '+' : ''}`;
     }
     
     // Update progress bar
@@ -227,7 +425,7 @@ function updateControls(appState, enabled) {
     }
     
     if (UIElements.stepCounter) {
-      UIElements.stepCounter.textContent = 'Step 0 of 0';
+      UIElements.stepCounter.textContent = isGenerating ? 'Generating steps...' : 'Step 0 of 0';
     }
     
     if (UIElements.progressFill) {
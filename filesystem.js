@@ -0,0 +1,292 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * File system module: in-memory files behind the FILE* streams of stdio.h
+ */
+
+import { FileHandle } from './state.js';
+
+/**
+ * Bytes in the simulated FILE object; the real one is opaque to programs
+ */
+export const FILE_SIZE = 48;
+
+/**
+ * Bytes a stream buffers before it writes them to the file (BUFSIZ)
+ */
+export const BUFFER_SIZE = 8192;
+
+/**
+ * Origins accepted by fseek
+ */
+export const SEEK_SET = 0;
+export const SEEK_CUR = 1;
+export const SEEK_END = 2;
+
+/**
+ * Messages of the errno codes the library functions set, as strerror and perror give them
+ */
+export const ERROR_MESSAGES = {
+  0: 'Success',
+  EINVAL: 'Invalid argument',
+  ENOENT: 'No such file or directory',
+  EEXIST: 'File exists',
+  EBUSY: 'Device or resource busy',
+  ESPIPE: 'Illegal seek',
+  EDOM: 'Numerical argument out of domain',
+  ERANGE: 'Numerical result out of range'
+};
+
+/**
+ * Parse an fopen mode string ("r", "w+", "ab", "rb+", "wx")
+ * @param {string} mode - Mode string
+ * @returns {Object|null} Access ({readable, writable, append, truncate, create, exclusive}) or null if invalid
+ */
+export function parseMode(mode) {
+  const match = /^([rwa])([+bx]*)$/.exec(mode);
+  if (!match) return null;
+
+  const flags = match[2];
+  // Each of +, b and x may appear once, and x only with w
+  if (new Set(flags).size !== flags.length || (flags.includes('x') && match[1] !== 'w')) return null;
+
+  const kind = match[1];
+  const update = flags.includes('+');
+  return {
+    readable: kind === 'r' || update,
+    writable: kind !== 'r' || update,
+    append: kind === 'a',
+    truncate: kind === 'w',
+    create: kind !== 'r',
+    exclusive: flags.includes('x')
+  };
+}
+
+/**
+ * Virtual file system working on appState.files (contents by name) and appState.openFiles (handles by FILE* address)
+ * Writes collect in each handle's buffer and reach the file when it is flushed, as with a real fully buffered stream
+ */
+export class FileSystem {
+  /**
+   * Create a file system for the application's files
+   * @param {AppState} appState - Application state
+   */
+  constructor(appState) {
+    this.appState = appState;
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} path - File name
+   * @returns {boolean} True if the file exists
+   */
+  exists(path) {
+    return Object.prototype.hasOwnProperty.call(this.appState.files, path);
+  }
+
+  /**
+   * Check whether fopen would fail
+   * @param {string} path - File name
+   * @param {string} mode - fopen mode string
+   * @returns {Object|null} Why it fails ({errno, reason}), or null if it can open the file
+   */
+  openError(path, mode) {
+    const access = parseMode(mode);
+    if (!access) {
+      return { errno: 'EINVAL', reason: `"${mode}" is not a valid mode` };
+    }
+    if (!access.create && !this.exists(path)) {
+      return { errno: 'ENOENT', reason: `"${path}" does not exist` };
+    }
+    if (access.exclusive && this.exists(path)) {
+      return { errno: 'EEXIST', reason: `"${path}" already exists` };
+    }
+    return null;
+  }
+
+  /**
+   * Delete a file, as remove does
+   * The simulation keeps one copy of each file, so a file some stream still has open cannot go away
+   * @param {string} path - File name
+   * @returns {Object|null} Why it fails ({errno, reason}), or null once the file is deleted
+   */
+  remove(path) {
+    if (!this.exists(path)) {
+      return { errno: 'ENOENT', reason: `"${path}" does not exist` };
+    }
+    if (this.handles().some(handle => handle.path === path)) {
+      return { errno: 'EBUSY', reason: `"${path}" is still open - close it before removing it` };
+    }
+    delete this.appState.files[path];
+    return null;
+  }
+
+  /**
+   * Open a file, creating or emptying it as the mode says; the mode must pass openError
+   * @param {number} address - Address of the FILE object for the stream
+   * @param {string} path - File name
+   * @param {string} mode - fopen mode string
+   * @param {number} line - Source line of the fopen call
+   * @returns {FileHandle} Open stream
+   */
+  open(address, path, mode, line) {
+    const access = parseMode(mode);
+    if (access.truncate || !this.exists(path)) {
+      this.appState.files[path] = '';
+    }
+
+    const handle = new FileHandle(address, path, mode, line);
+    Object.assign(handle, {
+      readable: access.readable,
+      writable: access.writable,
+      append: access.append
+    });
+    this.appState.openFiles[address] = handle;
+    return handle;
+  }
+
+  /**
+   * Find the open stream of a FILE object
+   * @param {number} address - FILE pointer
+   * @returns {FileHandle|null} Handle or null
+   */
+  handleAt(address) {
+    return this.appState.openFiles[address] || null;
+  }
+
+  /**
+   * Get every open stream in address order
+   * @returns {Array} Handles
+   */
+  handles() {
+    return Object.values(this.appState.openFiles).sort((a, b) => a.address - b.address);
+  }
+
+  /**
+   * Flush a stream and forget it
+   * @param {FileHandle} handle - Open stream
+   * @returns {number} Bytes that were still buffered
+   */
+  close(handle) {
+    const flushed = this.flush(handle);
+    delete this.appState.openFiles[handle.address];
+    return flushed;
+  }
+
+  /**
+   * Write the buffered bytes of a stream to its file
+   * @param {FileHandle} handle - Open stream
+   * @returns {number} Bytes written
+   */
+  flush(handle) {
+    const { buffer, bufferStart } = handle;
+    if (buffer === '') return 0;
+
+    // Writing past the end leaves a gap of zero bytes, as after an fseek beyond the end
+    const content = this.appState.files[handle.path] || '';
+    this.appState.files[handle.path] = content.slice(0, bufferStart).padEnd(bufferStart, '\0') +
+      buffer + content.slice(bufferStart + buffer.length);
+    handle.buffer = '';
+    return buffer.length;
+  }
+
+  /**
+   * Write text to a stream's buffer, flushing it once it is full
+   * @param {FileHandle} handle - Open stream
+   * @param {string} text - Bytes to write
+   * @returns {Object} Result ({written, flushed}); written is -1 if the stream is not open for writing
+   */
+  write(handle, text) {
+    if (!handle.writable) {
+      handle.error = true;
+      return { written: -1, flushed: 0 };
+    }
+
+    // Writing discards a character pushed back by ungetc
+    handle.pushback = null;
+    if (handle.buffer === '') {
+      // In append mode every write goes to the end of the file, wherever the cursor was
+      handle.bufferStart = handle.append ? this.appState.files[handle.path].length : handle.position;
+    }
+    handle.buffer += text;
+    handle.position = handle.bufferStart + handle.buffer.length;
+
+    const flushed = handle.buffer.length >= BUFFER_SIZE ? this.flush(handle) : 0;
+    return { written: text.length, flushed };
+  }
+
+  /**
+   * Look at the next character of a stream without consuming it
+   * @param {FileHandle} handle - Open stream
+   * @returns {string|null} Character, or null at end of file or if the stream is not open for reading
+   */
+  peek(handle) {
+    if (!handle.readable) {
+      handle.error = true;
+      return null;
+    }
+
+    if (handle.pushback !== null) return handle.pushback;
+
+    // Reads see what was written before them
+    this.flush(handle);
+    const content = this.appState.files[handle.path];
+    if (handle.position >= content.length) {
+      handle.eof = true;
+      return null;
+    }
+    return content[handle.position];
+  }
+
+  /**
+   * Consume the next character of a stream
+   * @param {FileHandle} handle - Open stream
+   * @returns {string|null} Character, or null at end of file
+   */
+  read(handle) {
+    const char = this.peek(handle);
+    if (char === null) return null;
+
+    handle.pushback = null;
+    handle.position++;
+    return char;
+  }
+
+  /**
+   * Push a character back onto a stream, as ungetc does; only one is kept
+   * @param {FileHandle} handle - Open stream
+   * @param {string} char - Character to read next
+   * @returns {boolean} False if the stream is not open for reading
+   */
+  unread(handle, char) {
+    if (!handle.readable) return false;
+
+    handle.pushback = char;
+    handle.eof = false;
+    // The cursor moves back with it; reading the character moves it forward again
+    if (handle.position > 0) handle.position--;
+    return true;
+  }
+
+  /**
+   * Move the cursor of a stream, flushing it first
+   * @param {FileHandle} handle - Open stream
+   * @param {number} offset - Offset in bytes
+   * @param {number} whence - SEEK_SET, SEEK_CUR or SEEK_END
+   * @returns {boolean} True if the cursor moved; false for a bad origin or a position before the start
+   */
+  seek(handle, offset, whence) {
+    this.flush(handle);
+    handle.pushback = null;
+
+    const bases = {
+      [SEEK_SET]: 0,
+      [SEEK_CUR]: handle.position,
+      [SEEK_END]: this.appState.files[handle.path].length
+    };
+    if (!(whence in bases) || bases[whence] + offset < 0) return false;
+
+    handle.position = bases[whence] + offset;
+    handle.eof = false;
+    return true;
+  }
+}
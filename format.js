@@ -0,0 +1,696 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Format module: printf-family conversion specifications, output and argument checks
+ */
+
+import { TypeC } from './state.js';
+import { convertArithmetic, integerFormat } from './arithmetic.js';
+
+/**
+ * A conversion specification: %[flags][width][.precision][length]conversion
+ */
+const SPECIFICATION = /%([-+ 0#]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|z|L)?([diuoxXcsfFeEgGp%]?)/g;
+
+/**
+ * printf-family functions and the index of their format argument
+ */
+export const FORMAT_FUNCTIONS = { printf: 0, fprintf: 1, sprintf: 1, snprintf: 2 };
+
+/**
+ * Integer types read by each length modifier
+ */
+const INTEGER_TYPES = { hh: 'char', h: 'short', l: 'long', ll: 'long long', z: 'long' };
+
+/**
+ * Split a format string into literal text and conversion specifications
+ * @param {string} format - Format string
+ * @returns {Array} Items: {text} or {spec: {raw, flags, width, precision, length, conversion}}
+ */
+export function parseFormat(format) {
+  const items = [];
+  let last = 0;
+  let match;
+
+  SPECIFICATION.lastIndex = 0;
+  while ((match = SPECIFICATION.exec(format)) !== null) {
+    if (match.index > last) {
+      items.push({ text: format.slice(last, match.index) });
+    }
+
+    const [raw, flags, width, precision, length, conversion] = match;
+    items.push({
+      spec: {
+        raw,
+        flags,
+        width: width === undefined ? null : width,
+        precision: precision === undefined ? null : precision,
+        length: length || '',
+        conversion
+      }
+    });
+    last = match.index + raw.length;
+  }
+
+  if (last < format.length) {
+    items.push({ text: format.slice(last) });
+  }
+  return items;
+}
+
+/**
+ * Get the argument type a conversion specification expects
+ * @param {Object} spec - Conversion specification
+ * @returns {string} C type (int, unsigned long, double, char*, void*)
+ */
+export function expectedType(spec) {
+  const integer = INTEGER_TYPES[spec.length] || 'int';
+
+  switch (spec.conversion) {
+    case 'd':
+    case 'i':
+      return spec.length === 'z' ? 'long' : integer;
+    case 'u':
+    case 'o':
+    case 'x':
+    case 'X':
+      return `unsigned ${integer}`;
+    case 'c':
+      return 'int';
+    case 's':
+      return 'char*';
+    case 'p':
+      return 'void*';
+    default:
+      return spec.length === 'L' ? 'long double' : 'double';
+  }
+}
+
+/**
+ * Check whether an argument type is passed the way a conversion reads it
+ * Arguments go through the default promotions (char to int, float to double); signedness may differ
+ * @param {Object} spec - Conversion specification
+ * @param {string} type - Argument type
+ * @returns {boolean} True if the argument matches
+ */
+function argumentMatches(spec, type) {
+  const expected = new TypeC(expectedType(spec));
+  const actual = new TypeC(new TypeC(type).decayed());
+
+  if (spec.conversion === 'p') return actual.isPointer();
+  if (spec.conversion === 's') return actual.type === 'char*' || actual.type === 'unsigned char*';
+  if (expected.isFloating()) {
+    const promoted = actual.type === 'float' ? 'double' : actual.type;
+    return promoted === expected.type;
+  }
+
+  // Integers: same size after promotion (%hhd and %hd still receive an int)
+  return actual.isInteger() && !actual.isPointer() &&
+    new TypeC(actual.promoted()).getSizeof() === expected.getSizeof() ||
+    ['hh', 'h'].includes(spec.length) && actual.isInteger() && new TypeC(actual.promoted()).getSizeof() === 4;
+}
+
+/**
+ * Name an argument type the way it is passed: arrays and functions decay to pointers
+ * @param {string} type - Argument type
+ * @returns {string} Display name of the passed type
+ */
+function passedTypeName(type) {
+  return new TypeC(new TypeC(type).decayed()).getDisplayName();
+}
+
+/**
+ * Check the arguments of a printf-family call against its format string
+ * @param {string} format - Format string
+ * @param {Array<string|null>} types - Types of the arguments that follow the format (null if unknown)
+ * @param {number} firstArgument - Position of the first of those arguments in the call (2 for printf)
+ * @returns {Array} Problems ({argument, message}) where argument indexes types, or null
+ */
+export function checkFormatArguments(format, types, firstArgument) {
+  const problems = [];
+  let index = 0;
+
+  const take = (spec, expected) => {
+    if (index >= types.length) {
+      problems.push({ argument: null, message: `format '${spec.raw}' expects a matching '${expected}' argument` });
+      index++;
+      return null;
+    }
+    return types[index++];
+  };
+
+  parseFormat(format).forEach(({ spec }) => {
+    if (!spec || spec.conversion === '%') return;
+
+    if (spec.conversion === '') {
+      const next = format[format.indexOf(spec.raw) + spec.raw.length];
+      problems.push({
+        argument: null,
+        message: next === undefined ?
+          "spurious trailing '%' in format" :
+          `unknown conversion type character '${next}' in format`
+      });
+      return;
+    }
+
+    // * takes the field width or precision from an int argument
+    [spec.width, spec.precision].filter(part => part === '*').forEach(() => {
+      const position = index;
+      const type = take(spec, 'int');
+      if (type && !new TypeC(type).isInteger()) {
+        problems.push({
+          argument: position,
+          message: `field width specifier '*' expects argument of type 'int', but argument ${firstArgument + position} has type '${passedTypeName(type)}'`
+        });
+      }
+    });
+
+    const position = index;
+    const expected = new TypeC(expectedType(spec)).getDisplayName();
+    const type = take(spec, expected);
+    if (type && !argumentMatches(spec, type)) {
+      problems.push({
+        argument: position,
+        message: `format '${spec.raw}' expects argument of type '${expected}', but argument ${firstArgument + position} has type '${passedTypeName(type)}'`
+      });
+    }
+  });
+
+  if (index < types.length) {
+    problems.push({ argument: index, message: 'too many arguments for format' });
+  }
+  return problems;
+}
+
+/**
+ * Pad a converted value to the field width
+ * @param {string} sign - Sign or prefix that stays in front of zero padding (-, +, 0x)
+ * @param {string} digits - Converted value without its sign
+ * @param {Object} options - Flags and width ({flags, width, zeroPad})
+ * @returns {string} Field text
+ */
+function pad(sign, digits, { flags, width, zeroPad }) {
+  const length = sign.length + digits.length;
+  if (width <= length) return sign + digits;
+
+  if (flags.includes('-')) return (sign + digits).padEnd(width);
+  if (zeroPad && flags.includes('0')) return sign + digits.padStart(width - sign.length, '0');
+  return (sign + digits).padStart(width);
+}
+
+/**
+ * Get the sign to print in front of a number
+ * @param {boolean} negative - Whether the value is negative
+ * @param {string} flags - Conversion flags
+ * @returns {string} -, +, space or nothing
+ */
+function signOf(negative, flags) {
+  if (negative) return '-';
+  if (flags.includes('+')) return '+';
+  if (flags.includes(' ')) return ' ';
+  return '';
+}
+
+/**
+ * Convert an integer argument (%d %i %u %o %x %X)
+ * @param {number|bigint} value - Argument value
+ * @param {Object} spec - Conversion specification
+ * @param {number} width - Field width
+ * @param {number|null} precision - Minimum number of digits
+ * @returns {string} Field text
+ */
+function formatInteger(value, spec, width, precision) {
+  const { conversion, flags } = spec;
+  // Converted with BigInt so that 64-bit values keep every digit
+  const { bits, signed } = integerFormat(expectedType(spec));
+  const exact = typeof value === 'bigint' ? value : BigInt(Math.trunc(Number(value)) || 0);
+  const integer = signed ? BigInt.asIntN(bits, exact) : BigInt.asUintN(bits, exact);
+  const negative = integer < 0n;
+  const base = { o: 8, x: 16, X: 16 }[conversion] || 10;
+
+  let digits = (negative ? -integer : integer).toString(base);
+  if (conversion === 'X') digits = digits.toUpperCase();
+
+  // A precision is the minimum number of digits; %.0d prints nothing for 0
+  if (precision !== null) {
+    digits = integer === 0n && precision === 0 ? '' : digits.padStart(precision, '0');
+  }
+
+  let prefix = ['d', 'i'].includes(conversion) ? signOf(negative, flags) : '';
+  if (flags.includes('#')) {
+    if (conversion === 'o' && !digits.startsWith('0')) digits = `0${digits}`;
+    if ((conversion === 'x' || conversion === 'X') && integer !== 0n) prefix = conversion === 'x' ? '0x' : '0X';
+  }
+
+  return pad(prefix, digits, { flags, width, zeroPad: precision === null });
+}
+
+/**
+ * Round a non-negative value to a number of digits after the point
+ * JS rounds ties away from zero; glibc rounds them to even (printf("%.0f", 2.5) prints 2)
+ * @param {number} magnitude - Value to round
+ * @param {string} method - toFixed or toExponential
+ * @param {number} digits - Digits after the point
+ * @returns {string} Rounded text
+ */
+function roundDigits(magnitude, method, digits) {
+  digits = Math.min(digits, 100);
+
+  // toFixed switches to exponent notation from 1e21; such values are whole numbers
+  if (method === 'toFixed' && magnitude >= 1e21) {
+    return BigInt(magnitude).toString() + (digits > 0 ? `.${'0'.repeat(digits)}` : '');
+  }
+
+  const text = magnitude[method](digits);
+  const exact = magnitude[method](Math.min(digits + 30, 100));
+
+  // A tie is exactly half a unit in the last kept place
+  const [mantissa, exponent] = exact.split('e');
+  const tail = (mantissa.split('.')[1] || '').slice(digits);
+  if (!/^50*$/.test(tail) || text.split('e')[1] !== exponent) return text;
+
+  const [kept, suffix = ''] = text.split(/(?=e)/);
+  const last = parseInt(kept[kept.length - 1]);
+  return last % 2 === 1 ? `${kept.slice(0, -1)}${last - 1}${suffix}` : text;
+}
+
+/**
+ * Convert a floating argument (%f %F %e %E %g %G)
+ * @param {number} value - Argument value
+ * @param {Object} spec - Conversion specification
+ * @param {number} width - Field width
+ * @param {number|null} precision - Digits after the point (%f %e) or significant digits (%g)
+ * @returns {string} Field text
+ */
+function formatFloating(value, spec, width, precision) {
+  const { conversion, flags } = spec;
+  const upper = conversion === conversion.toUpperCase();
+  const negative = value < 0 || Object.is(value, -0);
+  const magnitude = Math.abs(value);
+  const sign = signOf(negative, flags);
+
+  if (!Number.isFinite(magnitude)) {
+    const text = Number.isNaN(magnitude) ? 'nan' : 'inf';
+    return pad(sign, upper ? text.toUpperCase() : text, { flags, width, zeroPad: false });
+  }
+
+  // Exponents have at least two digits (1.5e+00)
+  const exponential = digits => roundDigits(magnitude, 'toExponential', digits).replace(/e([+-])(\d)$/, 'e$10$2');
+
+  let text;
+  const kind = conversion.toLowerCase();
+  if (kind === 'f') {
+    text = roundDigits(magnitude, 'toFixed', precision === null ? 6 : precision);
+  } else if (kind === 'e') {
+    text = exponential(precision === null ? 6 : precision);
+  } else {
+    // %g picks %e or %f from the exponent and drops trailing zeros
+    const significant = precision === null ? 6 : Math.max(precision, 1);
+    const exponent = magnitude === 0 ? 0 : parseInt(exponential(significant - 1).split('e')[1]);
+    text = exponent < -4 || exponent >= significant ?
+      exponential(significant - 1) :
+      roundDigits(magnitude, 'toFixed', significant - 1 - exponent);
+    if (!flags.includes('#')) {
+      text = text.replace(/\.?0+(?=e|$)/, match => (match.startsWith('.') || text.includes('.') ? '' : match));
+    }
+  }
+
+  if (flags.includes('#') && !text.includes('.')) {
+    text = text.replace(/(?=e|$)/, '.');
+  }
+  if (upper) text = text.toUpperCase();
+
+  return pad(sign, text, { flags, width, zeroPad: true });
+}
+
+/**
+ * Format the arguments of a printf-family call
+ * Arguments that do not match are converted as the specification reads them; see checkFormatArguments
+ * @param {string} format - Format string, already read from memory
+ * @param {Array} args - Evaluated arguments after the format ({value, type})
+ * @param {Function} readString - Reads the string at an address (for %s)
+ * @returns {string} Formatted text
+ */
+export function formatPrintf(format, args, readString) {
+  let index = 0;
+  let text = '';
+
+  parseFormat(format).forEach(item => {
+    if (!item.spec) {
+      text += item.text;
+      return;
+    }
+
+    const { spec } = item;
+    if (spec.conversion === '%') {
+      text += '%';
+      return;
+    }
+    if (spec.conversion === '') {
+      text += spec.raw;
+      return;
+    }
+
+    let flags = spec.flags;
+    let width = 0;
+    if (spec.width === '*') {
+      const value = args[index++];
+      width = value ? Number(value.value) : 0;
+      // A negative field width means left alignment
+      if (width < 0) {
+        flags += '-';
+        width = -width;
+      }
+    } else if (spec.width !== null) {
+      width = parseInt(spec.width);
+    }
+
+    let precision = null;
+    if (spec.precision === '*') {
+      const value = args[index++];
+      precision = value && Number(value.value) >= 0 ? Number(value.value) : null;
+    } else if (spec.precision !== null) {
+      precision = parseInt(spec.precision) || 0;
+    }
+
+    const arg = args[index++];
+    if (!arg) {
+      // Missing arguments are undefined behavior; the specification is printed as is
+      text += spec.raw;
+      return;
+    }
+
+    const field = { ...spec, flags };
+    switch (spec.conversion) {
+      case 'c':
+        text += pad('', String.fromCharCode(Number(convertArithmetic(arg.value, 'unsigned char'))), { flags, width, zeroPad: false });
+        break;
+      case 's': {
+        let string = Number(arg.value) === 0 ? '(null)' : readString(Number(arg.value));
+        if (precision !== null) string = string.slice(0, precision);
+        text += pad('', string, { flags, width, zeroPad: false });
+        break;
+      }
+      case 'p': {
+        const address = Number(arg.value);
+        text += pad('', address === 0 ? '(nil)' : `0x${address.toString(16)}`, { flags, width, zeroPad: false });
+        break;
+      }
+      case 'd':
+      case 'i':
+      case 'u':
+      case 'o':
+      case 'x':
+      case 'X':
+        text += formatInteger(arg.value, field, width, precision);
+        break;
+      default:
+        text += formatFloating(Number(arg.value), field, width, precision);
+    }
+  });
+
+  return text;
+}
+
+/**
+ * scanf-family functions and the index of their format argument
+ */
+export const SCAN_FUNCTIONS = { scanf: 0, sscanf: 1, fscanf: 1 };
+
+/**
+ * A scanf conversion specification: %[*][width][length]conversion, where the conversion may be a scanset
+ */
+const SCAN_SPECIFICATION = /%(\*)?(\d+)?(hh|h|ll|l|z|L)?(\[\^?\]?[^\]]*\]|[diuoxXcsfFeEgGpn%])?/y;
+
+/**
+ * Split a scanf format string into directives
+ * @param {string} format - Format string
+ * @returns {Array} Items: {whitespace}, {text} (one character) or {spec: {raw, suppress, width, length, conversion}}
+ */
+export function parseScanFormat(format) {
+  const items = [];
+  let index = 0;
+
+  while (index < format.length) {
+    if (/\s/.test(format[index])) {
+      // Any run of white space matches any amount of white space, none included
+      while (index < format.length && /\s/.test(format[index])) index++;
+      items.push({ whitespace: true });
+    } else if (format[index] === '%') {
+      SCAN_SPECIFICATION.lastIndex = index;
+      const [raw, suppress, width, length, conversion] = SCAN_SPECIFICATION.exec(format);
+      items.push({
+        spec: {
+          raw,
+          suppress: Boolean(suppress),
+          width: width === undefined ? null : parseInt(width),
+          length: length || '',
+          conversion: conversion || ''
+        }
+      });
+      index += raw.length;
+    } else {
+      items.push({ text: format[index++] });
+    }
+  }
+  return items;
+}
+
+/**
+ * Get the type of the object a scanf conversion stores into
+ * @param {Object} spec - Conversion specification
+ * @returns {string} C type (int, unsigned short, double, char)
+ */
+export function scanTargetType(spec) {
+  const conversion = spec.conversion[0];
+  if ('cs['.includes(conversion)) return 'char';
+  if (conversion === 'p') return 'void*';
+  if ('fFeEgG'.includes(conversion)) {
+    return { l: 'double', L: 'long double' }[spec.length] || 'float';
+  }
+
+  const integer = INTEGER_TYPES[spec.length] || 'int';
+  if ('uoxX'.includes(conversion) || spec.length === 'z') return `unsigned ${integer}`;
+  return integer;
+}
+
+/**
+ * Check the arguments of a scanf-family call against its format string
+ * @param {string} format - Format string
+ * @param {Array<string|null>} types - Types of the arguments that follow the format (null if unknown)
+ * @param {number} firstArgument - Position of the first of those arguments in the call (2 for scanf)
+ * @returns {Array} Problems ({argument, message}) where argument indexes types, or null
+ */
+export function checkScanArguments(format, types, firstArgument) {
+  const problems = [];
+  let index = 0;
+
+  parseScanFormat(format).forEach(({ spec }) => {
+    if (!spec || spec.suppress || spec.conversion === '%') return;
+
+    if (spec.conversion === '') {
+      problems.push({ argument: null, message: 'unknown conversion type character in format' });
+      return;
+    }
+
+    const expected = new TypeC(`${scanTargetType(spec)}*`);
+    if (index >= types.length) {
+      problems.push({ argument: null, message: `format '${spec.raw}' expects a matching '${expected.getDisplayName()}' argument` });
+      index++;
+      return;
+    }
+
+    const position = index;
+    const type = types[index++];
+    if (!type) return;
+
+    // Signedness may differ, as for printf; everything else must point to the right type
+    const actual = new TypeC(type).decayed();
+    const unsigned = name => name.replace(/^unsigned /, '');
+    const matches = expected.type === 'void*' ? new TypeC(actual).isPointer() :
+      unsigned(actual) === unsigned(expected.type) ||
+      expected.type === 'char*' && actual === 'unsigned char*';
+    if (!matches) {
+      problems.push({
+        argument: position,
+        message: `format '${spec.raw}' expects argument of type '${expected.getDisplayName()}', but argument ${firstArgument + position} has type '${passedTypeName(type)}'`
+      });
+    }
+  });
+
+  if (index < types.length) {
+    problems.push({ argument: index, message: 'too many arguments for format' });
+  }
+  return problems;
+}
+
+/**
+ * Read input the way scanf does
+ * @param {string} format - Format string
+ * @param {Object} reader - Input source: peek() and next() return one character, or null at end of file
+ * @returns {Object} Result ({count, values}) where count is EOF (-1) if input ended before the first conversion
+ *   and values lists the converted fields ({spec, value}) in argument order
+ */
+export function scanInput(format, reader) {
+  const values = [];
+  let consumed = 0;
+  let converted = 0;
+  let ended = false;
+
+  const next = () => {
+    consumed++;
+    return reader.next();
+  };
+  const skipSpace = () => {
+    while (reader.peek() !== null && /\s/.test(reader.peek())) next();
+  };
+  const done = () => ({ count: ended && converted === 0 ? -1 : values.length, values });
+
+  for (const item of parseScanFormat(format)) {
+    if (item.whitespace) {
+      skipSpace();
+      continue;
+    }
+
+    const { spec } = item;
+    if (!spec || spec.conversion === '%') {
+      // Ordinary characters must match the input exactly
+      if (spec) skipSpace();
+      const char = reader.peek();
+      ended = char === null;
+      if (char !== (spec ? '%' : item.text)) return done();
+      next();
+      continue;
+    }
+
+    if (spec.conversion === '') return done();
+    if (spec.conversion === 'n') {
+      if (!spec.suppress) values.push({ spec, value: consumed });
+      continue;
+    }
+
+    const conversion = spec.conversion[0];
+    if (conversion !== 'c' && conversion !== '[') skipSpace();
+    if (reader.peek() === null) {
+      ended = true;
+      return done();
+    }
+
+    // Characters are taken one at a time while they fit the field width and the test
+    let left = spec.width === null ? (conversion === 'c' ? 1 : Infinity) : spec.width;
+    const accept = test => {
+      const char = reader.peek();
+      if (left <= 0 || char === null || !test(char)) return '';
+      left--;
+      return next();
+    };
+    const acceptAll = test => {
+      let text = '';
+      let char;
+      while ((char = accept(test))) text += char;
+      return text;
+    };
+
+    let value;
+    if (conversion === 'c') {
+      value = acceptAll(() => true);
+      // End of file before the field is complete is an input failure
+      if (left > 0) {
+        ended = true;
+        return done();
+      }
+    } else if (conversion === 's') {
+      value = acceptAll(char => !/\s/.test(char));
+    } else if (conversion === '[') {
+      value = acceptAll(scansetTest(spec.conversion));
+      if (!value) return done();
+    } else if ('fFeEgG'.includes(conversion)) {
+      value = scanFloating(accept, acceptAll);
+      if (value === null) return done();
+    } else {
+      const base = { d: 10, u: 10, i: 0, o: 8, x: 16, X: 16, p: 16 }[conversion];
+      value = scanInteger(accept, acceptAll, base);
+      if (value === null) return done();
+    }
+
+    converted++;
+    if (!spec.suppress) values.push({ spec, value });
+  }
+
+  return done();
+}
+
+/**
+ * Build the membership test of a scanset ([abc], [^\n], [a-z])
+ * @param {string} conversion - Scanset conversion including its brackets
+ * @returns {Function} Test for one character
+ */
+function scansetTest(conversion) {
+  const negated = conversion[1] === '^';
+  const members = conversion.slice(negated ? 2 : 1, -1);
+
+  const inSet = char => {
+    for (let i = 0; i < members.length; i++) {
+      // A dash between two characters is a range
+      if (members[i + 1] === '-' && i + 2 < members.length) {
+        if (char >= members[i] && char <= members[i + 2]) return true;
+        i += 2;
+      } else if (members[i] === char) {
+        return true;
+      }
+    }
+    return false;
+  };
+  return char => inSet(char) !== negated;
+}
+
+/**
+ * Read an integer field (%d %i %u %o %x %p)
+ * @param {Function} accept - Takes one character that passes a test
+ * @param {Function} acceptAll - Takes every following character that passes a test
+ * @param {number} base - Base, or 0 to detect it from the prefix as %i does
+ * @returns {bigint|null} Value, or null if no digits were read
+ */
+function scanInteger(accept, acceptAll, base) {
+  const sign = accept(char => char === '+' || char === '-');
+  let digits = '';
+
+  if ((base === 0 || base === 16) && accept(char => char === '0')) {
+    if (accept(char => char === 'x' || char === 'X')) {
+      base = 16;
+    } else {
+      digits = '0';
+      if (base === 0) base = 8;
+    }
+  }
+  if (base === 0) base = 10;
+
+  const valid = { 8: /[0-7]/, 10: /[0-9]/, 16: /[0-9a-fA-F]/ }[base];
+  digits += acceptAll(char => valid.test(char));
+  if (!digits) return null;
+
+  const prefix = { 8: '0o', 10: '', 16: '0x' }[base];
+  const value = BigInt(prefix + digits);
+  return sign === '-' ? -value : value;
+}
+
+/**
+ * Read a floating field (%f %e %g)
+ * @param {Function} accept - Takes one character that passes a test
+ * @param {Function} acceptAll - Takes every following character that passes a test
+ * @returns {number|null} Value, or null if no digits were read
+ */
+function scanFloating(accept, acceptAll) {
+  const digit = char => /[0-9]/.test(char);
+  let text = accept(char => char === '+' || char === '-');
+  let mantissa = acceptAll(digit);
+  if (accept(char => char === '.')) {
+    mantissa += `.${acceptAll(digit)}`;
+  }
+  if (!/[0-9]/.test(mantissa)) return null;
+
+  text += mantissa;
+  if (accept(char => char === 'e' || char === 'E')) {
+    text += `e${accept(char => char === '+' || char === '-')}${acceptAll(digit)}`;
+  }
+  return parseFloat(text);
+}
@@ -0,0 +1,204 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Virtual standard library headers available to #include
+ */
+
+/**
+ * Contents of the bundled headers, written as ordinary C
+ * Each header declares the library functions, macros and typedefs of its standard counterpart
+ */
+export const VIRTUAL_HEADERS = {
+  'stddef.h': `#pragma once
+#ifndef NULL
+#define NULL ((void *)0)
+#endif
+#ifndef __size_t_defined
+#define __size_t_defined
+typedef unsigned long size_t;
+#endif
+typedef long ptrdiff_t;
+`,
+
+  'stdio.h': `#pragma once
+#ifndef NULL
+#define NULL ((void *)0)
+#endif
+#ifndef __size_t_defined
+#define __size_t_defined
+typedef unsigned long size_t;
+#endif
+#define EOF (-1)
+#define BUFSIZ 8192
+#define FILENAME_MAX 4096
+#define SEEK_SET 0
+#define SEEK_CUR 1
+#define SEEK_END 2
+
+typedef struct FILE FILE;
+
+extern FILE *stdin;
+extern FILE *stdout;
+extern FILE *stderr;
+
+int printf(const char *format, ...);
+int sprintf(char *str, const char *format, ...);
+int snprintf(char *str, size_t size, const char *format, ...);
+int fprintf(FILE *stream, const char *format, ...);
+int scanf(const char *format, ...);
+int fscanf(FILE *stream, const char *format, ...);
+int sscanf(const char *str, const char *format, ...);
+int getchar(void);
+int putchar(int c);
+int puts(const char *s);
+char *gets(char *s);
+char *fgets(char *s, int size, FILE *stream);
+int fputs(const char *s, FILE *stream);
+int fgetc(FILE *stream);
+int fputc(int c, FILE *stream);
+int getc(FILE *stream);
+int putc(int c, FILE *stream);
+int ungetc(int c, FILE *stream);
+FILE *fopen(const char *filename, const char *mode);
+int fclose(FILE *stream);
+int fflush(FILE *stream);
+size_t fread(void *ptr, size_t size, size_t count, FILE *stream);
+size_t fwrite(const void *ptr, size_t size, size_t count, FILE *stream);
+int fseek(FILE *stream, long offset, int whence);
+long ftell(FILE *stream);
+void rewind(FILE *stream);
+int feof(FILE *stream);
+int ferror(FILE *stream);
+void clearerr(FILE *stream);
+int remove(const char *filename);
+void perror(const char *s);
+`,
+
+  'stdlib.h': `#pragma once
+#ifndef NULL
+#define NULL ((void *)0)
+#endif
+#ifndef __size_t_defined
+#define __size_t_defined
+typedef unsigned long size_t;
+#endif
+#define EXIT_SUCCESS 0
+#define EXIT_FAILURE 1
+#define RAND_MAX 2147483647
+
+void *malloc(size_t size);
+void *calloc(size_t count, size_t size);
+void *realloc(void *ptr, size_t size);
+void free(void *ptr);
+int abs(int n);
+long labs(long n);
+int atoi(const char *str);
+long atol(const char *str);
+double atof(const char *str);
+long strtol(const char *str, char **endptr, int base);
+unsigned long strtoul(const char *str, char **endptr, int base);
+double strtod(const char *str, char **endptr);
+int rand(void);
+void srand(unsigned int seed);
+void qsort(void *base, size_t count, size_t size, int (*compare)(const void *, const void *));
+void *bsearch(const void *key, const void *base, size_t count, size_t size, int (*compare)(const void *, const void *));
+void exit(int status);
+void abort(void);
+`,
+
+  'string.h': `#pragma once
+#ifndef NULL
+#define NULL ((void *)0)
+#endif
+#ifndef __size_t_defined
+#define __size_t_defined
+typedef unsigned long size_t;
+#endif
+
+size_t strlen(const char *s);
+char *strcpy(char *dest, const char *src);
+char *strncpy(char *dest, const char *src, size_t n);
+char *strcat(char *dest, const char *src);
+char *strncat(char *dest, const char *src, size_t n);
+int strcmp(const char *s1, const char *s2);
+int strncmp(const char *s1, const char *s2, size_t n);
+char *strchr(const char *s, int c);
+char *strrchr(const char *s, int c);
+char *strstr(const char *haystack, const char *needle);
+void *memcpy(void *dest, const void *src, size_t n);
+void *memmove(void *dest, const void *src, size_t n);
+void *memset(void *s, int c, size_t n);
+int memcmp(const void *s1, const void *s2, size_t n);
+`,
+
+  'math.h': `#pragma once
+#define M_PI 3.14159265358979323846
+#define M_E 2.7182818284590452354
+#define HUGE_VAL (1.0 / 0.0)
+
+double sqrt(double x);
+double pow(double base, double exponent);
+double fabs(double x);
+double floor(double x);
+double ceil(double x);
+double round(double x);
+double fmod(double x, double y);
+double exp(double x);
+double log(double x);
+double log10(double x);
+double sin(double x);
+double cos(double x);
+double tan(double x);
+`,
+
+  'ctype.h': `#pragma once
+int isalpha(int c);
+int isdigit(int c);
+int isalnum(int c);
+int isspace(int c);
+int isupper(int c);
+int islower(int c);
+int isprint(int c);
+int isgraph(int c);
+int ispunct(int c);
+int isxdigit(int c);
+int iscntrl(int c);
+int isblank(int c);
+int toupper(int c);
+int tolower(int c);
+`,
+
+  'limits.h': `#pragma once
+#define CHAR_BIT 8
+#define SCHAR_MIN (-128)
+#define SCHAR_MAX 127
+#define UCHAR_MAX 255
+#define CHAR_MIN SCHAR_MIN
+#define CHAR_MAX SCHAR_MAX
+#define SHRT_MIN (-32768)
+#define SHRT_MAX 32767
+#define USHRT_MAX 65535
+#define INT_MIN (-INT_MAX - 1)
+#define INT_MAX 2147483647
+#define UINT_MAX 4294967295U
+#define LONG_MIN (-LONG_MAX - 1L)
+#define LONG_MAX 9223372036854775807L
+#define ULONG_MAX 18446744073709551615UL
+`,
+
+  'stdbool.h': `#pragma once
+#define bool _Bool
+#define true 1
+#define false 0
+`
+};
+
+/**
+ * Find the header that declares a library function
+ * @param {string} name - Function name
+ * @returns {string|null} Header name or null if no bundled header declares it
+ */
+export function findHeaderFor(name) {
+  const declaration = new RegExp(`[\\s*]${name}\\(`);
+  const entry = Object.entries(VIRTUAL_HEADERS).find(([, contents]) => declaration.test(contents));
+  return entry ? entry[0] : null;
+}
@@ -3,7 +3,16 @@
  * Interpreter module for execution simulation
  */
 
-import { ExecutionStep, StackFrame, HeapBlock } from './state.js';
+import { ExecutionStep, StackFrame, HeapBlock, FileHandle, TypeC, ASTNode } from './state.js';
+import { Memory, MEMORY_LAYOUT } from './memory.js';
+import { findHeaderFor } from './headers.js';
+import { convertArithmetic, applyArithmetic, fitsInType, integerFormat } from './arithmetic.js';
+import { literalType } from './type-checker.js';
+import { formatPrintf, checkFormatArguments, scanInput, scanTargetType, checkScanArguments } from './format.js';
+import { HeapAllocator, HEADER_SIZE } from './allocator.js';
+import { MemoryChecker } from './memcheck.js';
+import { FileSystem, FILE_SIZE, SEEK_SET, ERROR_MESSAGES } from './filesystem.js';
+import { MATH_FUNCTIONS, nextRandom, parseInteger, parseFloating } from './numeric.js';
 
 /**
  * Load example code into appState
@@ -318,6 +327,14 @@ int main() {
     printBinary(shift_right);
     printf(")\\n");
 
+    // Shift assignment
+    int flags = 1;
+    flags <<= 3; // 1000 (8 in decimal)
+    flags >>= 1; // 0100 (4 in decimal)
+    printf("1 <<= 3, >>= 1 gives %d (", flags);
+    printBinary(flags);
+    printf(")\\n");
+
     return 0;
 }`
   };
@@ -327,7 +344,262 @@ int main() {
 }
 
 /**
- * Interpreter class for simulating code execution
+ * Check if a type is a pointer type
+ * @param {string} type - Type name
+ * @returns {boolean} True if the type is a pointer
+ */
+function isPointerType(type) {
+  return type.endsWith('*');
+}
+
+/**
+ * Check if a type is an array type
+ * @param {string} type - Type name
+ * @returns {boolean} True if the type is an array
+ */
+function isArrayType(type) {
+  return /\[\d*\]$/.test(type);
+}
+
+/**
+ * Check if a type is a function type (int(int, int))
+ * @param {string} type - Type name
+ * @returns {boolean} True if the type is a function
+ */
+function isFunctionType(type) {
+  return type.endsWith(')');
+}
+
+/**
+ * Check if a type is a struct or union stored by value
+ * @param {string} type - Type name
+ * @returns {boolean} True for struct and union types (not pointers or arrays of them)
+ */
+function isRecordType(type) {
+  return /^(struct|union) [^*[]+$/.test(type);
+}
+
+/**
+ * Check if a type is a floating point type
+ * @param {string} type - Type name
+ * @returns {boolean} True if the type is float, double or long double
+ */
+function isFloatingType(type) {
+  return type === 'float' || type === 'double' || type === 'long double';
+}
+
+/**
+ * Get the type a pointer or array refers to
+ * @param {string} type - Pointer or array type
+ * @returns {string} Element type
+ */
+function elementType(type) {
+  if (isArrayType(type)) {
+    // int[3][4] is an array of 3 int[4] and char*[3] an array of 3 char*
+    return type.replace(/\[\d*\](?=(\[\d*\])*$)/, '');
+  }
+  return type.slice(0, -1);
+}
+
+/**
+ * Get the size in bytes of a type, treating incomplete types as bytes
+ * @param {string} type - Type name
+ * @returns {number} Size in bytes
+ */
+function sizeOfType(type) {
+  return new TypeC(type).getSizeof() || 1;
+}
+
+/**
+ * Format a memory address for descriptions
+ * @param {number} address - Memory address
+ * @returns {string} Hexadecimal address
+ */
+function formatAddress(address) {
+  return `0x${address.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Describe an errno code as step descriptions show it
+ * @param {string} code - errno name
+ * @returns {string} Name and message ("ENOENT: No such file or directory")
+ */
+function describeErrno(code) {
+  return `${code}: ${ERROR_MESSAGES[code]}`;
+}
+
+/**
+ * Format a byte count for descriptions
+ * @param {number} count - Number of bytes
+ * @returns {string} Count with its unit (1 byte, 12 bytes)
+ */
+function formatBytes(count) {
+  return `${count} byte${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show a character code as a C character constant, or as a number when it has no printable form
+ * @param {number} code - Character code
+ * @returns {string} Character constant ('a', '\n'), EOF or number
+ */
+function formatCharCode(code) {
+  const escapes = { 0: '\\0', 9: '\\t', 10: '\\n', 13: '\\r', 39: '\\\'', 92: '\\\\' };
+  if (escapes[code]) return `'${escapes[code]}'`;
+  if (code >= 32 && code < 127) return `'${String.fromCharCode(code)}'`;
+  return code === -1 ? 'EOF' : String(code);
+}
+
+/**
+ * Show bytes of simulated memory as a quoted string
+ * @param {Array} bytes - Byte values
+ * @returns {string} Quoted text
+ */
+function quoteBytes(bytes) {
+  return JSON.stringify(String.fromCharCode(...bytes));
+}
+
+/**
+ * Compare two byte sequences as strcmp and memcmp do, as unsigned char
+ * @param {Array} first - Bytes of the first operand (with the terminator, for strings)
+ * @param {Array} second - Bytes of the second operand
+ * @param {number} limit - Most bytes compared
+ * @param {boolean} strings - Whether a terminator in both ends the comparison
+ * @returns {Object} Result ({result, index, compared}) where index is the first differing byte, or -1
+ */
+function compareBytes(first, second, limit, strings) {
+  for (let index = 0; index < limit; index++) {
+    if (first[index] !== second[index]) {
+      return { result: first[index] - second[index], index, compared: index + 1 };
+    }
+    if (strings && first[index] === 0) return { result: 0, index: -1, compared: index + 1 };
+  }
+  return { result: 0, index: -1, compared: limit };
+}
+
+/**
+ * Stable merge sort that leaves the items array as it is
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Comparison returning a negative, zero or positive number
+ * @returns {Array} Sorted copy
+ */
+function mergeSort(items, compare) {
+  if (items.length < 2) return items.slice();
+
+  const middle = Math.floor(items.length / 2);
+  const left = mergeSort(items.slice(0, middle), compare);
+  const right = mergeSort(items.slice(middle), compare);
+  const merged = [];
+  while (left.length > 0 && right.length > 0) {
+    // Equal items keep their order: the left one goes first
+    merged.push(compare(left[0], right[0]) <= 0 ? left.shift() : right.shift());
+  }
+  return merged.concat(left, right);
+}
+
+/**
+ * Check whether an error is the JavaScript engine running out of stack (V8 and WebKit raise a RangeError,
+ * Firefox an InternalError), as opposed to an error of the simulated program
+ * @param {Error} error - Caught error
+ * @returns {boolean} True if the engine's stack overflowed
+ */
+function isEngineStackOverflow(error) {
+  return error.line === undefined &&
+    ((error instanceof RangeError && /call stack/i.test(error.message)) || error.name === 'InternalError');
+}
+
+/**
+ * Check whether a frame copied into a snapshot still matches the live frame
+ * @param {StackFrame} copy - Frame of the previous snapshot
+ * @param {StackFrame} frame - Live frame
+ * @returns {boolean} True if the copy can be shared with the next snapshot
+ */
+function sameFrame(copy, frame) {
+  if (copy.functionName !== frame.functionName || copy.returnAddress !== frame.returnAddress ||
+      copy.returnLine !== frame.returnLine) {
+    return false;
+  }
+
+  // Same variables in the same order, holding the same values
+  const names = Object.keys(frame.variables);
+  const copiedNames = Object.keys(copy.variables);
+  return names.length === copiedNames.length && names.every((name, index) => {
+    const variable = frame.variables[name];
+    const copied = copy.variables[name];
+    return copiedNames[index] === name && copied.value === variable.value &&
+      copied.address === variable.address && copied.type === variable.type;
+  });
+}
+
+/**
+ * Split the contents of a heap block into pages, reusing the pages of the previous snapshot that did not change
+ * @param {Array} content - Live contents (may have holes)
+ * @param {Array|null} previousPages - Pages of the same block in the previous snapshot
+ * @returns {Array} Pages of at most CONTENT_PAGE_SIZE elements
+ */
+function pageContent(content, previousPages) {
+  const pages = [];
+  for (let start = 0; start < content.length; start += CONTENT_PAGE_SIZE) {
+    const end = Math.min(start + CONTENT_PAGE_SIZE, content.length);
+    const previous = previousPages && previousPages[pages.length];
+    let same = Boolean(previous) && previous.length === end - start;
+    for (let index = start; same && index < end; index++) {
+      same = previous[index - start] === content[index];
+    }
+    pages.push(same ? previous : content.slice(start, end));
+  }
+  return pages;
+}
+
+/**
+ * Check whether two page lists hold the very same pages
+ * @param {Array} pages - Pages
+ * @param {Array|null} others - Pages to compare with
+ * @returns {boolean} True if every page is shared
+ */
+function samePages(pages, others) {
+  return Boolean(others) && pages.length === others.length && pages.every((page, index) => page === others[index]);
+}
+
+/**
+ * Steps handed to the batch callback of generateExecutionSteps at a time
+ */
+const STEP_BATCH_SIZE = 100;
+
+/**
+ * Bytes of address space per page of labelled cells in a snapshot; a step copies only the pages it changed
+ */
+const CELL_PAGE_SIZE = 64;
+
+/**
+ * Elements per page of a heap block's contents in a snapshot
+ */
+const CONTENT_PAGE_SIZE = 64;
+
+/**
+ * Longest string a library function scans for its terminator
+ */
+const STRING_SCAN_LIMIT = 4096;
+
+/**
+ * ctype.h classes in the C locale, with the bit glibc's classification table returns for each
+ */
+const CHARACTER_CLASSES = {
+  isupper: { bit: 256, description: 'an uppercase letter', test: code => code >= 65 && code <= 90 },
+  islower: { bit: 512, description: 'a lowercase letter', test: code => code >= 97 && code <= 122 },
+  isalpha: { bit: 1024, description: 'a letter', test: code => CHARACTER_CLASSES.isupper.test(code) || CHARACTER_CLASSES.islower.test(code) },
+  isdigit: { bit: 2048, description: 'a decimal digit', test: code => code >= 48 && code <= 57 },
+  isxdigit: { bit: 4096, description: 'a hexadecimal digit', test: code => CHARACTER_CLASSES.isdigit.test(code) || (code >= 65 && code <= 70) || (code >= 97 && code <= 102) },
+  isspace: { bit: 8192, description: 'white space', test: code => code === 32 || (code >= 9 && code <= 13) },
+  isprint: { bit: 16384, description: 'printable', test: code => code >= 32 && code < 127 },
+  isgraph: { bit: 32768, description: 'printable and not a space', test: code => code > 32 && code < 127 },
+  isblank: { bit: 1, description: 'a space or a tab', test: code => code === 32 || code === 9 },
+  iscntrl: { bit: 2, description: 'a control character', test: code => (code >= 0 && code < 32) || code === 127 },
+  ispunct: { bit: 4, description: 'punctuation', test: code => CHARACTER_CLASSES.isgraph.test(code) && !CHARACTER_CLASSES.isalnum.test(code) },
+  isalnum: { bit: 8, description: 'a letter or a digit', test: code => CHARACTER_CLASSES.isalpha.test(code) || CHARACTER_CLASSES.isdigit.test(code) }
+};
+
+/**
+ * Interpreter class for simulating code execution by walking the AST
  */
 export class Interpreter {
   /**
@@ -336,155 +608,396 @@ export class Interpreter {
    */
   constructor(appState) {
     this.appState = appState;
-    this.baseAddress = 0x1000; // Stack base address
-    this.heapBase = 0x8000;    // Heap base address
+    this.baseAddress = MEMORY_LAYOUT.stack.start;    // Stack base address
+    this.heapBase = MEMORY_LAYOUT.heap.start;        // Heap base address
+    this.globalBase = MEMORY_LAYOUT.data.start;      // Global variables base address
+    this.stringBase = MEMORY_LAYOUT.rodata.start;    // String literals base address
+    this.textBase = MEMORY_LAYOUT.text.start;        // Program instructions base address
   }
   
   /**
    * Generate execution steps for the current AST
+   * @param {Function|null} onBatch - Called with each batch of new steps as the trace grows, so they can be shown
+   *   before it is complete; the last batch comes before the method returns
    * @returns {Array} Array of execution steps
    */
-  generateExecutionSteps() {
-    const steps = [];
+  generateExecutionSteps(onBatch = null) {
+    this.resetRuntime();
+    this.onBatch = onBatch;
+    let waiting = false;
     
     try {
-      // Determine code type
-      const codeType = this.determineCodeType();
-      
-      // Add initial step
-      steps.push(new ExecutionStep(
-        'initialization',
-        1,
-        'Program start',
-        {}
-      ));
-      
-      // Generate steps based on code type
-      switch (codeType) {
-        case 'basic':
-          this.generateStepsForVariablesAndPointers(steps);
-          break;
-        case 'arrays':
-          this.generateStepsForArraysAndPointers(steps);
-          break;
-        case 'dynamic_allocation':
-          this.generateStepsForDynamicAllocation(steps);
-          break;
-        case 'structures':
-          this.generateStepsForStructures(steps);
-          break;
-        case 'recursion':
-          this.generateStepsForRecursion(steps);
-          break;
-        case 'file_io':
-          this.generateStepsForFileHandling(steps);
-          break;
-        case 'switch_case':
-          this.generateStepsForSwitchCase(steps);
-          break;
-        case 'preprocessor':
-          this.generateStepsForPreprocessor(steps);
-          break;
-        case 'bitwise':
-          this.generateStepsForBitwise(steps);
-          break;
-        default:
-          // Try to generate steps based on AST for custom code
-          this.generateStepsBasedOnAST(steps);
-          break;
-      }
-      
-      // Add final step
-      steps.push(new ExecutionStep(
-        'finalization',
-        this.findLastLine(),
-        'Program end',
-        {}
-      ));
-      
+      this.addStep('initialization', 1, 'Program start');
+      this.runProgram(this.appState.ast);
     } catch (error) {
-      console.error('Error generating execution steps:', error);
-      this.appState.addError(error.message);
+      if (error.waitingForInput) {
+        // The trace pauses here; it is generated again once more input is typed
+        this.addStep('input', error.line, error.message, this.takeEcho());
+        waiting = true;
+      } else if (error.exitStatus !== undefined) {
+        // exit() ends the program like a return from main; its step is already in the trace
+      } else if (error.line !== undefined) {
+        // Runtime errors in the simulated program end the trace
+        this.addStep('error', error.line, error.message);
+      } else {
+        console.error('Error generating execution steps:', error);
+        this.appState.addError(error.message);
+        // The trace ends at an error step, so the files are not closed and no leaks are reported
+        this.addStep('error', this.currentLine, `Internal simulator error: ${error.message}`);
+      }
+    }
+    
+    this.currentNode = null;
+    if (!waiting) {
+      // Like Valgrind, leaks are only looked for when the program ran to the end
+      const finished = this.steps[this.steps.length - 1].type !== 'error';
+      if (finished) this.closeOpenFiles();
+      const leaks = finished ? this.memoryChecker.findLeaks(this.heapBlocksReachable()) : null;
+      (leaks || []).forEach(leak =>
+        this.addStep('warning', leak.block.line || this.findLastLine(), `Memory leak: ${leak.message}`));
+      this.addStep('finalization', this.findLastLine(), `Program end - ${this.memoryChecker.summary(leaks)}`);
     }
     
-    return steps;
+    const { compilationProcess } = this.appState;
+    compilationProcess.currentPhase = 'execution';
+    compilationProcess.codeGeneration = [
+      `${this.functions.size} function(s) loaded for simulation`,
+      `${this.steps.length} execution steps generated`
+    ];
+    
+    this.sendSteps();
+    return this.steps;
   }
   
   /**
-   * Determine the type of code being executed
-   * @returns {string} Code type
+   * Hand the steps added since the last batch to the batch callback, if there is one
    */
-  determineCodeType() {
-    const code = this.appState.code.toLowerCase();
+  sendSteps() {
+    if (!this.onBatch || this.stepsSent === this.steps.length) return;
     
-    // Check for specific patterns to identify code type
-    if (code.includes('malloc(') || code.includes('free(')) {
-      return 'dynamic_allocation';
-    } else if (code.includes('struct ')) {
-      return 'structures';
-    } else if (code.includes('fopen(') || code.includes('fclose(')) {
-      return 'file_io';
-    } else if (code.includes('switch(') || code.includes('case ')) {
-      return 'switch_case';
-    } else if (code.includes('#define ')) {
-      return 'preprocessor';
-    } else if (code.includes('<<') || code.includes('>>') || code.includes(' & ')) {
-      return 'bitwise';
-    } else if (this.hasRecursion()) {
-      return 'recursion';
-    } else if (code.includes('[') && code.includes(']')) {
-      return 'arrays';
-    } else {
-      return 'basic';
+    // Each step leaves out what it shares with the one before, which the page already has
+    const batch = [];
+    for (let index = this.stepsSent; index < this.steps.length; index++) {
+      batch.push(ExecutionStep.pack(this.steps[index], this.steps[index - 1] || null));
     }
+    this.stepsSent = this.steps.length;
+    this.onBatch(batch);
   }
   
   /**
-   * Check if code contains recursion
-   * @returns {boolean} True if recursion is detected
+   * Reset the runtime state used while walking the AST
    */
-  hasRecursion() {
-    // Simplified implementation - check for patterns indicating recursion
-    const ast = this.appState.ast;
-    if (!ast) return false;
+  resetRuntime() {
+    this.initializeRuntime();
     
-    // Get function names
-    const functionNames = [];
-    const findFunctions = (node) => {
-      if (node.type === 'function_definition' && node.value) {
-        functionNames.push(node.value);
-      }
-      
-      if (node.children) {
-        node.children.forEach(child => findFunctions(child));
-      }
+    this.appState.memory = {};
+    this.appState.ram = new Memory();
+    this.appState.stack = [];
+    this.appState.heap = {};
+    this.appState.consoleOutput = '';
+    
+    // Every run starts from the files seeded before it
+    this.appState.files = { ...this.appState.inputFiles };
+    this.appState.openFiles = {};
+  }
+  
+  /**
+   * Clear the interpreter's own tables, pointers and input buffer
+   */
+  initializeRuntime() {
+    this.steps = [];
+    this.stepsSent = 0;
+    this.functions = new Map();
+    this.declarations = new Map();
+    this.implicitlyDeclared = new Set();
+    this.records = new Map();
+    this.enumConstants = new Map();
+    this.staticLocals = new Map();
+    this.libraryAddresses = new Map();
+    this.globals = new Map();
+    this.streams = new Map();
+    this.frames = [];
+    this.stringLiterals = new Map();
+    this.stackPointer = this.baseAddress;
+    this.globalPointer = this.globalBase;
+    this.stringPointer = this.stringBase;
+    this.allocator = new HeapAllocator(this.appState);
+    this.memoryChecker = new MemoryChecker(this.appState);
+    this.fileSystem = new FileSystem(this.appState);
+    this.currentLine = 1;
+    this.currentNode = null;
+    this.undefinedBehavior = [];
+    this.loops = [];
+    this.startTime = Date.now();
+    
+    // Time spent recording snapshots and handing out batches, which the time limit does not count
+    this.recordingTime = 0;
+    
+    // Snapshots share what did not change since the previous one; labelled cells written since are noted here
+    this.previousSnapshot = null;
+    this.changedCells = new Set();
+    
+    // Output written and file contents as of the previous snapshot, which keeps only what was added to them
+    this.newOutput = '';
+    this.recordedFiles = {};
+    
+    // Addresses of the labelled cells by page, and the size of the largest, to find the cells a write touches
+    this.cellIndex = new Map();
+    this.largestCell = 1;
+    
+    // Formatted elements of the arrays in the stack panel, by frame variable, so a store formats one element
+    this.arrayElements = new WeakMap();
+    
+    // Code of the last failed library call, for perror()
+    this.errno = 0;
+    
+    // rand() without srand() behaves as after srand(1)
+    this.randomSeed = 1;
+    this.randomState = 1;
+    
+    // Standard input is everything typed in the input area; reads past its end wait for more
+    this.stdin = {
+      text: this.appState.userInput || '',
+      position: 0,
+      closed: Boolean(this.appState.stdinClosed),
+      echo: '',
+      pushback: null
     };
+  }
+  
+  /**
+   * Add an execution step with a snapshot of the current state
+   * @param {string} type - Step type
+   * @param {number} line - Line number in source code
+   * @param {string} description - Description of the step
+   * @param {Object} changes - Changes to state
+   * @returns {ExecutionStep} The new step
+   */
+  addStep(type, line, description, changes = {}) {
+    // Undefined behavior met while computing this step is reported with it
+    if (this.undefinedBehavior.length > 0) {
+      description += ` [undefined behavior: ${this.undefinedBehavior.join('; ')}]`;
+      this.undefinedBehavior = [];
+    }
+    
+    const step = new ExecutionStep(type, line, description, changes);
+    step.nodeId = this.currentNode ? this.currentNode.id : null;
     
-    findFunctions(ast);
+    const recordingStart = Date.now();
+    step.snapshot = this.captureSnapshot();
+    this.steps.push(step);
+    if (this.steps.length - this.stepsSent >= STEP_BATCH_SIZE) this.sendSteps();
+    this.recordingTime += Date.now() - recordingStart;
+    return step;
+  }
+  
+  /**
+   * Add an execution step about a specific node (a loop condition, a called function)
+   * @param {ASTNode} node - Node the step refers to
+   * @param {string} type - Step type
+   * @param {number} line - Line number in source code
+   * @param {string} description - Description of the step
+   * @param {Object} changes - Changes to state
+   * @returns {ExecutionStep} The new step
+   */
+  addStepAt(node, type, line, description, changes = {}) {
+    const previousNode = this.currentNode;
+    this.currentNode = node;
+    const step = this.addStep(type, line, description, changes);
+    this.currentNode = previousNode;
+    return step;
+  }
+  
+  /**
+   * Record memory, stack, heap and output so a step can be replayed later
+   * Parts that did not change since the previous step are shared with its snapshot instead of copied,
+   * and of the output and files only what changed is kept; ExecutionStep.snapshotState() rebuilds the full state
+   * when the step is viewed
+   * @returns {Object} Snapshot of the runtime state
+   */
+  captureSnapshot() {
+    const previous = this.previousSnapshot;
+    const { memory } = this.appState;
     
-    // Check for self-calls
-    let hasRecursiveCall = false;
-    const findRecursiveCalls = (node, currentFunction) => {
-      if (node.type === 'function_definition' && node.value) {
-        currentFunction = node.value;
+    // Labelled cells, in pages by address
+    let cells;
+    if (!previous) {
+      cells = {};
+      for (const address in memory) {
+        const page = Math.floor(address / CELL_PAGE_SIZE);
+        if (!cells[page]) cells[page] = {};
+        cells[page][address] = { ...memory[address] };
       }
+    } else if (this.changedCells.size === 0) {
+      cells = previous.cells;
+    } else {
+      cells = { ...previous.cells };
+      const copied = new Set();
+      this.changedCells.forEach(address => {
+        const page = Math.floor(address / CELL_PAGE_SIZE);
+        if (!copied.has(page)) {
+          cells[page] = { ...previous.cells[page] };
+          copied.add(page);
+        }
+        if (memory[address]) {
+          cells[page][address] = { ...memory[address] };
+        } else {
+          delete cells[page][address];
+        }
+      });
+    }
+    this.changedCells.clear();
+    
+    // Frames whose variables all hold the same values are shared
+    const stack = this.appState.stack.map((frame, index) => {
+      const shared = previous && previous.stack[index];
+      if (shared && sameFrame(shared, frame)) return shared;
       
-      if (node.type === 'call_expression' && 
-          node.value && 
-          functionNames.includes(node.value) &&
-          node.value === currentFunction) {
-        hasRecursiveCall = true;
-        return;
+      const copy = new StackFrame(frame.functionName, frame.returnAddress, frame.returnLine);
+      for (const name in frame.variables) {
+        copy.variables[name] = { ...frame.variables[name] };
       }
-      
-      if (node.children && !hasRecursiveCall) {
-        node.children.forEach(child => findRecursiveCalls(child, currentFunction));
+      return copy;
+    });
+    
+    // Blocks keep their contents in pages, so writing one element copies one page
+    const heap = {};
+    for (const address in this.appState.heap) {
+      const block = this.appState.heap[address];
+      const shared = previous && previous.heap[address];
+      const contentPages = Array.isArray(block.content) ?
+        pageContent(block.content, shared && shared.contentPages) : null;
+      if (shared && shared.size === block.size && shared.chunkSize === block.chunkSize &&
+          shared.freed === block.freed && shared.line === block.line &&
+          (contentPages ? samePages(contentPages, shared.contentPages) : shared.content === block.content)) {
+        heap[address] = shared;
+        continue;
       }
+      
+      const copy = new HeapBlock(block.address, block.size, contentPages ? null : block.content, block.chunkSize);
+      copy.contentPages = contentPages;
+      copy.freed = block.freed;
+      copy.line = block.line;
+      heap[address] = copy;
+    }
+    
+    // Output and files keep what this step added; a file that was emptied, rewritten or removed is kept whole
+    const { files } = this.appState;
+    const fileChanges = {};
+    for (const path in this.recordedFiles) {
+      if (!Object.prototype.hasOwnProperty.call(files, path)) fileChanges[path] = null;
+    }
+    for (const path in files) {
+      const before = this.recordedFiles[path];
+      if (files[path] === before) continue;
+      const at = before !== undefined && files[path].startsWith(before) ? before.length : 0;
+      fileChanges[path] = { at, text: files[path].slice(at) };
+    }
+    this.recordedFiles = { ...files };
+    const output = this.newOutput;
+    this.newOutput = '';
+    
+    const openFiles = {};
+    for (const address in this.appState.openFiles) {
+      const handle = this.appState.openFiles[address];
+      openFiles[address] = Object.assign(new FileHandle(handle.address, handle.path, handle.mode, handle.line), handle);
+    }
+    
+    this.previousSnapshot = {
+      cells,
+      ram: this.appState.ram.clone(),
+      stack,
+      heap,
+      fileChanges,
+      openFiles,
+      output
     };
+    return this.previousSnapshot;
+  }
+  
+  /**
+   * Create an error raised by the simulated program
+   * @param {string} message - Error message
+   * @returns {Error} Error carrying the current source line
+   */
+  runtimeError(message) {
+    const error = new Error(message);
+    error.line = this.currentLine;
+    return error;
+  }
+  
+  /**
+   * Create the signal that ends the program when it calls exit()
+   * @param {number} status - Exit status
+   * @returns {Error} Error marked with exitStatus
+   */
+  programExit(status) {
+    const error = this.runtimeError(`The program called exit(${status})`);
+    error.exitStatus = status;
+    return error;
+  }
+  
+  /**
+   * Create the signal that pauses the trace until more input is typed
+   * @returns {Error} Error marked with waitingForInput
+   */
+  inputPending() {
+    const error = this.runtimeError('Waiting for input: type it in the INPUT AREA and press Enter (Ctrl+D ends the input)');
+    error.waitingForInput = true;
+    return error;
+  }
+  
+  /**
+   * Look at the next character of standard input without consuming it
+   * @returns {string|null} Character, or null at end of file
+   */
+  peekInput() {
+    const { stdin } = this;
+    if (stdin.pushback !== null) return stdin.pushback;
+    if (stdin.position < stdin.text.length) return stdin.text[stdin.position];
+    if (stdin.closed) {
+      stdin.eof = true;
+      return null;
+    }
+    throw this.inputPending();
+  }
+  
+  /**
+   * Consume the next character of standard input
+   * Like a terminal, the output shows each input line once the program starts reading it
+   * @returns {string|null} Character, or null at end of file
+   */
+  readInput() {
+    const char = this.peekInput();
+    if (char === null) return null;
+    
+    // A character pushed back by ungetc was already echoed when it was first read
+    const { stdin } = this;
+    if (stdin.pushback !== null) {
+      stdin.pushback = null;
+      return char;
+    }
     
-    findRecursiveCalls(ast, null);
+    if (stdin.position === 0 || stdin.text[stdin.position - 1] === '\n') {
+      const end = stdin.text.indexOf('\n', stdin.position);
+      const line = end === -1 ? stdin.text.slice(stdin.position) : stdin.text.slice(stdin.position, end + 1);
+      stdin.echo += line;
+      this.appState.consoleOutput += line;
+      this.newOutput += line;
+    }
     
-    return hasRecursiveCall;
+    stdin.position++;
+    return char;
+  }
+  
+  /**
+   * Take the input echoed since the last step, for that step's output changes
+   * @returns {Object} Changes ({saida}) or an empty object
+   */
+  takeEcho() {
+    const echo = this.stdin.echo;
+    this.stdin.echo = '';
+    return echo ? { saida: echo } : {};
   }
   
   /**
@@ -492,669 +1005,4322 @@ export class Interpreter {
    * @returns {number} Last line number
    */
   findLastLine() {
-    if (this.appState.tokens.length === 0) return 1;
+    // Tokens that came from #included headers do not belong to the user's code
+    const lines = this.appState.tokens
+      .filter(token => !token.file || token.file === 'main.c')
+      .map(token => token.line);
+    if (lines.length === 0) return 1;
     
-    const lines = this.appState.tokens.map(token => token.line);
     return Math.max(...lines);
   }
   
   /**
-   * Generate execution steps for variables and pointers example
-   * @param {Array} steps - Array to add steps to
+   * Run a whole program: globals first, then main()
+   * @param {ASTNode} ast - Program node
    */
-  generateStepsForVariablesAndPointers(steps) {
-    let currentAddress = this.baseAddress;
+  runProgram(ast) {
+    if (!ast) {
+      throw new Error('No AST to execute');
+    }
     
-    // Add main frame to stack
-    const mainFrame = new StackFrame('main', 0);
-    this.appState.stack.push(mainFrame);
+    this.loadProgram(ast);
     
-    // Step 1: Declare x with value 10
-    const xAddress = currentAddress;
-    currentAddress += 4; // int size
+    // Library objects from included headers are visible from the first line
+    (ast.headerDeclarations || [])
+      .filter(node => node.type === 'variable_declaration')
+      .forEach(node => node.children.forEach(varNode =>
+        this.defineStream(varNode.value, varNode.dataType || node.dataType)));
     
-    steps.push(new ExecutionStep(
-      'declaration',
-      4,
-      'Declaration of variable x with value 10',
-      {
-        memory: {
-          [xAddress]: { value: 10, name: 'x', type: 'int' }
-        },
-        stack: {
-          'main': {
-            add: { name: 'x', value: 10, address: xAddress, type: 'int' }
-          }
-        }
+    ast.children.forEach(node => {
+      if (node.type === 'variable_declaration') {
+        this.currentLine = node.line || this.currentLine;
+        this.executeDeclaration(node);
       }
-    ));
-    
-    mainFrame.addVariable('x', 10, xAddress, 'int');
-    this.appState.memory[xAddress] = { value: 10, name: 'x', type: 'int' };
+    });
     
-    // Step 2: Declare y with value 20
-    const yAddress = currentAddress;
-    currentAddress += 4; // int size
-    
-    steps.push(new ExecutionStep(
-      'declaration',
-      5,
-      'Declaration of variable y with value 20',
-      {
-        memory: {
-          [yAddress]: { value: 20, name: 'y', type: 'int' }
-        },
-        stack: {
-          'main': {
-            add: { name: 'y', value: 20, address: yAddress, type: 'int' }
-          }
-        }
-      }
-    ));
+    // Globals and string literals are in place; from now on read-only segments are protected
+    this.appState.ram.loading = false;
     
-    mainFrame.addVariable('y', 20, yAddress, 'int');
-    this.appState.memory[yAddress] = { value: 20, name: 'y', type: 'int' };
+    const mainNode = this.functions.get('main');
+    if (!mainNode) {
+      this.addStep('error', 1, 'Could not find main function for execution');
+      return;
+    }
     
-    // Step 3: Declare pointer ptr pointing to x
-    const ptrAddress = currentAddress;
-    currentAddress += 8; // pointer size (64-bit)
+    this.currentLine = mainNode.line || 1;
+    this.callFunction(mainNode, []);
+  }
+  
+  /**
+   * Load the program's types, prototypes and function definitions
+   * @param {ASTNode} ast - Program node
+   */
+  loadProgram(ast) {
+    (ast.typeDefinitions || []).forEach(node => this.registerType(node));
     
-    steps.push(new ExecutionStep(
-      'declaration',
-      6,
-      'Declaration of pointer ptr pointing to x',
-      {
-        memory: {
-          [ptrAddress]: { value: xAddress, name: 'ptr', type: 'int*' }
-        },
-        stack: {
-          'main': {
-            add: { name: 'ptr', value: xAddress, address: ptrAddress, type: 'int*' }
-          }
-        }
+    // Prototypes from included headers are visible from the first line
+    (ast.headerDeclarations || []).forEach(node => {
+      if (node.type === 'function_declaration') {
+        this.declarations.set(node.value, node);
       }
-    ));
-    
-    mainFrame.addVariable('ptr', xAddress, ptrAddress, 'int*');
-    this.appState.memory[ptrAddress] = { value: xAddress, name: 'ptr', type: 'int*' };
+    });
     
-    // Step 4: First printf
-    steps.push(new ExecutionStep(
-      'call',
-      8,
-      'Printf function call showing x and y values',
-      {
-        saida: 'x = 10, y = 20\n'
+    ast.children.forEach(node => {
+      if (node.type === 'function_definition') {
+        this.functions.set(node.value, node);
+      } else if (node.type === 'function_declaration') {
+        this.declarations.set(node.value, node);
       }
-    ));
+    });
+  }
+  
+  /**
+   * Evaluate an expression or statement typed in the input area against the state of a step
+   * The step's state is copied first, so assignments and calls never change the trace
+   * @param {Object} input - Parsed input ({node, expression}) from Parser.parseInteractive
+   * @param {number} stepIndex - Index of the step in appState.executionSteps whose state is used
+   * @returns {Object|null} Value of an expression ({value, type}), or null for a statement
+   */
+  evaluateInteractive({ node, expression }, stepIndex) {
+    this.initializeRuntime();
+    this.stdin = { text: '', position: 0, closed: true, echo: '', pushback: null };
     
-    this.appState.consoleOutput += 'x = 10, y = 20\n';
+    const trace = this.appState.executionSteps;
+    const step = trace[stepIndex];
+    Object.assign(this.appState, step.snapshotState(trace, stepIndex), { consoleOutput: '' });
+    this.appState.ram.loading = false;
     
-    // Step 5: Second printf
-    steps.push(new ExecutionStep(
-      'call',
-      9,
-      'Printf function call showing value pointed by ptr',
-      {
-        saida: '*ptr = 10\n'
-      }
-    ));
+    this.loadProgram(this.appState.ast);
+    this.restoreVariables();
+    this.currentLine = step.line;
     
-    this.appState.consoleOutput += '*ptr = 10\n';
+    // Before main is called and after it returns no function is running; the input then runs in a frame of its own,
+    // where blocks, loops and declarations can keep their locals
+    if (this.frames.length === 0) {
+      this.frames.push({ frame: new StackFrame('<input>', 0), scopes: [new Map()], base: this.stackPointer });
+    }
     
-    // Step 6: Change value pointed by ptr
-    steps.push(new ExecutionStep(
-      'assignment',
-      11,
-      'Assignment of 30 to the value pointed by ptr (x)',
-      {
-        memory: {
-          [xAddress]: { value: 30, name: 'x', type: 'int' }
-        },
-        stack: {
-          'main': {
-            update: { name: 'x', value: 30, address: xAddress, type: 'int' }
-          }
-        }
+    if (expression) {
+      // A whole array is shown with its elements instead of decaying to a pointer
+      const variable = node.type === 'identifier' ? this.findVariable(node.value) : null;
+      if (variable && isArrayType(variable.type)) {
+        return { value: variable.address, type: variable.type };
       }
-    ));
+      return this.evaluate(node);
+    }
     
-    mainFrame.updateVariable('x', 30);
-    this.appState.memory[xAddress].value = 30;
+    const completion = this.executeStatement(node);
+    if (completion && completion.type !== 'return') {
+      throw this.runtimeError(`${completion.type} statement not within a loop or switch`);
+    }
+    return null;
+  }
+  
+  /**
+   * Rebuild the variable tables and allocation pointers from the restored state of a step
+   * Locals come from the stack frames, globals, string literals and streams from the labelled memory cells;
+   * the allocator reads its chunks straight from the restored heap
+   */
+  restoreVariables() {
+    const { memory, stack } = this.appState;
+    const segmentOf = address => Object.keys(MEMORY_LAYOUT).find(name =>
+      address >= MEMORY_LAYOUT[name].start && address < MEMORY_LAYOUT[name].start + MEMORY_LAYOUT[name].size);
     
-    // Step 7: Third printf
-    steps.push(new ExecutionStep(
-      'call',
-      12,
-      'Printf function call showing x value after change',
-      {
-        saida: 'After *ptr = 30, x = 30\n'
+    stack.forEach(frame => {
+      const scope = new Map();
+      let base = this.stackPointer;
+      for (const name in frame.variables) {
+        const { address, type } = frame.variables[name];
+        scope.set(name, { name, address, type });
+        base = Math.min(base, address);
+        this.stackPointer = Math.max(this.stackPointer, address + this.sizeOf(type));
       }
-    ));
+      this.frames.push({ frame, scopes: [scope], base });
+    });
     
-    this.appState.consoleOutput += 'After *ptr = 30, x = 30\n';
-    
-    // Step 8: Change ptr to point to y
-    steps.push(new ExecutionStep(
-      'assignment',
-      14,
-      'Assignment of y address to ptr',
-      {
-        memory: {
-          [ptrAddress]: { value: yAddress, name: 'ptr', type: 'int*' }
-        },
-        stack: {
-          'main': {
-            update: { name: 'ptr', value: yAddress, address: ptrAddress, type: 'int*' }
-          }
-        }
+    for (const key in memory) {
+      const address = parseInt(key);
+      const entry = memory[key];
+      this.indexCell(address, entry.size);
+      const segment = segmentOf(address);
+      if (segment === 'data') {
+        this.globals.set(entry.name, { name: entry.name, address, type: entry.type });
+        this.globalPointer = Math.max(this.globalPointer, address + entry.size);
+        if (entry.type === 'FILE') this.streams.set(address, entry.value.slice(1, -1));
+      } else if (segment === 'rodata') {
+        this.stringLiterals.set(JSON.parse(entry.value), address);
+        this.stringPointer = Math.max(this.stringPointer, address + entry.size);
       }
-    ));
+    }
+  }
+  
+  /**
+   * Define a standard stream (stdin, stdout, stderr) declared by stdio.h
+   * FILE is opaque, so the object it points to is a placeholder owned by the library
+   * @param {string} name - Stream variable name
+   * @param {string} type - Variable type (FILE*)
+   */
+  defineStream(name, type) {
+    const file = Math.ceil(this.globalPointer / 8) * 8;
+    this.globalPointer = file + 8;
+    this.setCell(file, { value: `<${name}>`, name: `FILE (${name})`, type: 'FILE', size: 8 });
+    this.streams.set(file, name);
     
-    mainFrame.updateVariable('ptr', yAddress);
-    this.appState.memory[ptrAddress].value = yAddress;
+    const variable = this.defineVariable(name, type);
+    this.storeValue(variable.address, type, file, name);
+  }
+  
+  /**
+   * Register a struct, union or enum definition
+   * @param {ASTNode} node - Type definition node
+   */
+  registerType(node) {
+    this.currentLine = node.line || this.currentLine;
     
-    // Step 9: Change value pointed by ptr (now y)
-    steps.push(new ExecutionStep(
-      'assignment',
-      15,
-      'Assignment of 40 to the value pointed by ptr (y)',
-      {
-        memory: {
-          [yAddress]: { value: 40, name: 'y', type: 'int' }
-        },
-        stack: {
-          'main': {
-            update: { name: 'y', value: 40, address: yAddress, type: 'int' }
-          }
+    if (node.type === 'enum_definition') {
+      // Enumerators count up from 0 or from the last explicit value
+      let next = 0;
+      node.children.forEach(enumerator => {
+        if (enumerator.children[0]) {
+          next = this.evaluate(enumerator.children[0]).value;
         }
-      }
-    ));
+        this.enumConstants.set(enumerator.value, next);
+        next++;
+      });
+      return;
+    }
     
-    mainFrame.updateVariable('y', 40);
-    this.appState.memory[yAddress].value = 40;
+    const isUnion = node.type === 'union_definition';
+    const members = [];
+    let bitCursor = 0; // Next free bit of a struct
+    let end = 0;       // Bytes used so far
+    let alignment = 1;
     
-    // Step 10: Fourth printf
-    steps.push(new ExecutionStep(
-      'call',
-      16,
-      'Printf function call showing y value after change',
-      {
-        saida: 'After ptr = &y and *ptr = 40, y = 40\n'
+    node.children.forEach(memberNode => {
+      const type = memberNode.dataType;
+      if (isRecordType(type) && !this.records.has(type) || type === 'void') {
+        throw this.runtimeError(`field '${memberNode.value}' has incomplete type`);
       }
-    ));
-    
-    this.appState.consoleOutput += 'After ptr = &y and *ptr = 40, y = 40\n';
-    
-    // Return statement
-    steps.push(new ExecutionStep(
-      'return',
-      18,
-      'Return from main function',
-      {
-        stack: {
-          'main': {
-            remove: true
-          }
+      
+      const size = this.sizeOf(type);
+      const memberAlignment = this.alignOf(type);
+      alignment = Math.max(alignment, memberAlignment);
+      
+      if (memberNode.bitWidth !== undefined) {
+        // Bit-fields share storage units of their declared type
+        const unitBits = size * 8;
+        let start = isUnion ? 0 : bitCursor;
+        let unitStart = Math.floor(start / unitBits) * unitBits;
+        
+        if (memberNode.bitWidth === 0 || start + memberNode.bitWidth > unitStart + unitBits) {
+          unitStart = Math.ceil(start / unitBits) * unitBits;
+          start = unitStart;
         }
+        
+        if (!isUnion) bitCursor = start + memberNode.bitWidth;
+        end = Math.max(end, Math.ceil((start + memberNode.bitWidth) / 8));
+        
+        if (memberNode.value) {
+          members.push({
+            name: memberNode.value,
+            type,
+            offset: unitStart / 8,
+            bitField: {
+              offset: start - unitStart,
+              width: memberNode.bitWidth,
+              unitType: `unsigned ${{ 1: 'char', 2: 'short', 8: 'long' }[size] || 'int'}`
+            }
+          });
+        }
+        return;
       }
-    ));
+      
+      const offset = isUnion ? 0 : Math.ceil(Math.ceil(bitCursor / 8) / memberAlignment) * memberAlignment;
+      if (!isUnion) bitCursor = (offset + size) * 8;
+      end = Math.max(end, offset + size);
+      
+      members.push({ name: memberNode.value, type, offset, anonymous: !!memberNode.anonymous });
+    });
+    
+    this.records.set(node.dataType, {
+      kind: isUnion ? 'union' : 'struct',
+      members,
+      size: Math.ceil(end / alignment) * alignment,
+      alignment
+    });
   }
   
   /**
-   * Generate execution steps for arrays and pointers example
-   * @param {Array} steps - Array to add steps to
+   * Get the size in bytes of a type, including structs, unions and arrays of them
+   * @param {string} type - Type name
+   * @returns {number} Size in bytes
    */
-  generateStepsForArraysAndPointers(steps) {
-    let currentAddress = this.baseAddress;
-    
-    // Add main frame to stack
-    const mainFrame = new StackFrame('main', 0);
-    this.appState.stack.push(mainFrame);
-    
-    // Array declaration
-    const arraySize = 5;
-    const intSize = 4;
-    const arrayAddress = currentAddress;
-    currentAddress += arraySize * intSize;
+  sizeOf(type) {
+    if (isArrayType(type)) {
+      const length = parseInt(type.match(/\[(\d*)\]/)[1]) || 0;
+      return length * this.sizeOf(elementType(type));
+    }
     
-    const initialValues = [10, 20, 30, 40, 50];
-    const memoryChanges = {};
+    if (isRecordType(type)) {
+      const layout = this.records.get(type);
+      if (!layout) {
+        throw this.runtimeError(`invalid application of 'sizeof' to incomplete type '${type}'`);
+      }
+      return layout.size;
+    }
     
-    // Create memory entries for each array element
-    for (let i = 0; i < arraySize; i++) {
-      const elementAddress = arrayAddress + (i * intSize);
-      memoryChanges[elementAddress] = {
-        value: initialValues[i],
-        name: `numeros[${i}]`,
-        type: 'int'
-      };
+    return sizeOfType(type);
+  }
+  
+  /**
+   * Get the alignment in bytes of a type
+   * @param {string} type - Type name
+   * @returns {number} Alignment in bytes
+   */
+  alignOf(type) {
+    if (isArrayType(type)) return this.alignOf(elementType(type));
+    if (isRecordType(type)) return this.records.get(type).alignment;
+    return Math.min(this.sizeOf(type), 8);
+  }
+  
+  /**
+   * Find a struct or union member, looking inside anonymous members
+   * @param {string} type - Struct or union type
+   * @param {string} name - Member name
+   * @returns {Object|null} Member ({name, type, offset, bitField}) or null
+   */
+  findMember(type, name) {
+    const layout = this.records.get(type);
+    if (!layout) {
+      throw this.runtimeError(`invalid use of incomplete type '${type}'`);
     }
     
-    steps.push(new ExecutionStep(
-      'declaration',
-      5,
-      'Declaration and initialization of array numeros with 5 elements',
-      {
-        memory: memoryChanges,
-        stack: {
-          'main': {
-            add: { name: 'numeros', value: arrayAddress, address: arrayAddress, type: 'int[5]' }
-          }
-        }
+    for (const member of layout.members) {
+      if (member.name === name) return member;
+      
+      if (member.anonymous) {
+        const inner = this.findMember(member.type, name);
+        if (inner) return { ...inner, offset: member.offset + inner.offset };
       }
-    ));
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Call a user-defined function: push a frame, bind parameters, run the body
+   * @param {ASTNode} functionNode - Function definition node
+   * @param {Array} args - Evaluated arguments ({value, type})
+   * @param {ASTNode} callNode - Call expression the value goes back to (none for main)
+   * @returns {Object} Return value ({value, type})
+   */
+  callFunction(functionNode, args, callNode = null) {
+    const name = functionNode.value;
+    const callLine = this.currentLine;
+    const parameters = functionNode.parameters || [];
     
-    // Update state
-    mainFrame.addVariable('numeros', arrayAddress, arrayAddress, 'int[5]');
-    for (const address in memoryChanges) {
-      this.appState.memory[address] = memoryChanges[address];
+    const depthLimit = this.appState.callDepthLimit;
+    if (depthLimit > 0 && this.frames.length >= depthLimit) {
+      // Runaway recursion would otherwise go on until the stack segment runs out
+      throw this.stackOverflow(name, `the limit of ${depthLimit} nested calls was reached`);
     }
     
-    // Pointer declaration
-    const ptrAddress = currentAddress;
-    currentAddress += 8; // 8 bytes for pointer
+    if (args.length !== parameters.length) {
+      throw this.runtimeError(
+        `Function ${name} expects ${parameters.length} argument(s) but ${args.length} were given`
+      );
+    }
     
-    steps.push(new ExecutionStep(
-      'declaration',
-      6,
-      'Declaration of pointer ptr initialized with numeros array address',
-      {
-        memory: {
-          [ptrAddress]: { value: arrayAddress, name: 'ptr', type: 'int*' }
-        },
-        stack: {
-          'main': {
-            add: { name: 'ptr', value: arrayAddress, address: ptrAddress, type: 'int*' }
-          }
-        }
-      }
-    ));
+    // A struct result is copied to space the caller sets aside, since the callee's frame goes away
+    const resultAddress = isRecordType(functionNode.returnType) ?
+      this.reserveTemporary(functionNode.returnType) :
+      null;
     
-    mainFrame.addVariable('ptr', arrayAddress, ptrAddress, 'int*');
-    this.appState.memory[ptrAddress] = { value: arrayAddress, name: 'ptr', type: 'int*' };
+    // The return address points back at the caller's line in the text segment
+    const frame = new StackFrame(name, this.textBase + callLine * 4, callNode ? callLine : null);
+    this.frames.push({ frame, scopes: [new Map()], base: this.stackPointer });
+    this.appState.stack.push(frame);
     
-    // First printf - showing addresses
-    steps.push(new ExecutionStep(
-      'call',
-      8,
-      'Printf function call showing the array address',
-      {
-        saida: `Endereço de numeros: 0x${arrayAddress.toString(16)}\n`
-      }
-    ));
+    const memoryChanges = {};
+    parameters.forEach((param, index) => {
+      const variable = this.defineVariable(param.name, param.type);
+      this.storeValue(variable.address, variable.type, args[index].value, param.name);
+      memoryChanges[variable.address] = { ...this.appState.memory[variable.address] };
+    });
     
-    this.appState.consoleOutput += `Endereço de numeros: 0x${arrayAddress.toString(16)}\n`;
+    const argumentText = parameters.map((param, index) =>
+      `${param.name} = ${this.formatValue(args[index].value, param.type)}`).join(', ');
     
-    // Second printf - pointer value
-    steps.push(new ExecutionStep(
+    this.currentLine = functionNode.line || callLine;
+    this.addStepAt(
+      functionNode,
       'call',
-      9,
-      'Printf function call showing pointer ptr value',
+      this.currentLine,
+      name === 'main' ?
+        'Call to main() - starting execution' :
+        `Call to ${name}(${argumentText}) - new stack frame created`,
       {
-        saida: `Valor de ptr: 0x${arrayAddress.toString(16)}\n`
+        memory: memoryChanges,
+        stack: { [name]: { push: true } }
       }
-    ));
+    );
     
-    this.appState.consoleOutput += `Valor de ptr: 0x${arrayAddress.toString(16)}\n`;
+    let completion;
+    try {
+      completion = this.executeStatement(functionNode.children[0]);
+    } catch (error) {
+      // Each nested call takes a few dozen interpreter calls, so the engine's stack can run out before the limit
+      if (isEngineStackOverflow(error)) {
+        throw this.stackOverflow(name, `the simulator ran out of stack space at ${this.frames.length} nested calls`);
+      }
+      throw error;
+    }
+    if (completion && completion.type === 'goto') {
+      throw this.runtimeError(`label '${completion.label}' used but not defined in ${name}`);
+    }
+    if (completion && completion.type === 'continue') {
+      throw this.runtimeError('continue statement not within a loop');
+    }
+    const returnLine = completion && completion.type === 'return' ? completion.line : this.currentLine;
     
-    // Loop for showing elements
-    for (let i = 0; i < arraySize; i++) {
-      steps.push(new ExecutionStep(
-        'execution',
-        11,
-        `Loop iteration ${i + 1} - accessing array elements`,
-        {}
-      ));
-      
-      steps.push(new ExecutionStep(
-        'call',
-        13,
-        `Printf function call showing array element ${i}`,
-        {
-          saida: `numeros[${i}] = ${initialValues[i]}, *(ptr+${i}) = ${initialValues[i]}\n`
-        }
-      ));
-      
-      this.appState.consoleOutput += `numeros[${i}] = ${initialValues[i]}, *(ptr+${i}) = ${initialValues[i]}\n`;
+    let returnValue = { value: 0, type: functionNode.returnType };
+    if (completion && completion.type === 'return' && completion.value) {
+      returnValue = {
+        value: this.convertValue(completion.value.value, functionNode.returnType),
+        type: functionNode.returnType
+      };
     }
+    if (resultAddress !== null && returnValue.value !== 0) {
+      this.storeValue(resultAddress, returnValue.type, returnValue.value, `${name}() result`);
+      returnValue = { value: resultAddress, type: returnValue.type };
+    }
+    const returnedText = this.formatValue(returnValue.value, returnValue.type);
     
-    // Reposition pointer to middle of array
-    steps.push(new ExecutionStep(
-      'assignment',
-      16,
-      'Repositioning ptr to the third element of array (numeros[2])',
-      {
-        memory: {
-          [ptrAddress]: { value: arrayAddress + 2 * intSize, name: 'ptr', type: 'int*' }
-        },
-        stack: {
-          'main': {
-            update: {
-              name: 'ptr',
-              value: arrayAddress + 2 * intSize,
-              address: ptrAddress,
-              type: 'int*'
-            }
-          }
-        }
-      }
-    ));
+    // Pop the frame and release its memory
+    this.releaseStackMemory(this.frames[this.frames.length - 1].base);
+    this.frames.pop();
+    this.appState.stack.pop();
+    
+    let description = functionNode.returnType === 'void' ?
+      `Return from ${name} function` :
+      `Return from ${name} function with value ${returnedText}`;
+    const changes = { stack: { [name]: { remove: true } } };
+    if (callNode) {
+      // The value takes the place of the call in the caller's expression
+      const callText = this.describeExpression(callNode);
+      description += functionNode.returnType === 'void' ?
+        ` - back at line ${callLine}` :
+        ` - back at line ${callLine}, ${callText} evaluates to ${returnedText}`;
+      changes.returnValue = {
+        functionName: name,
+        expression: callText,
+        value: functionNode.returnType === 'void' ? null : returnedText,
+        line: callLine
+      };
+    }
     
-    mainFrame.updateVariable('ptr', arrayAddress + 2 * intSize);
-    this.appState.memory[ptrAddress].value = arrayAddress + 2 * intSize;
+    this.currentLine = returnLine;
+    this.addStepAt(
+      completion && completion.type === 'return' ? completion.node : functionNode,
+      'return',
+      returnLine,
+      description,
+      changes
+    );
     
-    // Informative message
-    steps.push(new ExecutionStep(
-      'call',
-      17,
-      'Printf function call with informative message',
-      {
-        saida: '\nptr agora aponta para numeros[2]\n'
-      }
-    ));
+    this.currentLine = callLine;
+    return returnValue;
+  }
+  
+  /**
+   * Create the stack overflow error that ends a call nested too deep, counting how often the function called itself
+   * @param {string} name - Function being called
+   * @param {string} reason - What ran out
+   * @returns {Error} Runtime error
+   */
+  stackOverflow(name, reason) {
+    const calls = this.frames.filter(context => context.frame.functionName === name).length;
+    return this.runtimeError(
+      `Stack overflow: ${reason} calling ${name}()` +
+      (calls > 1 ? ` - ${name}() has called itself ${calls - 1} times without returning; check that the recursion reaches its base case` : '')
+    );
+  }
+  
+  /**
+   * Release stack memory at and above an address (frame or block exit)
+   * @param {number} base - Lowest address to release
+   */
+  releaseStackMemory(base) {
+    this.cellsIn(base, this.baseAddress + MEMORY_LAYOUT.stack.size).forEach(address => this.removeCell(address));
+    this.stackPointer = base;
+  }
+  
+  /**
+   * Execute a statement node
+   * @param {ASTNode} node - Statement node
+   * @returns {Object|null} Completion ({type, value, line}) for return, or null
+   */
+  executeStatement(node) {
+    if (node.line) {
+      this.currentLine = node.line;
+    }
+    this.checkLimits();
     
-    this.appState.consoleOutput += '\nptr agora aponta para numeros[2]\n';
+    // Steps recorded while the statement runs refer to it (or to a node inside it)
+    const previousNode = this.currentNode;
+    this.currentNode = node;
+    const completion = this.executeStatementNode(node);
+    this.currentNode = previousNode;
+    return completion;
+  }
+  
+  /**
+   * Dispatch a statement node to the code that executes it
+   * @param {ASTNode} node - Statement node
+   * @returns {Object|null} Completion ({type, value, line}) for return, or null
+   */
+  executeStatementNode(node) {
+    switch (node.type) {
+      case 'compound_statement':
+        return this.executeBlock(node);
+      case 'variable_declaration':
+        this.executeDeclaration(node);
+        return null;
+      case 'if_statement':
+        return this.executeIf(node);
+      case 'for_statement':
+      case 'while_statement':
+      case 'do_while_statement':
+        return this.executeLoop(node);
+      case 'switch_statement':
+        return this.executeSwitch(node);
+      case 'break_statement':
+        return { type: 'break', line: this.currentLine, node };
+      case 'continue_statement':
+        return { type: 'continue', line: this.currentLine, node };
+      case 'goto_statement':
+        this.addStep('execution', this.currentLine, `goto ${node.value} - jumping to label ${node.value}`);
+        return { type: 'goto', label: node.value, line: this.currentLine };
+      case 'labeled_statement':
+        return this.executeStatement(node.children[0]);
+      case 'return_statement':
+        return this.executeReturn(node);
+      case 'case_label':
+      case 'default_label':
+      case 'preprocessor_directive':
+      case 'struct_definition':
+      case 'union_definition':
+      case 'enum_definition':
+      case 'struct_declaration':
+      case 'typedef_declaration':
+      case 'empty':
+        return null;
+      default:
+        this.executeExpressionStatement(node);
+        return null;
+    }
+  }
+  
+  /**
+   * Execute a block with its own scope
+   * @param {ASTNode} node - Compound statement node
+   * @param {string|null} label - Label to resume at when a goto jumps into the block
+   * @returns {Object|null} Completion
+   */
+  executeBlock(node, label = null) {
+    const context = this.frames[this.frames.length - 1];
+    const blockBase = this.stackPointer;
+    context.scopes.push(new Map());
     
-    // Show current pointed value
-    steps.push(new ExecutionStep(
-      'call',
-      18,
-      'Printf function call showing value pointed by ptr',
-      {
-        saida: `*ptr = ${initialValues[2]}\n`
+    let completion = null;
+    let index = label ? this.findLabel(node, label) : 0;
+    let seeking = label;
+    if (label) this.declareSkipped(node.children.slice(0, index));
+    while (index < node.children.length) {
+      const statement = node.children[index];
+      completion = seeking ? this.resumeAt(statement, seeking) : this.executeStatement(statement);
+      seeking = null;
+      
+      // A goto to a label in this block continues from the labelled statement
+      if (completion && completion.type === 'goto') {
+        const target = this.findLabel(node, completion.label);
+        if (target !== -1) {
+          this.declareSkipped(node.children.slice(0, target));
+          index = target;
+          seeking = completion.label;
+          completion = null;
+          continue;
+        }
       }
-    ));
+      
+      if (completion) break;
+      index++;
+    }
     
-    this.appState.consoleOutput += `*ptr = ${initialValues[2]}\n`;
+    // Variables declared in the block go out of scope
+    const scope = context.scopes.pop();
+    if (context.scopes.length > 0) {
+      scope.forEach((variable, name) => {
+        delete context.frame.variables[name];
+      });
+      this.releaseStackMemory(blockBase);
+    }
     
-    // Demonstrate negative and positive pointer indexing
-    steps.push(new ExecutionStep(
-      'call',
-      19,
-      'Printf function call demonstrating pointer indexing',
-      {
-        saida: `ptr[-1] = ${initialValues[1]}, ptr[1] = ${initialValues[3]}\n`
+    return completion;
+  }
+  
+  /**
+   * Check whether a statement is or contains a label
+   * @param {ASTNode} node - Statement node
+   * @param {string} label - Label name
+   * @returns {boolean} True if the label is inside the statement
+   */
+  containsLabel(node, label) {
+    return (node.type === 'labeled_statement' && node.value === label) ||
+      node.children.some(child => this.containsLabel(child, label));
+  }
+  
+  /**
+   * Find the statement of a block that contains a label
+   * @param {ASTNode} node - Compound statement node
+   * @param {string} label - Label name
+   * @returns {number} Index of the statement or -1 if the label is not in the block
+   */
+  findLabel(node, label) {
+    return node.children.findIndex(child => this.containsLabel(child, label));
+  }
+  
+  /**
+   * Continue execution at a label nested inside a statement
+   * @param {ASTNode} node - Statement containing the label
+   * @param {string} label - Label name
+   * @returns {Object|null} Completion
+   */
+  resumeAt(node, label) {
+    if (node.type === 'labeled_statement') {
+      if (node.value === label) {
+        this.addStep('execution', node.line, `Reached label ${label}`);
+        return this.executeStatement(node);
       }
-    ));
-    
-    this.appState.consoleOutput += `ptr[-1] = ${initialValues[1]}, ptr[1] = ${initialValues[3]}\n`;
+      return this.resumeAt(node.children[0], label);
+    }
+    if (node.type === 'compound_statement') {
+      return this.executeBlock(node, label);
+    }
+    if (node.type === 'if_statement') {
+      // Jumping into a branch skips the condition
+      const branch = node.children.slice(1).find(child => this.containsLabel(child, label));
+      return this.resumeAt(branch, label);
+    }
     
-    // Return statement
-    steps.push(new ExecutionStep(
-      'return',
-      21,
-      'Return from main function',
-      {
-        stack: {
-          'main': {
-            remove: true
-          }
+    throw this.runtimeError(`goto ${label}: jumping into a ${node.type.replace(/_/g, ' ')} is not supported by the simulator`);
+  }
+  
+  /**
+   * Bring into scope the variables of a block whose declarations a goto or switch jumps over
+   * In C they exist from the start of the block, only their initializers are skipped
+   * @param {Array} statements - Statements of the current block before the one execution resumes at
+   */
+  declareSkipped(statements) {
+    const context = this.frames[this.frames.length - 1];
+    const scope = context.scopes[context.scopes.length - 1];
+    statements.filter(statement => statement.type === 'variable_declaration').forEach(node => {
+      const skipped = node.children.filter(varNode => !scope.has(varNode.value)).map(varNode => {
+        if (varNode.lengthExpression) {
+          throw this.runtimeError(`jump into scope of identifier with variably modified type '${varNode.value}'`);
         }
-      }
-    ));
+        // Static locals get their value before the program starts, so a jump cannot skip it
+        return varNode.storage === 'static' ? varNode : { ...varNode, children: [] };
+      });
+      if (skipped.length > 0) this.executeDeclaration({ ...node, children: skipped });
+    });
   }
   
   /**
-   * Generate execution steps for dynamic memory allocation example
-   * @param {Array} steps - Array to add steps to
+   * Execute an expression used as a statement
+   * @param {ASTNode} node - Expression node
    */
-  generateStepsForDynamicAllocation(steps) {
-    let currentAddress = this.baseAddress;
-    let heapAddress = this.heapBase;
-    
-    // Add main frame to stack
-    const mainFrame = new StackFrame('main', 0);
-    this.appState.stack.push(mainFrame);
+  executeExpressionStatement(node) {
+    const stepCount = this.steps.length;
+    const result = this.evaluate(node);
     
-    // Pointer declaration
-    const ptrAddress = currentAddress;
-    currentAddress += 8; // 8 bytes for pointer
-    
-    steps.push(new ExecutionStep(
-      'declaration',
-      5,
-      'Declaration of pointer ptr (uninitialized)',
-      {
-        memory: {
-          [ptrAddress]: { value: 0, name: 'ptr', type: 'int*' }
-        },
-        stack: {
-          'main': {
-            add: { name: 'ptr', value: 0, address: ptrAddress, type: 'int*' }
-          }
-        }
+    // Expressions without side effects still get a step so the line is shown
+    if (this.steps.length === stepCount) {
+      this.addStep(
+        'execution',
+        this.currentLine,
+        `Evaluated ${this.describeExpression(node)} = ${this.formatValue(result.value, result.type)}`
+      );
+    }
+  }
+  
+  /**
+   * Execute a variable declaration
+   * @param {ASTNode} node - Variable declaration node
+   */
+  executeDeclaration(node) {
+    const previousNode = this.currentNode;
+    node.children.forEach(varNode => {
+      this.currentNode = varNode;
+      const type = varNode.dataType || node.dataType + '*'.repeat(varNode.pointerDepth || 0);
+      const name = varNode.value;
+      
+      // extern only refers to a variable defined elsewhere
+      if (varNode.storage === 'extern' && !varNode.children[0]) {
+        return;
+      }
+      
+      // Static locals are initialized once and keep their value between calls
+      const isStatic = varNode.storage === 'static' && this.frames.length > 0;
+      if (isStatic && this.staticLocals.has(varNode)) {
+        const variable = this.staticLocals.get(varNode);
+        this.bindVariable(variable, isArrayType(type) || isRecordType(type) ?
+          this.formatValue(variable.address, type) :
+          this.loadValue(variable.address, type));
+        this.addStep(
+          'declaration',
+          this.currentLine,
+          `Static variable ${name} keeps its value ${this.formatValue(this.loadValue(variable.address, type), type)}`
+        );
+        return;
+      }
+      
+      if (isArrayType(type)) {
+        this.executeArrayDeclaration(varNode, type, isStatic);
+      } else if (isRecordType(type)) {
+        this.executeRecordDeclaration(varNode, type, isStatic);
+      } else {
+        this.executeScalarDeclaration(varNode, type, isStatic);
+      }
+      
+      if (isStatic) {
+        this.staticLocals.set(varNode, this.lookupVariable(name));
       }
-    ));
+    });
+    this.currentNode = previousNode;
+  }
+  
+  /**
+   * Execute the declaration of a scalar or pointer variable
+   * @param {ASTNode} varNode - Declared variable
+   * @param {string} type - Variable type
+   * @param {boolean} isStatic - Whether the variable is a static local
+   */
+  executeScalarDeclaration(varNode, type, isStatic = false) {
+    const name = varNode.value;
     
-    mainFrame.addVariable('ptr', 0, ptrAddress, 'int*');
-    this.appState.memory[ptrAddress] = { value: 0, name: 'ptr', type: 'int*' };
+    // The variable is in scope from the end of its declarator, so its initializer can use it (sizeof *p)
+    const variable = this.defineVariable(name, type, isStatic);
     
-    // Variable n declaration
-    const nAddress = currentAddress;
-    currentAddress += 4; // 4 bytes for int
+    const initializerNode = varNode.children[0];
+    const initializer = initializerNode ?
+      this.evaluate(initializerNode.type === 'initializer_list' ? initializerNode.children[0] : initializerNode) :
+      null;
     
-    steps.push(new ExecutionStep(
-      'declaration',
-      6,
-      'Declaration of variable n with value 5',
-      {
-        memory: {
-          [nAddress]: { value: 5, name: 'n', type: 'int' }
-        },
-        stack: {
-          'main': {
-            add: { name: 'n', value: 5, address: nAddress, type: 'int' }
-          }
-        }
-      }
-    ));
+    const value = initializer ? initializer.value : 0;
+    this.storeValue(variable.address, type, value, name);
+    if (!initializer && !isStatic && this.frames.length > 0) {
+      this.appState.ram.markUndefined(variable.address, this.sizeOf(type));
+    }
     
-    mainFrame.addVariable('n', 5, nAddress, 'int');
-    this.appState.memory[nAddress] = { value: 5, name: 'n', type: 'int' };
+    let description;
+    if (!initializer) {
+      description = `Declaration of ${isPointerType(type) ? 'pointer' : 'variable'} ${name} (uninitialized)`;
+    } else if (isPointerType(type)) {
+      const target = this.describePointerTarget(value);
+      description = `Declaration of pointer ${name} pointing to ${target}`;
+    } else {
+      const stored = this.loadValue(variable.address, type);
+      description = `Declaration of variable ${name} with value ${this.formatValue(stored, type)}` +
+        this.describeConversion(initializer, stored, type);
+    }
     
-    // Malloc call
-    const allocSize = 5 * 4; // 5 ints, 4 bytes each
-    const heapBlockAddress = heapAddress;
-    heapAddress += allocSize;
+    const changes = {
+      memory: { [variable.address]: { ...this.appState.memory[variable.address] } }
+    };
     
-    steps.push(new ExecutionStep(
-      'call',
-      9,
-      'Malloc function call to allocate 5 integers on heap',
-      {
-        memory: {
-          [ptrAddress]: { value: heapBlockAddress, name: 'ptr', type: 'int*' }
-        },
-        stack: {
-          'main': {
-            update: { name: 'ptr', value: heapBlockAddress, address: ptrAddress, type: 'int*' }
-          }
-        },
-        heap: {
-          [heapBlockAddress]: { address: heapBlockAddress, size: allocSize, freed: false }
+    const context = this.frames[this.frames.length - 1];
+    if (context) {
+      changes.stack = {
+        [context.frame.functionName]: {
+          add: { name, value: this.loadValue(variable.address, type), address: variable.address, type }
         }
-      }
-    ));
+      };
+    }
     
-    mainFrame.updateVariable('ptr', heapBlockAddress);
-    this.appState.memory[ptrAddress].value = heapBlockAddress;
-    this.appState.heap[heapBlockAddress] = new HeapBlock(heapBlockAddress, allocSize, 'uninitialized');
+    this.addStep('declaration', this.currentLine, description, changes);
+  }
+  
+  /**
+   * Execute a struct or union declaration
+   * @param {ASTNode} varNode - Declared variable
+   * @param {string} type - Struct or union type
+   * @param {boolean} isStatic - Whether the variable is a static local
+   */
+  executeRecordDeclaration(varNode, type, isStatic = false) {
+    const name = varNode.value;
+    if (!this.records.has(type)) {
+      throw this.runtimeError(`storage size of '${name}' isn't known`);
+    }
     
-    // Check allocation success
-    steps.push(new ExecutionStep(
-      'conditional',
-      11,
-      'Checking if allocation was successful',
-      {}
-    ));
+    // The variable is in scope from the end of its declarator, so its initializer can use it
+    const variable = this.defineVariable(name, type, isStatic);
+    this.labelCell(variable.address, type, name);
     
-    // Initialize values loop
-    const heapValues = {};
+    const initializer = varNode.children[0];
+    const source = initializer && initializer.type !== 'initializer_list' ? this.evaluate(initializer) : null;
     
-    for (let i = 0; i < 5; i++) {
-      const elementAddress = heapBlockAddress + (i * 4);
-      const elementValue = i * 10;
-      
-      steps.push(new ExecutionStep(
-        'assignment',
-        16,
-        `Initializing ptr[${i}] with value ${elementValue}`,
-        {
-          memory: {
-            [elementAddress]: { value: elementValue, name: `*(ptr+${i})`, type: 'int' }
-          }
-        }
-      ));
-      
-      this.appState.memory[elementAddress] = { value: elementValue, name: `*(ptr+${i})`, type: 'int' };
-      heapValues[i] = elementValue;
+    if (source) {
+      this.storeValue(variable.address, type, source.value, name);
+    } else if (initializer) {
+      this.initializeAggregate({ address: variable.address, type, name }, initializer);
     }
     
-    // Update heap block content
-    this.appState.heap[heapBlockAddress].content = heapValues;
-    
-    // Display values loop
-    for (let i = 0; i < 5; i++) {
-      const elementValue = i * 10;
-      
-      steps.push(new ExecutionStep(
-        'call',
-        21,
-        `Printf function call showing ptr[${i}]`,
-        {
-          saida: `ptr[${i}] = ${elementValue}\n`
+    const value = this.formatValue(variable.address, type);
+    const context = this.frames[this.frames.length - 1];
+    const changes = {
+      memory: { [variable.address]: { ...this.appState.memory[variable.address] } }
+    };
+    if (context) {
+      context.frame.updateVariable(name, value);
+      changes.stack = {
+        [context.frame.functionName]: {
+          add: { name, value, address: variable.address, type }
         }
-      ));
-      
-      this.appState.consoleOutput += `ptr[${i}] = ${elementValue}\n`;
+      };
     }
     
-    // Free memory
-    steps.push(new ExecutionStep(
-      'call',
-      25,
-      'Free function call to release allocated memory',
-      {
-        heap: {
-          [heapBlockAddress]: { address: heapBlockAddress, size: allocSize, freed: true }
+    this.addStep(
+      'declaration',
+      this.currentLine,
+      initializer ?
+        `Declaration of ${type} ${name} with value ${value}` :
+        `Declaration of ${type} ${name} (uninitialized)`,
+      changes
+    );
+  }
+  
+  /**
+   * Execute an array declaration (int v[5], char nome[] = "Ana", int m[2][3] = {...}, int v[n])
+   * @param {ASTNode} varNode - Declared array variable
+   * @param {string} declaredType - Array type as written (the first dimension may be empty)
+   * @param {boolean} isStatic - Whether the variable is a static local
+   */
+  executeArrayDeclaration(varNode, declaredType, isStatic = false) {
+    const name = varNode.value;
+    const initializer = varNode.children[0];
+    let type = declaredType;
+    
+    // The first dimension may come from a run-time length or from the initializer
+    if (/^[^[]*\[\]/.test(type) || varNode.lengthExpression) {
+      let length;
+      if (varNode.lengthExpression) {
+        length = this.evaluate(varNode.lengthExpression).value;
+        if (length < 0) {
+          throw this.runtimeError(`size of array '${name}' is negative`);
         }
+      } else if (initializer) {
+        length = this.initializerLength(initializer, elementType(type));
+      } else {
+        throw this.runtimeError(`array size missing in '${name}'`);
       }
-    ));
+      type = type.replace(/\[\]/, `[${length}]`);
+    }
     
-    this.appState.heap[heapBlockAddress].freed = true;
+    const variable = this.defineVariable(name, type, isStatic);
+    const size = this.sizeOf(type);
+    const length = size / this.sizeOf(elementType(type));
     
-    // Dangling pointer warning
-    steps.push(new ExecutionStep(
-      'warning',
-      28,
-      'ptr is now a dangling pointer pointing to freed memory',
-      {}
-    ));
+    this.labelElements(variable.address, type, name);
+    if (initializer) {
+      this.initializeObject({ address: variable.address, type, name }, initializer);
+    }
+    this.refreshMemoryEntries(variable.address, size);
     
-    // Return statement
-    steps.push(new ExecutionStep(
-      'return',
-      30,
-      'Return from main function',
-      {
-        stack: {
-          'main': {
-            remove: true
-          }
+    const memoryChanges = {};
+    this.cellsIn(variable.address, variable.address + size).forEach(address => {
+      memoryChanges[address] = { ...this.appState.memory[address] };
+    });
+    
+    const elements = this.formatArray(variable.address, type);
+    const context = this.frames[this.frames.length - 1];
+    const changes = { memory: memoryChanges };
+    if (context) {
+      context.frame.updateVariable(name, elements);
+      changes.stack = {
+        [context.frame.functionName]: {
+          add: { name, value: elements, address: variable.address, type }
         }
+      };
+    }
+    
+    this.addStep(
+      'declaration',
+      this.currentLine,
+      initializer ?
+        `Declaration of array ${name} with ${length} elements: ${elements}` :
+        `Declaration of array ${name} with ${length} elements (uninitialized)`,
+      changes
+    );
+  }
+  
+  /**
+   * Count the elements an initializer gives to an array of unknown size
+   * @param {ASTNode} node - Initializer list or string literal
+   * @param {string} baseType - Element type
+   * @returns {number} Number of elements
+   */
+  initializerLength(node, baseType) {
+    if (node.type === 'literal' && node.value.startsWith('"')) {
+      return this.unescape(node.value.slice(1, -1)).length + 1;
+    }
+    if (node.type !== 'initializer_list') {
+      return 1;
+    }
+    
+    let length = 0;
+    let position = 0;
+    node.children.forEach(child => {
+      if (child.type === 'designated_initializer' && child.designators[0].index) {
+        position = this.evaluate(child.designators[0].index).value;
       }
-    ));
+      position++;
+      length = Math.max(length, position);
+    });
+    return length;
   }
   
   /**
-   * Generate steps based on AST for custom or unrecognized code
-   * @param {Array} steps - Array to add steps to
+   * Label the memory cells of every element of an array
+   * @param {number} address - Address of the array
+   * @param {string} type - Array type
+   * @param {string} name - Array name
    */
-  generateStepsBasedOnAST(steps) {
-    // Find main function in AST
-    let mainNode = null;
-    if (this.appState.ast && this.appState.ast.children) {
-      mainNode = this.appState.ast.children.find(node => 
-        node.type === 'function_definition' && node.value === 'main'
-      );
+  labelElements(address, type, name) {
+    if (!isArrayType(type)) {
+      this.labelCell(address, type, name);
+      return;
     }
     
-    if (mainNode) {
-      // Add main frame to stack
-      const mainFrame = new StackFrame('main', 0);
-      this.appState.stack.push(mainFrame);
-      
-      steps.push(new ExecutionStep(
-        'information',
-        2,
-        'Found main() function - starting execution',
-        {}
-      ));
+    const baseType = elementType(type);
+    const elementSize = this.sizeOf(baseType);
+    const length = this.sizeOf(type) / elementSize;
+    for (let index = 0; index < length; index++) {
+      this.labelElements(address + index * elementSize, baseType, `${name}[${index}]`);
+    }
+  }
+  
+  /**
+   * Initialize an array, struct or union from a brace-enclosed list, zeroing what is not listed
+   * @param {Object} target - Location of the aggregate ({address, type, name})
+   * @param {ASTNode} listNode - Initializer list node
+   */
+  initializeAggregate(target, listNode) {
+    const size = this.sizeOf(target.type);
+    try {
+      this.appState.ram.writeBytes(target.address, new Uint8Array(size));
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+    
+    // Elements without a designator follow the previous one
+    let position = 0;
+    listNode.children.forEach(child => {
+      let element;
+      let valueNode = child;
       
-      // Find printf calls
-      const printfCalls = this.findFunctionCalls(mainNode, 'printf');
-      if (printfCalls.length > 0) {
-        printfCalls.forEach((call, index) => {
-          // Simple simulation of printf calls
-          steps.push(new ExecutionStep(
-            'call',
-            call.line || index + 3,
-            'Printf function call',
-            {
-              saida: 'Simulated output from printf call\n'
-            }
-          ));
-          
-          this.appState.consoleOutput += 'Simulated output from printf call\n';
+      if (child.type === 'designated_initializer') {
+        const [first, ...rest] = child.designators;
+        element = this.subobject(target, first);
+        rest.forEach(designator => {
+          element = this.subobject(element, designator);
         });
+        position = this.subobject(target, first).position;
+        valueNode = child.children[0];
+      } else {
+        element = this.subobject(target, { position });
       }
       
-      // Return statement
-      steps.push(new ExecutionStep(
-        'return',
-        this.findLastLine() - 1,
-        'Return from main function',
-        {
-          stack: {
-            'main': {
-              remove: true
-            }
-          }
-        }
-      ));
-    } else {
-      steps.push(new ExecutionStep(
-        'error',
-        1,
-        'Could not find main function for execution',
-        {}
-      ));
-    }
+      if (!element) {
+        this.addStep(
+          'warning',
+          this.currentLine,
+          `Warning: excess elements in ${isArrayType(target.type) ? 'array' : this.records.get(target.type).kind} initializer`
+        );
+        return;
+      }
+      
+      this.initializeObject(element, valueNode);
+      position++;
+    });
+    
+    this.refreshMemoryEntries(target.address, size);
   }
   
   /**
-   * Find function calls in AST
-   * @param {ASTNode} rootNode - Root node to search from
-   * @param {string} functionName - Function name to find
-   * @returns {Array} Array of function call nodes
+   * Locate an element of an array or a member of a struct for an initializer
+   * @param {Object} target - Location of the aggregate ({address, type, name})
+   * @param {Object} designator - {member: name}, {index: expression} or {position: n} for the next element in order
+   * @returns {Object|null} Location of the element with its position, or null past the end
    */
-  findFunctionCalls(rootNode, functionName) {
-    const calls = [];
+  subobject(target, designator) {
+    if (isArrayType(target.type)) {
+      if (designator.member !== undefined) {
+        throw this.runtimeError(`field name not in record or union initializer`);
+      }
+      
+      const baseType = elementType(target.type);
+      const elementSize = this.sizeOf(baseType);
+      const position = designator.index ? this.evaluate(designator.index).value : designator.position;
+      
+      if (position >= this.sizeOf(target.type) / elementSize) {
+        if (designator.index) {
+          throw this.runtimeError('array index in initializer exceeds array bounds');
+        }
+        return null;
+      }
+      
+      return {
+        address: target.address + position * elementSize,
+        type: baseType,
+        name: `${target.name}[${position}]`,
+        position
+      };
+    }
     
-    const search = (node) => {
-      if (node.type === 'call_expression' && node.value === functionName) {
-        calls.push(node);
+    if (isRecordType(target.type)) {
+      if (designator.index) {
+        throw this.runtimeError('array index in non-array initializer');
       }
       
-      if (node.children) {
-        node.children.forEach(child => search(child));
+      const layout = this.records.get(target.type);
+      let position = designator.position;
+      
+      if (designator.member !== undefined) {
+        // Members of anonymous structs and unions are designated through their container
+        position = layout.members.findIndex(member => member.name === designator.member ||
+          (member.anonymous && this.findMember(member.type, designator.member)));
+        if (position < 0) {
+          throw this.runtimeError(`'${target.type}' has no member named '${designator.member}'`);
+        }
+      } else if (layout.kind === 'union' && position > 0) {
+        return null;
       }
-    };
+      
+      const member = layout.members[position];
+      if (!member) return null;
+      
+      const element = {
+        address: target.address + member.offset,
+        type: member.type,
+        bitField: member.bitField,
+        name: member.anonymous ? target.name : `${target.name}.${member.name}`,
+        position
+      };
+      
+      if (member.anonymous && designator.member !== undefined) {
+        return { ...this.subobject(element, designator), position };
+      }
+      return element;
+    }
     
-    search(rootNode);
-    return calls;
+    throw this.runtimeError('braces around scalar initializer');
   }
   
-  // Other simulation methods for different example types would go here
-}
\ No newline at end of file
+  /**
+   * Initialize one object (scalar, array or struct) from an initializer
+   * @param {Object} target - Location ({address, type, bitField, name})
+   * @param {ASTNode} node - Initializer expression or list
+   */
+  initializeObject(target, node) {
+    if (node.type === 'initializer_list') {
+      if (isArrayType(target.type) || isRecordType(target.type)) {
+        this.initializeAggregate(target, node);
+      } else if (node.children[0]) {
+        // A scalar may be wrapped in braces (int x = {5})
+        this.initializeObject(target, node.children[0]);
+      }
+      return;
+    }
+    
+    if (isRecordType(target.type)) {
+      // Without braces a scalar initializes the first member ({GREEN, 7} for an inner union)
+      const value = this.evaluate(node);
+      if (isRecordType(value.type)) {
+        this.storeValue(target.address, target.type, value.value, target.name);
+      } else {
+        const [first] = this.records.get(target.type).members;
+        this.writeLValue({ ...first, address: target.address + first.offset, name: `${target.name}.${first.name}` }, value.value);
+      }
+      return;
+    }
+    
+    if (isArrayType(target.type)) {
+      if (node.type === 'literal' && node.value.startsWith('"')) {
+        // char nome[50] = "João" copies the characters and the NUL that fit
+        const size = this.sizeOf(target.type);
+        const bytes = [...this.unescape(node.value.slice(1, -1))].map(char => char.charCodeAt(0) & 0xFF);
+        bytes.push(0);
+        try {
+          this.appState.ram.writeBytes(target.address, bytes.slice(0, size));
+        } catch (error) {
+          throw this.runtimeError(error.message);
+        }
+        this.refreshMemoryEntries(target.address, size);
+        this.refreshArrays(target.address, size);
+        return;
+      }
+      
+      // Without braces a scalar initializes the first element
+      this.initializeObject({ ...target, type: elementType(target.type), name: `${target.name}[0]` }, node);
+      return;
+    }
+    
+    this.writeLValue(target, this.evaluate(node).value);
+  }
+  
+  /**
+   * Execute an if statement
+   * @param {ASTNode} node - If statement node
+   * @returns {Object|null} Completion
+   */
+  executeIf(node) {
+    const [condition, thenBranch, elseBranch] = node.children;
+    const line = this.currentLine;
+    const result = this.isTrue(this.evaluate(condition));
+    
+    this.addStepAt(
+      condition,
+      'conditional',
+      line,
+      `Condition (${this.describeExpression(condition)}) is ${result ? 'true' : 'false'}` +
+        (result ? ' - entering if block' : elseBranch ? ' - entering else block' : ' - skipping if block')
+    );
+    
+    if (result) {
+      return this.executeStatement(thenBranch);
+    } else if (elseBranch) {
+      return this.executeStatement(elseBranch);
+    }
+    return null;
+  }
+  
+  /**
+   * Execute a for, while or do-while loop, keeping count of its iterations for the step limit message
+   * @param {ASTNode} node - Loop statement node
+   * @returns {Object|null} Completion
+   */
+  executeLoop(node) {
+    const execute = {
+      for_statement: this.executeFor,
+      while_statement: this.executeWhile,
+      do_while_statement: this.executeDoWhile
+    }[node.type];
+    
+    this.loops.push({ node, line: this.currentLine, iterations: 0 });
+    try {
+      return execute.call(this, node);
+    } finally {
+      this.loops.pop();
+    }
+  }
+  
+  /**
+   * Stop the trace once it has too many steps or has taken too long, as a program stuck in a loop would
+   * The time limit counts only the time spent running the program, not recording its steps,
+   * so a long trace of a big program is not taken for a runaway one
+   */
+  checkLimits() {
+    const { stepLimit, timeLimit } = this.appState;
+    if (stepLimit > 0 && this.steps.length >= stepLimit) {
+      throw this.runtimeError(`Step limit reached: the trace was stopped at ${stepLimit} steps${this.describeRunaway()}`);
+    }
+    if (timeLimit > 0 && Date.now() - this.startTime - this.recordingTime > timeLimit) {
+      throw this.runtimeError(
+        `Time limit reached: running the program took more than ${timeLimit / 1000} s${this.describeRunaway()}`
+      );
+    }
+  }
+  
+  /**
+   * Point at the loop most likely to be running forever when a limit stops the trace
+   * @returns {string} Explanation to append to the limit message
+   */
+  describeRunaway() {
+    // An endless loop keeps counting; inner loops start over every time they are entered
+    const loop = this.loops.reduce((busiest, candidate) =>
+      !busiest || candidate.iterations > busiest.iterations ? candidate : busiest, null);
+    if (!loop) return ' - raise the limit if the program is just long';
+    
+    const kind = { for_statement: 'for', while_statement: 'while', do_while_statement: 'do-while' }[loop.node.type];
+    return ` in the ${kind} loop at line ${loop.line}, which has run ${loop.iterations} ` +
+      `time${loop.iterations === 1 ? '' : 's'} - check that its condition can become false, or raise the limit if the program is just long`;
+  }
+  
+  /**
+   * Execute a for loop
+   * @param {ASTNode} node - For statement node
+   * @returns {Object|null} Completion
+   */
+  executeFor(node) {
+    const [initialization, condition, increment, body] = node.children;
+    const line = this.currentLine;
+    
+    // A declaration in the initialization is scoped to the loop
+    const context = this.frames[this.frames.length - 1];
+    const loopBase = this.stackPointer;
+    context.scopes.push(new Map());
+    
+    if (initialization.type === 'variable_declaration') {
+      this.executeDeclaration(initialization);
+    } else if (initialization.type !== 'empty') {
+      this.evaluate(initialization);
+    }
+    
+    let completion = null;
+    let iteration = 0;
+    while (true) {
+      this.currentLine = line;
+      
+      if (condition.type !== 'empty') {
+        const result = this.isTrue(this.evaluate(condition));
+        this.addStepAt(
+          condition,
+          'conditional',
+          line,
+          result ?
+            `Loop condition (${this.describeExpression(condition)}) is true - iteration ${iteration + 1}` :
+            `Loop condition (${this.describeExpression(condition)}) is false - leaving loop`
+        );
+        if (!result) break;
+      } else {
+        // A missing condition is always true; the step keeps for (;;) counting toward the step limit
+        this.addStepAt(node, 'conditional', line, `Loop has no condition - iteration ${iteration + 1}`);
+      }
+      
+      completion = this.continueLoop(this.executeStatement(body));
+      if (completion) break;
+      
+      this.currentLine = line;
+      if (increment.type !== 'empty') {
+        this.evaluate(increment);
+      }
+      iteration++;
+    }
+    
+    const scope = context.scopes.pop();
+    scope.forEach((variable, name) => {
+      delete context.frame.variables[name];
+    });
+    this.releaseStackMemory(loopBase);
+    
+    return this.leaveLoop(completion);
+  }
+  
+  /**
+   * Execute a while loop
+   * @param {ASTNode} node - While statement node
+   * @returns {Object|null} Completion
+   */
+  executeWhile(node) {
+    const [condition, body] = node.children;
+    const line = this.currentLine;
+    
+    let iteration = 0;
+    while (true) {
+      this.currentLine = line;
+      const result = this.isTrue(this.evaluate(condition));
+      this.addStepAt(
+        condition,
+        'conditional',
+        line,
+        result ?
+          `Loop condition (${this.describeExpression(condition)}) is true - iteration ${iteration + 1}` :
+          `Loop condition (${this.describeExpression(condition)}) is false - leaving loop`
+      );
+      if (!result) break;
+      
+      const completion = this.continueLoop(this.executeStatement(body));
+      if (completion) return this.leaveLoop(completion);
+      iteration++;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Execute a do-while loop, which runs its body before the first check
+   * @param {ASTNode} node - Do-while statement node
+   * @returns {Object|null} Completion
+   */
+  executeDoWhile(node) {
+    const [body, condition] = node.children;
+    const line = this.currentLine;
+    const conditionLine = node.conditionLine || line;
+    
+    this.addStep('execution', line, 'Do-while loop - running the body before checking the condition');
+    
+    let iteration = 1;
+    while (true) {
+      const completion = this.continueLoop(this.executeStatement(body));
+      if (completion) return this.leaveLoop(completion);
+      
+      this.currentLine = conditionLine;
+      const result = this.isTrue(this.evaluate(condition));
+      this.addStepAt(
+        condition,
+        'conditional',
+        conditionLine,
+        result ?
+          `Loop condition (${this.describeExpression(condition)}) is true - iteration ${iteration + 1}` :
+          `Loop condition (${this.describeExpression(condition)}) is false - leaving loop`
+      );
+      if (!result) break;
+      iteration++;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Consume a continue that ended a loop body; other completions propagate
+   * @param {Object|null} completion - Completion from the body
+   * @returns {Object|null} Completion for the loop
+   */
+  continueLoop(completion) {
+    this.loops[this.loops.length - 1].iterations++;
+    if (completion && completion.type === 'continue') {
+      this.addStepAt(completion.node, 'execution', completion.line, 'Continue statement - skipping to the next iteration');
+      return null;
+    }
+    return completion;
+  }
+  
+  /**
+   * Consume a break that ended a loop or switch; other completions propagate
+   * @param {Object|null} completion - Completion from the body
+   * @returns {Object|null} Completion for the enclosing statement
+   */
+  leaveLoop(completion) {
+    if (completion && completion.type === 'break') {
+      this.addStepAt(completion.node, 'execution', completion.line, 'Break statement - leaving the enclosing block');
+      return null;
+    }
+    return completion;
+  }
+  
+  /**
+   * Execute a switch statement, jumping to the matching case and falling through
+   * @param {ASTNode} node - Switch statement node
+   * @returns {Object|null} Completion
+   */
+  executeSwitch(node) {
+    const [expression, body] = node.children;
+    const line = this.currentLine;
+    const value = this.evaluate(expression);
+    
+    let target = body.children.findIndex(statement =>
+      statement.type === 'case_label' && this.isTrue(this.evaluateBinary('==', this.evaluate(statement.children[0]), value)));
+    const matched = target !== -1;
+    if (!matched) {
+      target = body.children.findIndex(statement => statement.type === 'default_label');
+    }
+    
+    this.addStepAt(
+      expression,
+      'conditional',
+      line,
+      matched ?
+        `Switch on ${this.describeExpression(expression)} = ${value.value} - jumping to case ${value.value}` :
+        target !== -1 ?
+          `Switch on ${this.describeExpression(expression)} = ${value.value} - no matching case, jumping to default` :
+          `Switch on ${this.describeExpression(expression)} = ${value.value} - no matching case, skipping switch`
+    );
+    
+    if (target === -1) return null;
+    
+    const context = this.frames[this.frames.length - 1];
+    const blockBase = this.stackPointer;
+    context.scopes.push(new Map());
+    this.declareSkipped(body.children.slice(0, target));
+    
+    // Execution continues through the following labels until a break
+    let completion = null;
+    for (const statement of body.children.slice(target)) {
+      completion = this.executeStatement(statement);
+      if (completion) break;
+    }
+    
+    const scope = context.scopes.pop();
+    scope.forEach((variable, name) => {
+      delete context.frame.variables[name];
+    });
+    this.releaseStackMemory(blockBase);
+    
+    return this.leaveLoop(completion);
+  }
+  
+  /**
+   * Execute a return statement
+   * @param {ASTNode} node - Return statement node
+   * @returns {Object} Return completion
+   */
+  executeReturn(node) {
+    const line = this.currentLine;
+    const value = node.children[0] ? this.evaluate(node.children[0]) : null;
+    return { type: 'return', value, line, node };
+  }
+  
+  /**
+   * Define a variable in the current scope and reserve memory for it
+   * @param {string} name - Variable name
+   * @param {string} type - Variable type
+   * @param {boolean} isStatic - Place a local variable in the data segment (static locals)
+   * @returns {Object} Variable record ({name, address, type})
+   */
+  defineVariable(name, type, isStatic = false) {
+    const size = this.sizeOf(type);
+    const alignment = Math.max(this.alignOf(type), size >= 8 ? 8 : 1);
+    const context = this.frames[this.frames.length - 1];
+    let address;
+    
+    if (context && !isStatic) {
+      address = Math.ceil(this.stackPointer / alignment) * alignment;
+      const stack = MEMORY_LAYOUT.stack;
+      if (address + size > stack.start + stack.size) {
+        throw this.runtimeError(
+          `Stack overflow: ${name} (${formatBytes(size)}) does not fit in the ${stack.size}-byte stack segment ` +
+          `(${formatBytes(stack.start + stack.size - this.stackPointer)} left)`
+        );
+      }
+      this.stackPointer = address + size;
+      // Automatic variables hold whatever was there before until they are given a value
+      this.appState.ram.markUndefined(address, size);
+    } else {
+      address = Math.ceil(this.globalPointer / alignment) * alignment;
+      this.globalPointer = address + size;
+    }
+    
+    const variable = { name, address, type };
+    
+    if (context) {
+      this.bindVariable(variable);
+    } else {
+      this.globals.set(name, variable);
+    }
+    
+    return variable;
+  }
+  
+  /**
+   * Reserve unnamed stack space for a temporary, such as a struct returned by a call
+   * @param {string} type - Type of the temporary
+   * @returns {number} Address of the temporary
+   */
+  reserveTemporary(type) {
+    const alignment = this.alignOf(type);
+    const address = Math.ceil(this.stackPointer / alignment) * alignment;
+    this.stackPointer = address + this.sizeOf(type);
+    return address;
+  }
+  
+  /**
+   * Bring a variable into the innermost scope of the current function
+   * @param {Object} variable - Variable record ({name, address, type})
+   * @param {*} value - Value shown in the stack panel
+   */
+  bindVariable(variable, value = 0) {
+    const context = this.frames[this.frames.length - 1];
+    context.scopes[context.scopes.length - 1].set(variable.name, variable);
+    context.frame.addVariable(variable.name, value, variable.address, variable.type);
+  }
+  
+  /**
+   * Look up a variable by name (innermost scope first, then globals)
+   * @param {string} name - Variable name
+   * @returns {Object} Variable record
+   */
+  lookupVariable(name) {
+    const variable = this.findVariable(name);
+    if (!variable) {
+      throw this.runtimeError(`'${name}' undeclared (first use in this function)`);
+    }
+    return variable;
+  }
+  
+  /**
+   * Find a variable by name without failing (innermost scope first, then globals)
+   * @param {string} name - Variable name
+   * @returns {Object|null} Variable record or null
+   */
+  findVariable(name) {
+    const context = this.frames[this.frames.length - 1];
+    if (context) {
+      for (let i = context.scopes.length - 1; i >= 0; i--) {
+        if (context.scopes[i].has(name)) {
+          return context.scopes[i].get(name);
+        }
+      }
+    }
+    
+    return this.globals.get(name) || null;
+  }
+  
+  /**
+   * Find the variable stored at an address
+   * @param {number} address - Memory address
+   * @returns {Object|null} Owner ({frame, name}) or null
+   */
+  findVariableAt(address) {
+    for (const context of this.frames) {
+      for (const name in context.frame.variables) {
+        if (context.frame.variables[name].address === address) {
+          return { frame: context.frame, name };
+        }
+      }
+    }
+    
+    for (const [name, variable] of this.globals) {
+      if (variable.address === address) {
+        return { frame: null, name };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find the heap block containing an address
+   * @param {number} address - Memory address
+   * @returns {HeapBlock|null} Heap block or null
+   */
+  findHeapBlock(address) {
+    return Object.values(this.appState.heap).find(block =>
+      address >= block.address && address < block.address + block.size) || null;
+  }
+  
+  /**
+   * Find the variable or heap block containing an address
+   * @param {number} address - Memory address
+   * @returns {Object|null} Object ({address, size, name, freed, heap}) or null
+   */
+  findObjectContaining(address) {
+    const heapObject = this.memoryChecker.heapObjectAt(address);
+    if (heapObject) return heapObject;
+    
+    const variables = [...this.globals.values(), ...this.staticLocals.values()];
+    this.frames.forEach(context => context.scopes.forEach(scope => variables.push(...scope.values())));
+    
+    const variable = variables.find(candidate => !isFunctionType(candidate.type) &&
+      address >= candidate.address && address < candidate.address + this.sizeOf(candidate.type));
+    if (!variable) return null;
+    return { address: variable.address, size: this.sizeOf(variable.type), name: `${variable.name} (${variable.type})` };
+  }
+  
+  /**
+   * Check an access to a location, adding a step for what the memory checker finds
+   * @param {Object} target - Location ({address, type, name, bitField, origin})
+   * @param {boolean} write - Whether the location is written
+   */
+  checkMemoryAccess(target, write) {
+    if (isArrayType(target.type) || isFunctionType(target.type) || target.address === 0) return;
+    
+    const type = target.bitField ? target.bitField.unitType : target.type;
+    // Pointers stay inside the object they were derived from
+    this.checkMemoryRange(target.address, this.sizeOf(type), write, target.name, isRecordType(type),
+      this.findObjectContaining(target.origin !== undefined ? target.origin : target.address));
+  }
+  
+  /**
+   * Check an access to a range of bytes, adding a step for what the memory checker finds
+   * @param {number} address - First byte
+   * @param {number} size - Number of bytes
+   * @param {boolean} write - Whether the bytes are written
+   * @param {string} name - What is accessed, for the message
+   * @param {boolean} aggregate - Whether undefined bytes may be read (copies of whole objects)
+   * @param {Object|null} object - Variable or heap block the pointer was derived from
+   */
+  checkMemoryRange(address, size, write, name, aggregate = false, object = this.findObjectContaining(address)) {
+    if (size <= 0) return;
+    
+    const access = {
+      address,
+      size,
+      write,
+      aggregate,
+      name,
+      object,
+      stackTop: this.stackPointer
+    };
+    const finding = this.memoryChecker.checkAccess(access);
+    if (finding) this.reportMemoryFinding(finding, access);
+  }
+  
+  /**
+   * Add a step for a memory checker finding, once per kind and line
+   * The step marks the bytes involved, so the memory grid can show them
+   * @param {Object} finding - Finding ({kind, severity, message})
+   * @param {Object} access - Access the finding is about ({address, size, object}), if any
+   */
+  reportMemoryFinding(finding, access = null) {
+    if (this.memoryChecker.record(finding, this.currentLine)) {
+      this.addStep(finding.severity, this.currentLine,
+        `Memory ${finding.severity} (${finding.kind}): ${finding.message}`,
+        access ? { memoryError: { kind: finding.kind, ...this.memoryChecker.badBytes(access) } } : {});
+    }
+  }
+  
+  /**
+   * Find the heap blocks that global and static pointers still point to, and after exit() the locals
+   * of the functions that never returned
+   * @returns {Map} What holds each reachable block ("a global variable"), by block address
+   */
+  heapBlocksReachable() {
+    const holders = [...this.globals.values(), ...this.staticLocals.values()]
+      .map(variable => ({ variable, holder: 'a global variable' }));
+    this.frames.forEach(context => context.scopes.forEach(scope => scope.forEach(variable =>
+      holders.push({ variable, holder: `a local variable of ${context.frame.functionName}()` }))));
+    
+    const reachable = new Map();
+    holders.filter(({ variable }) => isPointerType(variable.type)).forEach(({ variable, holder }) => {
+      const block = this.memoryChecker.heapObjectAt(Number(this.appState.ram.load(variable.address, variable.type)));
+      if (block && !block.freed && !reachable.has(block.address)) reachable.set(block.address, holder);
+    });
+    return reachable;
+  }
+  
+  /**
+   * Read a value from simulated memory
+   * @param {number} address - Memory address
+   * @param {string} type - Type of the value
+   * @returns {*} Stored value
+   */
+  loadValue(address, type) {
+    if (address === 0) {
+      throw this.runtimeError('Segmentation fault: dereferencing a NULL pointer');
+    }
+    
+    // A struct or union is handled through its address
+    if (isRecordType(type)) {
+      this.sizeOf(type);
+      return address;
+    }
+    
+    try {
+      return this.appState.ram.load(address, type);
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+  }
+  
+  /**
+   * Store a value in simulated memory and keep stack/heap views in sync
+   * @param {number} address - Memory address
+   * @param {string} type - Type of the value
+   * @param {*} value - Value to store
+   * @param {string} name - Name to display for the memory cell
+   */
+  storeValue(address, type, value, name) {
+    if (address === 0) {
+      throw this.runtimeError('Segmentation fault: writing through a NULL pointer');
+    }
+    
+    try {
+      if (isRecordType(type)) {
+        // Struct assignment copies every byte of the source object
+        if (value !== address) {
+          this.appState.ram.writeBytes(address, this.appState.ram.readBytes(value, this.sizeOf(type)));
+        }
+      } else {
+        this.appState.ram.store(address, type, this.convertValue(value, type));
+      }
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+    
+    this.labelCell(address, type, name);
+    this.refreshMemoryEntries(address, this.sizeOf(type));
+    this.refreshArrays(address, this.sizeOf(type));
+  }
+  
+  /**
+   * Label a memory cell, replacing the label it had
+   * @param {number} address - Memory address
+   * @param {Object} entry - Cell ({value, name, type, size})
+   */
+  setCell(address, entry) {
+    this.appState.memory[address] = entry;
+    this.changedCells.add(address);
+    this.indexCell(address, entry.size);
+  }
+  
+  /**
+   * Remove the label of a memory cell
+   * @param {number} address - Memory address
+   */
+  removeCell(address) {
+    delete this.appState.memory[address];
+    this.changedCells.add(address);
+    const cells = this.cellIndex.get(Math.floor(address / CELL_PAGE_SIZE));
+    if (cells) cells.delete(address);
+  }
+  
+  /**
+   * Add a labelled cell to the index of cells by page
+   * @param {number} address - Address of the cell
+   * @param {number} size - Size of the cell
+   */
+  indexCell(address, size) {
+    const page = Math.floor(address / CELL_PAGE_SIZE);
+    if (!this.cellIndex.has(page)) this.cellIndex.set(page, new Set());
+    this.cellIndex.get(page).add(address);
+    this.largestCell = Math.max(this.largestCell, size);
+  }
+  
+  /**
+   * Find the labelled cells that start in a range
+   * @param {number} start - First address
+   * @param {number} end - Address past the range
+   * @returns {Array} Addresses of the cells, lowest first
+   */
+  cellsIn(start, end) {
+    const found = [];
+    this.cellIndex.forEach((cells, page) => {
+      if ((page + 1) * CELL_PAGE_SIZE <= start || page * CELL_PAGE_SIZE >= end) return;
+      cells.forEach(address => {
+        if (address >= start && address < end) found.push(address);
+      });
+    });
+    return found.sort((first, second) => first - second);
+  }
+  
+  /**
+   * Find the labelled cells that overlap a range; only the pages a cell that large could start in are searched
+   * @param {number} address - First address
+   * @param {number} size - Number of bytes
+   * @returns {Array} Addresses of the cells, lowest first
+   */
+  cellsOverlapping(address, size) {
+    const found = [];
+    const lastPage = Math.floor((address + size - 1) / CELL_PAGE_SIZE);
+    for (let page = Math.floor((address - this.largestCell + 1) / CELL_PAGE_SIZE); page <= lastPage; page++) {
+      const cells = this.cellIndex.get(page);
+      if (!cells) continue;
+      cells.forEach(start => {
+        if (start < address + size && start + this.appState.memory[start].size > address) found.push(start);
+      });
+    }
+    return found.sort((first, second) => first - second);
+  }
+  
+  /**
+   * Label the memory cell at an address unless it is a member of a labelled struct
+   * @param {number} address - Memory address
+   * @param {string} type - Type of the value
+   * @param {string} name - Name to display for the memory cell
+   */
+  labelCell(address, type, name) {
+    const entry = this.appState.memory[address];
+    if (entry && entry.type === type) return;
+    
+    const owner = this.cellAt(address);
+    if (owner !== null && isRecordType(this.appState.memory[owner].type) &&
+        this.appState.memory[owner].type !== type) {
+      return;
+    }
+    
+    this.setCell(address, {
+      value: isRecordType(type) ? this.formatValue(address, type) : 0,
+      name: entry ? entry.name : name,
+      type,
+      size: this.sizeOf(type)
+    });
+  }
+  
+  /**
+   * Find the labelled memory cell containing an address
+   * @param {number} address - Memory address
+   * @returns {number|null} Address of the cell or null
+   */
+  cellAt(address) {
+    if (this.appState.memory[address]) return address;
+    
+    const [cell] = this.cellsOverlapping(address, 1);
+    return cell === undefined ? null : cell;
+  }
+  
+  /**
+   * Read the value at a location, extracting bit-fields from their storage unit
+   * @param {Object} target - Location ({address, type, bitField})
+   * @returns {*} Stored value
+   */
+  readLValue(target) {
+    if (!target.bitField) {
+      return this.loadValue(target.address, target.type);
+    }
+    
+    const { offset, width, unitType } = target.bitField;
+    const unit = this.loadValue(target.address, unitType);
+    let value = Math.floor(unit / 2 ** offset) % 2 ** width;
+    
+    // Signed bit-fields are sign-extended
+    if (!/^unsigned\b|_Bool/.test(target.type) && value >= 2 ** (width - 1)) {
+      value -= 2 ** width;
+    }
+    return value;
+  }
+  
+  /**
+   * Write a value to a location, merging bit-fields into their storage unit
+   * @param {Object} target - Location ({address, type, bitField, name})
+   * @param {*} value - Value to store
+   */
+  writeLValue(target, value) {
+    this.checkMemoryAccess(target, true);
+    if (!target.bitField) {
+      this.storeValue(target.address, target.type, value, target.name);
+      return;
+    }
+    
+    const { offset, width, unitType } = target.bitField;
+    const unit = this.loadValue(target.address, unitType);
+    const field = ((Math.trunc(Number(value)) % 2 ** width) + 2 ** width) % 2 ** width;
+    const cleared = unit - (Math.floor(unit / 2 ** offset) % 2 ** width) * 2 ** offset;
+    this.storeValue(target.address, unitType, cleared + field * 2 ** offset, target.name);
+  }
+  
+  /**
+   * Convert a location to the value of an expression (arrays decay to pointers)
+   * @param {Object} target - Location ({address, type, bitField})
+   * @returns {Object} Value ({value, type})
+   */
+  valueOf(target) {
+    if (isArrayType(target.type)) {
+      return { value: target.address, type: `${elementType(target.type)}*` };
+    }
+    this.checkMemoryAccess(target, false);
+    return { value: this.readLValue(target), type: target.type };
+  }
+  
+  /**
+   * Format the elements of an array as shown in the stack panel
+   * @param {number} address - Address of the first element
+   * @param {string} type - Array type (int[5])
+   * @returns {string} Elements in initializer syntax
+   */
+  formatArray(address, type) {
+    const baseType = elementType(type);
+    const length = this.sizeOf(type) / this.sizeOf(baseType);
+    
+    // Character arrays are shown as the string they hold
+    if (/^(signed |unsigned )?char$/.test(baseType)) {
+      return JSON.stringify(this.appState.ram.readString(address, length));
+    }
+    
+    const elements = [];
+    for (let index = 0; index < length; index++) {
+      elements.push(this.formatElement(address + index * this.sizeOf(baseType), baseType));
+    }
+    return `{${elements.join(', ')}}`;
+  }
+  
+  /**
+   * Format one element of an array as shown in the stack panel
+   * @param {number} address - Address of the element
+   * @param {string} type - Element type
+   * @returns {string} Element value (an inner array in initializer syntax)
+   */
+  formatElement(address, type) {
+    return isArrayType(type) ?
+      this.formatArray(address, type) :
+      this.formatValue(this.loadValue(address, type), type);
+  }
+  
+  /**
+   * Update the stack panel for arrays containing a written range
+   * Only the elements the write touched are formatted again; the others keep the text they had
+   * @param {number} address - First byte written
+   * @param {number} size - Number of bytes written
+   */
+  refreshArrays(address, size) {
+    for (const context of this.frames) {
+      for (const name in context.frame.variables) {
+        const variable = context.frame.variables[name];
+        if (!isArrayType(variable.type) ||
+            address >= variable.address + this.sizeOf(variable.type) ||
+            address + size <= variable.address) {
+          continue;
+        }
+        
+        // Character arrays are shown as the string they hold, which a write anywhere can end
+        const baseType = elementType(variable.type);
+        if (/^(signed |unsigned )?char$/.test(baseType)) {
+          context.frame.updateVariable(name, this.formatArray(variable.address, variable.type));
+          continue;
+        }
+        
+        const elementSize = this.sizeOf(baseType);
+        let elements = this.arrayElements.get(variable);
+        if (!elements) {
+          const length = this.sizeOf(variable.type) / elementSize;
+          elements = Array.from({ length }, (_, index) => this.formatElement(variable.address + index * elementSize, baseType));
+          this.arrayElements.set(variable, elements);
+        } else {
+          const first = Math.max(0, Math.floor((address - variable.address) / elementSize));
+          const last = Math.min(elements.length - 1, Math.floor((address + size - 1 - variable.address) / elementSize));
+          for (let index = first; index <= last; index++) {
+            elements[index] = this.formatElement(variable.address + index * elementSize, baseType);
+          }
+        }
+        context.frame.updateVariable(name, `{${elements.join(', ')}}`);
+      }
+    }
+  }
+  
+  /**
+   * Re-read every labelled memory cell overlapping a written range
+   * Writes through pointers of another type show up on the variables they touch
+   * @param {number} address - First byte written
+   * @param {number} size - Number of bytes written
+   */
+  refreshMemoryEntries(address, size) {
+    for (const start of this.cellsOverlapping(address, size)) {
+      const entry = this.appState.memory[start];
+      if (isArrayType(entry.type)) {
+        continue;
+      }
+      
+      if (isRecordType(entry.type)) {
+        entry.value = this.formatValue(start, entry.type);
+        this.changedCells.add(start);
+        const recordOwner = this.findVariableAt(start);
+        if (recordOwner && recordOwner.frame) {
+          recordOwner.frame.updateVariable(recordOwner.name, entry.value);
+        }
+        continue;
+      }
+      
+      entry.value = this.appState.ram.load(start, entry.type);
+      this.changedCells.add(start);
+      
+      const owner = this.findVariableAt(start);
+      if (owner && owner.frame && !isArrayType(owner.frame.variables[owner.name].type)) {
+        owner.frame.updateVariable(owner.name, entry.value);
+      }
+      
+      const block = this.findHeapBlock(start);
+      if (block && Array.isArray(block.content)) {
+        const index = Math.floor((start - block.address) / entry.size);
+        block.content[index] = entry.value;
+      }
+    }
+  }
+  
+  /**
+   * Convert a value to the representation of a C type
+   * @param {*} value - Value to convert
+   * @param {string} type - Target type
+   * @returns {*} Converted value
+   */
+  convertValue(value, type) {
+    if (typeof value !== 'number' && typeof value !== 'bigint') {
+      return value;
+    }
+    return convertArithmetic(value, type);
+  }
+  
+  /**
+   * Explain a store that changed the value (truncation to char, float rounding, discarded fractions)
+   * @param {Object} value - Value before the conversion ({value, type})
+   * @param {number|bigint} stored - Value read back from memory
+   * @param {string} type - Type of the destination
+   * @returns {string} Note to append to the step description, or an empty string
+   */
+  describeConversion(value, stored, type) {
+    const arithmetic = candidate => !isPointerType(candidate) && new TypeC(candidate).isArithmetic();
+    if (!arithmetic(value.type) || !arithmetic(type) || value.value == stored) return '';
+    return ` (${value.type} value ${value.value} converted to ${type})`;
+  }
+  
+  /**
+   * Record undefined behavior; it is reported on the next step
+   * @param {string} message - What happened (signed integer overflow: ...)
+   */
+  noteUndefinedBehavior(message) {
+    this.undefinedBehavior.push(message);
+  }
+  
+  /**
+   * Read a NUL-terminated string from simulated memory
+   * @param {number} address - Address of the first character
+   * @returns {string} String contents
+   */
+  readString(address) {
+    if (address === 0) {
+      throw this.runtimeError('Segmentation fault: reading a string through a NULL pointer');
+    }
+    
+    try {
+      return this.appState.ram.readString(address);
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+  }
+  
+  /**
+   * Write raw bytes to simulated memory, as fread does
+   * @param {number} address - Destination address
+   * @param {Array} bytes - Byte values
+   * @returns {Object} Changes with the memory cells written
+   */
+  writeBytes(address, bytes) {
+    if (address === 0) {
+      throw this.runtimeError('Segmentation fault: writing through a NULL pointer');
+    }
+    
+    try {
+      this.appState.ram.writeBytes(address, bytes);
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+    
+    const size = bytes.length;
+    this.refreshMemoryEntries(address, size);
+    this.refreshArrays(address, size);
+    
+    const memory = {};
+    this.cellsIn(address, address + size).forEach(cell => {
+      memory[cell] = { ...this.appState.memory[cell] };
+    });
+    return { memory };
+  }
+  
+  /**
+   * Place a string literal in the read-only data segment
+   * @param {string} text - String contents (escapes already resolved)
+   * @returns {number} Address of the first character
+   */
+  internString(text) {
+    if (this.stringLiterals.has(text)) {
+      return this.stringLiterals.get(text);
+    }
+    
+    const address = this.stringPointer;
+    if (address + text.length + 1 > this.stringBase + MEMORY_LAYOUT.rodata.size) {
+      throw this.runtimeError('Too many string literals for the read-only data segment');
+    }
+    
+    const { ram } = this.appState;
+    const loading = ram.loading;
+    ram.loading = true;
+    ram.writeString(address, text);
+    ram.loading = loading;
+    
+    this.stringLiterals.set(text, address);
+    this.stringPointer += text.length + 1;
+    this.setCell(address, {
+      value: JSON.stringify(text),
+      name: 'string literal',
+      type: `char[${text.length + 1}]`,
+      size: text.length + 1
+    });
+    
+    return address;
+  }
+  
+  /**
+   * Check if a value is true in C terms (non-zero)
+   * @param {Object} result - Evaluated value ({value, type})
+   * @returns {boolean} Truth value
+   */
+  isTrue(result) {
+    if (typeof result.value === 'bigint') return result.value !== 0n;
+    return result.value !== 0 && result.value !== null;
+  }
+  
+  /**
+   * Evaluate an expression node
+   * @param {ASTNode} node - Expression node
+   * @returns {Object} Result ({value, type})
+   */
+  evaluate(node) {
+    // Steps recorded while evaluating refer to the innermost expression being evaluated
+    const previousNode = this.currentNode;
+    this.currentNode = node;
+    const result = this.evaluateNode(node);
+    this.currentNode = previousNode;
+    return result;
+  }
+  
+  /**
+   * Dispatch an expression node to the code that evaluates it
+   * @param {ASTNode} node - Expression node
+   * @returns {Object} Result ({value, type})
+   */
+  evaluateNode(node) {
+    switch (node.type) {
+      case 'literal':
+        return this.evaluateLiteral(node.value);
+      case 'identifier':
+        // Enumeration constants (RED, GREEN) unless a variable shadows them
+        if (this.enumConstants.has(node.value) && !this.findVariable(node.value)) {
+          return { value: this.enumConstants.get(node.value), type: 'int' };
+        }
+        // Function names decay to pointers to the function
+        if (this.isFunctionName(node.value)) {
+          return { value: this.functionAddress(node.value), type: `${this.functionType(node.value)}*` };
+        }
+        return this.valueOf(this.evaluateLValue(node));
+      case 'array_access':
+      case 'member_access':
+        return this.valueOf(this.evaluateLValue(node));
+      case 'assignment_expression':
+        return this.evaluateAssignment(node);
+      case 'comma_expression':
+        // The left operand is evaluated only for its side effects
+        this.evaluate(node.children[0]);
+        return this.evaluate(node.children[1]);
+      case 'conditional_expression':
+        return this.evaluateConditional(node);
+      case 'logical_or_expression':
+      case 'logical_and_expression':
+        return this.evaluateLogical(node);
+      case 'bitwise_or_expression':
+      case 'bitwise_xor_expression':
+      case 'bitwise_and_expression':
+      case 'equality_expression':
+      case 'relational_expression':
+      case 'shift_expression':
+      case 'additive_expression':
+      case 'multiplicative_expression':
+        return this.evaluateBinary(node.value, this.evaluate(node.children[0]), this.evaluate(node.children[1]));
+      case 'unary_expression':
+        return this.evaluateUnary(node);
+      case 'postfix_expression':
+        return this.evaluatePostfix(node);
+      case 'call_expression':
+        return this.evaluateCall(node);
+      case 'cast_expression': {
+        const operand = this.evaluate(node.children[0]);
+        return { value: this.convertValue(operand.value, node.dataType), type: node.dataType };
+      }
+      case 'sizeof_expression':
+        return { value: this.sizeOf(node.dataType || this.typeOf(node.children[0])), type: 'unsigned long' };
+      default:
+        throw this.runtimeError(`Unsupported expression: ${node.type}`);
+    }
+  }
+  
+  /**
+   * Work out the type of an expression without evaluating it (for sizeof)
+   * @param {ASTNode} node - Expression node
+   * @returns {string} Type name
+   */
+  typeOf(node) {
+    const [first, second] = node.children;
+    
+    switch (node.type) {
+      case 'literal':
+        // String literals are arrays, including the terminator
+        if (node.value.startsWith('"')) {
+          return `char[${this.unescape(node.value.slice(1, -1)).length + 1}]`;
+        }
+        // Character constants have type int in C
+        if (node.value.startsWith("'")) return 'int';
+        return this.evaluateLiteral(node.value).type;
+      case 'identifier': {
+        const variable = this.findVariable(node.value);
+        if (variable) return variable.type;
+        if (this.enumConstants.has(node.value)) return 'int';
+        if (this.isFunctionName(node.value)) return this.functionType(node.value);
+        throw this.runtimeError(`'${node.value}' undeclared`);
+      }
+      case 'array_access':
+        return elementType(this.typeOf(first));
+      case 'member_access': {
+        const objectType = this.typeOf(first);
+        const recordType = node.operator === '->' ? elementType(objectType) : objectType;
+        const member = isRecordType(recordType) ? this.findMember(recordType, node.value) : null;
+        if (!member) {
+          throw this.runtimeError(`request for member '${node.value}' in something not a structure or union`);
+        }
+        return member.type;
+      }
+      case 'unary_expression': {
+        const operandType = this.typeOf(first);
+        switch (node.value) {
+          case '&': return `${operandType}*`;
+          case '*': return elementType(operandType);
+          case '!': return 'int';
+          case '++':
+          case '--': return operandType;
+          default: return this.promotedType(operandType);
+        }
+      }
+      case 'postfix_expression':
+        return this.typeOf(first);
+      case 'cast_expression':
+        return node.dataType;
+      case 'sizeof_expression':
+        return 'unsigned long';
+      case 'call_expression': {
+        const functionType = node.callee ? elementType(this.typeOf(node.callee)) :
+          this.findVariable(node.value) ? elementType(this.findVariable(node.value).type) :
+            this.functionType(node.value);
+        return functionType.slice(0, functionType.indexOf('(')).trim();
+      }
+      case 'assignment_expression':
+        return this.typeOf(first);
+      case 'comma_expression':
+        return this.decayedType(this.typeOf(second));
+      case 'conditional_expression':
+        return this.commonType(this.typeOf(second), this.typeOf(node.children[2]));
+      case 'logical_or_expression':
+      case 'logical_and_expression':
+      case 'equality_expression':
+      case 'relational_expression':
+        return 'int';
+      case 'shift_expression':
+        return this.promotedType(this.typeOf(first));
+      default:
+        return this.commonType(this.typeOf(first), this.typeOf(second));
+    }
+  }
+  
+  /**
+   * Convert an array or function type to the pointer it decays to
+   * @param {string} type - Type name
+   * @returns {string} Decayed type
+   */
+  decayedType(type) {
+    return new TypeC(type).decayed();
+  }
+  
+  /**
+   * Apply the integer promotions (char and short become int)
+   * @param {string} type - Type name
+   * @returns {string} Promoted type
+   */
+  promotedType(type) {
+    return new TypeC(type).promoted();
+  }
+  
+  /**
+   * Get the result type of a binary operation on two operand types
+   * @param {string} left - Left operand type
+   * @param {string} right - Right operand type
+   * @returns {string} Result type
+   */
+  commonType(left, right) {
+    left = this.decayedType(left);
+    right = this.decayedType(right);
+    
+    // Pointer arithmetic keeps the pointer type
+    if (isPointerType(left) && isPointerType(right)) return 'long';
+    if (isPointerType(left)) return left;
+    if (isPointerType(right)) return right;
+    
+    return TypeC.usualArithmeticConversion(left, right);
+  }
+  
+  /**
+   * Evaluate a conditional expression; only the selected operand is evaluated
+   * @param {ASTNode} node - Conditional expression node
+   * @returns {Object} Result ({value, type})
+   */
+  evaluateConditional(node) {
+    const [condition, whenTrue, whenFalse] = node.children;
+    const result = this.isTrue(this.evaluate(condition));
+    
+    this.addStepAt(
+      condition,
+      'conditional',
+      this.currentLine,
+      `Conditional (${this.describeExpression(condition)}) is ${result ? 'true' : 'false'} - ` +
+      `using ${this.describeExpression(result ? whenTrue : whenFalse)}`
+    );
+    
+    return this.evaluate(result ? whenTrue : whenFalse);
+  }
+  
+  /**
+   * Evaluate a literal token value
+   * @param {string} text - Literal text as written in the source
+   * @returns {Object} Result ({value, type})
+   */
+  evaluateLiteral(text) {
+    if (text.startsWith('"')) {
+      const address = this.internString(this.unescape(text.slice(1, -1)));
+      return { value: address, type: 'char*' };
+    }
+    
+    if (text.startsWith("'")) {
+      return { value: this.unescape(text.slice(1, -1)).charCodeAt(0), type: 'int' };
+    }
+    
+    // The suffix and the magnitude decide the type (10L is long, 3.5f is float, 0xFFFFFFFF unsigned int)
+    const type = literalType(text);
+    if (isFloatingType(type)) {
+      return { value: this.convertValue(parseFloat(text), type), type };
+    }
+    
+    const digits = text.replace(/[uUlL]+$/, '');
+    const value = /^0[0-7]+$/.test(digits) ? BigInt(`0o${digits.slice(1)}`) : BigInt(digits);
+    return { value: this.convertValue(value, type), type };
+  }
+  
+  /**
+   * Resolve escape sequences in a string or character literal
+   * @param {string} text - Literal contents without quotes
+   * @returns {string} Resolved text
+   */
+  unescape(text) {
+    const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', '"': '"', "'": "'", a: '\x07', b: '\b', f: '\f', v: '\v' };
+    return text.replace(/\\(x[0-9a-fA-F]+|[0-7]{1,3}|.)/g, (match, sequence) => {
+      if (sequence[0] === 'x') return String.fromCharCode(parseInt(sequence.slice(1), 16));
+      if (/^[0-7]+$/.test(sequence)) return String.fromCharCode(parseInt(sequence, 8));
+      return escapes[sequence] !== undefined ? escapes[sequence] : sequence;
+    });
+  }
+  
+  /**
+   * Evaluate an expression that designates a memory location
+   * @param {ASTNode} node - Expression node
+   * @returns {Object} Location ({address, type, name})
+   */
+  evaluateLValue(node) {
+    if (node.type === 'identifier') {
+      const variable = this.lookupVariable(node.value);
+      return { address: variable.address, type: variable.type, name: variable.name };
+    }
+    
+    if (node.type === 'unary_expression' && node.value === '*') {
+      return this.dereference(this.evaluate(node.children[0]), node);
+    }
+    
+    if (node.type === 'array_access') {
+      const base = this.evaluate(node.children[0]);
+      const index = this.evaluate(node.children[1]);
+      if (!isPointerType(base.type)) {
+        throw this.runtimeError('subscripted value is neither array nor pointer');
+      }
+      const type = elementType(base.type);
+      return {
+        address: base.value + Number(index.value) * this.sizeOf(type),
+        type,
+        name: `${this.describeExpression(node.children[0])}[${index.value}]`,
+        origin: base.value
+      };
+    }
+    
+    if (node.type === 'member_access') {
+      return this.evaluateMemberAccess(node);
+    }
+    
+    throw this.runtimeError('lvalue required as left operand of assignment');
+  }
+  
+  /**
+   * Locate the object a pointer points to
+   * @param {Object} pointer - Evaluated pointer ({value, type})
+   * @param {ASTNode} node - Dereference expression node
+   * @returns {Object} Location ({address, type, name})
+   */
+  dereference(pointer, node) {
+    if (!isPointerType(pointer.type)) {
+      throw this.runtimeError(`invalid type argument of unary '*' (have '${pointer.type}')`);
+    }
+    if (pointer.value === 0) {
+      throw this.runtimeError(`Segmentation fault: dereferencing NULL pointer ${this.describeExpression(node.children[0])}`);
+    }
+    return { address: pointer.value, type: elementType(pointer.type), name: this.describeExpression(node), origin: pointer.value };
+  }
+  
+  /**
+   * Locate a struct or union member (pessoa.idade, ptr->nome)
+   * @param {ASTNode} node - Member access node
+   * @returns {Object} Location ({address, type, name, bitField})
+   */
+  evaluateMemberAccess(node) {
+    const object = this.evaluate(node.children[0]);
+    const objectText = this.describeExpression(node.children[0]);
+    let recordType = object.type;
+    
+    if (node.operator === '->') {
+      if (!isPointerType(object.type)) {
+        throw this.runtimeError(`invalid type argument of '->' (have '${object.type}')`);
+      }
+      if (object.value === 0) {
+        throw this.runtimeError(`Segmentation fault: dereferencing NULL pointer ${objectText}`);
+      }
+      recordType = elementType(object.type);
+    } else if (isPointerType(object.type) && isRecordType(elementType(object.type))) {
+      throw this.runtimeError(`'${objectText}' is a pointer; did you mean to use '->'?`);
+    }
+    
+    if (!isRecordType(recordType)) {
+      throw this.runtimeError(`request for member '${node.value}' in something not a structure or union`);
+    }
+    
+    const member = this.findMember(recordType, node.value);
+    if (!member) {
+      throw this.runtimeError(`'${recordType}' has no member named '${node.value}'`);
+    }
+    
+    return {
+      address: object.value + member.offset,
+      type: member.type,
+      name: this.describeExpression(node),
+      bitField: member.bitField,
+      origin: object.value
+    };
+  }
+  
+  /**
+   * Evaluate an assignment, including compound assignments (+=, -=, ...)
+   * @param {ASTNode} node - Assignment expression node
+   * @returns {Object} Assigned value ({value, type})
+   */
+  evaluateAssignment(node) {
+    const [left, right] = node.children;
+    const target = this.evaluateLValue(left);
+    let value = this.evaluate(right);
+    
+    if (node.value !== '=') {
+      this.checkMemoryAccess(target, false);
+      const current = { value: this.readLValue(target), type: target.type };
+      value = this.evaluateBinary(node.value.slice(0, -1), current, value);
+    }
+    
+    this.writeLValue(target, value.value);
+    const stored = this.readLValue(target);
+    
+    let description;
+    if (isPointerType(target.type)) {
+      description = `Assignment of ${this.describePointerTarget(stored)} address to ${this.describeExpression(left)}`;
+    } else {
+      description = `Assignment of ${this.formatValue(stored, target.type)} to ${this.describeExpression(left)}`;
+      const owner = this.findVariableAt(target.address);
+      if (owner && owner.name !== this.describeExpression(left)) {
+        description += ` (${owner.name})`;
+      }
+      description += this.describeConversion(value, stored, target.type);
+    }
+    
+    this.addStep('assignment', this.currentLine, description, this.describeStore(target.address));
+    
+    return { value: stored, type: target.type };
+  }
+  
+  /**
+   * Build the changes object for a store to memory
+   * @param {number} address - Address that was written
+   * @returns {Object} Changes with memory and stack entries
+   */
+  describeStore(address) {
+    // Stores to a struct member show up on the whole struct
+    const cell = this.cellAt(address);
+    if (cell !== null) address = cell;
+    
+    const entry = this.appState.memory[address];
+    const changes = { memory: { [address]: { ...entry } } };
+    
+    const owner = this.findVariableAt(address);
+    if (owner && owner.frame) {
+      changes.stack = {
+        [owner.frame.functionName]: {
+          update: { name: owner.name, value: entry.value, address, type: entry.type }
+        }
+      };
+    }
+    
+    const block = this.findHeapBlock(address);
+    if (block) {
+      changes.heap = { [block.address]: { address: block.address, size: block.size, freed: block.freed } };
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Evaluate && and || with short-circuit evaluation
+   * @param {ASTNode} node - Logical expression node
+   * @returns {Object} Result ({value, type})
+   */
+  evaluateLogical(node) {
+    const left = this.isTrue(this.evaluate(node.children[0]));
+    
+    if (node.value === '&&' && !left) return { value: 0, type: 'int' };
+    if (node.value === '||' && left) return { value: 1, type: 'int' };
+    
+    const right = this.isTrue(this.evaluate(node.children[1]));
+    return { value: right ? 1 : 0, type: 'int' };
+  }
+  
+  /**
+   * Apply a binary operator to two evaluated operands
+   * @param {string} operator - Operator
+   * @param {Object} left - Left operand ({value, type})
+   * @param {Object} right - Right operand ({value, type})
+   * @returns {Object} Result ({value, type})
+   */
+  evaluateBinary(operator, left, right) {
+    // Pointer arithmetic scales by the size of the pointed type
+    if ((operator === '+' || operator === '-') && isPointerType(left.type) && !isPointerType(right.type)) {
+      const offset = Number(right.value) * this.sizeOf(elementType(left.type));
+      return { value: operator === '+' ? left.value + offset : left.value - offset, type: left.type };
+    }
+    if (operator === '+' && isPointerType(right.type) && !isPointerType(left.type)) {
+      return { value: right.value + Number(left.value) * this.sizeOf(elementType(right.type)), type: right.type };
+    }
+    if (operator === '-' && isPointerType(left.type) && isPointerType(right.type)) {
+      return { value: (left.value - right.value) / this.sizeOf(elementType(left.type)), type: 'long' };
+    }
+    
+    // Comparisons between pointers (or a pointer and NULL) compare addresses
+    const comparison = ['==', '!=', '<', '>', '<=', '>='].includes(operator);
+    if (comparison && (isPointerType(left.type) || isPointerType(right.type))) {
+      return this.compareValues(operator, Number(left.value), Number(right.value));
+    }
+    
+    // Shifts only promote their left operand; everything else converts both to a common type
+    if (operator === '<<' || operator === '>>') {
+      const type = this.promotedType(left.type);
+      return this.applyOperator(operator, this.convertValue(left.value, type), this.convertValue(right.value, 'long long'), type);
+    }
+    
+    const type = TypeC.usualArithmeticConversion(left.type, right.type);
+    const a = this.convertValue(left.value, type);
+    const b = this.convertValue(right.value, type);
+    
+    if (comparison) {
+      // -1 < 1u is false: both sides are compared as unsigned int
+      return this.compareValues(operator, a, b);
+    }
+    
+    if ((operator === '/' || operator === '%') && !isFloatingType(type) && Number(b) === 0) {
+      throw this.runtimeError('Floating point exception: integer division by zero');
+    }
+    
+    return this.applyOperator(operator, a, b, type);
+  }
+  
+  /**
+   * Compare two values already converted to a common type
+   * @param {string} operator - Relational or equality operator
+   * @param {number|bigint} a - Left value
+   * @param {number|bigint} b - Right value
+   * @returns {Object} 1 or 0 as an int ({value, type})
+   */
+  compareValues(operator, a, b) {
+    const results = { '==': a == b, '!=': a != b, '<': a < b, '>': a > b, '<=': a <= b, '>=': a >= b };
+    return { value: results[operator] ? 1 : 0, type: 'int' };
+  }
+  
+  /**
+   * Apply an arithmetic or bitwise operator with C semantics, noting undefined behavior
+   * @param {string} operator - Operator
+   * @param {number|bigint} a - Left operand, converted to the operation type
+   * @param {number|bigint} b - Right operand
+   * @param {string} type - Type the operation is carried out in
+   * @returns {Object} Result ({value, type})
+   */
+  applyOperator(operator, a, b, type) {
+    if (isFloatingType(type) && !['+', '-', '*', '/'].includes(operator)) {
+      throw this.runtimeError(`invalid operands to binary ${operator} (have '${type}')`);
+    }
+    
+    const { value, undefinedBehavior } = applyArithmetic(operator, a, b, type);
+    if (undefinedBehavior) {
+      this.noteUndefinedBehavior(undefinedBehavior);
+    }
+    return { value, type };
+  }
+  
+  /**
+   * Evaluate a unary expression
+   * @param {ASTNode} node - Unary expression node
+   * @returns {Object} Result ({value, type})
+   */
+  evaluateUnary(node) {
+    const operand = node.children[0];
+    
+    switch (node.value) {
+      case '&': {
+        // &funcao is the same pointer as funcao
+        if (operand.type === 'identifier' && this.isFunctionName(operand.value)) {
+          return this.evaluate(operand);
+        }
+        
+        const target = this.evaluateLValue(operand);
+        if (target.bitField) {
+          throw this.runtimeError(`cannot take address of bit-field '${operand.value}'`);
+        }
+        return { value: target.address, type: `${target.type}*` };
+      }
+      case '*': {
+        const pointer = this.evaluate(operand);
+        
+        // Dereferencing a function pointer gives back the function ((*cmp)(a, b))
+        if (isPointerType(pointer.type) && isFunctionType(elementType(pointer.type))) {
+          return pointer;
+        }
+        return this.valueOf(this.dereference(pointer, node));
+      }
+      case '++':
+      case '--': {
+        const target = this.evaluateLValue(operand);
+        this.checkMemoryAccess(target, false);
+        const current = { value: this.readLValue(target), type: target.type };
+        const result = this.evaluateBinary(node.value[0], current, { value: 1, type: 'int' });
+        this.writeLValue(target, result.value);
+        this.addStep(
+          'assignment',
+          this.currentLine,
+          `${node.value === '++' ? 'Increment' : 'Decrement'} of ${this.describeExpression(operand)} to ${this.formatValue(this.readLValue(target), target.type)}`,
+          this.describeStore(target.address)
+        );
+        return { value: this.readLValue(target), type: target.type };
+      }
+      case '-': {
+        // Negation happens in the promoted type, so -INT_MIN overflows
+        const value = this.evaluate(operand);
+        const type = this.promotedType(value.type);
+        if (isFloatingType(type)) {
+          return { value: -value.value, type };
+        }
+        
+        const operandValue = this.convertValue(value.value, type);
+        const negated = -BigInt(operandValue);
+        if (!new TypeC(type).isUnsigned() && !fitsInType(negated, type)) {
+          this.noteUndefinedBehavior(`negation of ${operandValue} cannot be represented in type '${type}'`);
+        }
+        return { value: this.convertValue(negated, type), type };
+      }
+      case '+': {
+        const value = this.evaluate(operand);
+        const type = this.promotedType(value.type);
+        return { value: this.convertValue(value.value, type), type };
+      }
+      case '!':
+        return { value: this.isTrue(this.evaluate(operand)) ? 0 : 1, type: 'int' };
+      case '~': {
+        // Flipping every bit of the promoted value: ~12 is -13, ~0u is 4294967295
+        const value = this.evaluate(operand);
+        const type = this.promotedType(value.type);
+        return { value: this.convertValue(~BigInt(this.convertValue(value.value, type)), type), type };
+      }
+      default:
+        throw this.runtimeError(`Unsupported unary operator: ${node.value}`);
+    }
+  }
+  
+  /**
+   * Evaluate a postfix increment or decrement, yielding the old value
+   * @param {ASTNode} node - Postfix expression node
+   * @returns {Object} Value before the update ({value, type})
+   */
+  evaluatePostfix(node) {
+    const operand = node.children[0];
+    const target = this.evaluateLValue(operand);
+    this.checkMemoryAccess(target, false);
+    const previous = { value: this.readLValue(target), type: target.type };
+    const result = this.evaluateBinary(node.value[0], previous, { value: 1, type: 'int' });
+    
+    this.writeLValue(target, result.value);
+    this.addStep(
+      'assignment',
+      this.currentLine,
+      `${node.value === '++' ? 'Increment' : 'Decrement'} of ${this.describeExpression(operand)} to ${this.formatValue(this.readLValue(target), target.type)}`,
+      this.describeStore(target.address)
+    );
+    
+    return previous;
+  }
+  
+  /**
+   * Evaluate a function call (user-defined or simulated library function)
+   * @param {ASTNode} node - Call expression node
+   * @returns {Object} Return value ({value, type})
+   */
+  evaluateCall(node) {
+    let name = node.value;
+    const viaPointer = Boolean(node.callee) || Boolean(this.findVariable(name));
+    
+    // Calls through a function pointer ((*cmp)(a, b), or op(x, y) where op is a variable)
+    if (viaPointer) {
+      const calleeNode = node.callee || new ASTNode('identifier', name);
+      const callee = this.evaluate(calleeNode);
+      if (!isPointerType(callee.type) || !isFunctionType(elementType(callee.type))) {
+        throw this.runtimeError(
+          `called object '${this.describeExpression(calleeNode)}' is not a function or function pointer`
+        );
+      }
+      
+      name = this.functionAt(callee.value);
+      if (!name) {
+        throw this.runtimeError(`Segmentation fault: call through invalid function pointer ${formatAddress(callee.value)}`);
+      }
+    }
+    
+    const args = node.children.map(arg => this.evaluate(arg));
+    
+    if (!viaPointer) {
+      this.checkDeclared(name);
+    }
+    
+    if (this.functions.has(name)) {
+      return this.callFunction(this.functions.get(name), args, node);
+    }
+    
+    const builtin = this.builtins()[name];
+    if (builtin) {
+      return builtin(args, node);
+    }
+    
+    // Neither defined nor provided by the library: the linker would reject the program
+    if (!this.declarations.has(name) && !findHeaderFor(name)) {
+      throw this.runtimeError(`undefined reference to \`${name}'`);
+    }
+    
+    this.addStep(
+      'warning',
+      this.currentLine,
+      `Function ${name}() is not simulated - its call was skipped`
+    );
+    return { value: 0, type: 'int' };
+  }
+  
+  /**
+   * Check if a name refers to a function rather than a variable
+   * @param {string} name - Identifier
+   * @returns {boolean} True for user-defined, declared and simulated library functions
+   */
+  isFunctionName(name) {
+    return !this.findVariable(name) &&
+      (this.functions.has(name) || this.declarations.has(name) || name in this.builtins());
+  }
+  
+  /**
+   * Get the address of a function in the text segment
+   * User functions start at their first line; library functions sit at the end of the segment
+   * @param {string} name - Function name
+   * @returns {number} Function address
+   */
+  functionAddress(name) {
+    const definition = this.functions.get(name);
+    if (definition) {
+      return this.textBase + definition.line * 4;
+    }
+    
+    if (!this.libraryAddresses.has(name)) {
+      this.libraryAddresses.set(name, this.textBase + MEMORY_LAYOUT.text.size - 16 * (this.libraryAddresses.size + 1));
+    }
+    return this.libraryAddresses.get(name);
+  }
+  
+  /**
+   * Find the function at an address in the text segment
+   * @param {number} address - Function address
+   * @returns {string|null} Function name or null
+   */
+  functionAt(address) {
+    for (const [name, definition] of this.functions) {
+      if (this.textBase + definition.line * 4 === address) return name;
+    }
+    for (const [name, libraryAddress] of this.libraryAddresses) {
+      if (libraryAddress === address) return name;
+    }
+    return null;
+  }
+  
+  /**
+   * Get the type of a function (int(int, int))
+   * @param {string} name - Function name
+   * @returns {string} Function type
+   */
+  functionType(name) {
+    const node = this.functions.get(name) || this.declarations.get(name);
+    if (!node) return 'int()';
+    
+    const parameterTypes = node.parameters.map(param => param.type);
+    if (node.variadic) parameterTypes.push('...');
+    return `${node.returnType}(${parameterTypes.join(', ')})`;
+  }
+  
+  /**
+   * Warn once about a call to a function with no declaration in scope, as gcc does
+   * @param {string} name - Function name
+   */
+  checkDeclared(name) {
+    if (this.declarations.has(name) || this.implicitlyDeclared.has(name)) return;
+    
+    // A definition declares the function for the lines that follow it
+    const definition = this.functions.get(name);
+    if (definition && definition.line <= this.currentLine) return;
+    
+    this.implicitlyDeclared.add(name);
+    
+    const header = findHeaderFor(name);
+    const message = header ?
+      `implicit declaration of function '${name}'; include '<${header}>' or provide a declaration of '${name}'` :
+      `implicit declaration of function '${name}'`;
+    
+    // The compile-time warning itself comes from semantic analysis
+    this.addStep('warning', this.currentLine, `Warning: ${message}`);
+  }
+  
+  /**
+   * Simulated C library functions
+   * @returns {Object} Map of function name to implementation
+   */
+  builtins() {
+    return {
+      printf: (args, node) => {
+        const output = this.formatString(args[0].value, args.slice(1), 2);
+        this.writeOutput(output, `Printf function call: ${this.describeExpression(node)}`);
+        return { value: output.length, type: 'int' };
+      },
+      fprintf: (args, node) => {
+        const output = this.formatString(args[1].value, args.slice(2), 3);
+        const written = this.writeStream(args[0].value, output, `Fprintf function call: ${this.describeExpression(node)}`, 'fprintf');
+        return { value: written, type: 'int' };
+      },
+      sprintf: (args, node) => {
+        const output = this.formatString(args[1].value, args.slice(2), 3);
+        const changes = this.writeStringArgument(node.children[0], args[0].value, output, 'sprintf');
+        this.addStep('call', this.currentLine,
+          `Sprintf function call: ${this.describeExpression(node)} wrote ${JSON.stringify(output)} to ${formatAddress(args[0].value)}`,
+          changes);
+        return { value: output.length, type: 'int' };
+      },
+      snprintf: (args, node) => {
+        const size = Number(args[1].value);
+        const output = this.formatString(args[2].value, args.slice(3), 4);
+        // At most size - 1 characters and the terminator are written; the result is the full length
+        const written = output.slice(0, Math.max(size - 1, 0));
+        const changes = size > 0 ? this.writeStringArgument(node.children[0], args[0].value, written, 'snprintf') : {};
+        this.addStep('call', this.currentLine,
+          `Snprintf function call: ${this.describeExpression(node)} wrote ${JSON.stringify(written)}` +
+          (written.length < output.length ? ` (truncated from ${output.length} characters)` : ''),
+          changes);
+        return { value: output.length, type: 'int' };
+      },
+      puts: (args, node) => {
+        const output = `${this.readString(args[0].value)}\n`;
+        this.writeOutput(output, `Puts function call: ${this.describeExpression(node)}`);
+        return { value: output.length, type: 'int' };
+      },
+      putchar: (args, node) => {
+        const output = String.fromCharCode(Number(this.convertValue(args[0].value, 'unsigned char')));
+        this.writeOutput(output, `Putchar function call: ${this.describeExpression(node)}`);
+        return { value: args[0].value, type: 'int' };
+      },
+      scanf: (args, node) => this.scan('Scanf', args[0].value, args.slice(1), node, {
+        peek: () => this.peekInput(),
+        next: () => this.readInput()
+      }),
+      sscanf: (args, node) => {
+        const input = this.readString(args[0].value);
+        let position = 0;
+        return this.scan('Sscanf', args[1].value, args.slice(2), node, {
+          peek: () => (position < input.length ? input[position] : null),
+          next: () => (position < input.length ? input[position++] : null)
+        });
+      },
+      getchar: () => {
+        const char = this.readInput();
+        const value = char === null ? -1 : char.charCodeAt(0) & 0xFF;
+        this.addStep('call', this.currentLine,
+          char === null ?
+            'Getchar function call: end of input, returns EOF (-1)' :
+            `Getchar function call: read ${JSON.stringify(char)}, returns ${value}`,
+          this.takeEcho());
+        return { value, type: 'int' };
+      },
+      gets: (args, node) => {
+        this.addStep('warning', this.currentLine, "Warning: the `gets' function is dangerous and should not be used");
+        
+        // The newline is read but not stored
+        const line = this.readLine(Infinity);
+        if (line === null) {
+          this.addStep('call', this.currentLine, `Gets function call: ${this.describeExpression(node)} - end of input, returns NULL`);
+          return { value: 0, type: 'char*' };
+        }
+        
+        const text = line.endsWith('\n') ? line.slice(0, -1) : line;
+        const changes = { ...this.writeStringArgument(node.children[0], args[0].value, text, 'gets'), ...this.takeEcho() };
+        this.addStep('call', this.currentLine,
+          `Gets function call: ${this.describeExpression(node)} read ${JSON.stringify(text)} into ${formatAddress(args[0].value)}`,
+          changes);
+        return { value: args[0].value, type: 'char*' };
+      },
+      fgets: (args, node) => {
+        if (args[2].value === 0) {
+          throw this.runtimeError('Segmentation fault: reading from a NULL FILE pointer');
+        }
+        
+        // At most size - 1 characters, up to and including the newline
+        const size = Number(args[1].value);
+        const reader = this.streamReader(args[2].value, 'fgets');
+        const line = size > 0 ? this.readLine(size - 1, reader.next) : null;
+        if (line === null) {
+          this.addStep('call', this.currentLine,
+            `Fgets function call: ${this.describeExpression(node)} - ${this.describeStreamEnd(reader)}, returns NULL`,
+            this.takeEcho());
+          return { value: 0, type: 'char*' };
+        }
+        
+        const changes = { ...this.writeStringArgument(node.children[0], args[0].value, line, 'fgets'), ...this.takeEcho() };
+        this.addStep('call', this.currentLine,
+          `Fgets function call: ${this.describeExpression(node)} read ${JSON.stringify(line)} into ${formatAddress(args[0].value)}` +
+            this.describeCursor(reader.handle),
+          changes);
+        return { value: args[0].value, type: 'char*' };
+      },
+      fgetc: (args, node) => this.readCharacter(args[0].value, node, 'fgetc'),
+      getc: (args, node) => this.readCharacter(args[0].value, node, 'getc'),
+      fscanf: (args, node) => this.scan('Fscanf', args[1].value, args.slice(2), node, this.streamReader(args[0].value, 'fscanf')),
+      fread: (args, node) => {
+        const size = Number(args[1].value);
+        const count = Number(args[2].value);
+        const reader = this.streamReader(args[3].value, 'fread');
+        
+        let text = '';
+        while (text.length < size * count) {
+          const char = reader.next();
+          if (char === null) break;
+          text += char;
+        }
+        
+        // Only whole elements count; a partial one is still copied
+        const items = size > 0 ? Math.floor(text.length / size) : 0;
+        const changes = {
+          ...this.writeArgumentBytes(node.children[0], args[0].value, [...text].map(char => char.charCodeAt(0) & 0xFF), 'fread'),
+          ...this.takeEcho()
+        };
+        this.addStep('call', this.currentLine,
+          `Fread function call: ${this.describeExpression(node)} read ${text.length} bytes into ${formatAddress(args[0].value)}` +
+            (text.length < size * count ? ` (${this.describeStreamEnd(reader)})` : '') +
+            `, returns ${items}${this.describeCursor(reader.handle)}`,
+          changes);
+        return { value: items, type: 'unsigned long' };
+      },
+      fputs: (args, node) => {
+        const output = this.readString(args[0].value);
+        const written = this.writeStream(args[1].value, output, `Fputs function call: ${this.describeExpression(node)}`, 'fputs');
+        return { value: written, type: 'int' };
+      },
+      fputc: (args, node) => this.writeCharacter(args[0].value, args[1].value, node, 'fputc'),
+      putc: (args, node) => this.writeCharacter(args[0].value, args[1].value, node, 'putc'),
+      fwrite: (args, node) => {
+        const size = Number(args[1].value);
+        const count = Number(args[2].value);
+        const bytes = this.appState.ram.readBytes(args[0].value, size * count);
+        const output = String.fromCharCode(...bytes);
+        const written = this.writeStream(args[3].value, output, `Fwrite function call: ${this.describeExpression(node)}`, 'fwrite');
+        return { value: written < 0 ? 0 : count, type: 'unsigned long' };
+      },
+      fopen: (args, node) => this.openFile(this.readString(args[0].value), this.readString(args[1].value), node),
+      fclose: (args, node) => {
+        const handle = this.openStream(args[0].value, 'fclose');
+        if (!handle) {
+          this.addStep('call', this.currentLine,
+            `Fclose function call: ${this.describeExpression(node)} - ${this.streams.get(args[0].value)} stays open in the simulation, returns 0`);
+          return { value: 0, type: 'int' };
+        }
+        
+        const { flushed, chunk } = this.closeStream(handle);
+        this.addStep('call', this.currentLine,
+          `Fclose function call: closed "${handle.path}"` +
+            (flushed > 0 ? `, writing its ${formatBytes(flushed)} still buffered to the file` : '') +
+            (chunk ? `${flushed > 0 ? ',' : ''} and released its FILE object at ${formatAddress(handle.address)}` : ''),
+          { ...(chunk ? { heap: this.describeHeapChunks(chunk) } : {}), files: { [handle.path]: true } });
+        return { value: 0, type: 'int' };
+      },
+      fflush: (args, node) => {
+        const handles = args[0].value === 0 ? this.fileSystem.handles() : [this.openStream(args[0].value, 'fflush')].filter(Boolean);
+        const files = {};
+        const flushed = handles.map(handle => {
+          files[handle.path] = true;
+          const bytes = this.fileSystem.flush(handle);
+          return `${formatBytes(bytes)} to "${handle.path}"`;
+        });
+        this.addStep('call', this.currentLine,
+          `Fflush function call: ${this.describeExpression(node)} - ` +
+            (flushed.length > 0 ? `wrote ${flushed.join(', ')}` : 'nothing is buffered') + ', returns 0',
+          { files });
+        return { value: 0, type: 'int' };
+      },
+      fseek: (args, node) => {
+        const handle = this.seekableStream(args[0].value, 'fseek', node);
+        if (!handle) return { value: -1, type: 'int' };
+        
+        const buffered = handle.buffer.length;
+        const moved = this.fileSystem.seek(handle, Number(args[1].value), Number(args[2].value));
+        if (!moved) this.errno = 'EINVAL';
+        this.addStep('call', this.currentLine,
+          `Fseek function call: ${this.describeExpression(node)} - ` +
+            (moved ? `cursor of "${handle.path}" moved to byte ${handle.position}, returns 0` :
+              'the position would be before the start of the file or the origin is invalid (EINVAL), returns -1') +
+            (buffered > 0 ? ` (${formatBytes(buffered)} in the buffer were flushed first)` : ''),
+          { files: { [handle.path]: true } });
+        return { value: moved ? 0 : -1, type: 'int' };
+      },
+      ftell: (args, node) => {
+        const handle = this.seekableStream(args[0].value, 'ftell', node);
+        if (!handle) return { value: -1, type: 'long' };
+        
+        this.addStep('call', this.currentLine,
+          `Ftell function call: ${this.describeExpression(node)} - cursor of "${handle.path}" is at byte ${handle.position}, returns ${handle.position}`);
+        return { value: handle.position, type: 'long' };
+      },
+      rewind: (args, node) => {
+        const handle = this.seekableStream(args[0].value, 'rewind', node);
+        if (!handle) return { value: 0, type: 'void' };
+        
+        const buffered = handle.buffer.length;
+        this.fileSystem.seek(handle, 0, SEEK_SET);
+        handle.error = false;
+        this.addStep('call', this.currentLine,
+          `Rewind function call: cursor of "${handle.path}" moved back to byte 0, end-of-file and error indicators cleared` +
+            (buffered > 0 ? ` (${formatBytes(buffered)} in the buffer were flushed first)` : ''),
+          { files: { [handle.path]: true } });
+        return { value: 0, type: 'void' };
+      },
+      feof: (args, node) => {
+        const handle = this.openStream(args[0].value, 'feof');
+        const eof = handle ? handle.eof : this.streams.get(args[0].value) === 'stdin' && Boolean(this.stdin.eof);
+        this.addStep('call', this.currentLine,
+          `Feof function call: ${this.describeExpression(node)} - ` +
+            (eof ? 'the end of the file was reached, returns 1' : 'the end of the file was not reached yet, returns 0'));
+        return { value: eof ? 1 : 0, type: 'int' };
+      },
+      ferror: (args, node) => {
+        const handle = this.openStream(args[0].value, 'ferror');
+        const error = Boolean(handle && handle.error);
+        this.addStep('call', this.currentLine,
+          `Ferror function call: ${this.describeExpression(node)} - ` +
+            (error ? `an operation on "${handle.path}" failed, returns 1` : 'no error, returns 0'));
+        return { value: error ? 1 : 0, type: 'int' };
+      },
+      clearerr: (args, node) => {
+        const handle = this.openStream(args[0].value, 'clearerr');
+        if (handle) {
+          handle.eof = false;
+          handle.error = false;
+        } else if (this.streams.get(args[0].value) === 'stdin') {
+          this.stdin.eof = false;
+        }
+        this.addStep('call', this.currentLine,
+          `Clearerr function call: ${this.describeExpression(node)} - end-of-file and error indicators cleared`,
+          handle ? { files: { [handle.path]: true } } : {});
+        return { value: 0, type: 'void' };
+      },
+      ungetc: (args, node) => {
+        const code = Number(args[0].value);
+        const handle = this.openStream(args[1].value, 'ungetc');
+        const name = this.streams.get(args[1].value);
+        const value = Number(this.convertValue(code, 'unsigned char'));
+        const char = String.fromCharCode(value);
+        
+        // EOF cannot be pushed back, and only a stream open for reading takes a character
+        let pushed = false;
+        if (code !== -1 && handle) {
+          pushed = this.fileSystem.unread(handle, char);
+        } else if (code !== -1 && name === 'stdin') {
+          this.stdin.pushback = char;
+          this.stdin.eof = false;
+          pushed = true;
+        }
+        
+        let result;
+        if (pushed) {
+          result = `${JSON.stringify(char)} is pushed back and is the next character read, returns ${value}${this.describeCursor(handle)}`;
+        } else if (code === -1) {
+          result = 'EOF cannot be pushed back, returns EOF (-1)';
+        } else {
+          result = `${handle ? `"${handle.path}"` : name} is not open for reading, returns EOF (-1)`;
+        }
+        this.addStep('call', this.currentLine, `Ungetc function call: ${this.describeExpression(node)} - ${result}`,
+          handle ? { files: { [handle.path]: true } } : {});
+        return { value: pushed ? value : -1, type: 'int' };
+      },
+      remove: (args, node) => {
+        const path = String.fromCharCode(...this.readStringArgument(args[0].value, 'remove'));
+        const error = this.fileSystem.remove(path);
+        if (error) {
+          this.errno = error.errno;
+          this.addStep('call', this.currentLine,
+            `Remove function call: ${this.describeExpression(node)} - ${error.reason} (${describeErrno(error.errno)}), returns -1`);
+          return { value: -1, type: 'int' };
+        }
+        
+        this.addStep('call', this.currentLine, `Remove function call: ${this.describeExpression(node)} - deleted "${path}", returns 0`,
+          { files: { [path]: true } });
+        return { value: 0, type: 'int' };
+      },
+      perror: (args, node) => {
+        // perror(NULL) and perror("") print the message alone
+        const prefix = args[0].value === 0 ? '' : String.fromCharCode(...this.readStringArgument(args[0].value, 'perror'));
+        const output = `${prefix ? `${prefix}: ` : ''}${ERROR_MESSAGES[this.errno]}\n`;
+        this.writeOutput(output,
+          `Perror function call: ${this.describeExpression(node)} - errno is ${this.errno || 0} (stderr)`);
+        return { value: 0, type: 'void' };
+      },
+      strlen: (args, node) => {
+        const bytes = this.readStringArgument(args[0].value, 'strlen');
+        this.checkArgumentRange(node.children[0], args[0].value, bytes.length + 1, false);
+        this.addStep('call', this.currentLine,
+          `Strlen function call: ${this.describeExpression(node)} - ${quoteBytes(bytes)} has ${bytes.length} ` +
+            `character${bytes.length === 1 ? '' : 's'} before its terminator, returns ${bytes.length}`);
+        return { value: bytes.length, type: 'unsigned long' };
+      },
+      strcpy: (args, node) => {
+        const [destination, source] = args.map(arg => arg.value);
+        const bytes = [...this.readStringArgument(source, 'strcpy'), 0];
+        this.checkArgumentRange(node.children[1], source, bytes.length, false);
+        this.checkCopyOverlap('strcpy', destination, source, bytes.length);
+        
+        const changes = this.writeArgumentBytes(node.children[0], destination, bytes, 'strcpy');
+        this.addStep('call', this.currentLine,
+          `Strcpy function call: ${this.describeExpression(node)} - copied ${quoteBytes(bytes.slice(0, -1))} and its ` +
+            `terminator (${formatBytes(bytes.length)}) to ${formatAddress(destination)}`,
+          changes);
+        return { value: destination, type: 'char*' };
+      },
+      strncpy: (args, node) => {
+        const [destination, source] = args.map(arg => arg.value);
+        const size = Number(args[2].value);
+        const copied = this.readStringArgument(source, 'strncpy', size);
+        this.checkArgumentRange(node.children[1], source, Math.min(copied.length + 1, size), false);
+        this.checkCopyOverlap('strncpy', destination, source, size);
+        
+        // The rest of the n bytes is filled with zeros; a source of n or more characters leaves no terminator
+        const bytes = [...copied, ...new Array(size - copied.length).fill(0)];
+        const changes = this.writeArgumentBytes(node.children[0], destination, bytes, 'strncpy');
+        this.addStep('call', this.currentLine,
+          `Strncpy function call: ${this.describeExpression(node)} - copied ${quoteBytes(copied)}` +
+            (copied.length < size ? ` and ${formatBytes(size - copied.length)} of zeros` :
+              ` - the source has ${size} or more characters, so no terminator was written`),
+          changes);
+        return { value: destination, type: 'char*' };
+      },
+      strcat: (args, node) => this.appendString(args, node, 'strcat'),
+      strncat: (args, node) => this.appendString(args, node, 'strncat'),
+      strcmp: (args, node) => this.compareArguments(args, node, 'strcmp'),
+      strncmp: (args, node) => this.compareArguments(args, node, 'strncmp'),
+      strchr: (args, node) => this.findCharacter(args, node, 'strchr'),
+      strrchr: (args, node) => this.findCharacter(args, node, 'strrchr'),
+      strstr: (args, node) => {
+        const [haystack, needle] = args.map(arg => arg.value);
+        const text = this.readStringArgument(haystack, 'strstr');
+        const pattern = this.readStringArgument(needle, 'strstr');
+        this.checkArgumentRange(node.children[0], haystack, text.length + 1, false);
+        this.checkArgumentRange(node.children[1], needle, pattern.length + 1, false);
+        
+        const index = String.fromCharCode(...text).indexOf(String.fromCharCode(...pattern));
+        const pointer = index === -1 ? 0 : haystack + index;
+        this.addStep('call', this.currentLine,
+          `Strstr function call: ${this.describeExpression(node)} - ` +
+            (index === -1 ? `${quoteBytes(pattern)} does not occur in ${quoteBytes(text)}, returns NULL` :
+              `${quoteBytes(pattern)} starts at index ${index} of ${quoteBytes(text)}, returns ${formatAddress(pointer)}`));
+        return { value: pointer, type: 'char*' };
+      },
+      memcpy: (args, node) => this.copyMemory(args, node, 'memcpy'),
+      memmove: (args, node) => this.copyMemory(args, node, 'memmove'),
+      memset: (args, node) => {
+        const address = args[0].value;
+        const value = Number(this.convertValue(args[1].value, 'unsigned char'));
+        const size = Number(args[2].value);
+        const changes = this.writeArgumentBytes(node.children[0], address, new Array(size).fill(value), 'memset');
+        this.addStep('call', this.currentLine,
+          `Memset function call: ${this.describeExpression(node)} - set ${formatBytes(size)} at ${formatAddress(address)} ` +
+            `to ${value}${value >= 32 && value < 127 ? ` (${formatCharCode(value)})` : ''}`,
+          changes);
+        return { value: address, type: 'void*' };
+      },
+      memcmp: (args, node) => this.compareArguments(args, node, 'memcmp'),
+      ...Object.fromEntries(Object.keys(CHARACTER_CLASSES).map(name =>
+        [name, (args, node) => this.classifyCharacter(args[0], node, name)])),
+      toupper: (args, node) => this.convertCase(args[0], node, 'toupper'),
+      tolower: (args, node) => this.convertCase(args[0], node, 'tolower'),
+      ...Object.fromEntries(Object.keys(MATH_FUNCTIONS).map(name =>
+        [name, (args, node) => this.callMathFunction(args, node, name)])),
+      abs: (args, node) => this.absoluteValue(args[0], node, 'abs', 'int'),
+      labs: (args, node) => this.absoluteValue(args[0], node, 'labs', 'long'),
+      atoi: (args, node) => this.convertString(args, node, 'atoi'),
+      atol: (args, node) => this.convertString(args, node, 'atol'),
+      atof: (args, node) => this.convertString(args, node, 'atof'),
+      strtol: (args, node) => this.convertString(args, node, 'strtol'),
+      strtoul: (args, node) => this.convertString(args, node, 'strtoul'),
+      strtod: (args, node) => this.convertString(args, node, 'strtod'),
+      rand: (args, node) => {
+        this.randomState = nextRandom(this.randomState);
+        this.addStep('call', this.currentLine,
+          `Rand function call: ${this.describeExpression(node)} - next number of the sequence for seed ${this.randomSeed}, ` +
+            `returns ${this.randomState}`);
+        return { value: this.randomState, type: 'int' };
+      },
+      srand: (args, node) => {
+        // Seed 0 behaves like seed 1, as in glibc
+        this.randomSeed = Number(this.convertValue(args[0].value, 'unsigned int')) || 1;
+        this.randomState = this.randomSeed;
+        this.addStep('call', this.currentLine,
+          `Srand function call: ${this.describeExpression(node)} - rand() starts over from seed ${this.randomSeed}; ` +
+            'the same seed always gives the same sequence');
+        return { value: 0, type: 'void' };
+      },
+      qsort: (args, node) => this.sortArray(args, node),
+      bsearch: (args, node) => this.searchArray(args, node),
+      malloc: (args) => this.allocate(Number(args[0].value), 'malloc'),
+      calloc: (args) => {
+        const count = Number(args[0].value);
+        const size = Number(args[1].value);
+        if (count * size >= 2 ** 64) {
+          this.addStep('call', this.currentLine,
+            `Calloc function call: ${count} * ${size} bytes overflows size_t - returns NULL`);
+          return { value: 0, type: 'void*' };
+        }
+        return this.allocate(count * size, 'calloc', true);
+      },
+      realloc: (args) => this.reallocate(args[0].value, Number(args[1].value)),
+      free: (args) => {
+        this.release(args[0].value);
+        return { value: 0, type: 'void' };
+      },
+      exit: (args, node) => {
+        const status = Number(args[0].value);
+        this.addStep('call', this.currentLine,
+          `Exit function call: ${this.describeExpression(node)} - the program ends here with status ${status}, ` +
+            'without returning to the functions still on the stack; open files are flushed and closed');
+        throw this.programExit(status);
+      },
+      abort: () => {
+        // SIGABRT ends the process at once: no buffers are flushed and the memory check does not run
+        throw this.runtimeError('Aborted (SIGABRT): abort() ended the program - data still buffered for files is lost');
+      }
+    };
+  }
+  
+  /**
+   * Read a line of standard input or of another stream
+   * @param {number} limit - Maximum number of characters
+   * @param {Function} next - Function that consumes the next character (standard input by default)
+   * @returns {string|null} Line including its newline, if read, or null at end of file
+   */
+  readLine(limit, next = () => this.readInput()) {
+    let line = '';
+    while (line.length < limit) {
+      const char = next();
+      if (char === null) {
+        return line === '' ? null : line;
+      }
+      line += char;
+      if (char === '\n') break;
+    }
+    return line;
+  }
+  
+  /**
+   * Run a scanf-family call: match the input against the format and store each converted field
+   * @param {string} label - Function name for the description (Scanf)
+   * @param {number} address - Address of the format string
+   * @param {Array} args - Evaluated pointer arguments after the format ({value, type})
+   * @param {ASTNode} node - Function call node
+   * @param {Object} reader - Input source with peek() and next()
+   * @returns {Object} Number of fields stored, or EOF ({value, type})
+   */
+  scan(label, address, args, node, reader) {
+    const format = this.readString(address);
+    const firstArgument = node.children.length - args.length + 1;
+    checkScanArguments(format, args.map(arg => arg.type), firstArgument).forEach(problem =>
+      this.addStep('warning', this.currentLine, `Warning: ${problem.message}`));
+    
+    const { count, values } = scanInput(format, reader);
+    const changes = { memory: {} };
+    const stored = [];
+    values.forEach(({ spec, value }, index) => {
+      const arg = args[index];
+      if (!arg) return;
+      
+      const argNode = node.children[firstArgument - 1 + index];
+      const name = this.describeExpression(argNode).replace(/^&/, '');
+      const storeChanges = this.storeScanned(arg.value, spec, value, name, argNode, label.toLowerCase());
+      ['memory', 'stack', 'heap'].forEach(key => {
+        if (storeChanges[key]) changes[key] = { ...changes[key], ...storeChanges[key] };
+      });
+      stored.push(`${name} = ${typeof value === 'string' ? JSON.stringify(value) : value}`);
+    });
+    
+    Object.assign(changes, this.takeEcho());
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ` +
+      `${stored.length > 0 ? `stored ${stored.join(', ')}` : 'nothing stored'}, returns ${count === -1 ? 'EOF (-1)' : count}`,
+      changes);
+    return { value: count, type: 'int' };
+  }
+  
+  /**
+   * Store one field converted by scanf
+   * @param {number} address - Pointer argument
+   * @param {Object} spec - Conversion specification
+   * @param {*} value - Converted value (a string for %c, %s and scansets)
+   * @param {string} name - Name to display for the memory cell
+   * @param {ASTNode} argument - Pointer argument expression, to check a string against the array it points into
+   * @param {string} functionName - Library function (scanf, sscanf, fscanf)
+   * @returns {Object} Changes for the step
+   */
+  storeScanned(address, spec, value, name, argument, functionName) {
+    const conversion = spec.conversion[0];
+    if (conversion === 's' || conversion === '[') {
+      return this.writeStringArgument(argument, address, value, functionName);
+    }
+    
+    if (conversion === 'c') {
+      // %c stores characters only, with no terminator
+      [...value].forEach((char, offset) =>
+        this.storeValue(address + offset, 'char', char.charCodeAt(0), offset === 0 ? name : `${name}[${offset}]`));
+      return this.describeStore(address);
+    }
+    
+    this.storeValue(address, scanTargetType(spec), value, name);
+    return this.describeStore(address);
+  }
+  
+  /**
+   * Append text to the program output
+   * @param {string} output - Text written to stdout
+   * @param {string} description - Step description
+   */
+  writeOutput(output, description) {
+    this.appState.consoleOutput += output;
+    this.newOutput += output;
+    this.addStep('call', this.currentLine, description, { saida: output });
+  }
+  
+  /**
+   * Write text to a stream; stdout and stderr both go to the program output, files to their buffer
+   * @param {number} stream - FILE pointer
+   * @param {string} output - Text to write
+   * @param {string} description - Step description
+   * @param {string} functionName - Writing function (for errors)
+   * @returns {number} Bytes written, or -1 (EOF) if the stream is not open for writing
+   */
+  writeStream(stream, output, description, functionName) {
+    if (stream === 0) {
+      throw this.runtimeError('Segmentation fault: writing to a NULL FILE pointer');
+    }
+    
+    const handle = this.openStream(stream, functionName);
+    if (!handle) {
+      const name = this.streams.get(stream);
+      if (name === 'stdin') {
+        this.addStep('call', this.currentLine, `${description} - stdin is not open for writing, returns EOF (-1)`);
+        return -1;
+      }
+      this.writeOutput(output, name === 'stderr' ? `${description} (stderr)` : description);
+      return output.length;
+    }
+    
+    const { written, flushed } = this.fileSystem.write(handle, output);
+    let result;
+    if (written < 0) {
+      result = `"${handle.path}" was opened with mode "${handle.mode}", which does not allow writing - ` +
+        'nothing is written, the error indicator is set and it returns EOF (-1)';
+    } else if (flushed > 0) {
+      result = `the buffer is full, so ${formatBytes(flushed)} were written to "${handle.path}"`;
+    } else {
+      result = `${formatBytes(written)} buffered for "${handle.path}" (${handle.buffer.length} waiting to be flushed)`;
+    }
+    this.addStep('call', this.currentLine, `${description} - ${result}`, { files: { [handle.path]: true } });
+    return written;
+  }
+  
+  /**
+   * Write one character to a stream (fputc, putc)
+   * @param {number} value - Character code
+   * @param {number} stream - FILE pointer
+   * @param {ASTNode} node - Function call node
+   * @param {string} functionName - Writing function
+   * @returns {Object} Character written, or EOF ({value, type})
+   */
+  writeCharacter(value, stream, node, functionName) {
+    const code = Number(this.convertValue(value, 'unsigned char'));
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const written = this.writeStream(stream, String.fromCharCode(code),
+      `${label} function call: ${this.describeExpression(node)}`, functionName);
+    return { value: written < 0 ? -1 : code, type: 'int' };
+  }
+  
+  /**
+   * Read one character from a stream (fgetc, getc)
+   * @param {number} stream - FILE pointer
+   * @param {ASTNode} node - Function call node
+   * @param {string} functionName - Reading function
+   * @returns {Object} Character code, or EOF ({value, type})
+   */
+  readCharacter(stream, node, functionName) {
+    const reader = this.streamReader(stream, functionName);
+    const char = reader.next();
+    const value = char === null ? -1 : char.charCodeAt(0) & 0xFF;
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ` +
+        (char === null ?
+          `${this.describeStreamEnd(reader)}, returns EOF (-1)` :
+          `read ${JSON.stringify(char)}, returns ${value}${this.describeCursor(reader.handle)}`),
+      { ...this.takeEcho(), ...(reader.handle ? { files: { [reader.handle.path]: true } } : {}) });
+    return { value, type: 'int' };
+  }
+  
+  /**
+   * Find the open file behind a FILE pointer
+   * @param {number} stream - FILE pointer
+   * @param {string} functionName - Calling function (for errors)
+   * @returns {FileHandle|null} Open file, or null for stdin, stdout and stderr
+   */
+  openStream(stream, functionName) {
+    if (stream === 0) {
+      throw this.runtimeError(`Segmentation fault: ${functionName}() called with a NULL FILE pointer`);
+    }
+    if (this.streams.has(stream)) return null;
+    
+    const handle = this.fileSystem.handleAt(stream);
+    if (!handle) {
+      const chunk = this.memoryChecker.heapObjectAt(stream);
+      throw this.runtimeError(`${functionName}(): ${formatAddress(stream)} is not an open FILE - ` +
+        (chunk && chunk.freed ? 'the stream was already closed' : `it points to ${this.describePointerTarget(stream)}`));
+    }
+    return handle;
+  }
+  
+  /**
+   * Find the open file of a call that moves or reports the cursor; the standard streams have none
+   * @param {number} stream - FILE pointer
+   * @param {string} functionName - Calling function
+   * @param {ASTNode} node - Function call node
+   * @returns {FileHandle|null} Open file, or null after describing the failure
+   */
+  seekableStream(stream, functionName, node) {
+    const handle = this.openStream(stream, functionName);
+    if (!handle) {
+      const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+      this.errno = 'ESPIPE';
+      this.addStep('call', this.currentLine,
+        `${label} function call: ${this.describeExpression(node)} - ${this.streams.get(stream)} is a terminal, ` +
+          `which has no file position (${describeErrno('ESPIPE')})`);
+    }
+    return handle;
+  }
+  
+  /**
+   * Get the input source behind a FILE pointer
+   * @param {number} stream - FILE pointer
+   * @param {string} functionName - Reading function (for errors)
+   * @returns {Object} Reader ({handle, peek, next}); handle is null for the standard streams
+   */
+  streamReader(stream, functionName) {
+    const handle = this.openStream(stream, functionName);
+    if (handle) {
+      return { handle, peek: () => this.fileSystem.peek(handle), next: () => this.fileSystem.read(handle) };
+    }
+    if (this.streams.get(stream) === 'stdin') {
+      return { handle: null, peek: () => this.peekInput(), next: () => this.readInput() };
+    }
+    
+    // stdout and stderr cannot be read
+    return { handle: null, peek: () => null, next: () => null };
+  }
+  
+  /**
+   * Say why a read returned nothing
+   * @param {Object} reader - Reader from streamReader
+   * @returns {string} Reason
+   */
+  describeStreamEnd(reader) {
+    const { handle } = reader;
+    if (!handle) return 'end of input';
+    if (!handle.readable) {
+      return `"${handle.path}" was opened with mode "${handle.mode}", which does not allow reading (error indicator set)`;
+    }
+    return `end of "${handle.path}"`;
+  }
+  
+  /**
+   * Describe where the cursor of a file stands after an operation
+   * @param {FileHandle|null} handle - Open file, or null for the standard streams
+   * @returns {string} Suffix for the step description
+   */
+  describeCursor(handle) {
+    return handle ? ` (cursor at byte ${handle.position} of "${handle.path}")` : '';
+  }
+  
+  /**
+   * Open a file for fopen, with its FILE object on the heap as the C library does
+   * @param {string} path - File name
+   * @param {string} mode - fopen mode string
+   * @param {ASTNode} node - Function call node
+   * @returns {Object} FILE pointer, or NULL if the file cannot be opened ({value, type})
+   */
+  openFile(path, mode, node) {
+    const error = this.fileSystem.openError(path, mode);
+    if (error) {
+      this.errno = error.errno;
+      this.addStep('call', this.currentLine,
+        `Fopen function call: ${this.describeExpression(node)} - ${error.reason} (${describeErrno(error.errno)}), returns NULL`);
+      return { value: 0, type: 'FILE*' };
+    }
+    
+    const block = this.allocator.allocate(FILE_SIZE);
+    if (!block) {
+      this.addStep('call', this.currentLine,
+        `Fopen function call: ${this.describeExpression(node)} cannot allocate its FILE object - ${this.describeHeapLimit()}, returns NULL`);
+      return { value: 0, type: 'FILE*' };
+    }
+    
+    // The stream's state lives in the library; the program only ever holds the pointer
+    const existed = this.fileSystem.exists(path);
+    const size = existed ? this.appState.files[path].length : 0;
+    const handle = this.fileSystem.open(block.address, path, mode, this.currentLine);
+    this.appState.ram.writeBytes(block.address, new Uint8Array(FILE_SIZE));
+    block.line = this.currentLine;
+    const entry = { value: `<${path}>`, name: `FILE (${path})`, type: 'FILE', size: FILE_SIZE };
+    this.setCell(block.address, entry);
+    
+    const access = [handle.readable && 'reading', handle.writable && (handle.append ? 'appending' : 'writing')]
+      .filter(Boolean).join(' and ');
+    let opened;
+    if (!existed) {
+      opened = `created "${path}" and opened it for ${access}`;
+    } else if (mode.startsWith('w') && size > 0) {
+      opened = `opened "${path}" for ${access}, discarding its ${size} bytes`;
+    } else {
+      opened = `opened "${path}" (${size} bytes) for ${access}`;
+    }
+    this.addStep('call', this.currentLine,
+      `Fopen function call: ${this.describeExpression(node)} ${opened} - FILE object at ${formatAddress(block.address)}`,
+      {
+        memory: { [block.address]: { ...entry } },
+        heap: this.describeHeapChunks(block, this.nextHeapChunk(block)),
+        files: { [path]: true }
+      });
+    return { value: block.address, type: 'FILE*' };
+  }
+  
+  /**
+   * Flush and close a file stream and release its FILE object
+   * @param {FileHandle} handle - Open file
+   * @returns {Object} Result ({flushed, chunk}) with the bytes flushed and the freed chunk
+   */
+  closeStream(handle) {
+    const flushed = this.fileSystem.close(handle);
+    
+    // A FILE object the program already passed to free() has no chunk left to release
+    const block = this.allocator.chunkAt(handle.address);
+    if (!block || block.freed) return { flushed, chunk: null };
+    
+    this.forgetHeapCells(handle.address, handle.address + FILE_SIZE);
+    return { flushed, chunk: this.allocator.free(block) };
+  }
+  
+  /**
+   * Close the files the program left open, as exit does: buffered bytes are written, not lost
+   */
+  closeOpenFiles() {
+    this.fileSystem.handles().forEach(handle => {
+      const { flushed, chunk } = this.closeStream(handle);
+      this.addStep('warning', handle.line,
+        `File "${handle.path}" opened at line ${handle.line} was never closed - ` +
+          `exit closes it${flushed > 0 ? ` and writes the ${formatBytes(flushed)} still in its buffer` : ''}`,
+        { ...(chunk ? { heap: this.describeHeapChunks(chunk) } : {}), files: { [handle.path]: true } });
+    });
+  }
+  
+  /**
+   * Stop with a segmentation fault if a library function gets a NULL pointer
+   * @param {number} address - Pointer argument
+   * @param {string} functionName - Library function
+   */
+  checkPointerArgument(address, functionName) {
+    if (address === 0) {
+      throw this.runtimeError(`Segmentation fault: ${functionName}() called with a NULL pointer`);
+    }
+  }
+  
+  /**
+   * Read the characters of a string argument up to its terminator, as the library function would
+   * @param {number} address - Address of the first character
+   * @param {string} functionName - Library function
+   * @param {number} limit - Most characters the function looks at (strncpy, strncat)
+   * @returns {Array} Byte values before the terminator
+   */
+  readStringArgument(address, functionName, limit = Infinity) {
+    this.checkPointerArgument(address, functionName);
+    
+    const bytes = [];
+    try {
+      // A string without a terminator runs on into whatever memory follows it
+      while (bytes.length < Math.min(limit, STRING_SCAN_LIMIT)) {
+        const byte = this.appState.ram.readByte(address + bytes.length);
+        if (byte === 0) break;
+        bytes.push(byte);
+      }
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+    return bytes;
+  }
+  
+  /**
+   * Read the bytes of a memory argument (memcpy, memcmp)
+   * @param {number} address - First byte
+   * @param {number} size - Number of bytes
+   * @param {string} functionName - Library function
+   * @returns {Array} Byte values
+   */
+  readMemoryArgument(address, size, functionName) {
+    if (size === 0) return [];
+    this.checkPointerArgument(address, functionName);
+    
+    try {
+      return [...this.appState.ram.readBytes(address, size)];
+    } catch (error) {
+      throw this.runtimeError(error.message);
+    }
+  }
+  
+  /**
+   * Check the bytes a library function accesses through a pointer argument
+   * An argument that names an array is checked against the array itself, so an overflow
+   * into the next member of a struct is caught as well
+   * @param {ASTNode} argument - Argument expression
+   * @param {number} pointer - Argument value
+   * @param {number} size - Number of bytes accessed
+   * @param {boolean} write - Whether the bytes are written
+   * @param {number} offset - Offset of the first byte from the pointer (strcat writes after the string)
+   * @param {boolean} aggregate - Whether undefined bytes may be read (memcpy)
+   */
+  checkArgumentRange(argument, pointer, size, write, offset = 0, aggregate = false) {
+    const name = this.describeExpression(argument);
+    const type = this.typeOf(argument);
+    const object = isArrayType(type) && !this.memoryChecker.heapObjectAt(pointer) ?
+      { address: pointer, size: this.sizeOf(type), name: `${name} (${type})` } :
+      this.findObjectContaining(pointer);
+    this.checkMemoryRange(pointer + offset, size, write, name, aggregate, object);
+  }
+  
+  /**
+   * Report a copy whose source and destination overlap
+   * @param {string} functionName - Copying function
+   * @param {number} destination - First byte written
+   * @param {number} source - First byte read
+   * @param {number} size - Bytes copied
+   */
+  checkCopyOverlap(functionName, destination, source, size) {
+    const finding = this.memoryChecker.checkOverlap(functionName, destination, source, size);
+    if (finding) {
+      this.reportMemoryFinding(finding, { address: destination, size, object: null });
+    }
+  }
+  
+  /**
+   * Write the result of a library function through a pointer argument, checking the bytes first
+   * @param {ASTNode} argument - Argument expression
+   * @param {number} pointer - Argument value
+   * @param {Array} bytes - Byte values
+   * @param {string} functionName - Library function
+   * @param {number} offset - Offset of the first byte from the pointer
+   * @returns {Object} Changes with the memory cells written
+   */
+  writeArgumentBytes(argument, pointer, bytes, functionName, offset = 0) {
+    this.checkPointerArgument(pointer, functionName);
+    if (bytes.length === 0) return {};
+    
+    // The bytes are written even past the end, so the grid shows what an overflow overwrites
+    this.checkArgumentRange(argument, pointer, bytes.length, true, offset);
+    return this.writeBytes(pointer + offset, bytes);
+  }
+  
+  /**
+   * Write a string and its terminator through a pointer argument, checking the bytes first (sprintf, gets, scanf %s)
+   * @param {ASTNode} argument - Argument expression
+   * @param {number} pointer - Argument value
+   * @param {string} text - String contents
+   * @param {string} functionName - Library function
+   * @returns {Object} Changes with the memory cells written
+   */
+  writeStringArgument(argument, pointer, text, functionName) {
+    const bytes = [...text].map(char => char.charCodeAt(0) & 0xFF);
+    bytes.push(0);
+    return this.writeArgumentBytes(argument, pointer, bytes, functionName);
+  }
+  
+  /**
+   * Copy bytes between two pointer arguments, as memcpy and memmove do
+   * @param {Array} args - Evaluated arguments (destination, source, size)
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - memcpy or memmove
+   * @returns {Object} Destination pointer ({value, type})
+   */
+  copyMemory(args, node, functionName) {
+    const [destination, source] = args.map(arg => arg.value);
+    const size = Number(args[2].value);
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    
+    const bytes = this.readMemoryArgument(source, size, functionName);
+    this.checkArgumentRange(node.children[1], source, size, false, 0, true);
+    if (functionName === 'memcpy') {
+      this.checkCopyOverlap(functionName, destination, source, size);
+    }
+    
+    // Bytes never written stay undefined in the copy
+    const undefinedOffsets = bytes.map((byte, offset) => offset)
+      .filter(offset => this.appState.ram.findUndefined(source + offset, 1) !== -1);
+    const changes = this.writeArgumentBytes(node.children[0], destination, bytes, functionName);
+    undefinedOffsets.forEach(offset => this.appState.ram.markUndefined(destination + offset, 1));
+    
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - copied ${formatBytes(size)} from ` +
+        `${formatAddress(source)} to ${formatAddress(destination)}`,
+      changes);
+    return { value: destination, type: 'void*' };
+  }
+  
+  /**
+   * Append a string argument to another, as strcat and strncat do
+   * @param {Array} args - Evaluated arguments (destination, source, and n for strncat)
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - strcat or strncat
+   * @returns {Object} Destination pointer ({value, type})
+   */
+  appendString(args, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const [destination, source] = args.map(arg => arg.value);
+    const limit = functionName === 'strncat' ? Number(args[2].value) : Infinity;
+    
+    const existing = this.readStringArgument(destination, functionName);
+    this.checkArgumentRange(node.children[0], destination, existing.length + 1, false);
+    const appended = this.readStringArgument(source, functionName, limit);
+    this.checkArgumentRange(node.children[1], source, Math.min(appended.length + 1, limit), false);
+    
+    // The copy starts on the destination's terminator and always ends with a new one
+    const bytes = [...appended, 0];
+    this.checkCopyOverlap(functionName, destination + existing.length, source, bytes.length);
+    const changes = this.writeArgumentBytes(node.children[0], destination, bytes, functionName, existing.length);
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - appended ${quoteBytes(appended)} at ` +
+        `${formatAddress(destination + existing.length)}, the string is now ${quoteBytes([...existing, ...appended])}`,
+      changes);
+    return { value: destination, type: 'char*' };
+  }
+  
+  /**
+   * Compare two strings or memory areas, as strcmp, strncmp and memcmp do
+   * @param {Array} args - Evaluated arguments
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - Comparing function
+   * @returns {Object} Difference of the first differing bytes ({value, type})
+   */
+  compareArguments(args, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const strings = functionName !== 'memcmp';
+    const limit = functionName === 'strcmp' ? Infinity : Number(args[2].value);
+    
+    const operands = [0, 1].map(index => strings ?
+      [...this.readStringArgument(args[index].value, functionName, limit), 0] :
+      this.readMemoryArgument(args[index].value, limit, functionName));
+    const { result, index, compared } = compareBytes(operands[0], operands[1], limit, strings);
+    
+    // Only the bytes up to the first difference are read
+    [0, 1].forEach(operand =>
+      this.checkArgumentRange(node.children[operand], args[operand].value, compared, false));
+    
+    const shown = operands.map((bytes, operand) => strings ? quoteBytes(bytes.slice(0, -1)) :
+      `${formatBytes(limit)} at ${formatAddress(args[operand].value)}`);
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - compared ${shown[0]} with ${shown[1]}: ` +
+        (index === -1 ? 'they are equal, returns 0' :
+          `they differ at byte ${index} (${formatCharCode(operands[0][index])} vs ${formatCharCode(operands[1][index])}), returns ${result}`));
+    return { value: result, type: 'int' };
+  }
+  
+  /**
+   * Search a string argument for a character, as strchr and strrchr do
+   * @param {Array} args - Evaluated arguments (string, character)
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - strchr or strrchr
+   * @returns {Object} Pointer to the character or NULL ({value, type})
+   */
+  findCharacter(args, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const address = args[0].value;
+    const code = Number(this.convertValue(args[1].value, 'unsigned char'));
+    const bytes = [...this.readStringArgument(address, functionName), 0];
+    
+    // The terminator counts as part of the string, so searching for '\0' finds it
+    const index = functionName === 'strchr' ? bytes.indexOf(code) : bytes.lastIndexOf(code);
+    this.checkArgumentRange(node.children[0], address, functionName === 'strchr' && index !== -1 ? index + 1 : bytes.length, false);
+    
+    const pointer = index === -1 ? 0 : address + index;
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ` +
+        (index === -1 ? `${formatCharCode(code)} does not occur in ${quoteBytes(bytes.slice(0, -1))}, returns NULL` :
+          `${formatCharCode(code)} is at index ${index} of ${quoteBytes(bytes.slice(0, -1))}, returns ${formatAddress(pointer)}`));
+    return { value: pointer, type: 'char*' };
+  }
+  
+  /**
+   * Classify a character as the ctype.h function does
+   * @param {Object} argument - Evaluated argument ({value, type})
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - Classifying function
+   * @returns {Object} The class bit if the character belongs to the class, 0 otherwise ({value, type})
+   */
+  classifyCharacter(argument, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const code = Number(argument.value);
+    const { bit, description, test } = CHARACTER_CLASSES[functionName];
+    
+    // Only EOF and unsigned char values are valid; a negative char (an accented letter) is not
+    if (code < -1 || code > 255) {
+      this.noteUndefinedBehavior(`${functionName}(${code}): the argument must be EOF or a value of unsigned char - ` +
+        'convert a char with (unsigned char) first');
+    }
+    
+    const value = test(code) ? bit : 0;
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ${formatCharCode(code)} ` +
+        `${value ? 'is' : 'is not'} ${description}, returns ${value}`);
+    return { value, type: 'int' };
+  }
+  
+  /**
+   * Convert the case of a character as toupper and tolower do
+   * @param {Object} argument - Evaluated argument ({value, type})
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - toupper or tolower
+   * @returns {Object} Converted character, or the argument if it has no other case ({value, type})
+   */
+  convertCase(argument, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const code = Number(argument.value);
+    const upper = functionName === 'toupper';
+    const converts = upper ? CHARACTER_CLASSES.islower.test(code) : CHARACTER_CLASSES.isupper.test(code);
+    const value = converts ? code + (upper ? -32 : 32) : code;
+    
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ` +
+        (converts ? `${formatCharCode(code)} becomes ${formatCharCode(value)}, returns ${value}` :
+          `${formatCharCode(code)} is not ${upper ? 'a lowercase' : 'an uppercase'} letter, returns it unchanged`));
+    return { value, type: 'int' };
+  }
+  
+  /**
+   * Compute a math.h function
+   * @param {Array} args - Evaluated arguments
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - Function name
+   * @returns {Object} Result ({value, type})
+   */
+  callMathFunction(args, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const { compute, domain } = MATH_FUNCTIONS[functionName];
+    const operands = args.map(arg => Number(arg.value));
+    const value = compute(...operands);
+    const domainError = domain && !domain(...operands);
+    if (domainError) this.errno = 'EDOM';
+    
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ` +
+        (domainError ? `domain error (EDOM), returns ${value}` : `returns ${value}`));
+    return { value, type: 'double' };
+  }
+  
+  /**
+   * Compute abs or labs
+   * @param {Object} argument - Evaluated argument ({value, type})
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - abs or labs
+   * @param {string} type - Argument and result type
+   * @returns {Object} Result ({value, type})
+   */
+  absoluteValue(argument, node, functionName, type) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const value = this.convertValue(argument.value, type);
+    // The most negative value has no positive counterpart; it comes back unchanged
+    if (!fitsInType(-BigInt(value), type)) {
+      this.noteUndefinedBehavior(`${functionName}(${value}) overflows: ${-BigInt(value)} does not fit in '${type}'`);
+    }
+    
+    const result = this.convertValue(Math.abs(Number(value)), type);
+    this.addStep('call', this.currentLine, `${label} function call: ${this.describeExpression(node)} - returns ${result}`);
+    return { value: result, type };
+  }
+  
+  /**
+   * Convert the number at the start of a string argument, as atoi, atof and the strto* functions do
+   * @param {Array} args - Evaluated arguments (string, and endptr and base for strto*)
+   * @param {ASTNode} node - Call node
+   * @param {string} functionName - Converting function
+   * @returns {Object} Converted value ({value, type})
+   */
+  convertString(args, node, functionName) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const address = args[0].value;
+    const text = String.fromCharCode(...this.readStringArgument(address, functionName));
+    this.checkArgumentRange(node.children[0], address, text.length + 1, false);
+    
+    const type = { atoi: 'int', atol: 'long', atof: 'double', strtol: 'long', strtoul: 'unsigned long', strtod: 'double' }[functionName];
+    const floating = type === 'double';
+    const base = functionName.startsWith('strto') && !floating ? Number(args[2].value) : 10;
+    const notes = [];
+    
+    let parsed = { value: floating ? 0 : 0n, length: 0 };
+    if (base !== 0 && (base < 2 || base > 36)) {
+      notes.push(`base ${base} is not 0 or 2 to 36, errno = EINVAL`);
+      this.errno = 'EINVAL';
+    } else {
+      parsed = floating ? parseFloating(text) : parseInteger(text, base);
+    }
+    
+    let value = parsed.value;
+    if (!floating && !fitsInType(value, type)) {
+      const { bits, signed } = integerFormat(type);
+      if (functionName.startsWith('strto')) {
+        // Out of range values saturate; strtoul negates values that fit once negated ("-1" gives ULONG_MAX)
+        const magnitude = value < 0n ? -value : value;
+        if (signed || magnitude >= 1n << BigInt(bits)) {
+          const limit = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+          value = value < 0n && signed ? -limit - 1n : limit;
+          notes.push(`the value is out of range for '${type}', errno = ERANGE`);
+          this.errno = 'ERANGE';
+        }
+      } else {
+        this.noteUndefinedBehavior(`${functionName}("${text}"): ${value} does not fit in '${type}'`);
+      }
+    }
+    value = this.convertValue(value, type);
+    
+    // endptr is left pointing at the first character not used
+    let changes = {};
+    const end = address + parsed.length;
+    if (functionName.startsWith('strto') && args[1].value !== 0) {
+      const name = this.describeExpression(node.children[1]).replace(/^&/, '');
+      this.checkArgumentRange(node.children[1], args[1].value, this.sizeOf('char*'), true);
+      this.storeValue(args[1].value, 'char*', end, name);
+      changes = this.describeStore(args[1].value);
+      notes.push(`${name} points to ${JSON.stringify(text.slice(parsed.length))} at ${formatAddress(end)}`);
+    }
+    
+    this.addStep('call', this.currentLine,
+      `${label} function call: ${this.describeExpression(node)} - ` +
+        (parsed.length > 0 ? `read ${JSON.stringify(text.slice(0, parsed.length).trimStart())}` :
+          `no number at the start of ${JSON.stringify(text)}`) +
+        `, returns ${value}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`,
+      changes);
+    return { value, type };
+  }
+  
+  /**
+   * Call the comparison function of qsort or bsearch on two elements, with a stack frame like any other call
+   * @param {number} comparator - Function pointer argument
+   * @param {number} first - Pointer to the first element (the key, for bsearch)
+   * @param {number} second - Pointer to the second element
+   * @param {string} functionName - qsort or bsearch
+   * @returns {number} Result of the comparison
+   */
+  callComparator(comparator, first, second, functionName) {
+    const name = this.functionAt(comparator);
+    const builtin = name && !this.functions.has(name) ? this.builtins()[name] : null;
+    if (!name || (!this.functions.has(name) && !builtin)) {
+      throw this.runtimeError(
+        `Segmentation fault: ${functionName}() called with an invalid comparison function ${formatAddress(comparator)}`
+      );
+    }
+    
+    const args = [first, second].map(value => ({ value, type: 'const void*' }));
+    // The call is described as if it were written out, with the element addresses as arguments
+    const callNode = new ASTNode('call_expression', name,
+      args.map(arg => new ASTNode('literal', formatAddress(arg.value))));
+    const result = builtin ? builtin(args, callNode) : this.callFunction(this.functions.get(name), args, callNode);
+    return Number(result.value);
+  }
+  
+  /**
+   * Sort an array with the program's comparison function, as qsort does
+   * Like glibc's qsort this is a merge sort; the elements stay in place until their order is known,
+   * so the comparison function only ever gets pointers into the array
+   * @param {Array} args - Evaluated arguments (base, count, size, comparator)
+   * @param {ASTNode} node - Call node
+   * @returns {Object} No value ({value, type})
+   */
+  sortArray(args, node) {
+    const base = args[0].value;
+    const count = Number(args[1].value);
+    const size = Number(args[2].value);
+    const name = this.functionAt(args[3].value) || formatAddress(args[3].value);
+    if (count < 2 || size === 0) {
+      this.addStep('call', this.currentLine,
+        `Qsort function call: ${this.describeExpression(node)} - ${count} element${count === 1 ? '' : 's'}, nothing to sort`);
+      return { value: 0, type: 'void' };
+    }
+    
+    const bytes = this.readMemoryArgument(base, count * size, 'qsort');
+    this.checkArgumentRange(node.children[0], base, count * size, false, 0, true);
+    this.addStep('call', this.currentLine,
+      `Qsort function call: ${this.describeExpression(node)} - sorting ${count} elements of ${formatBytes(size)} ` +
+        `at ${formatAddress(base)}, calling ${name}() to compare them`);
+    
+    let comparisons = 0;
+    const order = mergeSort([...Array(count).keys()], (first, second) => {
+      comparisons++;
+      return this.callComparator(args[3].value, base + first * size, base + second * size, 'qsort');
+    });
+    
+    const sorted = order.flatMap(index => bytes.slice(index * size, (index + 1) * size));
+    const changes = this.writeArgumentBytes(node.children[0], base, sorted, 'qsort');
+    this.addStep('call', this.currentLine,
+      `Qsort function call: ${this.describeExpression(node)} - sorted ${count} elements with ${comparisons} ` +
+        `call${comparisons === 1 ? '' : 's'} to ${name}()`,
+      changes);
+    return { value: 0, type: 'void' };
+  }
+  
+  /**
+   * Binary search a sorted array with the program's comparison function, as bsearch does
+   * @param {Array} args - Evaluated arguments (key, base, count, size, comparator)
+   * @param {ASTNode} node - Call node
+   * @returns {Object} Pointer to a matching element or NULL ({value, type})
+   */
+  searchArray(args, node) {
+    const [key, base] = args.map(arg => arg.value);
+    const count = Number(args[2].value);
+    const size = Number(args[3].value);
+    const name = this.functionAt(args[4].value) || formatAddress(args[4].value);
+    
+    let low = 0;
+    let high = count;
+    let found = -1;
+    let comparisons = 0;
+    // Halve the range [low, high) until the middle element compares equal to the key
+    while (low < high && found === -1) {
+      const middle = Math.floor((low + high) / 2);
+      comparisons++;
+      const result = this.callComparator(args[4].value, key, base + middle * size, 'bsearch');
+      if (result < 0) high = middle;
+      else if (result > 0) low = middle + 1;
+      else found = middle;
+    }
+    
+    const pointer = found === -1 ? 0 : base + found * size;
+    this.addStep('call', this.currentLine,
+      `Bsearch function call: ${this.describeExpression(node)} - ` +
+        (found === -1 ? 'the key is not in the array' : `the key matches element ${found} at ${formatAddress(pointer)}`) +
+        ` after ${comparisons} call${comparisons === 1 ? '' : 's'} to ${name}(), returns ${this.formatValue(pointer, 'void*')}`);
+    return { value: pointer, type: 'void*' };
+  }
+  
+  /**
+   * Allocate a heap block
+   * @param {number} size - Size in bytes
+   * @param {string} functionName - Allocating function (for the description)
+   * @param {boolean} zeroed - Whether the bytes are cleared, as calloc does
+   * @returns {Object} Pointer to the block ({value, type}), NULL once the heap limit is reached
+   */
+  allocate(size, functionName, zeroed = false) {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    const block = this.allocator.allocate(size);
+    if (!block) {
+      this.addStep('call', this.currentLine, `${label} function call cannot allocate ${size} bytes - ${this.describeHeapLimit()}, returns NULL`);
+      return { value: 0, type: 'void*' };
+    }
+    
+    // malloc hands back whatever a reused chunk held before; calloc clears it
+    if (zeroed) {
+      this.appState.ram.writeBytes(block.address, new Uint8Array(size));
+    } else {
+      this.appState.ram.markUndefined(block.address, size);
+    }
+    block.line = this.currentLine;
+    
+    this.addStep(
+      'call',
+      this.currentLine,
+      `${label} function call to allocate ${size} ${zeroed ? 'zeroed ' : ''}bytes on heap at ${formatAddress(block.address)}`,
+      { heap: this.describeHeapChunks(block, this.nextHeapChunk(block)) }
+    );
+    
+    return { value: block.address, type: 'void*' };
+  }
+  
+  /**
+   * Release a heap block
+   * @param {number} address - Address returned by malloc
+   * @param {string} functionName - Releasing function (for the description)
+   */
+  release(address, functionName = 'free') {
+    const label = functionName.charAt(0).toUpperCase() + functionName.slice(1);
+    if (address === 0) {
+      this.addStep('call', this.currentLine, `${label} function call with NULL pointer - nothing to release`);
+      return;
+    }
+    
+    const block = this.allocator.chunkAt(address);
+    if (!block || block.freed) {
+      const finding = this.memoryChecker.checkFree(address, functionName, this.describePointerTarget(address));
+      this.memoryChecker.record(finding, this.currentLine);
+      throw this.runtimeError(finding.message);
+    }
+    
+    const { size, chunkSize } = block;
+    this.forgetHeapCells(address, address + size);
+    const chunk = this.allocator.free(block);
+    
+    const merged = chunk !== block || chunk.chunkSize !== chunkSize;
+    this.addStep(
+      'call',
+      this.currentLine,
+      `${label} function call to release ${size} bytes at ${formatAddress(address)}` +
+        (merged ? ` - merged with its free neighbours into ${chunk.size} free bytes at ${formatAddress(chunk.address)}` : ''),
+      { heap: this.describeHeapChunks(chunk) }
+    );
+  }
+  
+  /**
+   * Resize a heap block, in place when the space after it allows, otherwise by moving it
+   * @param {number} address - Address returned by malloc (NULL allocates)
+   * @param {number} size - New size in bytes (0 frees the block)
+   * @returns {Object} Pointer to the resized block ({value, type})
+   */
+  reallocate(address, size) {
+    if (address === 0) return this.allocate(size, 'realloc');
+    
+    if (size === 0) {
+      this.release(address, 'realloc');
+      return { value: 0, type: 'void*' };
+    }
+    
+    const block = this.allocator.chunkAt(address);
+    if (!block || block.freed) {
+      const finding = this.memoryChecker.checkFree(address, 'realloc', this.describePointerTarget(address));
+      this.memoryChecker.record(finding, this.currentLine);
+      throw this.runtimeError(finding.message);
+    }
+    
+    const oldSize = block.size;
+    if (this.allocator.resizeInPlace(block, size)) {
+      this.forgetHeapCells(address + size, address + oldSize);
+      this.appState.ram.markUndefined(address + oldSize, size - oldSize);
+      if (Array.isArray(block.content)) block.content = block.content.slice(0, size);
+      this.addStep('call', this.currentLine,
+        `Realloc function call resized the block at ${formatAddress(address)} in place from ${oldSize} to ${size} bytes`,
+        { heap: this.describeHeapChunks(block, this.nextHeapChunk(block)) });
+      return { value: address, type: 'void*' };
+    }
+    
+    const moved = this.allocator.allocate(size);
+    if (!moved) {
+      this.addStep('call', this.currentLine,
+        `Realloc function call cannot grow the block at ${formatAddress(address)} to ${size} bytes - ` +
+        `${this.describeHeapLimit()}, returns NULL and the block is left as it was`);
+      return { value: 0, type: 'void*' };
+    }
+    
+    // The contents move with the block; the old chunk goes back to the free list
+    const kept = Math.min(oldSize, size);
+    this.appState.ram.writeBytes(moved.address, this.appState.ram.readBytes(address, kept));
+    this.appState.ram.markUndefined(moved.address + kept, size - kept);
+    moved.line = this.currentLine;
+    const changes = { memory: {} };
+    this.cellsIn(address, address + kept).forEach(cell => {
+      const entry = this.appState.memory[cell];
+      if (cell + entry.size <= address + kept) {
+        this.setCell(moved.address + cell - address, { ...entry });
+        changes.memory[moved.address + cell - address] = { ...entry };
+      }
+    });
+    moved.content = Array.isArray(block.content) ? [...block.content] : block.content;
+    this.forgetHeapCells(address, address + oldSize);
+    const freed = this.allocator.free(block);
+    
+    changes.heap = this.describeHeapChunks(moved, freed);
+    this.addStep('call', this.currentLine,
+      `Realloc function call moved the block at ${formatAddress(address)} to ${formatAddress(moved.address)} ` +
+      `(${kept} bytes copied, ${size} bytes now) - there was no room to grow it in place`,
+      changes);
+    return { value: moved.address, type: 'void*' };
+  }
+  
+  /**
+   * Drop the labelled cells of a heap range; the bytes stay behind, but no variable lives there any more
+   * @param {number} start - First address
+   * @param {number} end - Address past the range
+   */
+  forgetHeapCells(start, end) {
+    this.cellsIn(start, end).forEach(address => this.removeCell(address));
+  }
+  
+  /**
+   * Get the free chunk right after a heap block, if there is one
+   * @param {HeapBlock} block - Heap block
+   * @returns {HeapBlock|null} Free chunk or null
+   */
+  nextHeapChunk(block) {
+    const next = this.allocator.chunkAt(this.allocator.chunkEnd(block) + HEADER_SIZE);
+    return next && next.freed ? next : null;
+  }
+  
+  /**
+   * Build the heap changes for a step
+   * @param {...HeapBlock} blocks - Chunks that changed (null entries are skipped)
+   * @returns {Object} Heap changes keyed by address
+   */
+  describeHeapChunks(...blocks) {
+    const changes = {};
+    blocks.filter(Boolean).forEach(block => {
+      changes[block.address] = { address: block.address, size: block.size, freed: block.freed };
+    });
+    return changes;
+  }
+  
+  /**
+   * Explain why an allocation failed
+   * @returns {string} Heap limit and the largest free chunk
+   */
+  describeHeapLimit() {
+    const { largestFree, top } = this.allocator.usage();
+    return `the heap limit of ${this.allocator.limit()} bytes is reached ` +
+      `(largest free chunk ${Math.max(largestFree - HEADER_SIZE, 0)} bytes, ${Math.max(top - HEADER_SIZE, 0)} bytes left at the top)`;
+  }
+  
+  /**
+   * Format the arguments of a printf-family call, warning about arguments that do not match the format
+   * @param {number} address - Address of the format string
+   * @param {Array} args - Evaluated arguments after the format ({value, type})
+   * @param {number} firstArgument - Position of the first of those arguments in the call
+   * @returns {string} Formatted output
+   */
+  formatString(address, args, firstArgument) {
+    const format = this.readString(address);
+    checkFormatArguments(format, args.map(arg => arg.type), firstArgument).forEach(problem =>
+      this.addStep('warning', this.currentLine, `Warning: ${problem.message}`));
+    
+    return formatPrintf(format, args, pointer => this.readString(pointer));
+  }
+  
+  /**
+   * Format a value for step descriptions
+   * @param {*} value - Value
+   * @param {string} type - Type of the value
+   * @returns {string} Formatted value
+   */
+  formatValue(value, type) {
+    if (isPointerType(type)) {
+      return value === 0 ? 'NULL' : formatAddress(value);
+    }
+    if (isRecordType(type)) {
+      return this.formatRecord(value, type);
+    }
+    if (isArrayType(type)) {
+      return this.formatArray(value, type);
+    }
+    return String(value);
+  }
+  
+  /**
+   * Format the members of a struct or union as shown in the stack panel
+   * @param {number} address - Address of the object
+   * @param {string} type - Struct or union type
+   * @returns {string} Members in designated initializer syntax
+   */
+  formatRecord(address, type) {
+    const layout = this.records.get(type);
+    if (!layout) return `{...}`;
+    
+    const members = layout.members.map(member => {
+      const memberAddress = address + member.offset;
+      let text;
+      
+      if (isArrayType(member.type)) {
+        text = this.formatArray(memberAddress, member.type);
+      } else {
+        text = this.formatValue(this.readLValue({ address: memberAddress, ...member }), member.type);
+      }
+      
+      return member.anonymous ? text : `.${member.name} = ${text}`;
+    });
+    
+    return `{${members.join(', ')}}`;
+  }
+  
+  /**
+   * Describe what a pointer value points to
+   * @param {number} address - Pointer value
+   * @returns {string} Variable name, heap address or NULL
+   */
+  describePointerTarget(address) {
+    if (address === 0) return 'NULL';
+    
+    const functionName = this.functionAt(address);
+    if (functionName) return `function ${functionName}`;
+    
+    const owner = this.findVariableAt(address);
+    if (owner) return owner.name;
+    
+    const entry = this.appState.memory[address];
+    if (entry) return `${entry.name} (${formatAddress(address)})`;
+    
+    return formatAddress(address);
+  }
+  
+  /**
+   * Rebuild C source text for an expression node
+   * @param {ASTNode} node - Expression node
+   * @returns {string} Expression text
+   */
+  describeExpression(node) {
+    const wrap = child => {
+      const text = this.describeExpression(child);
+      return child.type.endsWith('_expression') && child.type !== 'call_expression' ? `(${text})` : text;
+    };
+    
+    switch (node.type) {
+      case 'literal':
+      case 'identifier':
+        return node.value;
+      case 'array_access':
+        return `${wrap(node.children[0])}[${this.describeExpression(node.children[1])}]`;
+      case 'call_expression':
+        return `${node.callee ? wrap(node.callee) : node.value}(${node.children.map(child => this.describeExpression(child)).join(', ')})`;
+      case 'unary_expression':
+        return `${node.value}${wrap(node.children[0])}`;
+      case 'postfix_expression':
+        return `${wrap(node.children[0])}${node.value}`;
+      case 'cast_expression':
+        return `(${node.dataType}) ${wrap(node.children[0])}`;
+      case 'sizeof_expression':
+        return node.dataType ? `sizeof(${node.dataType})` : `sizeof ${wrap(node.children[0])}`;
+      case 'conditional_expression':
+        return `${wrap(node.children[0])} ? ${wrap(node.children[1])} : ${wrap(node.children[2])}`;
+      case 'comma_expression':
+        return `${this.describeExpression(node.children[0])}, ${this.describeExpression(node.children[1])}`;
+      case 'member_access':
+        return `${wrap(node.children[0])}${node.operator}${node.value}`;
+      case 'assignment_expression':
+      case 'logical_or_expression':
+      case 'logical_and_expression':
+      case 'bitwise_or_expression':
+      case 'bitwise_xor_expression':
+      case 'bitwise_and_expression':
+      case 'equality_expression':
+      case 'relational_expression':
+      case 'shift_expression':
+      case 'additive_expression':
+      case 'multiplicative_expression':
+        return `${wrap(node.children[0])} ${node.value} ${wrap(node.children[1])}`;
+      default:
+        return node.type;
+    }
+  }
+}
@@ -31,7 +31,9 @@ export class Lexer {
       stdFunctions: [
         'printf', 'scanf', 'malloc', 'free', 'calloc', 'realloc', 'strlen',
         'strcpy', 'strcat', 'strcmp', 'fopen', 'fclose', 'fread', 'fwrite',
-        'fprintf', 'fscanf', 'fgets', 'fputs', 'fseek', 'ftell', 'rewind'
+        'fprintf', 'fscanf', 'fgets', 'fputs', 'fseek', 'ftell', 'rewind',
+        'strncpy', 'strncat', 'strncmp', 'strchr', 'strrchr', 'strstr',
+        'memcpy', 'memmove', 'memset', 'memcmp'
       ],
 
       // Preprocessor directives
@@ -146,10 +148,12 @@ export class Lexer {
 
   /**
    * Tokenize the code from appState
+   * @param {string} source - Code to tokenize (defaults to the code from appState)
+   * @param {Array|null} sourceMap - Original position of each line, when the code was preprocessed
    * @returns {Array} Array of tokens
    */
-  tokenize() {
-    const code = this.appState.code;
+  tokenize(source = this.appState.code, sourceMap = null) {
+    const code = source;
     const tokens = [];
 
     // Map positions of newline characters for line/column tracking
@@ -248,12 +252,12 @@ export class Lexer {
       }
     }
 
-    // Regular expression for tokenization - Fixed version
-    const regex = /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|(\d+\.\d+|\d+|0x[0-9a-fA-F]+)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\+\+|--|==|!=|<=|>=|&&|\|\||<<|>>|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|<<=|>>=|->|[+\-*\/%=<>&|^!~.,;:?\[\]{}()])|(\w+)/g;
+    // Regular expression for tokenization; longer operators come first so <<= is not read as << and =
+    const regex = /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|(0[xX][0-9a-fA-F]+[uUlL]*|(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?[fFlL]?|\d+[eE][+-]?\d+[fFlL]?|\d+[uUlL]*)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(<<=|>>=|\+\+|--|==|!=|<=|>=|&&|\|\||<<|>>|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|->|[+\-*\/%=<>&|^!~.,;:?\[\]{}()])|(\w+)/g;
 
     // Match groups:
     // 1: Comments (single line or multi-line)
-    // 2: Numbers (integers, decimals, hexadecimal)
+    // 2: Numbers (integers, decimals, exponents, hexadecimal, with their suffixes)
     // 3: Strings and characters (with escape handling)
     // 4: Operators and punctuation
     // 5: Identifiers, keywords, etc.
@@ -317,6 +321,17 @@ export class Lexer {
       return a.column - b.column;
     });
 
+    // Point tokens of preprocessed code back at the lines the user wrote
+    if (sourceMap) {
+      tokens.forEach(token => {
+        const origin = sourceMap[token.line - 1];
+        if (origin) {
+          token.line = origin.line;
+          token.file = origin.file;
+        }
+      });
+    }
+
     return tokens;
   }
 }
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Memory checker module: Valgrind/AddressSanitizer-style detection of invalid accesses,
+ * bad frees, uninitialized reads and leaks on the simulated memory
+ */
+
+import { MEMORY_LAYOUT } from './memory.js';
+import { HeapAllocator, HEADER_SIZE } from './allocator.js';
+
+/**
+ * Short descriptions of each kind of finding, used in the summary
+ */
+const FINDING_LABELS = {
+  'heap-use-after-free': 'use after free',
+  'heap-buffer-overflow': 'heap buffer overflow',
+  'stack-buffer-overflow': 'stack buffer overflow',
+  'global-buffer-overflow': 'global buffer overflow',
+  'stack-use-after-scope': 'use of a variable out of scope',
+  'uninitialized-value': 'uninitialized read',
+  'double-free': 'double free',
+  'invalid-free': 'invalid free',
+  'param-overlap': 'overlapping copy'
+};
+
+/**
+ * Format an address as the rest of the interface shows it
+ * @param {number} address - Memory address
+ * @returns {string} Hexadecimal address
+ */
+function formatAddress(address) {
+  return `0x${address.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Checker for the memory accesses of the simulated program
+ */
+export class MemoryChecker {
+  /**
+   * Create a checker with no findings
+   * @param {AppState} appState - Application state
+   */
+  constructor(appState) {
+    this.appState = appState;
+    this.allocator = new HeapAllocator(appState);
+    this.findings = [];
+    this.reported = new Set();
+  }
+
+  /**
+   * Check a read or write of simulated memory
+   * @param {Object} access - Access ({address, size, write, aggregate, name, object, stackTop}) where object is
+   *   the variable or heap block the pointer was derived from ({address, size, name, freed, heap}), if known
+   * @returns {Object|null} Finding ({kind, severity, message}) or null if the access is valid
+   */
+  checkAccess(access) {
+    const { address, size, write } = access;
+    const what = `${write ? 'write' : 'read'} of size ${size} at ${formatAddress(address)}` +
+      (access.name ? ` (${access.name})` : '');
+
+    const heap = MEMORY_LAYOUT.heap;
+    if (address >= heap.start && address < heap.start + heap.size) {
+      const problem = this.checkHeapAccess(access, what);
+      if (problem) return problem;
+    } else if (access.object && (address < access.object.address ||
+        address + size > access.object.address + access.object.size)) {
+      const stack = MEMORY_LAYOUT.stack;
+      const onStack = access.object.address >= stack.start && access.object.address < stack.start + stack.size;
+      return {
+        kind: onStack ? 'stack-buffer-overflow' : 'global-buffer-overflow',
+        severity: 'error',
+        message: `${what} ${this.describeOffset(address, size, access.object)} ${access.object.name}`
+      };
+    } else if (this.isDeadStack(address, access.stackTop)) {
+      return {
+        kind: 'stack-use-after-scope',
+        severity: 'error',
+        message: `${what} is in stack memory of a block or function that has already ended`
+      };
+    }
+
+    // Copying a whole struct may copy members never set, which is allowed
+    if (!write && !access.aggregate) {
+      const undefinedByte = this.appState.ram.findUndefined(address, size);
+      if (undefinedByte !== -1) {
+        return {
+          kind: 'uninitialized-value',
+          severity: 'warning',
+          message: `${what} uses an uninitialized value` +
+            (undefinedByte !== address ? ` (byte ${formatAddress(undefinedByte)} was never written)` : '')
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an access that falls in the heap segment
+   * @param {Object} access - Access ({address, size, write, object})
+   * @param {string} what - Description of the access
+   * @returns {Object|null} Finding or null
+   */
+  checkHeapAccess(access, what) {
+    const { address, size, object } = access;
+    const chunk = this.chunkContaining(address);
+
+    if ((object && object.heap && object.freed) || (chunk && chunk.freed && address >= chunk.address)) {
+      const freed = object && object.heap && object.freed ? object : chunk;
+      return {
+        kind: 'heap-use-after-free',
+        severity: 'error',
+        message: `${what} is inside heap memory that was already freed (free chunk at ${formatAddress(freed.address)})`
+      };
+    }
+
+    const block = object && object.heap ? object : (chunk && !chunk.freed ? chunk : null);
+    if (!block) {
+      return {
+        kind: 'heap-buffer-overflow',
+        severity: 'error',
+        message: `${what} is outside every allocated heap block`
+      };
+    }
+    if (address < block.address || address + size > block.address + block.size) {
+      return {
+        kind: 'heap-buffer-overflow',
+        severity: 'error',
+        message: `${what} ${this.describeOffset(address, size, block)} the ${block.size}-byte block at ${formatAddress(block.address)}`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Say where an access falls relative to the object it should stay in
+   * @param {number} address - First address accessed
+   * @param {number} size - Bytes accessed
+   * @param {Object} object - Object ({address, size})
+   * @returns {string} Position ("is 4 bytes after", "is 8 bytes before", "runs 2 bytes past the end of")
+   */
+  describeOffset(address, size, object) {
+    const end = object.address + object.size;
+    if (address >= end) return `is ${address - end} bytes after`;
+    if (address + size <= object.address) return `is ${object.address - address} bytes before`;
+
+    // Library calls such as strcpy touch many bytes at once, often running off one end
+    const bytes = count => `${count} byte${count === 1 ? '' : 's'}`;
+    if (address >= object.address) return `runs ${bytes(address + size - end)} past the end of`;
+    if (address + size <= end) return `starts ${bytes(object.address - address)} before`;
+    return 'is partly outside';
+  }
+
+  /**
+   * Get the bytes a finding is about, to highlight them
+   * @param {Object} access - Access ({address, size, object})
+   * @returns {Object} Range ({start, end}) and the object the pointer belongs to ({address, size}), if known
+   */
+  badBytes(access) {
+    const { address, size, object } = access;
+    let start = address;
+    let end = address + size;
+
+    // Of an overflow, only the part outside the object is wrong
+    if (object && !object.freed) {
+      const objectEnd = object.address + object.size;
+      if (end > objectEnd && start < objectEnd) start = objectEnd;
+      else if (start < object.address && end > object.address) end = object.address;
+    }
+    return { start, end, object: object ? { address: object.address, size: object.size } : null };
+  }
+
+  /**
+   * Check that the source and destination of a copy do not overlap, as memcpy and strcpy require
+   * @param {string} functionName - Copying function
+   * @param {number} destination - First byte written
+   * @param {number} source - First byte read
+   * @param {number} size - Bytes copied
+   * @returns {Object|null} Finding or null
+   */
+  checkOverlap(functionName, destination, source, size) {
+    if (size <= 0 || destination + size <= source || source + size <= destination) return null;
+    return {
+      kind: 'param-overlap',
+      severity: 'error',
+      message: `${functionName}(): source [${formatAddress(source)}, ${formatAddress(source + size)}) and destination ` +
+        `[${formatAddress(destination)}, ${formatAddress(destination + size)}) overlap - use memmove`
+    };
+  }
+
+  /**
+   * Check whether a stack address lies above the live frames
+   * @param {number} address - Memory address
+   * @param {number} stackTop - First address past the live stack
+   * @returns {boolean} True for memory of a block or function that has ended
+   */
+  isDeadStack(address, stackTop) {
+    const stack = MEMORY_LAYOUT.stack;
+    return stackTop !== undefined && address >= stackTop && address < stack.start + stack.size;
+  }
+
+  /**
+   * Find the heap chunk whose header or payload contains an address
+   * @param {number} address - Memory address
+   * @returns {HeapBlock|null} Heap block or null
+   */
+  chunkContaining(address) {
+    return this.allocator.chunks().find(chunk =>
+      address >= chunk.address - HEADER_SIZE && address < this.allocator.chunkEnd(chunk)) || null;
+  }
+
+  /**
+   * Describe a heap block as an access's object
+   * @param {number} address - Address inside the block
+   * @returns {Object|null} Object ({address, size, name, freed, heap}) or null
+   */
+  heapObjectAt(address) {
+    const chunk = this.chunkContaining(address);
+    if (!chunk || address < chunk.address) return null;
+    return {
+      address: chunk.address,
+      size: chunk.size,
+      name: `the ${chunk.size}-byte block at ${formatAddress(chunk.address)}`,
+      freed: chunk.freed,
+      heap: true
+    };
+  }
+
+  /**
+   * Classify a pointer passed to free or realloc that is not a live block
+   * @param {number} address - Pointer value
+   * @param {string} functionName - free or realloc
+   * @param {string} target - What the pointer points to, for invalid frees
+   * @returns {Object} Finding ({kind, severity, message})
+   */
+  checkFree(address, functionName, target) {
+    const chunk = this.chunkContaining(address);
+    if (chunk && chunk.freed && address >= chunk.address) {
+      return {
+        kind: 'double-free',
+        severity: 'error',
+        message: `${functionName}(): double free detected at ${formatAddress(address)} - this block was already freed`
+      };
+    }
+
+    let reason;
+    if (chunk) {
+      reason = `it points ${address - chunk.address} bytes into the ${chunk.size}-byte block at ${formatAddress(chunk.address)}, not to its start`;
+    } else {
+      reason = `it was not returned by malloc (it points to ${target})`;
+    }
+    return {
+      kind: 'invalid-free',
+      severity: 'error',
+      message: `${functionName}(): invalid pointer ${formatAddress(address)} - ${reason}`
+    };
+  }
+
+  /**
+   * Record a finding; repeats at the same line are only counted
+   * @param {Object} finding - Finding ({kind, severity, message})
+   * @param {number} line - Source line
+   * @returns {boolean} True if this is the first report from that line
+   */
+  record(finding, line) {
+    this.findings.push({ ...finding, line });
+    const key = `${finding.kind}:${line}`;
+    if (this.reported.has(key)) return false;
+    this.reported.add(key);
+    return true;
+  }
+
+  /**
+   * List the heap blocks never freed, as leaks
+   * @param {Map} reachable - What still points to each reachable block ("a global variable"), by block address
+   * @returns {Array} Leaks ({block, reachable, message})
+   */
+  findLeaks(reachable) {
+    return this.allocator.chunks().filter(chunk => !chunk.freed).map(block => {
+      const still = reachable.has(block.address);
+      return {
+        block,
+        reachable: still,
+        message: `${block.size} bytes at ${formatAddress(block.address)}` +
+          (block.line ? ` allocated at line ${block.line}` : '') +
+          (still ? ` are still reachable from ${reachable.get(block.address)} but were never freed` : ' are definitely lost (never freed)')
+      };
+    });
+  }
+
+  /**
+   * Summarize the findings and leaks of a run
+   * @param {Array|null} leaks - Leaks from findLeaks, or null if the program did not finish
+   * @returns {string} Summary report
+   */
+  summary(leaks) {
+    const counts = new Map();
+    this.findings.forEach(finding => counts.set(finding.kind, (counts.get(finding.kind) || 0) + 1));
+
+    const errors = this.findings.length === 0 ? 'no memory errors' :
+      `${this.findings.length} memory error${this.findings.length === 1 ? '' : 's'} from ${this.reported.size} ` +
+      `line${this.reported.size === 1 ? '' : 's'} (${[...counts].map(([kind, count]) => `${FINDING_LABELS[kind]}: ${count}`).join(', ')})`;
+
+    if (!leaks) return `Memory check: ${errors}`;
+
+    const lost = leaks.filter(leak => !leak.reachable);
+    const bytes = list => list.reduce((total, leak) => total + leak.block.size, 0);
+    let heap;
+    if (leaks.length === 0) {
+      heap = 'all heap blocks were freed';
+    } else {
+      heap = `${bytes(lost)} bytes in ${lost.length} block${lost.length === 1 ? '' : 's'} definitely lost`;
+      if (lost.length < leaks.length) {
+        const still = leaks.filter(leak => leak.reachable);
+        heap += `, ${bytes(still)} bytes in ${still.length} block${still.length === 1 ? '' : 's'} still reachable`;
+      }
+    }
+
+    return `Memory check: ${errors}; ${heap}`;
+  }
+}
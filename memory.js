@@ -0,0 +1,353 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Memory module for the byte-addressable simulated address space
+ */
+
+/**
+ * Segments of the simulated address space
+ * Addresses below the heap keep the layout the visualizer has always shown
+ */
+export const MEMORY_LAYOUT = {
+  rodata: { start: 0x0400, size: 0x0400, readOnly: true },   // String literals
+  data: { start: 0x0800, size: 0x0800, readOnly: false },    // Global and static variables
+  stack: { start: 0x1000, size: 0x7000, readOnly: false },   // Function frames
+  heap: { start: 0x8000, size: 0x8000, readOnly: false },    // malloc/calloc/realloc blocks
+  text: { start: 0x10000, size: 0x10000, readOnly: true }    // Program instructions (one per source line)
+};
+
+/**
+ * Bytes per page; an address space and its copies share pages until one of them writes to a page
+ */
+const PAGE_SIZE = 256;
+
+/**
+ * Describe how a scalar C type is encoded in memory
+ * @param {string} type - Type name
+ * @returns {Object} Encoding ({size, kind}) where kind is int, uint or float
+ */
+export function scalarEncoding(type) {
+  const normalized = type.replace(/\b(const|volatile|signed|register|static|extern)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (normalized.endsWith('*')) return { size: 8, kind: 'uint' };
+
+  const unsigned = /\bunsigned\b/.test(normalized);
+  const base = normalized.replace(/\bunsigned\b/, '').trim() || 'int';
+
+  switch (base) {
+    case 'char':
+    case '_Bool':
+      return { size: 1, kind: unsigned || base === '_Bool' ? 'uint' : 'int' };
+    case 'short':
+    case 'short int':
+      return { size: 2, kind: unsigned ? 'uint' : 'int' };
+    case 'long':
+    case 'long int':
+    case 'long long':
+    case 'long long int':
+      return { size: 8, kind: unsigned ? 'uint' : 'int' };
+    case 'float':
+      return { size: 4, kind: 'float' };
+    case 'double':
+    case 'long double':
+      return { size: 8, kind: 'float' };
+    default:
+      // int, enums and anything else stored as a machine word
+      return { size: 4, kind: unsigned ? 'uint' : 'int' };
+  }
+}
+
+/**
+ * Check whether values of a type are kept as BigInt (long long needs all 64 bits)
+ * @param {string} type - Type name
+ * @returns {boolean} True for long long and unsigned long long
+ */
+export function usesBigInt(type) {
+  return /\blong long( int)?$/.test(type);
+}
+
+/**
+ * Byte-addressable memory split into segments, stored little-endian
+ */
+export class Memory {
+  /**
+   * Create an empty address space
+   */
+  constructor() {
+    this.segments = Object.entries(MEMORY_LAYOUT).map(([name, layout]) => ({
+      name,
+      start: layout.start,
+      size: layout.size,
+      readOnly: layout.readOnly,
+      // Pages are created on first write; a missing page reads as zeros
+      pages: [],
+      // Indexes of the pages this copy may write in place, or null while the page list itself is shared
+      ownedPages: new Set()
+    }));
+
+    // Read-only segments may be written while the program is being loaded
+    this.loading = true;
+
+    // Byte ranges ({start, end}) reserved but not written since: fresh locals and malloc blocks
+    this.undefinedRanges = [];
+  }
+
+  /**
+   * Get a segment by name
+   * @param {string} name - Segment name (rodata, data, stack, heap, text)
+   * @returns {Object} Segment
+   */
+  segment(name) {
+    return this.segments.find(segment => segment.name === name);
+  }
+
+  /**
+   * Find the segment containing an address
+   * @param {number} address - Memory address
+   * @returns {Object|null} Segment or null if the address is not mapped
+   */
+  findSegment(address) {
+    return this.segments.find(segment =>
+      address >= segment.start && address < segment.start + segment.size) || null;
+  }
+
+  /**
+   * Find the segment containing a whole range, failing like a real process would
+   * @param {number} address - First address
+   * @param {number} length - Number of bytes
+   * @returns {Object} Segment
+   * @throws {Error} If any byte of the range is not mapped
+   */
+  resolve(address, length) {
+    const segment = this.findSegment(address);
+    if (!segment || address + length > segment.start + segment.size) {
+      throw new Error(
+        `Segmentation fault: address 0x${address.toString(16).padStart(8, '0')} is outside mapped memory`
+      );
+    }
+    return segment;
+  }
+
+  /**
+   * Get a page of a segment that can be written in place, copying it if it is shared
+   * @param {Object} segment - Segment
+   * @param {number} index - Page index within the segment
+   * @returns {Uint8Array} Page bytes
+   */
+  writablePage(segment, index) {
+    if (!segment.ownedPages) {
+      segment.pages = segment.pages.slice();
+      segment.ownedPages = new Set();
+    }
+    if (!segment.ownedPages.has(index)) {
+      const page = segment.pages[index];
+      segment.pages[index] = page ? page.slice() : new Uint8Array(PAGE_SIZE);
+      segment.ownedPages.add(index);
+    }
+    return segment.pages[index];
+  }
+
+  /**
+   * Read raw bytes
+   * @param {number} address - First address
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Copy of the bytes (never-written bytes read as 0)
+   */
+  readBytes(address, length) {
+    const segment = this.resolve(address, length);
+    const offset = address - segment.start;
+    const result = new Uint8Array(length);
+
+    for (let done = 0; done < length;) {
+      const position = offset + done;
+      const start = position % PAGE_SIZE;
+      const count = Math.min(PAGE_SIZE - start, length - done);
+      const page = segment.pages[Math.floor(position / PAGE_SIZE)];
+      if (page) result.set(page.subarray(start, start + count), done);
+      done += count;
+    }
+    return result;
+  }
+
+  /**
+   * Write raw bytes
+   * @param {number} address - First address
+   * @param {Uint8Array|Array} bytes - Bytes to write
+   */
+  writeBytes(address, bytes) {
+    const segment = this.resolve(address, bytes.length);
+    if (segment.readOnly && !this.loading) {
+      throw new Error(
+        `Segmentation fault: write to read-only ${segment.name} segment at 0x${address.toString(16).padStart(8, '0')}`
+      );
+    }
+
+    const offset = address - segment.start;
+    const data = Uint8Array.from(bytes);
+    for (let done = 0; done < data.length;) {
+      const position = offset + done;
+      const start = position % PAGE_SIZE;
+      const count = Math.min(PAGE_SIZE - start, data.length - done);
+      this.writablePage(segment, Math.floor(position / PAGE_SIZE)).set(data.subarray(done, done + count), start);
+      done += count;
+    }
+    this.defineRange(address, bytes.length);
+  }
+
+  /**
+   * Mark bytes as holding no value yet; they keep whatever they held before
+   * @param {number} address - First address
+   * @param {number} length - Number of bytes
+   */
+  markUndefined(address, length) {
+    if (length <= 0) return;
+    this.defineRange(address, length);
+    this.undefinedRanges.push({ start: address, end: address + length });
+  }
+
+  /**
+   * Mark bytes as written
+   * @param {number} address - First address
+   * @param {number} length - Number of bytes
+   */
+  defineRange(address, length) {
+    if (this.undefinedRanges.length === 0) return;
+
+    const end = address + length;
+    const ranges = [];
+    this.undefinedRanges.forEach(range => {
+      if (range.end <= address || range.start >= end) {
+        ranges.push(range);
+        return;
+      }
+      // Keep the parts of the range on either side of the write
+      if (range.start < address) ranges.push({ start: range.start, end: address });
+      if (range.end > end) ranges.push({ start: end, end: range.end });
+    });
+    this.undefinedRanges = ranges;
+  }
+
+  /**
+   * Find the first byte of a range that was never written since it was reserved
+   * @param {number} address - First address
+   * @param {number} length - Number of bytes
+   * @returns {number} Address of the byte, or -1 if every byte has a value
+   */
+  findUndefined(address, length) {
+    const end = address + length;
+    return this.undefinedRanges
+      .filter(range => range.start < end && range.end > address)
+      .reduce((first, range) => {
+        const start = Math.max(range.start, address);
+        return first === -1 ? start : Math.min(first, start);
+      }, -1);
+  }
+
+  /**
+   * Read a single byte
+   * @param {number} address - Memory address
+   * @returns {number} Byte value (0-255)
+   */
+  readByte(address) {
+    return this.readBytes(address, 1)[0];
+  }
+
+  /**
+   * Load a typed value
+   * @param {number} address - Memory address
+   * @param {string} type - Scalar type
+   * @returns {number|bigint} Decoded value (BigInt for long long)
+   */
+  load(address, type) {
+    const { size, kind } = scalarEncoding(type);
+    const view = new DataView(this.readBytes(address, size).buffer);
+
+    if (kind === 'float') {
+      return size === 4 ? view.getFloat32(0, true) : view.getFloat64(0, true);
+    }
+
+    switch (size) {
+      case 1: return kind === 'int' ? view.getInt8(0) : view.getUint8(0);
+      case 2: return kind === 'int' ? view.getInt16(0, true) : view.getUint16(0, true);
+      case 4: return kind === 'int' ? view.getInt32(0, true) : view.getUint32(0, true);
+      default: {
+        // long long keeps all 64 bits; long and pointers fit in a double for the simulated addresses
+        const value = kind === 'int' ? view.getBigInt64(0, true) : view.getBigUint64(0, true);
+        return usesBigInt(type) ? value : Number(value);
+      }
+    }
+  }
+
+  /**
+   * Store a typed value
+   * @param {number} address - Memory address
+   * @param {string} type - Scalar type
+   * @param {number|bigint} value - Value to encode
+   */
+  store(address, type, value) {
+    const { size, kind } = scalarEncoding(type);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    if (kind === 'float') {
+      if (size === 4) view.setFloat32(0, value, true);
+      else view.setFloat64(0, value, true);
+    } else {
+      // Integers keep their low-order bits, like a real store
+      const integer = typeof value === 'bigint' ? value : BigInt(Math.trunc(Number(value) || 0));
+      switch (size) {
+        case 1: view.setUint8(0, Number(BigInt.asUintN(8, integer))); break;
+        case 2: view.setUint16(0, Number(BigInt.asUintN(16, integer)), true); break;
+        case 4: view.setUint32(0, Number(BigInt.asUintN(32, integer)), true); break;
+        default: view.setBigUint64(0, BigInt.asUintN(64, integer), true);
+      }
+    }
+
+    this.writeBytes(address, bytes);
+  }
+
+  /**
+   * Read a NUL-terminated string
+   * @param {number} address - Address of the first character
+   * @param {number} limit - Maximum number of characters to read
+   * @returns {string} String contents
+   */
+  readString(address, limit = 4096) {
+    let text = '';
+    for (let current = address; text.length < limit; current++) {
+      const byte = this.readByte(current);
+      if (byte === 0) break;
+      text += String.fromCharCode(byte);
+    }
+    return text;
+  }
+
+  /**
+   * Write a string followed by its NUL terminator
+   * @param {number} address - Destination address
+   * @param {string} text - String contents
+   */
+  writeString(address, text) {
+    const bytes = [...text].map(char => char.charCodeAt(0) & 0xFF);
+    bytes.push(0);
+    this.writeBytes(address, bytes);
+  }
+
+  /**
+   * Copy the address space (used for execution step snapshots)
+   * The copy shares its pages with this one; whichever of the two writes to a page first copies it
+   * @returns {Memory} Independent copy
+   */
+  clone() {
+    const copy = new Memory();
+    copy.loading = this.loading;
+    copy.undefinedRanges = this.undefinedRanges.slice();
+    copy.segments.forEach((segment, index) => {
+      segment.pages = this.segments[index].pages;
+      segment.ownedPages = null;
+      this.segments[index].ownedPages = null;
+    });
+    return copy;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Numeric library module: math.h functions, string-to-number conversions and the rand() generator
+ */
+
+/**
+ * Largest value rand() returns, as stdlib.h defines it
+ */
+export const RAND_MAX = 2147483647;
+
+/**
+ * math.h functions of double arguments; domain says which arguments are valid (EDOM otherwise)
+ */
+export const MATH_FUNCTIONS = {
+  sqrt: { compute: Math.sqrt, domain: x => x >= 0 || Number.isNaN(x) },
+  pow: { compute: Math.pow, domain: (x, y) => x >= 0 || Number.isInteger(y) || !Number.isFinite(y) },
+  fabs: { compute: Math.abs },
+  floor: { compute: Math.floor },
+  ceil: { compute: Math.ceil },
+  // Halfway cases round away from zero, unlike Math.round
+  round: { compute: x => Math.sign(x) * Math.round(Math.abs(x)) },
+  // JavaScript's % on numbers is C's fmod: the result has the sign of x
+  fmod: { compute: (x, y) => x % y, domain: (x, y) => y !== 0 && Number.isFinite(x) },
+  exp: { compute: Math.exp },
+  log: { compute: Math.log, domain: x => x >= 0 || Number.isNaN(x) },
+  log10: { compute: Math.log10, domain: x => x >= 0 || Number.isNaN(x) },
+  sin: { compute: Math.sin, domain: x => Number.isFinite(x) || Number.isNaN(x) },
+  cos: { compute: Math.cos, domain: x => Number.isFinite(x) || Number.isNaN(x) },
+  tan: { compute: Math.tan, domain: x => Number.isFinite(x) || Number.isNaN(x) }
+};
+
+/**
+ * Advance the generator behind rand(): the linear congruential generator glibc uses for its simplest
+ * state size, so a seed always gives the same sequence
+ * @param {number} state - Current state (the seed, or the previous result)
+ * @returns {number} Next state, which is also the value rand() returns (0 to RAND_MAX)
+ */
+export function nextRandom(state) {
+  // Math.imul keeps the low 32 bits of the product, which is all the mask needs
+  return (Math.imul(state, 1103515245) + 12345) & RAND_MAX;
+}
+
+/**
+ * Parse an integer as strtol does: leading white space, a sign, a 0x or 0 prefix when the base allows it,
+ * then as many digits of the base as there are
+ * @param {string} text - Text to parse
+ * @param {number} base - Base from 2 to 36, or 0 to take it from the prefix
+ * @returns {Object} Result ({value, length}) where length is the number of characters used, 0 if there were no digits
+ */
+export function parseInteger(text, base) {
+  const sign = /^\s*([+-]?)/.exec(text);
+  let index = sign[0].length;
+
+  if ((base === 0 || base === 16) && /^0[xX][0-9a-fA-F]/.test(text.slice(index))) {
+    base = 16;
+    index += 2;
+  } else if (base === 0) {
+    base = text[index] === '0' ? 8 : 10;
+  }
+
+  const start = index;
+  let value = 0n;
+  while (index < text.length) {
+    const digit = parseInt(text[index], 36);
+    if (Number.isNaN(digit) || digit >= base) break;
+    value = value * BigInt(base) + BigInt(digit);
+    index++;
+  }
+
+  if (index === start) return { value: 0n, length: 0 };
+  return { value: sign[1] === '-' ? -value : value, length: index };
+}
+
+/**
+ * Parse a floating value as strtod does: leading white space, a sign, then a decimal number with an
+ * optional exponent, INF, INFINITY or NAN
+ * @param {string} text - Text to parse
+ * @returns {Object} Result ({value, length}) where length is the number of characters used, 0 if there was no number
+ */
+export function parseFloating(text) {
+  const match = /^\s*([+-]?)(?:((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|(inf(?:inity)?)|(nan))/i.exec(text);
+  if (!match) return { value: 0, length: 0 };
+
+  const [whole, sign, decimal, infinity] = match;
+  let value = NaN;
+  if (decimal) value = parseFloat(decimal);
+  else if (infinity) value = Infinity;
+  return { value: sign === '-' ? -value : value, length: whole.length };
+}
@@ -22,6 +22,24 @@ export class Parser {
     this.operators = {
       assignment: ['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']
     };
+    
+    // Keywords that can start a declaration
+    this.typeKeywords = {
+      base: ['void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned', '_Bool'],
+      qualifiers: ['const', 'volatile', 'restrict'],
+      storage: ['static', 'extern', 'register', 'auto', 'inline'],
+      tags: ['struct', 'union', 'enum']
+    };
+    
+    // Names introduced by typedef, mapped to the type they stand for
+    this.typedefs = new Map();
+    
+    // Struct, union and enum definitions in the order they were completed
+    this.typeDefinitions = [];
+    this.anonymousCount = 0;
+    
+    // Syntax errors found so far ({line, column, expected, found, message})
+    this.diagnostics = [];
   }
   
   /**
@@ -31,13 +49,70 @@ export class Parser {
   parse() {
     this.currentTokenIndex = 0;
     this.tokens = this.appState.tokens;
+    this.typedefs = new Map();
+    this.typeDefinitions = [];
+    this.anonymousCount = 0;
+    this.diagnostics = [];
     
     if (this.tokens.length === 0) {
       throw new Error('No tokens to parse');
     }
     
-    // Start parsing from program root
-    return this.parseProgram();
+    // Start parsing from program root; syntax errors are collected instead of stopping the parse
+    const root = this.parseProgram();
+    this.numberNodes(root);
+    
+    const { compilationProcess } = this.appState;
+    const count = type => root.children.filter(node => node.type === type).length;
+    compilationProcess.currentPhase = 'parsing';
+    compilationProcess.tokenization = [
+      `${this.tokens.length} tokens read`,
+      `${count('function_definition')} function definition(s), ${count('function_declaration')} prototype(s), ` +
+        `${count('variable_declaration')} global declaration(s)`,
+      `${root.headerDeclarations.length} declaration(s) from included headers`,
+      `${this.diagnostics.length} syntax error(s)`
+    ];
+    this.diagnostics.forEach(diagnostic => {
+      compilationProcess.errors.push(
+        `line ${diagnostic.line}:${diagnostic.column}: error: ${diagnostic.message}`
+      );
+    });
+    
+    return root;
+  }
+  
+  /**
+   * Parse a line typed in the input area: an expression (the semicolon is optional) or a statement
+   * @param {Array} tokens - Tokens of the line
+   * @param {Map} typedefs - Typedef names of the program
+   * @returns {Object} Parsed input ({node, expression}) where expression is false for statements
+   * @throws {Error} Syntax error with a diagnostic
+   */
+  parseInteractive(tokens, typedefs = new Map()) {
+    this.tokens = tokens;
+    this.currentTokenIndex = 0;
+    this.typedefs = new Map(typedefs);
+    
+    if (tokens.length === 0) {
+      throw new Error('Nothing to evaluate');
+    }
+    
+    const token = this.getCurrentToken();
+    const expression = !(this.checkValue('{') || this.isTypeStart() ||
+      token.type === 'keyword' && token.value !== 'sizeof');
+    
+    let node;
+    if (expression) {
+      node = this.finishNode(this.parseExpression(), 0);
+      this.tryConsume('punctuation', ';');
+    } else {
+      node = this.parseStatement();
+    }
+    
+    if (this.getCurrentToken()) {
+      throw this.syntaxError(`Unexpected token '${this.getCurrentToken().value}'`, 'end of input');
+    }
+    return { node, expression };
   }
   
   /**
@@ -86,13 +161,14 @@ export class Parser {
   consume(type, value = null) {
     const token = this.getCurrentToken();
     if (!token) {
-      throw new Error(`Expected token of type ${type}, but reached end of tokens`);
+      throw this.syntaxError(`Expected token of type ${type}, but reached end of tokens`, value ? `'${value}'` : type);
     }
     
     if (token.type !== type || (value !== null && token.value !== value)) {
-      throw new Error(
+      throw this.syntaxError(
         `Expected token of type ${type}${value ? ` with value '${value}'` : ''}, ` +
-        `but found ${token.type} '${token.value}' at line ${token.line}`
+        `but found ${token.type} '${token.value}' at line ${token.line}`,
+        value ? `'${value}'` : type
       );
     }
     
@@ -100,6 +176,121 @@ export class Parser {
     return token;
   }
   
+  /**
+   * Build a syntax error pointing at the current token
+   * @param {string} message - Error message
+   * @param {string} expected - What the grammar expected at this point
+   * @returns {Error} Error carrying a diagnostic ({line, column, expected, found, message})
+   */
+  syntaxError(message, expected) {
+    const token = this.getCurrentToken();
+    const lastToken = this.tokens[this.tokens.length - 1];
+    const found = token ? `'${token.value}'` : 'end of input';
+    
+    const error = new Error(message);
+    error.diagnostic = {
+      line: token ? token.line : lastToken.line,
+      column: token ? token.column : lastToken.column + String(lastToken.value).length,
+      expected,
+      found,
+      message: `expected ${expected} before ${found}`
+    };
+    return error;
+  }
+  
+  /**
+   * Record the source span of a node: start and end positions and the tokens it covers
+   * @param {ASTNode} node - Node that was just parsed
+   * @param {number} startIndex - Index of its first token
+   * @returns {ASTNode} The same node
+   */
+  finishNode(node, startIndex) {
+    const endIndex = Math.max(startIndex, this.currentTokenIndex - 1);
+    const first = this.tokens[startIndex];
+    const last = this.tokens[endIndex];
+    if (!first || !last) return node;
+    
+    node.tokenRange = { start: startIndex, end: endIndex };
+    node.start = { line: first.line, column: first.column };
+    node.end = { line: last.line, column: last.column + String(last.value).length - 1 };
+    return node;
+  }
+  
+  /**
+   * Give every node an id in tree order, so execution steps can refer to the node they execute
+   * Nodes built from other nodes without a span of their own (a + b in a + b + c) cover their children
+   * @param {ASTNode} root - Program node
+   */
+  numberNodes(root) {
+    let nextId = 0;
+    const visit = node => {
+      node.id = nextId++;
+      const children = [...node.children, node.callee, node.lengthExpression].filter(Boolean);
+      children.forEach(visit);
+      
+      const spans = children.filter(child => child.tokenRange);
+      if (!node.tokenRange && spans.length > 0) {
+        const first = spans.reduce((a, b) => (a.tokenRange.start <= b.tokenRange.start ? a : b));
+        const last = spans.reduce((a, b) => (a.tokenRange.end >= b.tokenRange.end ? a : b));
+        node.tokenRange = { start: first.tokenRange.start, end: last.tokenRange.end };
+        node.start = first.start;
+        node.end = last.end;
+      }
+    };
+    
+    visit(root);
+    root.headerDeclarations.forEach(visit);
+  }
+  
+  /**
+   * Record a syntax error and skip to a point where parsing can resume (panic mode)
+   * Tokens are discarded up to the next ';' or '}', skipping over whole nested blocks
+   * @param {Error} error - Error thrown while parsing
+   * @param {number} startIndex - Index of the first token of the failed construct
+   * @param {boolean} inBlock - Leave a closing '}' for the enclosing block to consume
+   * @returns {ASTNode} Error node standing in for the construct in the partial AST
+   */
+  recover(error, startIndex, inBlock) {
+    // Anything but a syntax error is a bug in the parser, not something to show as the program's mistake
+    if (!error.diagnostic) throw error;
+    const { diagnostic } = error;
+    
+    // The same position can fail again while unwinding nested constructs
+    const duplicate = this.diagnostics.some(other =>
+      other.line === diagnostic.line && other.column === diagnostic.column);
+    if (!duplicate) {
+      this.diagnostics.push(diagnostic);
+    }
+    
+    // Always make progress so a bad token can't stall the parser
+    if (this.currentTokenIndex === startIndex) {
+      this.advance();
+    }
+    
+    while (this.getCurrentToken()) {
+      if (this.tryConsume('punctuation', ';')) break;
+      if (this.checkValue('}')) {
+        if (!inBlock) this.advance();
+        break;
+      }
+      if (this.checkValue('{')) {
+        // Discard the whole block (a function body or initializer after the error)
+        let depth = 0;
+        do {
+          if (this.checkValue('{')) depth++;
+          if (this.checkValue('}')) depth--;
+          this.advance();
+        } while (this.getCurrentToken() && depth > 0);
+        break;
+      }
+      this.advance();
+    }
+    
+    const errorNode = new ASTNode('error', diagnostic.message);
+    errorNode.line = diagnostic.line;
+    return errorNode;
+  }
+  
   /**
    * Try to consume token of specified type and value
    * @param {string} type - Expected token type
@@ -122,23 +313,46 @@ export class Parser {
   parseProgram() {
     const root = new ASTNode('program');
     
+    // Declarations brought in by #include are kept apart from the user's code
+    root.headerDeclarations = [];
+    
+    // Every struct, union and enum definition, nested and local ones included
+    root.typeDefinitions = this.typeDefinitions;
+    
+    // Typedef names, so code typed later in the input area can use them
+    root.typedefs = this.typedefs;
+    
     // Process all global declarations and function definitions
     while (this.getCurrentToken()) {
-      // Preprocessor directives
-      if (this.checkType('preprocessor')) {
-        const directive = this.parsePreprocessorDirective();
-        root.addChild(directive);
-      }
-      // Type declarations (variables, functions)
-      else if (this.checkType('keyword')) {
-        const declaration = this.parseTypeDeclaration();
-        root.addChild(declaration);
-      } else {
-        // Unexpected tokens in global scope
-        const token = this.getCurrentToken();
-        throw new Error(
-          `Unexpected token in global scope: ${token.type} '${token.value}' at line ${token.line}`
-        );
+      const startIndex = this.currentTokenIndex;
+      const file = this.getCurrentToken().file;
+      
+      try {
+        // Preprocessor directives
+        if (this.checkType('preprocessor')) {
+          const directive = this.parsePreprocessorDirective();
+          root.addChild(this.finishNode(directive, startIndex));
+        }
+        // Type declarations (variables, functions)
+        else if (this.isTypeStart() || this.checkValue('typedef')) {
+          const declaration = this.finishNode(this.parseTypeDeclaration(), startIndex);
+          
+          if (file && file !== 'main.c') {
+            declaration.file = file;
+            root.headerDeclarations.push(declaration);
+          } else {
+            root.addChild(declaration);
+          }
+        } else {
+          // Unexpected tokens in global scope
+          const token = this.getCurrentToken();
+          throw this.syntaxError(
+            `Unexpected token in global scope: ${token.type} '${token.value}' at line ${token.line}`,
+            'a declaration'
+          );
+        }
+      } catch (error) {
+        root.addChild(this.finishNode(this.recover(error, startIndex, false), startIndex));
       }
     }
     
@@ -151,7 +365,250 @@ export class Parser {
    */
   parsePreprocessorDirective() {
     const token = this.consume('preprocessor');
-    return new ASTNode('preprocessor_directive', token.value);
+    const directiveNode = new ASTNode('preprocessor_directive', token.value);
+    directiveNode.line = token.line;
+    
+    // The rest of the directive line (header name, macro name and body)
+    directiveNode.arguments = [];
+    while (this.getCurrentToken() && this.getCurrentToken().line === token.line) {
+      directiveNode.arguments.push(this.getCurrentToken().value);
+      this.advance();
+    }
+    
+    return directiveNode;
+  }
+  
+  /**
+   * Check if a token starts a type name
+   * @param {number} offset - Distance from the current token
+   * @returns {boolean} True if a declaration starts there
+   */
+  isTypeStart(offset = 0) {
+    const token = this.tokens[this.currentTokenIndex + offset];
+    if (!token) return false;
+    
+    if (token.type === 'keyword') {
+      return Object.values(this.typeKeywords).some(keywords => keywords.includes(token.value));
+    }
+    
+    return token.type === 'identifier' && this.typedefs.has(token.value);
+  }
+  
+  /**
+   * Parse type specifiers and qualifiers (unsigned long, const char, struct Node, size_t)
+   * @returns {Object} Specifier ({type, qualifiers, storage})
+   */
+  parseTypeSpecifier() {
+    const startToken = this.getCurrentToken();
+    if (!startToken) {
+      throw this.syntaxError('Expected type name, but reached end of input', 'type name');
+    }
+    const words = [];
+    const qualifiers = [];
+    let storage = null;
+    let type = null;
+    let definition = null;
+    
+    while (this.getCurrentToken()) {
+      const token = this.getCurrentToken();
+      
+      if (token.type === 'keyword' && this.typeKeywords.qualifiers.includes(token.value)) {
+        qualifiers.push(this.consume('keyword').value);
+      } else if (token.type === 'keyword' && this.typeKeywords.storage.includes(token.value)) {
+        storage = this.consume('keyword').value;
+      } else if (token.type === 'keyword' && this.typeKeywords.base.includes(token.value) && !type) {
+        words.push(this.consume('keyword').value);
+      } else if (token.type === 'keyword' && this.typeKeywords.tags.includes(token.value) &&
+                 !type && words.length === 0) {
+        const tag = this.consume('keyword').value;
+        const name = this.checkType('identifier') ? this.consume('identifier').value : null;
+        
+        if (this.checkValue('{')) {
+          // Definition (struct Pessoa { ... }), possibly anonymous
+          definition = tag === 'enum' ? this.parseEnumBody(name) : this.parseRecordBody(tag, name);
+          type = definition.dataType;
+        } else if (name) {
+          // Reference to a tag defined elsewhere (struct Pessoa p, struct Node *next)
+          type = `${tag} ${name}`;
+        } else {
+          const found = this.getCurrentToken();
+          throw this.syntaxError(
+            `Expected identifier or '{' after '${tag}', but found '${found ? found.value : 'end of input'}' at line ${token.line}`,
+            `identifier or '{'`
+          );
+        }
+      } else if (token.type === 'identifier' && this.typedefs.has(token.value) &&
+                 !type && words.length === 0) {
+        type = this.typedefs.get(this.consume('identifier').value);
+      } else {
+        break;
+      }
+    }
+    
+    if (!type && words.length === 0) {
+      throw this.syntaxError(
+        `Expected type name, but found ${startToken.type} '${startToken.value}' at line ${startToken.line}`,
+        'type name'
+      );
+    }
+    
+    return { type: type || this.normalizeType(words), qualifiers, storage, definition };
+  }
+  
+  /**
+   * Parse the member list of a struct or union definition
+   * @param {string} tag - struct or union
+   * @param {string|null} name - Tag name (null for anonymous definitions)
+   * @returns {ASTNode} Struct or union definition node
+   */
+  parseRecordBody(tag, name) {
+    const recordName = name || `<anonymous${++this.anonymousCount}>`;
+    const definitionNode = new ASTNode(`${tag}_definition`, recordName);
+    definitionNode.dataType = `${tag} ${recordName}`;
+    definitionNode.anonymous = !name;
+    definitionNode.line = this.getCurrentToken().line;
+    const bodyStart = this.currentTokenIndex;
+    
+    this.consume('punctuation', '{');
+    
+    while (!this.checkValue('}')) {
+      if (!this.getCurrentToken()) {
+        throw this.syntaxError(`Expected '}' to end the ${tag} definition, but reached end of input`, "'}'");
+      }
+      const memberStart = this.currentTokenIndex;
+      const line = this.getCurrentToken().line;
+      const specifier = this.parseTypeSpecifier();
+      
+      // Anonymous struct or union member, whose fields belong to the enclosing record
+      if (this.checkValue(';')) {
+        this.consume('punctuation', ';');
+        const memberNode = new ASTNode('member', '');
+        memberNode.dataType = specifier.type;
+        memberNode.anonymous = true;
+        memberNode.line = line;
+        definitionNode.addChild(this.finishNode(memberNode, memberStart));
+        continue;
+      }
+      
+      do {
+        this.tryConsume('punctuation', ',');
+        
+        // Unnamed bit-fields (int : 3) only pad the layout
+        const declarator = this.parseDeclarator(specifier.type, true);
+        const memberType = declarator.type;
+        const memberNode = new ASTNode('member', declarator.name);
+        memberNode.qualifiers = [...specifier.qualifiers, ...declarator.qualifiers];
+        
+        // Bit-field width (unsigned int flag : 1)
+        if (this.tryConsume('punctuation', ':')) {
+          memberNode.bitWidth = parseInt(this.consume('literal').value);
+        }
+        
+        memberNode.dataType = memberType;
+        memberNode.line = line;
+        definitionNode.addChild(this.finishNode(memberNode, memberStart));
+      } while (this.checkValue(','));
+      
+      this.consume('punctuation', ';');
+    }
+    
+    this.consume('punctuation', '}');
+    this.typeDefinitions.push(definitionNode);
+    
+    return this.finishNode(definitionNode, bodyStart);
+  }
+  
+  /**
+   * Parse the enumerator list of an enum definition
+   * @param {string|null} name - Tag name (null for anonymous enums)
+   * @returns {ASTNode} Enum definition node
+   */
+  parseEnumBody(name) {
+    const enumName = name || `<anonymous${++this.anonymousCount}>`;
+    const definitionNode = new ASTNode('enum_definition', enumName);
+    definitionNode.dataType = `enum ${enumName}`;
+    definitionNode.anonymous = !name;
+    definitionNode.line = this.getCurrentToken().line;
+    const bodyStart = this.currentTokenIndex;
+    
+    this.consume('punctuation', '{');
+    
+    while (!this.checkValue('}')) {
+      const enumeratorStart = this.currentTokenIndex;
+      const enumeratorNode = new ASTNode('enumerator', this.consume('identifier').value);
+      
+      // Explicit value (RED = 2)
+      if (this.checkValue('=')) {
+        this.consume('operator', '=');
+        enumeratorNode.addChild(this.parseAssignment());
+      }
+      
+      definitionNode.addChild(this.finishNode(enumeratorNode, enumeratorStart));
+      
+      if (!this.checkValue('}')) {
+        this.consume('punctuation', ',');
+      }
+    }
+    
+    this.consume('punctuation', '}');
+    this.typeDefinitions.push(definitionNode);
+    
+    return this.finishNode(definitionNode, bodyStart);
+  }
+  
+  /**
+   * Parse a declaration with no declarators (struct Node { ... }; or struct Node;)
+   * @param {Object} specifier - Parsed type specifier
+   * @returns {ASTNode} Type definition or forward declaration node
+   */
+  parseTagDeclaration(specifier) {
+    this.consume('punctuation', ';');
+    
+    if (specifier.definition) {
+      return specifier.definition;
+    }
+    
+    // Forward declaration of an incomplete type
+    return new ASTNode('struct_declaration', specifier.type);
+  }
+  
+  /**
+   * Parse a declaration inside a block
+   * @returns {ASTNode} Variable declaration or type definition node
+   */
+  parseLocalDeclaration() {
+    const specifier = this.parseTypeSpecifier();
+    
+    if (this.checkValue(';')) {
+      return this.parseTagDeclaration(specifier);
+    }
+    
+    const declaration = this.parseVariableDeclaration(specifier.type, specifier);
+    declaration.typeDefinition = specifier.definition;
+    return declaration;
+  }
+  
+  /**
+   * Combine base type keywords into a canonical type name
+   * @param {Array} words - Keywords such as ['unsigned', 'long', 'int']
+   * @returns {string} Canonical type (unsigned long)
+   */
+  normalizeType(words) {
+    const unsigned = words.includes('unsigned');
+    const longCount = words.filter(word => word === 'long').length;
+    
+    let base;
+    if (words.includes('char')) base = 'char';
+    else if (words.includes('short')) base = 'short';
+    else if (words.includes('double')) base = longCount > 0 ? 'long double' : 'double';
+    else if (longCount === 2) base = 'long long';
+    else if (longCount === 1) base = 'long';
+    else if (words.includes('float')) base = 'float';
+    else if (words.includes('void')) base = 'void';
+    else if (words.includes('_Bool')) base = '_Bool';
+    else base = 'int';
+    
+    return unsigned ? `unsigned ${base}` : base;
   }
   
   /**
@@ -159,8 +616,23 @@ export class Parser {
    * @returns {ASTNode} Declaration node
    */
   parseTypeDeclaration() {
-    // Get type (int, char, float, etc.)
-    const typeToken = this.consume('keyword');
+    const startLine = this.getCurrentToken().line;
+    
+    if (this.checkValue('typedef')) {
+      const typedefNode = this.parseTypedef();
+      typedefNode.line = startLine;
+      return typedefNode;
+    }
+    
+    // Get type (int, char, unsigned long, struct Pessoa, etc.)
+    const specifier = this.parseTypeSpecifier();
+    
+    // Type definition or forward declaration on its own (struct Pessoa { ... };)
+    if (this.checkValue(';')) {
+      const tagDeclaration = this.parseTagDeclaration(specifier);
+      tagDeclaration.line = startLine;
+      return tagDeclaration;
+    }
     
     // Look ahead to determine if it's a function or variable declaration
     const initialTokens = this.tokens.slice(this.currentTokenIndex);
@@ -176,7 +648,7 @@ export class Parser {
       if (nestedParentheses === 0 && t.value === '{') {
         isFunction = true;
         break;
-      } else if (nestedParentheses === 0 && t.value === ';') {
+      } else if (nestedParentheses === 0 && (t.value === ';' || t.value === '=')) {
         isFunction = false;
         break;
       }
@@ -184,50 +656,239 @@ export class Parser {
       i++;
     }
     
-    if (isFunction) {
-      return this.parseFunctionDefinition(typeToken.value);
-    } else {
-      return this.parseVariableDeclaration(typeToken.value);
+    // Prototypes (int printf(const char *format, ...);) have a parameter list right after the name
+    let nameIndex = 0;
+    while (initialTokens[nameIndex] && initialTokens[nameIndex].value === '*') nameIndex++;
+    const isPrototype = !isFunction &&
+      initialTokens[nameIndex + 1] && initialTokens[nameIndex + 1].value === '(';
+    
+    const declaration = isFunction || isPrototype ?
+      this.parseFunctionDefinition(specifier.type) :
+      this.parseVariableDeclaration(specifier.type, specifier);
+    declaration.line = startLine;
+    if (specifier.definition) {
+      declaration.typeDefinition = specifier.definition;
     }
+    
+    return declaration;
   }
   
   /**
-   * Parse function definition
-   * @param {string} returnType - Function return type
-   * @returns {ASTNode} Function definition node
+   * Parse typedef declaration (typedef unsigned long size_t;)
+   * @returns {ASTNode} Typedef node
    */
-  parseFunctionDefinition(returnType) {
-    // Function name
-    const nameToken = this.consume('identifier');
-    const functionName = nameToken.value;
+  parseTypedef() {
+    this.consume('keyword', 'typedef');
+    const specifier = this.parseTypeSpecifier();
+    
+    // typedef char Nome[50]; typedef int (*Comparador)(int, int);
+    const { name, type } = this.parseDeclarator(specifier.type);
+    
+    this.consume('punctuation', ';');
+    this.typedefs.set(name, type);
     
-    // Opening parenthesis
+    const typedefNode = new ASTNode('typedef_declaration', name);
+    typedefNode.dataType = type;
+    if (specifier.definition) {
+      typedefNode.typeDefinition = specifier.definition;
+    }
+    return typedefNode;
+  }
+  
+  /**
+   * Parse a parenthesized parameter list, including the opening and closing parentheses
+   * @returns {Object} Parameters ({parameters: [{type, name}], variadic, prototyped})
+   */
+  parseParameterList() {
     this.consume('punctuation', '(');
     
-    // Parse parameters
     const parameters = [];
-    if (!this.checkValue(')')) {
-      do {
-        if (this.checkType('keyword')) {
-          const paramType = this.consume('keyword').value;
-          const paramName = this.checkType('identifier') ? this.consume('identifier').value : '';
-          parameters.push({ type: paramType, name: paramName });
-          
-          // Consume comma if there are more parameters
-          if (this.checkValue(',')) {
-            this.consume('punctuation', ',');
-          }
-        }
-      } while (!this.checkValue(')'));
+    let variadic = false;
+    
+    // Empty parentheses (int f()) leave the parameters unspecified; (void) declares none
+    const prototyped = !this.checkValue(')');
+    
+    while (!this.checkValue(')')) {
+      // Variable arguments (...), tokenized as three dots
+      if (this.checkValue('.')) {
+        this.consume('punctuation', '.');
+        this.consume('punctuation', '.');
+        this.consume('punctuation', '.');
+        variadic = true;
+        break;
+      }
+      
+      const specifier = this.parseTypeSpecifier();
+      const declarator = this.parseDeclarator(specifier.type, true);
+      let paramType = declarator.type;
+      
+      // Array parameters (int values[], int m[][3]) are pointers to their first element
+      if (/\[\d*\]$/.test(paramType)) {
+        paramType = `${paramType.replace(/\[\d*\](?=(\[\d*\])*$)/, '')}*`;
+      } else if (paramType.endsWith(')')) {
+        // So are function parameters (int cmp(int, int))
+        paramType += '*';
+      }
+      
+      // (void) declares an empty parameter list
+      if (paramType !== 'void' || declarator.name) {
+        parameters.push({ type: paramType, name: declarator.name, qualifiers: specifier.qualifiers });
+      }
+      
+      if (!this.checkValue(')')) {
+        this.consume('punctuation', ',');
+      }
     }
     
-    // Closing parenthesis
     this.consume('punctuation', ')');
+    return { parameters, variadic, prototyped };
+  }
+  
+  /**
+   * Parse a declarator (*p, v[10], m[2][3], **pp, (*cmp)(int, int)) and build the declared type
+   * Types are written with suffixes: int*[3] is an array of 3 pointers, int[3]* a pointer to an array
+   * and int(int, int)* a pointer to a function
+   * @param {string} baseType - Type given by the declaration specifiers
+   * @param {boolean} abstract - Allow a declarator without a name (parameters and casts)
+   * @returns {Object} Declarator ({name, type, pointerDepth, dimensions, qualifiers})
+   */
+  parseDeclarator(baseType, abstract = false) {
+    // Pointers, each optionally qualified (char * const p)
+    let pointerDepth = 0;
+    const qualifiers = [];
+    while (this.checkValue('*') ||
+           (this.checkType('keyword') && this.typeKeywords.qualifiers.includes(this.getCurrentToken().value))) {
+      if (this.checkValue('*')) {
+        this.consume('operator', '*');
+        pointerDepth++;
+      } else {
+        qualifiers.push(this.consume('keyword').value);
+      }
+    }
+    
+    // A parenthesized declarator is applied to the type built from the suffixes that follow it
+    let inner = null;
+    let name = '';
+    const next = this.tokens[this.currentTokenIndex + 1];
+    if (this.checkValue('(') && next && (next.value === '*' || next.value === '(')) {
+      this.consume('punctuation', '(');
+      inner = this.parseDeclarator('$', abstract);
+      this.consume('punctuation', ')');
+    } else if (this.checkType('identifier') || (!abstract && this.checkType('function'))) {
+      name = this.consume(this.getCurrentToken().type).value;
+    } else if (!abstract) {
+      this.consume('identifier');
+    }
+    
+    // Array dimensions and parameter lists
+    let type = baseType + '*'.repeat(pointerDepth);
+    const dimensions = [];
+    let parameters = null;
+    
+    while (this.checkValue('[') || this.checkValue('(')) {
+      if (this.checkValue('(')) {
+        const list = this.parseParameterList();
+        parameters = list.parameters;
+        const parameterTypes = list.parameters.map(param => param.type);
+        if (list.variadic) parameterTypes.push('...');
+        type += `(${parameterTypes.join(', ')})`;
+        continue;
+      }
+      
+      this.consume('punctuation', '[');
+      let size = null;
+      if (!this.checkValue(']')) {
+        const sizeNode = this.parseAssignment();
+        const folded = this.foldConstant(sizeNode);
+        // Sizes known only at run time (int v[n]) keep their expression
+        size = folded === null ? sizeNode : folded;
+      }
+      this.consume('punctuation', ']');
+      
+      dimensions.push(size);
+      type += `[${typeof size === 'number' ? size : ''}]`;
+    }
+    
+    if (inner) {
+      return { ...inner, type: inner.type.replace('$', type) };
+    }
+    
+    return { name, type, pointerDepth, dimensions, qualifiers, parameters };
+  }
+  
+  /**
+   * Fold an integer constant expression (array sizes such as TAM * 2)
+   * @param {ASTNode} node - Expression node
+   * @returns {number|null} Value or null if the expression is not constant
+   */
+  foldConstant(node) {
+    switch (node.type) {
+      case 'literal':
+        return /^\d+[uUlL]*$/.test(node.value) ? parseInt(node.value) : null;
+      case 'unary_expression': {
+        const operand = this.foldConstant(node.children[0]);
+        if (operand === null) return null;
+        if (node.value === '-') return -operand;
+        if (node.value === '+') return operand;
+        return null;
+      }
+      case 'additive_expression':
+      case 'multiplicative_expression':
+      case 'shift_expression': {
+        const left = this.foldConstant(node.children[0]);
+        const right = this.foldConstant(node.children[1]);
+        if (left === null || right === null) return null;
+        switch (node.value) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? null : Math.trunc(left / right);
+          case '%': return right === 0 ? null : left % right;
+          case '<<': return left << right;
+          case '>>': return left >> right;
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Parse function definition or prototype
+   * @param {string} returnType - Function return type
+   * @returns {ASTNode} Function definition or declaration node
+   */
+  parseFunctionDefinition(returnType) {
+    // Pointer return types (char *strcpy(...))
+    while (this.checkValue('*')) {
+      this.consume('operator', '*');
+      returnType += '*';
+    }
+    
+    // Function name (library functions are tokenized as 'function')
+    const nameToken = this.consume(this.checkType('function') ? 'function' : 'identifier');
+    const functionName = nameToken.value;
+    
+    // Parse parameters
+    const { parameters, variadic, prototyped } = this.parseParameterList();
+    
+    // Prototype without a body
+    if (this.tryConsume('punctuation', ';')) {
+      const declarationNode = new ASTNode('function_declaration', functionName);
+      declarationNode.returnType = returnType;
+      declarationNode.parameters = parameters;
+      declarationNode.variadic = variadic;
+      declarationNode.prototyped = prototyped;
+      return declarationNode;
+    }
     
     // Create function node
     const functionNode = new ASTNode('function_definition', functionName);
     functionNode.returnType = returnType;
     functionNode.parameters = parameters;
+    functionNode.variadic = variadic;
+    functionNode.prototyped = prototyped;
     
     // Parse function body
     const functionBody = this.parseCompoundStatement();
@@ -241,46 +902,96 @@ export class Parser {
    * @returns {ASTNode} Compound statement node
    */
   parseCompoundStatement() {
+    const blockStart = this.currentTokenIndex;
     this.consume('punctuation', '{');
     
     const blockNode = new ASTNode('compound_statement');
     
-    // Parse statements within the block
-    while (!this.checkValue('}')) {
-      if (this.checkType('keyword')) {
-        const token = this.getCurrentToken();
-        
-        if (['if', 'for', 'while', 'do', 'switch', 'return'].includes(token.value)) {
-          const controlFlow = this.parseControlFlowStatement();
-          blockNode.addChild(controlFlow);
-        } else {
-          // Likely a variable declaration
-          const declaration = this.parseVariableDeclaration(token.value);
-          blockNode.addChild(declaration);
-        }
-      } else if (this.checkType('identifier')) {
-        // Assignment or function call
-        const expression = this.parseExpressionStatement();
-        blockNode.addChild(expression);
-      } else {
-        // Other statement types
-        const expression = this.parseExpressionStatement();
-        blockNode.addChild(expression);
+    // Parse statements within the block, recovering from errors at statement boundaries
+    while (this.getCurrentToken() && !this.checkValue('}')) {
+      const startIndex = this.currentTokenIndex;
+      try {
+        blockNode.addChild(this.parseStatement());
+      } catch (error) {
+        blockNode.addChild(this.finishNode(this.recover(error, startIndex, true), startIndex));
       }
     }
     
     this.consume('punctuation', '}');
-    return blockNode;
+    return this.finishNode(blockNode, blockStart);
+  }
+  
+  /**
+   * Parse a single statement (block, control flow, declaration, label or expression)
+   * @returns {ASTNode} Statement node
+   */
+  parseStatement() {
+    const startIndex = this.currentTokenIndex;
+    const startToken = this.getCurrentToken();
+    let statement;
+    
+    if (this.checkValue('{')) {
+      statement = this.parseCompoundStatement();
+    } else if (this.checkValue(';')) {
+      // Empty statement (while (*p++);)
+      this.advance();
+      statement = new ASTNode('empty');
+    } else if (this.checkType('keyword')) {
+      const token = this.getCurrentToken();
+      
+      if (['if', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'goto', 'return'].includes(token.value)) {
+        statement = this.parseControlFlowStatement();
+      } else if (token.value === 'typedef') {
+        statement = this.parseTypedef();
+      } else if (this.isTypeStart()) {
+        // Variable declaration or local type definition
+        statement = this.parseLocalDeclaration();
+      } else {
+        statement = this.parseExpressionStatement();
+      }
+    } else if (this.checkType('identifier') && this.tokens[this.currentTokenIndex + 1] &&
+               this.tokens[this.currentTokenIndex + 1].value === ':') {
+      statement = this.parseLabeledStatement();
+    } else if (this.isTypeStart()) {
+      // Declaration using a typedef name (size_t n = 0;)
+      statement = this.parseLocalDeclaration();
+    } else {
+      // Assignment, function call or other expression statement
+      statement = this.parseExpressionStatement();
+    }
+    
+    // Remember where the statement starts so execution steps can point at it
+    statement.line = startToken.line;
+    return this.finishNode(statement, startIndex);
+  }
+  
+  /**
+   * Parse a labelled statement (a goto target)
+   * @returns {ASTNode} Labeled statement node with the statement it labels as its child
+   */
+  parseLabeledStatement() {
+    const labelToken = this.consume('identifier');
+    this.consume('punctuation', ':');
+    
+    const labelNode = new ASTNode('labeled_statement', labelToken.value);
+    labelNode.line = labelToken.line;
+    
+    // A label at the end of a block labels an empty statement
+    labelNode.addChild(this.checkValue('}') ? new ASTNode('empty') : this.parseStatement());
+    return labelNode;
   }
   
   /**
    * Parse variable declaration
    * @param {string} type - Variable type
+   * @param {Object} specifier - Qualifiers and storage class from the declaration specifiers
    * @returns {ASTNode} Variable declaration node
    */
-  parseVariableDeclaration(type) {
+  parseVariableDeclaration(type, specifier = {}) {
     const declarationNode = new ASTNode('variable_declaration');
-    declarationNode.type = type;
+    declarationNode.dataType = type;
+    declarationNode.qualifiers = specifier.qualifiers || [];
+    declarationNode.storage = specifier.storage || null;
     
     let firstVar = true;
     do {
@@ -288,28 +999,41 @@ export class Parser {
         this.consume('punctuation', ',');
       }
       
-      const varNode = new ASTNode('variable');
+      // Declarator (x, *p, **pp, numeros[5], m[2][3], (*cmp)(int, int))
+      const declaratorStart = this.currentTokenIndex;
+      const declarator = this.parseDeclarator(type);
+      const varNode = new ASTNode('variable', declarator.name);
+      varNode.dataType = declarator.type;
+      varNode.pointerDepth = declarator.pointerDepth;
+      varNode.isPointer = declarator.pointerDepth > 0;
+      varNode.qualifiers = [...declarationNode.qualifiers, ...declarator.qualifiers];
+      varNode.storage = declarationNode.storage;
+      varNode.dimensions = declarator.dimensions;
+      varNode.isFunctionPointer = /\)\*$/.test(declarator.type);
       
-      // Variable name
-      if (this.checkType('identifier')) {
-        varNode.value = this.consume('identifier').value;
-      } else if (this.checkValue('*')) {
-        // Pointer
-        this.consume('operator', '*');
-        varNode.isPointer = true;
-        varNode.value = this.consume('identifier').value;
+      // Array dimensions (int numeros[5], char buf[], int v[n])
+      if (declarator.dimensions.length > 0) {
+        const [size] = declarator.dimensions;
+        varNode.isArray = true;
+        if (typeof size === 'number') {
+          varNode.arraySize = size;
+        } else if (size) {
+          varNode.lengthExpression = size;
+        }
       }
       
       // Check for initialization
       if (this.checkValue('=')) {
         this.consume('operator', '=');
         
-        // Parse initialization expression
-        const valueNode = this.parseExpression();
+        // Parse initialization expression or brace-enclosed initializer list
+        const valueNode = this.checkValue('{') ?
+          this.parseInitializerList() :
+          this.parseAssignment();
         varNode.addChild(valueNode);
       }
       
-      declarationNode.addChild(varNode);
+      declarationNode.addChild(this.finishNode(varNode, declaratorStart));
       firstVar = false;
       
     } while (this.checkValue(','));
@@ -320,6 +1044,54 @@ export class Parser {
     return declarationNode;
   }
   
+  /**
+   * Parse initializer list ({10, 20, 30})
+   * @returns {ASTNode} Initializer list node
+   */
+  parseInitializerList() {
+    const listStart = this.currentTokenIndex;
+    this.consume('punctuation', '{');
+    const listNode = new ASTNode('initializer_list');
+    
+    while (!this.checkValue('}')) {
+      const elementStart = this.currentTokenIndex;
+      // Designators (.idade = 25, [2] = 30, .pos.x = 1) pick the element to initialize
+      const designators = [];
+      while (this.checkValue('.') || this.checkValue('[')) {
+        if (this.tryConsume('punctuation', '.')) {
+          designators.push({ member: this.consume('identifier').value });
+        } else {
+          this.consume('punctuation', '[');
+          designators.push({ index: this.parseAssignment() });
+          this.consume('punctuation', ']');
+        }
+      }
+      
+      if (designators.length > 0) {
+        this.consume('operator', '=');
+      }
+      
+      // Nested lists initialize inner arrays and structs ({{1, 2}, {3, 4}})
+      const valueNode = this.checkValue('{') ? this.parseInitializerList() : this.parseAssignment();
+      
+      if (designators.length > 0) {
+        const designatedNode = new ASTNode('designated_initializer');
+        designatedNode.designators = designators;
+        designatedNode.addChild(valueNode);
+        listNode.addChild(this.finishNode(designatedNode, elementStart));
+      } else {
+        listNode.addChild(valueNode);
+      }
+      
+      if (!this.checkValue('}')) {
+        this.consume('punctuation', ',');
+      }
+    }
+    
+    this.consume('punctuation', '}');
+    return this.finishNode(listNode, listStart);
+  }
+  
   /**
    * Parse control flow statement (if, for, while, etc.)
    * @returns {ASTNode} Control flow statement node
@@ -333,11 +1105,39 @@ export class Parser {
       return this.parseForStatement();
     } else if (token.value === 'while') {
       return this.parseWhileStatement();
+    } else if (token.value === 'do') {
+      return this.parseDoWhileStatement();
+    } else if (token.value === 'switch') {
+      return this.parseSwitchStatement();
+    } else if (token.value === 'case' || token.value === 'default') {
+      return this.parseCaseLabel();
+    } else if (token.value === 'break') {
+      const breakToken = this.consume('keyword', 'break');
+      this.consume('punctuation', ';');
+      
+      const breakNode = new ASTNode('break_statement');
+      breakNode.line = breakToken.line;
+      return breakNode;
+    } else if (token.value === 'continue') {
+      const continueToken = this.consume('keyword', 'continue');
+      this.consume('punctuation', ';');
+      
+      const continueNode = new ASTNode('continue_statement');
+      continueNode.line = continueToken.line;
+      return continueNode;
+    } else if (token.value === 'goto') {
+      const gotoToken = this.consume('keyword', 'goto');
+      const label = this.consume('identifier');
+      this.consume('punctuation', ';');
+      
+      const gotoNode = new ASTNode('goto_statement', label.value);
+      gotoNode.line = gotoToken.line;
+      return gotoNode;
     } else if (token.value === 'return') {
       return this.parseReturnStatement();
     }
     
-    throw new Error(`Unsupported control flow structure: ${token.value}`);
+    throw this.syntaxError(`Unsupported control flow structure: ${token.value}`, 'a statement');
   }
   
   /**
@@ -345,7 +1145,7 @@ export class Parser {
    * @returns {ASTNode} If statement node
    */
   parseIfStatement() {
-    this.consume('keyword', 'if');
+    const ifToken = this.consume('keyword', 'if');
     this.consume('punctuation', '(');
     
     // Parse condition
@@ -354,19 +1154,16 @@ export class Parser {
     this.consume('punctuation', ')');
     
     // Parse if block
-    const ifBlock = this.checkValue('{') ?
-      this.parseCompoundStatement() :
-      this.parseExpressionStatement();
+    const ifBlock = this.parseStatement();
     
     const ifNode = new ASTNode('if_statement');
+    ifNode.line = ifToken.line;
     ifNode.addChild(condition);
     ifNode.addChild(ifBlock);
     
     // Check for else
     if (this.tryConsume('keyword', 'else')) {
-      const elseBlock = this.checkValue('{') ?
-        this.parseCompoundStatement() :
-        this.parseExpressionStatement();
+      const elseBlock = this.parseStatement();
       
       ifNode.addChild(elseBlock);
     }
@@ -379,14 +1176,21 @@ export class Parser {
    * @returns {ASTNode} For statement node
    */
   parseForStatement() {
-    this.consume('keyword', 'for');
+    const forToken = this.consume('keyword', 'for');
     this.consume('punctuation', '(');
     
-    // Initialization
-    const initialization = !this.checkValue(';') ?
-      this.parseExpression() :
-      new ASTNode('empty');
-    this.consume('punctuation', ';');
+    // Initialization (a declaration such as int i = 0 consumes its own semicolon)
+    let initialization;
+    if (this.isTypeStart()) {
+      const initializationStart = this.currentTokenIndex;
+      const specifier = this.parseTypeSpecifier();
+      initialization = this.finishNode(this.parseVariableDeclaration(specifier.type, specifier), initializationStart);
+    } else {
+      initialization = !this.checkValue(';') ?
+        this.parseExpression() :
+        new ASTNode('empty');
+      this.consume('punctuation', ';');
+    }
     
     // Condition
     const condition = !this.checkValue(';') ?
@@ -401,11 +1205,10 @@ export class Parser {
     this.consume('punctuation', ')');
     
     // Loop body
-    const body = this.checkValue('{') ?
-      this.parseCompoundStatement() :
-      this.parseExpressionStatement();
+    const body = this.parseStatement();
     
     const forNode = new ASTNode('for_statement');
+    forNode.line = forToken.line;
     forNode.addChild(initialization);
     forNode.addChild(condition);
     forNode.addChild(increment);
@@ -414,12 +1217,50 @@ export class Parser {
     return forNode;
   }
   
+  /**
+   * Parse switch statement
+   * @returns {ASTNode} Switch statement node
+   */
+  parseSwitchStatement() {
+    const switchToken = this.consume('keyword', 'switch');
+    this.consume('punctuation', '(');
+    const expression = this.parseExpression();
+    this.consume('punctuation', ')');
+    
+    // Case labels are statements inside the body, so fall-through follows the statement order
+    const body = this.parseCompoundStatement();
+    
+    const switchNode = new ASTNode('switch_statement');
+    switchNode.line = switchToken.line;
+    switchNode.addChild(expression);
+    switchNode.addChild(body);
+    
+    return switchNode;
+  }
+  
+  /**
+   * Parse case or default label
+   * @returns {ASTNode} Case label node
+   */
+  parseCaseLabel() {
+    const labelToken = this.consume('keyword');
+    const labelNode = new ASTNode(labelToken.value === 'case' ? 'case_label' : 'default_label');
+    labelNode.line = labelToken.line;
+    
+    if (labelToken.value === 'case') {
+      labelNode.addChild(this.parseConditionalExpression());
+    }
+    
+    this.consume('punctuation', ':');
+    return labelNode;
+  }
+  
   /**
    * Parse while statement
    * @returns {ASTNode} While statement node
    */
   parseWhileStatement() {
-    this.consume('keyword', 'while');
+    const whileToken = this.consume('keyword', 'while');
     this.consume('punctuation', '(');
     
     // Parse condition
@@ -428,25 +1269,48 @@ export class Parser {
     this.consume('punctuation', ')');
     
     // Parse loop body
-    const body = this.checkValue('{') ?
-      this.parseCompoundStatement() :
-      this.parseExpressionStatement();
+    const body = this.parseStatement();
     
     const whileNode = new ASTNode('while_statement');
+    whileNode.line = whileToken.line;
     whileNode.addChild(condition);
     whileNode.addChild(body);
     
     return whileNode;
   }
   
+  /**
+   * Parse do-while statement
+   * @returns {ASTNode} Do-while statement node (body first, then condition)
+   */
+  parseDoWhileStatement() {
+    const doToken = this.consume('keyword', 'do');
+    const body = this.parseStatement();
+    
+    const whileToken = this.consume('keyword', 'while');
+    this.consume('punctuation', '(');
+    const condition = this.parseExpression();
+    this.consume('punctuation', ')');
+    this.consume('punctuation', ';');
+    
+    const doNode = new ASTNode('do_while_statement');
+    doNode.line = doToken.line;
+    doNode.conditionLine = whileToken.line;
+    doNode.addChild(body);
+    doNode.addChild(condition);
+    
+    return doNode;
+  }
+  
   /**
    * Parse return statement
    * @returns {ASTNode} Return statement node
    */
   parseReturnStatement() {
-    this.consume('keyword', 'return');
+    const returnToken = this.consume('keyword', 'return');
     
     const returnNode = new ASTNode('return_statement');
+    returnNode.line = returnToken.line;
     
     // Check for return value
     if (!this.checkValue(';')) {
@@ -464,26 +1328,42 @@ export class Parser {
    * @returns {ASTNode} Expression statement node
    */
   parseExpressionStatement() {
+    const startToken = this.getCurrentToken();
     const expression = this.parseExpression();
+    expression.line = startToken.line;
     this.consume('punctuation', ';');
     return expression;
   }
   
   /**
-   * Parse expression
+   * Parse expression (lowest precedence: the comma operator, left to right)
    * @returns {ASTNode} Expression node
    */
   parseExpression() {
-    // Basic implementation - prioritizes assignments
-    return this.parseAssignment();
+    const start = this.currentTokenIndex;
+    let left = this.parseAssignment();
+    
+    while (this.checkValue(',')) {
+      this.consume('punctuation', ',');
+      const right = this.parseAssignment();
+      
+      const commaNode = new ASTNode('comma_expression', ',');
+      commaNode.addChild(left);
+      commaNode.addChild(right);
+      
+      left = this.finishNode(commaNode, start);
+    }
+    
+    return left;
   }
   
   /**
-   * Parse assignment expression
+   * Parse assignment expression (right to left)
    * @returns {ASTNode} Assignment expression node
    */
   parseAssignment() {
-    const left = this.parseLogicalExpression();
+    const start = this.currentTokenIndex;
+    const left = this.parseConditionalExpression();
     
     if (this.checkType('operator') && this.operators.assignment.includes(this.getCurrentToken().value)) {
       const operator = this.consume('operator').value;
@@ -493,29 +1373,166 @@ export class Parser {
       assignmentNode.addChild(left);
       assignmentNode.addChild(right);
       
-      return assignmentNode;
+      return this.finishNode(assignmentNode, start);
     }
     
     return left;
   }
   
   /**
-   * Parse logical expression
-   * @returns {ASTNode} Logical expression node
+   * Parse conditional expression (cond ? a : b, right to left)
+   * @returns {ASTNode} Conditional expression node
    */
-  parseLogicalExpression() {
+  parseConditionalExpression() {
+    const start = this.currentTokenIndex;
+    const condition = this.parseLogicalOrExpression();
+    
+    if (!this.checkValue('?')) {
+      return condition;
+    }
+    
+    this.consume('punctuation', '?');
+    // The middle operand may be any expression, including a comma expression
+    const whenTrue = this.parseExpression();
+    this.consume('punctuation', ':');
+    const whenFalse = this.parseConditionalExpression();
+    
+    const conditionalNode = new ASTNode('conditional_expression', '?:');
+    conditionalNode.addChild(condition);
+    conditionalNode.addChild(whenTrue);
+    conditionalNode.addChild(whenFalse);
+    
+    return this.finishNode(conditionalNode, start);
+  }
+  
+  /**
+   * Parse logical OR expression
+   * @returns {ASTNode} Logical OR expression node
+   */
+  parseLogicalOrExpression() {
+    const start = this.currentTokenIndex;
+    let left = this.parseLogicalAndExpression();
+    
+    while (this.checkType('operator') && this.getCurrentToken().value === '||') {
+      const operator = this.consume('operator').value;
+      const right = this.parseLogicalAndExpression();
+      
+      const logicalNode = new ASTNode('logical_or_expression', operator);
+      logicalNode.addChild(left);
+      logicalNode.addChild(right);
+      
+      left = this.finishNode(logicalNode, start);
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse logical AND expression
+   * @returns {ASTNode} Logical AND expression node
+   */
+  parseLogicalAndExpression() {
+    const start = this.currentTokenIndex;
+    let left = this.parseBitwiseOrExpression();
+    
+    while (this.checkType('operator') && this.getCurrentToken().value === '&&') {
+      const operator = this.consume('operator').value;
+      const right = this.parseBitwiseOrExpression();
+      
+      const logicalNode = new ASTNode('logical_and_expression', operator);
+      logicalNode.addChild(left);
+      logicalNode.addChild(right);
+      
+      left = this.finishNode(logicalNode, start);
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse bitwise OR expression
+   * @returns {ASTNode} Bitwise OR expression node
+   */
+  parseBitwiseOrExpression() {
+    const start = this.currentTokenIndex;
+    let left = this.parseBitwiseXorExpression();
+    
+    while (this.checkType('operator') && this.getCurrentToken().value === '|') {
+      const operator = this.consume('operator').value;
+      const right = this.parseBitwiseXorExpression();
+      
+      const bitwiseNode = new ASTNode('bitwise_or_expression', operator);
+      bitwiseNode.addChild(left);
+      bitwiseNode.addChild(right);
+      
+      left = this.finishNode(bitwiseNode, start);
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse bitwise XOR expression
+   * @returns {ASTNode} Bitwise XOR expression node
+   */
+  parseBitwiseXorExpression() {
+    const start = this.currentTokenIndex;
+    let left = this.parseBitwiseAndExpression();
+    
+    while (this.checkType('operator') && this.getCurrentToken().value === '^') {
+      const operator = this.consume('operator').value;
+      const right = this.parseBitwiseAndExpression();
+      
+      const bitwiseNode = new ASTNode('bitwise_xor_expression', operator);
+      bitwiseNode.addChild(left);
+      bitwiseNode.addChild(right);
+      
+      left = this.finishNode(bitwiseNode, start);
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse bitwise AND expression
+   * @returns {ASTNode} Bitwise AND expression node
+   */
+  parseBitwiseAndExpression() {
+    const start = this.currentTokenIndex;
+    let left = this.parseEqualityExpression();
+    
+    while (this.checkType('operator') && this.getCurrentToken().value === '&') {
+      const operator = this.consume('operator').value;
+      const right = this.parseEqualityExpression();
+      
+      const bitwiseNode = new ASTNode('bitwise_and_expression', operator);
+      bitwiseNode.addChild(left);
+      bitwiseNode.addChild(right);
+      
+      left = this.finishNode(bitwiseNode, start);
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse equality expression
+   * @returns {ASTNode} Equality expression node
+   */
+  parseEqualityExpression() {
+    const start = this.currentTokenIndex;
     let left = this.parseRelationalExpression();
     
     while (this.checkType('operator') &&
-           (this.getCurrentToken().value === '&&' || this.getCurrentToken().value === '||')) {
+           (this.getCurrentToken().value === '==' || this.getCurrentToken().value === '!=')) {
       const operator = this.consume('operator').value;
       const right = this.parseRelationalExpression();
       
-      const logicalNode = new ASTNode('logical_expression', operator);
-      logicalNode.addChild(left);
-      logicalNode.addChild(right);
+      const equalityNode = new ASTNode('equality_expression', operator);
+      equalityNode.addChild(left);
+      equalityNode.addChild(right);
       
-      left = logicalNode;
+      left = this.finishNode(equalityNode, start);
     }
     
     return left;
@@ -526,18 +1543,42 @@ export class Parser {
    * @returns {ASTNode} Relational expression node
    */
   parseRelationalExpression() {
-    let left = this.parseAdditiveExpression();
+    const start = this.currentTokenIndex;
+    let left = this.parseShiftExpression();
     
     while (this.checkType('operator') &&
-           ['==', '!=', '<', '>', '<=', '>='].includes(this.getCurrentToken().value)) {
+           ['<', '>', '<=', '>='].includes(this.getCurrentToken().value)) {
       const operator = this.consume('operator').value;
-      const right = this.parseAdditiveExpression();
+      const right = this.parseShiftExpression();
       
       const relationalNode = new ASTNode('relational_expression', operator);
       relationalNode.addChild(left);
       relationalNode.addChild(right);
       
-      left = relationalNode;
+      left = this.finishNode(relationalNode, start);
+    }
+    
+    return left;
+  }
+  
+  /**
+   * Parse shift expression
+   * @returns {ASTNode} Shift expression node
+   */
+  parseShiftExpression() {
+    const start = this.currentTokenIndex;
+    let left = this.parseAdditiveExpression();
+    
+    while (this.checkType('operator') &&
+           (this.getCurrentToken().value === '<<' || this.getCurrentToken().value === '>>')) {
+      const operator = this.consume('operator').value;
+      const right = this.parseAdditiveExpression();
+      
+      const shiftNode = new ASTNode('shift_expression', operator);
+      shiftNode.addChild(left);
+      shiftNode.addChild(right);
+      
+      left = this.finishNode(shiftNode, start);
     }
     
     return left;
@@ -548,6 +1589,7 @@ export class Parser {
    * @returns {ASTNode} Additive expression node
    */
   parseAdditiveExpression() {
+    const start = this.currentTokenIndex;
     let left = this.parseMultiplicativeExpression();
     
     while (this.checkType('operator') &&
@@ -559,7 +1601,7 @@ export class Parser {
       additiveNode.addChild(left);
       additiveNode.addChild(right);
       
-      left = additiveNode;
+      left = this.finishNode(additiveNode, start);
     }
     
     return left;
@@ -570,6 +1612,7 @@ export class Parser {
    * @returns {ASTNode} Multiplicative expression node
    */
   parseMultiplicativeExpression() {
+    const start = this.currentTokenIndex;
     let left = this.parseUnaryExpression();
     
     while (this.checkType('operator') &&
@@ -583,7 +1626,7 @@ export class Parser {
       multiplicativeNode.addChild(left);
       multiplicativeNode.addChild(right);
       
-      left = multiplicativeNode;
+      left = this.finishNode(multiplicativeNode, start);
     }
     
     return left;
@@ -594,6 +1637,8 @@ export class Parser {
    * @returns {ASTNode} Unary expression node
    */
   parseUnaryExpression() {
+    const start = this.currentTokenIndex;
+    
     if (this.checkType('operator') &&
         ['+', '-', '!', '~', '++', '--', '*', '&'].includes(this.getCurrentToken().value)) {
       const operator = this.consume('operator').value;
@@ -602,10 +1647,90 @@ export class Parser {
       const unaryNode = new ASTNode('unary_expression', operator);
       unaryNode.addChild(operand);
       
-      return unaryNode;
+      return this.finishNode(unaryNode, start);
+    }
+    
+    // sizeof(type) or sizeof expression; the operand is never evaluated
+    if (this.checkValue('sizeof')) {
+      this.consume('keyword', 'sizeof');
+      const sizeofNode = new ASTNode('sizeof_expression', 'sizeof');
+      
+      if (this.checkValue('(') && this.isTypeStart(1)) {
+        this.consume('punctuation', '(');
+        sizeofNode.dataType = this.parseDeclarator(this.parseTypeSpecifier().type, true).type;
+        this.consume('punctuation', ')');
+      } else {
+        sizeofNode.addChild(this.parseUnaryExpression());
+      }
+      
+      return this.finishNode(sizeofNode, start);
+    }
+    
+    // Cast to a type name ((void *)0, (char) c)
+    if (this.checkValue('(') && this.isTypeStart(1)) {
+      this.consume('punctuation', '(');
+      const targetType = this.parseDeclarator(this.parseTypeSpecifier().type, true).type;
+      this.consume('punctuation', ')');
+      
+      const castNode = new ASTNode('cast_expression', targetType);
+      castNode.dataType = targetType;
+      castNode.addChild(this.parseUnaryExpression());
+      
+      return this.finishNode(castNode, start);
+    }
+    
+    let operand = this.parsePrimaryFactor();
+    
+    // Postfix operators: subscripts (v[i], m[i][j]), member access (p.idade, ptr->nome)
+    // and increment/decrement (i++, i--)
+    while (this.checkValue('[') || this.checkValue('(') || this.checkValue('.') || this.checkValue('->') ||
+           (this.checkType('operator') && ['++', '--'].includes(this.getCurrentToken().value))) {
+      // Calls through a function pointer expression ((*cmp)(a, b), operacoes[i](x, y))
+      if (this.checkValue('(')) {
+        const callNode = new ASTNode('call_expression', '');
+        callNode.line = this.consume('punctuation', '(').line;
+        callNode.callee = operand;
+        
+        while (!this.checkValue(')')) {
+          callNode.addChild(this.parseAssignment());
+          if (!this.checkValue(')')) {
+            this.consume('punctuation', ',');
+          }
+        }
+        
+        this.consume('punctuation', ')');
+        operand = this.finishNode(callNode, start);
+        continue;
+      }
+      
+      if (this.checkValue('[')) {
+        this.consume('punctuation', '[');
+        const index = this.parseExpression();
+        this.consume('punctuation', ']');
+        
+        // Subscripts of a plain array keep its name for display
+        const arrayNode = new ASTNode('array_access', operand.type === 'identifier' ? operand.value : '');
+        arrayNode.addChild(operand);
+        arrayNode.addChild(index);
+        operand = this.finishNode(arrayNode, start);
+        continue;
+      }
+      
+      if (this.checkType('punctuation')) {
+        const operator = this.consume('punctuation').value;
+        const memberNode = new ASTNode('member_access', this.consume('identifier').value);
+        memberNode.operator = operator;
+        memberNode.addChild(operand);
+        operand = this.finishNode(memberNode, start);
+        continue;
+      }
+      
+      const postfixNode = new ASTNode('postfix_expression', this.consume('operator').value);
+      postfixNode.addChild(operand);
+      operand = this.finishNode(postfixNode, start);
     }
     
-    return this.parsePrimaryFactor();
+    return operand;
   }
   
   /**
@@ -613,11 +1738,14 @@ export class Parser {
    * @returns {ASTNode} Primary factor node
    */
   parsePrimaryFactor() {
+    const start = this.currentTokenIndex;
+    
     if (this.checkType('literal')) {
       const literal = this.consume('literal');
-      return new ASTNode('literal', literal.value);
-    } else if (this.checkType('identifier')) {
-      const identifier = this.consume('identifier');
+      return this.finishNode(new ASTNode('literal', literal.value), start);
+    } else if (this.checkType('identifier') || this.checkType('function')) {
+      // Standard library functions are tokenized as 'function' but are called like any other
+      const identifier = this.consume(this.getCurrentToken().type);
       
       // Check for function call
       if (this.checkValue('(')) {
@@ -625,6 +1753,7 @@ export class Parser {
         
         // Function call node
         const callNode = new ASTNode('call_expression', identifier.value);
+        callNode.line = identifier.line;
         
         // Parse arguments
         if (!this.checkValue(')')) {
@@ -633,7 +1762,7 @@ export class Parser {
               this.consume('punctuation', ',');
             }
             
-            const argument = this.parseExpression();
+            const argument = this.parseAssignment();
             callNode.addChild(argument);
             
           } while (this.checkValue(','));
@@ -641,23 +1770,11 @@ export class Parser {
         
         this.consume('punctuation', ')');
         
-        return callNode;
-      }
-      
-      // Array access
-      if (this.checkValue('[')) {
-        this.consume('punctuation', '[');
-        const index = this.parseExpression();
-        this.consume('punctuation', ']');
-        
-        const arrayNode = new ASTNode('array_access', identifier.value);
-        arrayNode.addChild(index);
-        
-        return arrayNode;
+        return this.finishNode(callNode, start);
       }
       
-      // Simple identifier
-      return new ASTNode('identifier', identifier.value);
+      // Simple identifier (subscripts are parsed as postfix operators)
+      return this.finishNode(new ASTNode('identifier', identifier.value), start);
     } else if (this.checkValue('(')) {
       this.consume('punctuation', '(');
       const expression = this.parseExpression();
@@ -668,6 +1785,12 @@ export class Parser {
     
     // Unexpected token
     const token = this.getCurrentToken();
-    throw new Error(`Unexpected token while parsing expression: ${token.type} '${token.value}' at line ${token.line}`);
+    if (!token) {
+      throw this.syntaxError('Unexpected end of input while parsing expression', 'expression');
+    }
+    throw this.syntaxError(
+      `Unexpected token while parsing expression: ${token.type} '${token.value}' at line ${token.line}`,
+      'expression'
+    );
   }
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Pipeline module: preprocessor, lexer, parser, semantic analysis and interpreter run one after the other,
+ * reporting their results as messages; it uses no DOM, so it runs in the worker as well as on the page
+ */
+
+import { Preprocessor } from './preprocessor.js';
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { SemanticAnalyzer } from './semantic.js';
+import { Interpreter } from './interpreter.js';
+
+/**
+ * Settings of the page that a run depends on; the worker gets a copy of them in a fresh AppState
+ */
+export const RUN_SETTINGS = [
+  'code', 'userInput', 'stdinClosed', 'inputFiles', 'allocationStrategy', 'heapLimit',
+  'stepLimit', 'callDepthLimit', 'timeLimit'
+];
+
+/**
+ * Compile the program in appState.code, leaving the results in appState
+ * @param {AppState} appState - Application state
+ * @returns {Object|null} Why compilation stopped ({kind, diagnostics}), or null if the program can run
+ * @throws {Error} If a phase fails without a located diagnostic
+ */
+export function compileProgram(appState) {
+  // Expand macros and resolve conditional compilation; a preprocessing error stops here with its diagnostic
+  console.log("Starting preprocessing...");
+  const preprocessor = new Preprocessor(appState);
+  let preprocessed;
+  try {
+    preprocessed = preprocessor.preprocess();
+  } catch (error) {
+    if (!error.diagnostic) throw error;
+    appState.updateState({ diagnostics: preprocessor.diagnostics });
+    return { kind: 'preprocessing error', diagnostics: preprocessor.diagnostics };
+  }
+  const { code: preprocessedCode, sourceMap, diagnostics: preprocessorWarnings } = preprocessed;
+  appState.updateState({ preprocessedCode, sourceMap });
+
+  // Tokenize the code
+  console.log("Starting tokenization...");
+  const tokens = new Lexer(appState).tokenize(preprocessedCode, sourceMap);
+  appState.updateState({ tokens });
+
+  // Generate AST
+  console.log("Starting AST generation...");
+  const parser = new Parser(appState);
+  const ast = parser.parse();
+  appState.updateState({ ast, diagnostics: [...preprocessorWarnings, ...parser.diagnostics] });
+
+  // Syntax errors: the partial AST is shown instead of running
+  if (parser.diagnostics.length > 0) {
+    return { kind: 'syntax error', diagnostics: appState.diagnostics };
+  }
+
+  // Resolve names and check declarations; warnings do not stop execution
+  console.log("Starting semantic analysis...");
+  const semanticDiagnostics = new SemanticAnalyzer(appState).analyze(ast);
+  appState.updateState({ diagnostics: [...preprocessorWarnings, ...semanticDiagnostics] });
+  if (semanticDiagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+    return { kind: 'error', diagnostics: appState.diagnostics };
+  }
+  return null;
+}
+
+/**
+ * Compile and run a program, posting what each phase produced:
+ * 'compiled' with the tokens, AST and diagnostics, 'steps' for every batch of execution steps,
+ * then 'done', or 'failed' if a phase threw
+ * @param {AppState} appState - Application state holding the code and the run settings
+ * @param {Function} post - Receives each message
+ */
+export function runPipeline(appState, post) {
+  try {
+    const stopped = compileProgram(appState);
+    const { preprocessedCode, sourceMap, tokens, ast, diagnostics, compilationProcess } = appState;
+    post({ type: 'compiled', preprocessedCode, sourceMap, tokens, ast, diagnostics, compilationProcess, stopped });
+
+    if (!stopped) {
+      console.log("Generating execution steps...");
+      new Interpreter(appState).generateExecutionSteps(steps => post({ type: 'steps', steps }));
+    }
+    post({ type: 'done', compilationProcess: appState.compilationProcess, errors: appState.errors });
+  } catch (error) {
+    console.error('Execution error:', error);
+    post({ type: 'failed', message: error.message });
+  }
+}
@@ -0,0 +1,890 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Preprocessor module for macro expansion and conditional compilation
+ */
+
+import { VIRTUAL_HEADERS } from './headers.js';
+
+// Preprocessing tokens, longest punctuators first
+const PP_TOKEN_REGEX = new RegExp([
+  '(\\n)',
+  '([ \\t\\r\\f\\v]+)',
+  '([A-Za-z_]\\w*)',
+  '(\\.?\\d(?:[eEpP][+-]|[\\w.])*)',
+  '("(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\')',
+  '(\\.\\.\\.|<<=|>>=|->|\\+\\+|--|<<|>>|<=|>=|==|!=|&&|\\|\\||\\*=|\\/=|%=|\\+=|-=|&=|\\^=|\\|=|##|[\\s\\S])'
+].join('|'), 'g');
+
+const PP_TOKEN_TYPES = ['nl', 'ws', 'ident', 'number', 'string', 'punct'];
+
+/**
+ * Preprocessor class that turns the source into expanded code plus a source map
+ */
+export class Preprocessor {
+  /**
+   * Initialize the preprocessor
+   * @param {AppState} appState - Application state
+   */
+  constructor(appState) {
+    this.appState = appState;
+    this.mainFile = 'main.c';
+  }
+
+  /**
+   * Preprocess the code from appState
+   * @returns {Object} Expanded code, source map and warnings ({code, sourceMap, diagnostics})
+   * @throws {Error} On a preprocessing error, with its located diagnostic in error.diagnostic
+   */
+  preprocess() {
+    this.macros = new Map();
+    this.onceFiles = new Set();
+    this.includeStack = [];
+    this.includeLines = [];
+    this.log = [];
+    this.warnings = [];
+    this.diagnostics = [];
+    this.outputLines = [];
+    this.sourceMap = [];
+
+    try {
+      this.processFile(this.appState.code, this.mainFile);
+    } finally {
+      const { compilationProcess } = this.appState;
+      compilationProcess.currentPhase = 'preprocessing';
+      compilationProcess.preprocessing = this.log;
+      compilationProcess.warnings = [...this.warnings];
+    }
+
+    return { code: this.outputLines.join('\n'), sourceMap: this.sourceMap, diagnostics: this.diagnostics };
+  }
+
+  /**
+   * Record a diagnostic at a line of main.c, in the same form as the parser's;
+   * a problem inside a header is reported at the #include that brought the header in
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} message - Message
+   * @param {number} line - Original line number
+   * @param {string} file - File name
+   * @returns {Object} Diagnostic ({line, column, severity, message})
+   */
+  diagnose(severity, message, line, file) {
+    const inHeader = file !== this.mainFile;
+    const mainLine = inHeader ? this.includeLines[0] : line;
+    const text = this.appState.code.split('\n')[mainLine - 1] || '';
+    const diagnostic = {
+      line: mainLine,
+      column: text.search(/\S/) + 1 || 1,
+      severity,
+      message: inHeader ? `${message} (in ${file}:${line})` : message
+    };
+    this.diagnostics.push(diagnostic);
+    return diagnostic;
+  }
+
+  /**
+   * Raise a preprocessing error
+   * @param {string} message - Error message
+   * @param {number} line - Original line number
+   * @param {string} file - File name
+   * @throws {Error} Always, carrying the diagnostic
+   */
+  error(message, line, file = this.mainFile) {
+    const diagnostic = this.diagnose('error', message, line, file);
+    this.appState.compilationProcess.errors.push(`line ${diagnostic.line}:${diagnostic.column}: error: ${diagnostic.message}`);
+    const error = new Error(`Preprocessor error: ${diagnostic.message} at line ${diagnostic.line}`);
+    error.diagnostic = diagnostic;
+    throw error;
+  }
+
+  /**
+   * Record a preprocessing warning
+   * @param {string} message - Warning message
+   * @param {number} line - Original line number
+   * @param {string} file - File name
+   */
+  warn(message, line, file = this.mainFile) {
+    const diagnostic = this.diagnose('warning', message, line, file);
+    this.warnings.push(`line ${diagnostic.line}:${diagnostic.column}: warning: ${diagnostic.message}`);
+  }
+
+  /**
+   * Remove comments and join continued lines, keeping one entry per physical line
+   * @param {string} source - Source code
+   * @returns {Array} Logical lines ({text, line, extraLines})
+   */
+  splitLogicalLines(source) {
+    // Comments become a single space; newlines inside block comments are kept
+    let stripped = '';
+    let i = 0;
+    while (i < source.length) {
+      const char = source[i];
+      if (char === '"' || char === '\'') {
+        let j = i + 1;
+        while (j < source.length && source[j] !== char && source[j] !== '\n') {
+          j += source[j] === '\\' ? 2 : 1;
+        }
+        stripped += source.slice(i, j + 1);
+        i = j + 1;
+      } else if (source.startsWith('//', i)) {
+        while (i < source.length && source[i] !== '\n') i++;
+        stripped += ' ';
+      } else if (source.startsWith('/*', i)) {
+        const end = source.indexOf('*/', i + 2);
+        const comment = source.slice(i, end === -1 ? source.length : end + 2);
+        stripped += ' ' + '\n'.repeat((comment.match(/\n/g) || []).length);
+        i += comment.length;
+      } else {
+        stripped += char;
+        i++;
+      }
+    }
+
+    // Backslash-newline splices lines; blank lines keep the line count intact
+    const physicalLines = stripped.split('\n');
+    const logicalLines = [];
+    for (let index = 0; index < physicalLines.length; index++) {
+      const start = index;
+      let text = physicalLines[index];
+      while (text.endsWith('\\') && index + 1 < physicalLines.length) {
+        text = text.slice(0, -1) + physicalLines[++index];
+      }
+      logicalLines.push({ text, line: start + 1, extraLines: index - start });
+    }
+    return logicalLines;
+  }
+
+  /**
+   * Split text into preprocessing tokens
+   * @param {string} text - Text to tokenize
+   * @param {number} line - Line of the first character
+   * @returns {Array} Tokens ({type, text, line, hide})
+   */
+  tokenize(text, line) {
+    const tokens = [];
+    let currentLine = line;
+    let match;
+
+    PP_TOKEN_REGEX.lastIndex = 0;
+    while ((match = PP_TOKEN_REGEX.exec(text)) !== null) {
+      const group = match.slice(1).findIndex(value => value !== undefined);
+      tokens.push({ type: PP_TOKEN_TYPES[group], text: match[0], line: currentLine, hide: new Set() });
+      if (match[0] === '\n') currentLine++;
+    }
+    return tokens;
+  }
+
+  /**
+   * Process a file, appending its expanded lines to the output
+   * @param {string} source - File contents
+   * @param {string} file - File name
+   */
+  processFile(source, file) {
+    if (this.onceFiles.has(file)) return;
+    this.includeStack.push(file);
+
+    const conditions = [];
+    const active = () => conditions.every(condition => condition.active);
+    let pending = [];
+
+    // Expand the text collected since the last directive
+    const flush = () => {
+      if (pending.length === 0) return;
+      this.emitText(pending, file);
+      pending = [];
+    };
+
+    // Lines that produce no code still occupy a line so positions stay aligned
+    const emitBlank = (entry) => {
+      for (let count = 0; count <= entry.extraLines; count++) {
+        this.outputLines.push('');
+        this.sourceMap.push({ line: entry.line + count, file });
+      }
+    };
+
+    this.splitLogicalLines(source).forEach(entry => {
+      const directive = entry.text.match(/^\s*#\s*(\w*)(.*)$/);
+
+      if (!directive) {
+        if (active()) {
+          pending.push(entry);
+        } else {
+          emitBlank(entry);
+        }
+        return;
+      }
+
+      flush();
+      emitBlank(entry);
+
+      const [, name, rest] = directive;
+      const body = rest.trim();
+      const line = entry.line;
+
+      switch (name) {
+        case 'if':
+        case 'ifdef':
+        case 'ifndef': {
+          let result = false;
+          if (active()) {
+            if (name === 'if') {
+              result = this.evaluateCondition(body, line, file);
+            } else {
+              const macroName = body.split(/\s+/)[0];
+              if (!macroName) this.error(`no macro name given in #${name} directive`, line, file);
+              result = this.macros.has(macroName) === (name === 'ifdef');
+            }
+            this.log.push(`line ${line}: #${name} ${body} - ${result ? 'including' : 'skipping'} block`);
+          }
+          conditions.push({ active: active() && result, taken: result, sawElse: false, parentActive: active(), line });
+          break;
+        }
+        case 'elif': {
+          const condition = conditions[conditions.length - 1];
+          if (!condition) this.error('#elif without #if', line, file);
+          if (condition.sawElse) this.error('#elif after #else', line, file);
+
+          if (condition.parentActive && !condition.taken) {
+            condition.active = this.evaluateCondition(body, line, file);
+            condition.taken = condition.active;
+            this.log.push(`line ${line}: #elif ${body} - ${condition.active ? 'including' : 'skipping'} block`);
+          } else {
+            condition.active = false;
+          }
+          break;
+        }
+        case 'else': {
+          const condition = conditions[conditions.length - 1];
+          if (!condition) this.error('#else without #if', line, file);
+          if (condition.sawElse) this.error('#else after #else', line, file);
+
+          condition.sawElse = true;
+          condition.active = condition.parentActive && !condition.taken;
+          condition.taken = true;
+          if (condition.parentActive) {
+            this.log.push(`line ${line}: #else - ${condition.active ? 'including' : 'skipping'} block`);
+          }
+          break;
+        }
+        case 'endif':
+          if (conditions.length === 0) this.error('#endif without #if', line, file);
+          conditions.pop();
+          break;
+        default:
+          if (active()) {
+            this.processDirective(name, body, line, file);
+          }
+      }
+    });
+
+    flush();
+
+    // Reported at the #if that was left open, as gcc does
+    if (conditions.length > 0) {
+      this.error('unterminated conditional directive', conditions[conditions.length - 1].line, file);
+    }
+
+    this.includeStack.pop();
+  }
+
+  /**
+   * Process a directive in an active region
+   * @param {string} name - Directive name (define, undef, include, ...)
+   * @param {string} body - Rest of the directive line
+   * @param {number} line - Original line number
+   * @param {string} file - File name
+   */
+  processDirective(name, body, line, file) {
+    switch (name) {
+      case 'define':
+        this.defineMacro(body, line, file);
+        break;
+      case 'undef': {
+        const macroName = body.split(/\s+/)[0];
+        this.macros.delete(macroName);
+        this.log.push(`line ${line}: #undef ${macroName}`);
+        break;
+      }
+      case 'include':
+        this.includeFile(body, line, file);
+        break;
+      case 'error':
+        this.error(`#error ${body}`, line, file);
+        break;
+      case 'warning':
+        this.warn(`#warning ${body}`, line, file);
+        break;
+      case 'pragma':
+        if (body === 'once') {
+          this.onceFiles.add(file);
+        }
+        this.log.push(`line ${line}: #pragma ${body}`);
+        break;
+      case 'line':
+      case '':
+        break;
+      default:
+        this.error(`invalid preprocessing directive #${name}`, line, file);
+    }
+  }
+
+  /**
+   * Handle #include
+   * @param {string} body - Header name with <> or ""
+   * @param {number} line - Original line number
+   * @param {string} file - Including file name
+   */
+  includeFile(body, line, file) {
+    const match = body.match(/^(<([^>]+)>|"([^"]+)")/);
+    if (!match) {
+      this.error('#include expects "FILENAME" or <FILENAME>', line, file);
+    }
+
+    const headerName = match[2] || match[3];
+    const contents = VIRTUAL_HEADERS[headerName];
+
+    // "file.h" falls back to the system headers, as in gcc
+    if (contents === undefined) {
+      this.error(`${headerName}: No such file or directory`, line, file);
+    }
+    if (this.includeStack.length > 20) {
+      this.error('#include nested too deeply', line, file);
+    }
+
+    if (this.onceFiles.has(headerName)) {
+      this.log.push(`line ${line}: #include <${headerName}> - already included`);
+      return;
+    }
+
+    this.log.push(`line ${line}: #include <${headerName}> - bringing its declarations into scope`);
+    this.includeLines.push(line);
+    this.processFile(contents, headerName);
+    this.includeLines.pop();
+  }
+
+  /**
+   * Handle #define
+   * @param {string} body - Macro name, optional parameter list and replacement
+   * @param {number} line - Original line number
+   * @param {string} file - File name
+   */
+  defineMacro(body, line, file) {
+    const match = body.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/);
+    if (!match) {
+      this.error('macro names must be identifiers', line, file);
+    }
+
+    const [, name, , parameterList, replacement] = match;
+    let params = null;
+    if (parameterList !== undefined) {
+      params = parameterList.split(',').map(param => param.trim()).filter(param => param);
+      const variadicIndex = params.indexOf('...');
+      if (variadicIndex !== -1) {
+        if (variadicIndex !== params.length - 1) {
+          this.error('... must be the last macro parameter', line, file);
+        }
+        params[variadicIndex] = '__VA_ARGS__';
+      }
+    }
+
+    const tokens = this.tokenize(replacement.trim(), line);
+    tokens.forEach(token => {
+      token.paste = token.text === '##';
+    });
+    if (tokens.length > 0 && (tokens[0].paste || tokens[tokens.length - 1].paste)) {
+      this.error('\'##\' cannot appear at either end of a macro expansion', line, file);
+    }
+
+    const macro = { name, params, body: tokens, line, variadic: Boolean(params && params.includes('__VA_ARGS__')) };
+
+    const previous = this.macros.get(name);
+    if (previous && this.spell(previous.body) !== this.spell(macro.body)) {
+      this.warn(`"${name}" redefined`, line, file);
+    }
+
+    this.macros.set(name, macro);
+    this.log.push(`line ${line}: #define ${name}${params ? `(${params.join(', ').replace('__VA_ARGS__', '...')})` : ''} ${replacement.trim()}`.trimEnd());
+  }
+
+  /**
+   * Expand text lines and append them to the output
+   * @param {Array} entries - Logical lines ({text, line, extraLines})
+   * @param {string} file - File name
+   */
+  emitText(entries, file) {
+    const text = entries.map(entry => entry.text + '\n'.repeat(entry.extraLines)).join('\n');
+    const expanded = this.spell(this.expand(this.tokenize(text, entries[0].line), file));
+    const lines = expanded.split('\n');
+
+    // Newlines are preserved through expansion, so line N of the block maps to line N of the source
+    let index = 0;
+    entries.forEach(entry => {
+      for (let count = 0; count <= entry.extraLines; count++) {
+        const output = lines[index++] || '';
+        this.outputLines.push(output);
+        this.sourceMap.push({ line: entry.line + count, file });
+
+        if (count === 0 && output.trim() !== entry.text.trim()) {
+          this.log.push(`line ${entry.line}: ${entry.text.trim()} → ${output.trim()}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Expand macros in a token list
+   * @param {Array} tokens - Tokens to expand
+   * @param {string} file - File name (for __FILE__)
+   * @returns {Array} Expanded tokens
+   */
+  expand(tokens, file) {
+    const input = tokens.slice();
+    const output = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const token = input[i];
+
+      if (token.type === 'ident' && token.text === '__LINE__' && !this.macros.has('__LINE__')) {
+        output.push({ ...token, type: 'number', text: String(token.line), expanded: true });
+        i++;
+        continue;
+      }
+      if (token.type === 'ident' && token.text === '__FILE__' && !this.macros.has('__FILE__')) {
+        output.push({ ...token, type: 'string', text: `"${file}"`, expanded: true });
+        i++;
+        continue;
+      }
+
+      const macro = token.type === 'ident' && !token.hide.has(token.text) ?
+        this.macros.get(token.text) : null;
+
+      if (!macro) {
+        output.push(token);
+        i++;
+        continue;
+      }
+
+      if (!macro.params) {
+        const hide = new Set([...token.hide, macro.name]);
+        input.splice(i, 1, ...this.substitute(macro, [], hide, token.line, file));
+        continue;
+      }
+
+      // A function-like macro name not followed by ( is left alone
+      let open = i + 1;
+      while (open < input.length && (input[open].type === 'ws' || input[open].type === 'nl')) open++;
+      if (open >= input.length || input[open].text !== '(') {
+        output.push(token);
+        i++;
+        continue;
+      }
+
+      const { args, close, newlines } = this.collectArguments(input, open, macro, token.line, file);
+      newlines.unshift(...input.slice(i + 1, open).filter(between => between.type === 'nl'));
+      const hide = new Set([...token.hide].filter(name => input[close].hide.has(name)));
+      hide.add(macro.name);
+
+      input.splice(i, close - i + 1, ...this.substitute(macro, args, hide, token.line, file), ...newlines);
+    }
+
+    return output;
+  }
+
+  /**
+   * Collect the arguments of a function-like macro invocation
+   * @param {Array} input - Token list
+   * @param {number} open - Index of the opening parenthesis
+   * @param {Object} macro - Macro definition
+   * @param {number} line - Line of the invocation
+   * @param {string} file - File name
+   * @returns {Object} Arguments, index of the closing parenthesis and consumed newlines
+   */
+  collectArguments(input, open, macro, line, file) {
+    const args = [[]];
+    const newlines = [];
+    let depth = 0;
+    let index = open + 1;
+
+    for (; index < input.length; index++) {
+      const token = input[index];
+
+      if (token.type === 'nl') {
+        // Newlines inside an invocation are moved after the expansion
+        newlines.push(token);
+        args[args.length - 1].push({ ...token, type: 'ws', text: ' ' });
+        continue;
+      }
+      if (token.text === '(') depth++;
+      if (token.text === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+
+      const inVariadicPart = macro.variadic && args.length === macro.params.length;
+      if (token.text === ',' && depth === 0 && !inVariadicPart) {
+        args.push([]);
+      } else {
+        args[args.length - 1].push(token);
+      }
+    }
+
+    if (index >= input.length) {
+      this.error(`unterminated argument list invoking macro "${macro.name}"`, line, file);
+    }
+
+    // f() passes no arguments to a macro without parameters
+    const trimmed = args.map(arg => this.trim(arg));
+    if (macro.params.length === 0 && trimmed.length === 1 && trimmed[0].length === 0) {
+      trimmed.pop();
+    }
+    if (macro.variadic && trimmed.length === macro.params.length - 1) {
+      trimmed.push([]);
+    }
+
+    if (trimmed.length < macro.params.length) {
+      this.error(`macro "${macro.name}" requires ${macro.params.length} arguments, but only ${trimmed.length} given`, line, file);
+    }
+    if (trimmed.length > macro.params.length) {
+      this.error(`macro "${macro.name}" passed ${trimmed.length} arguments, but takes just ${macro.params.length}`, line, file);
+    }
+
+    return { args: trimmed, close: index, newlines };
+  }
+
+  /**
+   * Build the replacement list of a macro with its arguments substituted
+   * @param {Object} macro - Macro definition
+   * @param {Array} args - Argument token lists
+   * @param {Set} hide - Macro names that must not expand again in the result
+   * @param {number} line - Line of the invocation
+   * @param {string} file - File name
+   * @returns {Array} Replacement tokens
+   */
+  substitute(macro, args, hide, line, file) {
+    const params = macro.params || [];
+    const body = macro.body;
+    const result = [];
+
+    const neighbour = (index, step) => {
+      let current = index + step;
+      while (current >= 0 && current < body.length && body[current].type === 'ws') current += step;
+      return body[current];
+    };
+
+    for (let index = 0; index < body.length; index++) {
+      const token = body[index];
+      const paramIndex = token.type === 'ident' ? params.indexOf(token.text) : -1;
+
+      if (macro.params && token.text === '#' && !token.paste) {
+        // Stringification (#param)
+        let next = index + 1;
+        while (next < body.length && body[next].type === 'ws') next++;
+        const target = body[next] ? params.indexOf(body[next].text) : -1;
+        if (target === -1) {
+          this.error('\'#\' is not followed by a macro parameter', line, file);
+        }
+        result.push({ type: 'string', text: this.stringify(args[target]), line, hide: new Set() });
+        index = next;
+      } else if (paramIndex !== -1) {
+        const before = neighbour(index, -1);
+        const after = neighbour(index, 1);
+        if ((before && before.paste) || (after && after.paste)) {
+          // Operands of ## are not macro-expanded first
+          const raw = args[paramIndex].map(arg => ({ ...arg, hide: new Set(arg.hide) }));
+          result.push(...(raw.length > 0 ? raw : [{ type: 'placemarker', text: '', line, hide: new Set() }]));
+        } else {
+          result.push(...this.expand(args[paramIndex].map(arg => ({ ...arg, hide: new Set(arg.hide) })), file));
+        }
+      } else {
+        result.push({ ...token, line, hide: new Set() });
+      }
+    }
+
+    const pasted = this.paste(result, line, file);
+    return pasted
+      .filter(token => token.type !== 'placemarker')
+      .map(token => ({ ...token, hide: new Set([...token.hide, ...hide]), expanded: true }));
+  }
+
+  /**
+   * Apply the ## operators of a replacement list
+   * @param {Array} tokens - Replacement tokens
+   * @param {number} line - Line of the invocation
+   * @param {string} file - File name
+   * @returns {Array} Tokens after pasting
+   */
+  paste(tokens, line, file) {
+    const result = [];
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (!token.paste) {
+        result.push(token);
+        continue;
+      }
+
+      while (result.length > 0 && result[result.length - 1].type === 'ws') result.pop();
+      let next = index + 1;
+      while (next < tokens.length && tokens[next].type === 'ws') next++;
+
+      const left = result.pop();
+      const right = tokens[next];
+      const text = (left ? left.text : '') + (right ? right.text : '');
+      const pieces = this.tokenize(text, line);
+
+      if (pieces.length > 1) {
+        this.error(`pasting "${left.text}" and "${right.text}" does not give a valid preprocessing token`, line, file);
+      }
+      result.push(pieces.length === 1 ? { ...pieces[0], hide: new Set() } : { type: 'placemarker', text: '', line, hide: new Set() });
+      index = next;
+    }
+
+    return result;
+  }
+
+  /**
+   * Turn an argument into a string literal (#param)
+   * @param {Array} tokens - Argument tokens
+   * @returns {string} String literal text
+   */
+  stringify(tokens) {
+    const text = tokens.map(token => {
+      if (token.type === 'ws') return ' ';
+      if (token.type === 'string') return token.text.replace(/[\\"]/g, '\\$&');
+      return token.text;
+    }).join('').replace(/\s+/g, ' ').trim();
+    return `"${text}"`;
+  }
+
+  /**
+   * Remove leading and trailing whitespace tokens
+   * @param {Array} tokens - Token list
+   * @returns {Array} Trimmed token list
+   */
+  trim(tokens) {
+    let start = 0;
+    let end = tokens.length;
+    while (start < end && tokens[start].type === 'ws') start++;
+    while (end > start && tokens[end - 1].type === 'ws') end--;
+    return tokens.slice(start, end);
+  }
+
+  /**
+   * Turn tokens back into text, spacing expanded tokens so they cannot merge
+   * @param {Array} tokens - Tokens
+   * @returns {string} Source text
+   */
+  spell(tokens) {
+    let text = '';
+    let previous = null;
+
+    tokens.forEach(token => {
+      if (previous && (previous.expanded || token.expanded) && this.wouldMerge(previous, token)) {
+        text += ' ';
+      }
+      text += token.text;
+      previous = token.type === 'ws' || token.type === 'nl' ? null : token;
+    });
+
+    return text;
+  }
+
+  /**
+   * Check if two adjacent tokens would lex as a different token sequence
+   * @param {Object} left - Left token
+   * @param {Object} right - Right token
+   * @returns {boolean} True if a space is needed between them
+   */
+  wouldMerge(left, right) {
+    if (right.type === 'ws' || right.type === 'nl') return false;
+    const word = type => type === 'ident' || type === 'number';
+    if (word(left.type) && word(right.type)) return true;
+    if (left.type === 'punct' && right.type === 'punct') {
+      return this.tokenize(left.text + right.text, 0).length < 2;
+    }
+    return false;
+  }
+
+  /**
+   * Evaluate the controlling expression of #if or #elif
+   * @param {string} text - Expression text
+   * @param {number} line - Original line number
+   * @param {string} file - File name
+   * @returns {boolean} Whether the block is included
+   */
+  evaluateCondition(text, line, file) {
+    const tokens = this.tokenize(text, line).filter(token => token.type !== 'ws');
+
+    // defined X and defined(X) are resolved before macro expansion
+    const resolved = [];
+    for (let index = 0; index < tokens.length; index++) {
+      if (tokens[index].text !== 'defined') {
+        resolved.push(tokens[index]);
+        continue;
+      }
+      const parenthesized = tokens[index + 1] && tokens[index + 1].text === '(';
+      const nameToken = tokens[index + (parenthesized ? 2 : 1)];
+      if (!nameToken || nameToken.type !== 'ident') {
+        this.error('operator "defined" requires an identifier', line, file);
+      }
+      resolved.push({ type: 'number', text: this.macros.has(nameToken.text) ? '1' : '0', line, hide: new Set() });
+      index += parenthesized ? 3 : 1;
+    }
+
+    // Identifiers left after expansion evaluate to 0
+    const expanded = this.expand(resolved, file)
+      .filter(token => token.type !== 'ws' && token.type !== 'nl')
+      .map(token => token.type === 'ident' ? { ...token, type: 'number', text: '0' } : token);
+
+    if (expanded.length === 0) {
+      this.error('#if with no expression', line, file);
+    }
+
+    const parser = new ConditionParser(expanded, message => this.error(message, line, file));
+    return parser.parse() !== 0;
+  }
+}
+
+/**
+ * Parser for integer constant expressions in #if directives
+ */
+class ConditionParser {
+  /**
+   * Initialize the parser
+   * @param {Array} tokens - Expression tokens
+   * @param {Function} fail - Error callback
+   */
+  constructor(tokens, fail) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.fail = fail;
+
+    // Binary operators from lowest to highest precedence
+    this.levels = [
+      ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='],
+      ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+    ];
+  }
+
+  /**
+   * Parse and evaluate the whole expression
+   * @returns {number} Value
+   */
+  parse() {
+    const value = this.parseConditional();
+    if (this.position < this.tokens.length) {
+      this.fail(`missing binary operator before token "${this.tokens[this.position].text}"`);
+    }
+    return value;
+  }
+
+  /**
+   * Look at the current token text
+   * @returns {string|undefined} Token text
+   */
+  peek() {
+    return this.tokens[this.position] && this.tokens[this.position].text;
+  }
+
+  /**
+   * Parse a conditional (?:) expression
+   * @returns {number} Value
+   */
+  parseConditional() {
+    const condition = this.parseBinary(0);
+    if (this.peek() !== '?') return condition;
+
+    this.position++;
+    const whenTrue = this.parseConditional();
+    if (this.peek() !== ':') this.fail('expected \':\' in #if expression');
+    this.position++;
+    const whenFalse = this.parseConditional();
+    return condition !== 0 ? whenTrue : whenFalse;
+  }
+
+  /**
+   * Parse a binary expression at a precedence level
+   * @param {number} level - Index in this.levels
+   * @returns {number} Value
+   */
+  parseBinary(level) {
+    if (level === this.levels.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    while (this.levels[level].includes(this.peek())) {
+      const operator = this.tokens[this.position++].text;
+      const right = this.parseBinary(level + 1);
+      left = this.apply(operator, left, right);
+    }
+    return left;
+  }
+
+  /**
+   * Apply a binary operator
+   * @param {string} operator - Operator
+   * @param {number} left - Left operand
+   * @param {number} right - Right operand
+   * @returns {number} Result
+   */
+  apply(operator, left, right) {
+    switch (operator) {
+      case '||': return left !== 0 || right !== 0 ? 1 : 0;
+      case '&&': return left !== 0 && right !== 0 ? 1 : 0;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case '&': return left & right;
+      case '==': return left === right ? 1 : 0;
+      case '!=': return left !== right ? 1 : 0;
+      case '<': return left < right ? 1 : 0;
+      case '>': return left > right ? 1 : 0;
+      case '<=': return left <= right ? 1 : 0;
+      case '>=': return left >= right ? 1 : 0;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      default:
+        if (right === 0) this.fail('division by zero in #if');
+        return operator === '/' ? Math.trunc(left / right) : left % right;
+    }
+  }
+
+  /**
+   * Parse a unary expression or primary value
+   * @returns {number} Value
+   */
+  parseUnary() {
+    const token = this.tokens[this.position];
+    if (!token) this.fail('#if expression ends unexpectedly');
+
+    switch (token.text) {
+      case '+': this.position++; return this.parseUnary();
+      case '-': this.position++; return -this.parseUnary();
+      case '!': this.position++; return this.parseUnary() === 0 ? 1 : 0;
+      case '~': this.position++; return ~this.parseUnary();
+      case '(': {
+        this.position++;
+        const value = this.parseConditional();
+        if (this.peek() !== ')') this.fail('missing \')\' in #if expression');
+        this.position++;
+        return value;
+      }
+    }
+
+    this.position++;
+    if (token.type === 'number') {
+      const text = token.text.replace(/[uUlL]+$/, '');
+      if (/^0x/i.test(text)) return parseInt(text, 16);
+      if (/^0[0-7]+$/.test(text)) return parseInt(text, 8);
+      if (/^\d+$/.test(text)) return parseInt(text, 10);
+      this.fail(`floating constant in preprocessor expression`);
+    }
+    if (token.type === 'string' && token.text.startsWith('\'')) {
+      return token.text.charCodeAt(1);
+    }
+
+    this.fail(`token "${token.text}" is not valid in preprocessor expressions`);
+    return 0;
+  }
+}
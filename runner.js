@@ -0,0 +1,97 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Runner module: starts the pipeline in a Web Worker and relays its messages to the page
+ */
+
+import { AppState, ExecutionStep } from './state.js';
+import { runPipeline, RUN_SETTINGS } from './pipeline.js';
+
+/**
+ * Time limit (ms) of a run on the page when none is set, since Stop cannot interrupt it there
+ */
+export const PAGE_TIME_LIMIT = 5000;
+
+/**
+ * Runs one program at a time in a worker that can be stopped at any point
+ */
+export class ExecutionRunner {
+  /**
+   * Create a runner with no run in progress
+   */
+  constructor() {
+    this.worker = null;
+  }
+
+  /**
+   * Start a run, stopping the one in progress
+   * @param {AppState} appState - Application state to take the code and run settings from
+   * @param {Function} onMessage - Receives the pipeline's messages, with the steps already revived
+   */
+  start(appState, onMessage) {
+    this.stop();
+
+    const settings = {};
+    RUN_SETTINGS.forEach(name => {
+      settings[name] = appState[name];
+    });
+
+    // Each step is revived from the one before it, which may have come in an earlier batch
+    let previous = null;
+    const receive = message => {
+      if (message.type === 'steps') {
+        message.steps.forEach(step => {
+          previous = ExecutionStep.revive(step, previous);
+        });
+      }
+      // A finished worker is not reused: the next run gets a fresh one
+      if (message.type === 'done' || message.type === 'failed') this.stop();
+      onMessage(message);
+    };
+
+    // Without module workers (or when the page is opened from file://) the run blocks the page instead
+    const runOnPage = reason => {
+      console.warn('Running without a worker:', reason);
+      runPipeline(Object.assign(new AppState(), settings, { timeLimit: settings.timeLimit || PAGE_TIME_LIMIT }), receive);
+    };
+
+    let worker;
+    try {
+      worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      runOnPage(error.message);
+      return;
+    }
+    this.worker = worker;
+
+    // Messages a stopped worker had already queued are dropped
+    let heard = false;
+    worker.addEventListener('message', event => {
+      if (this.worker !== worker) return;
+      heard = true;
+      receive(event.data);
+    });
+    worker.addEventListener('error', event => {
+      event.preventDefault();
+      if (this.worker !== worker) return;
+      this.stop();
+      if (heard) {
+        receive({ type: 'failed', message: event.message || 'The worker running the program stopped' });
+      } else {
+        runOnPage(event.message || 'the worker could not be loaded');
+      }
+    });
+    worker.postMessage({ settings });
+  }
+
+  /**
+   * Stop the run in progress, discarding the steps not yet received
+   * @returns {boolean} True if a run was stopped
+   */
+  stop() {
+    if (!this.worker) return false;
+
+    this.worker.terminate();
+    this.worker = null;
+    return true;
+  }
+}
@@ -0,0 +1,556 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Semantic analysis module: symbol tables, scope resolution and declaration checks
+ */
+
+import { TypeC } from './state.js';
+import { findHeaderFor } from './headers.js';
+import { TypeChecker } from './type-checker.js';
+
+/**
+ * Statement node types; any other node in statement position is an expression statement
+ */
+const STATEMENT_TYPES = [
+  'compound_statement', 'variable_declaration', 'if_statement', 'for_statement', 'while_statement',
+  'do_while_statement', 'switch_statement', 'return_statement', 'break_statement', 'continue_statement',
+  'goto_statement', 'labeled_statement', 'case_label', 'default_label', 'empty', 'error',
+  'typedef_declaration', 'struct_definition', 'union_definition', 'enum_definition', 'struct_declaration',
+  'preprocessor_directive'
+];
+
+/**
+ * Semantic analyzer that walks the AST between parsing and execution
+ */
+export class SemanticAnalyzer {
+  /**
+   * Create a new semantic analyzer
+   * @param {AppState} appState - Application state
+   */
+  constructor(appState) {
+    this.appState = appState;
+
+    // Block scopes, innermost last; each maps a name to its symbol ({name, kind, type, line, node})
+    this.scopes = [];
+
+    // Function signatures ({name, returnType, parameters, variadic, prototyped, defined, line})
+    this.functions = new Map();
+
+    // Diagnostics found so far ({line, column, severity, message})
+    this.diagnostics = [];
+    this.log = [];
+    this.currentFunction = null;
+
+    // Infers expression types as names are resolved
+    this.types = new TypeChecker(appState, this);
+  }
+
+  /**
+   * Analyze a program and publish the results in the compilation process
+   * @param {ASTNode} ast - Program node
+   * @returns {Array} Diagnostics ({line, column, severity, message})
+   */
+  analyze(ast) {
+    this.scopes = [];
+    this.functions = new Map();
+    this.diagnostics = [];
+    this.log = [];
+    this.currentFunction = null;
+    this.reportedNames = new Set();
+    this.types.loadTypes(ast);
+
+    // Functions defined anywhere in the file, to tell a late definition from a missing one
+    this.definedFunctions = new Set(ast.children
+      .filter(node => node.type === 'function_definition')
+      .map(node => node.value));
+
+    // File scope: library prototypes, enumeration constants, then the user's declarations in order
+    this.pushScope();
+    (ast.headerDeclarations || []).forEach(node => {
+      if (node.type === 'function_declaration') {
+        this.declareFunction(node);
+      } else if (node.type === 'variable_declaration') {
+        // Library objects such as stdin, stdout and stderr
+        node.children.forEach(varNode => this.declare(varNode.value, {
+          kind: 'variable',
+          type: varNode.dataType || node.dataType,
+          node: varNode,
+          initialized: true,
+          library: true
+        }));
+      }
+    });
+    (ast.typeDefinitions || [])
+      .filter(node => node.type === 'enum_definition')
+      .forEach(node => node.children.forEach(enumerator =>
+        this.declare(enumerator.value, { kind: 'enumerator', type: 'int', node: enumerator })));
+
+    ast.children.forEach(node => this.analyzeExternal(node));
+    const fileScope = this.popScope();
+
+    const globals = [...fileScope.values()].filter(symbol => symbol.kind === 'variable' && !symbol.library);
+    if (globals.length > 0) {
+      this.log.push(`Global variables: ${globals.map(symbol => `${symbol.name} (${symbol.type})`).join(', ')}`);
+    }
+
+    const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    const warnings = this.diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+    this.log.push(this.diagnostics.length === 0 ?
+      'No semantic errors found' :
+      `${errors.length} error(s) and ${warnings.length} warning(s) found`);
+
+    const { compilationProcess } = this.appState;
+    compilationProcess.currentPhase = 'semantic analysis';
+    compilationProcess.semanticAnalysis = this.log;
+    this.diagnostics.forEach(diagnostic => {
+      const text = `line ${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${diagnostic.message}`;
+      (diagnostic.severity === 'error' ? compilationProcess.errors : compilationProcess.warnings).push(text);
+    });
+
+    return this.diagnostics;
+  }
+
+  /**
+   * Record a diagnostic at a node
+   * @param {string} severity - error or warning
+   * @param {ASTNode} node - Node the diagnostic refers to
+   * @param {string} message - Diagnostic message
+   */
+  report(severity, node, message) {
+    this.diagnostics.push({
+      line: node.start ? node.start.line : node.line || 0,
+      column: node.start ? node.start.column : 1,
+      severity,
+      message
+    });
+  }
+
+  /**
+   * Open a new block scope
+   */
+  pushScope() {
+    this.scopes.push(new Map());
+  }
+
+  /**
+   * Close the innermost block scope
+   * @returns {Map} Symbols declared in the scope
+   */
+  popScope() {
+    return this.scopes.pop();
+  }
+
+  /**
+   * Add a symbol to the innermost scope
+   * @param {string} name - Symbol name
+   * @param {Object} symbol - Symbol ({kind, type, node, ...})
+   * @returns {Object} The stored symbol
+   */
+  declare(name, symbol) {
+    const { node } = symbol;
+    const stored = { name, line: node ? (node.start ? node.start.line : node.line) : 0, ...symbol };
+    this.scopes[this.scopes.length - 1].set(name, stored);
+    return stored;
+  }
+
+  /**
+   * Resolve a name through the enclosing scopes
+   * @param {string} name - Symbol name
+   * @returns {Object|null} Innermost symbol with that name, or null
+   */
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  /**
+   * Analyze a file-scope declaration or function definition
+   * @param {ASTNode} node - Top-level node
+   */
+  analyzeExternal(node) {
+    switch (node.type) {
+      case 'function_declaration':
+        this.declareFunction(node);
+        break;
+      case 'function_definition':
+        this.declareFunction(node);
+        this.analyzeFunction(node);
+        break;
+      case 'variable_declaration':
+        this.analyzeDeclaration(node, true);
+        break;
+    }
+  }
+
+  /**
+   * Enter a function prototype or definition in the file scope, checking it against earlier ones
+   * @param {ASTNode} node - Function declaration or definition node
+   */
+  declareFunction(node) {
+    const name = node.value;
+    const isDefinition = node.type === 'function_definition';
+    const signature = {
+      name,
+      returnType: node.returnType,
+      parameters: node.parameters || [],
+      variadic: Boolean(node.variadic),
+      prototyped: node.prototyped !== false,
+      defined: isDefinition,
+      line: node.line
+    };
+
+    const previous = this.scopes[0].get(name);
+    if (previous && previous.kind !== 'function') {
+      this.report('error', node, `'${name}' redeclared as different kind of symbol (previous declaration at line ${previous.line})`);
+      return;
+    }
+
+    const existing = this.functions.get(name);
+    if (existing) {
+      if (existing.defined && isDefinition) {
+        this.report('error', node, `redefinition of '${name}' (previous definition at line ${existing.line})`);
+      } else if (!this.sameSignature(existing, signature)) {
+        this.report('error', node, `conflicting types for '${name}' (previous declaration at line ${existing.line})`);
+      }
+
+      // A definition or a prototype with parameters completes what was known
+      if (isDefinition || !existing.prototyped) {
+        this.functions.set(name, { ...signature, defined: existing.defined || isDefinition });
+      }
+    } else {
+      this.functions.set(name, signature);
+    }
+
+    this.scopes[0].set(name, { name, kind: 'function', type: node.returnType, line: node.line, node });
+  }
+
+  /**
+   * Check whether two declarations of a function agree
+   * @param {Object} a - Signature
+   * @param {Object} b - Signature
+   * @returns {boolean} True if the return and parameter types match
+   */
+  sameSignature(a, b) {
+    if (a.returnType !== b.returnType) return false;
+
+    // A declaration with empty parentheses says nothing about the parameters
+    if (!a.prototyped || !b.prototyped) return true;
+
+    return a.variadic === b.variadic &&
+      a.parameters.length === b.parameters.length &&
+      a.parameters.every((param, index) => param.type === b.parameters[index].type);
+  }
+
+  /**
+   * Analyze a function definition: parameters, labels and body
+   * @param {ASTNode} node - Function definition node
+   */
+  analyzeFunction(node) {
+    this.currentFunction = {
+      name: node.value,
+      returnType: node.returnType,
+      labels: this.collectLabels(node.children[0]),
+      reported: new Set(),
+      locals: 0,
+      scopes: 1
+    };
+
+    // Parameters and the outermost block of the body share one scope
+    this.pushScope();
+    (node.parameters || []).forEach(param => {
+      if (!param.name) return;
+      if (this.scopes[this.scopes.length - 1].has(param.name)) {
+        this.report('error', node, `redefinition of parameter '${param.name}'`);
+        return;
+      }
+      this.declare(param.name, { kind: 'parameter', type: param.type, node });
+    });
+
+    node.children[0].children.forEach(statement => this.analyzeStatement(statement));
+    this.popScope();
+
+    const parameterText = (node.parameters || []).map(param => `${param.type} ${param.name || ''}`.trim()).join(', ');
+    const { locals, scopes } = this.currentFunction;
+    this.log.push(
+      `Function ${node.value}(${parameterText || 'void'}) returns ${node.returnType}: ` +
+      `${locals} local variable${locals === 1 ? '' : 's'} in ${scopes} block scope${scopes === 1 ? '' : 's'}`
+    );
+
+    this.currentFunction = null;
+  }
+
+  /**
+   * Collect the labels of a function body (labels have function scope)
+   * @param {ASTNode} node - Statement to search
+   * @param {Set} labels - Labels found so far
+   * @returns {Set} Label names
+   */
+  collectLabels(node, labels = new Set()) {
+    if (node.type === 'labeled_statement') {
+      if (labels.has(node.value)) {
+        this.report('error', node, `duplicate label '${node.value}'`);
+      }
+      labels.add(node.value);
+    }
+    node.children.forEach(child => this.collectLabels(child, labels));
+    return labels;
+  }
+
+  /**
+   * Analyze a statement
+   * @param {ASTNode} node - Statement node
+   */
+  analyzeStatement(node) {
+    const [first, second] = node.children;
+
+    switch (node.type) {
+      case 'compound_statement':
+        this.currentFunction.scopes++;
+        this.pushScope();
+        node.children.forEach(statement => this.analyzeStatement(statement));
+        this.popScope();
+        break;
+      case 'variable_declaration':
+        this.analyzeDeclaration(node, false);
+        break;
+      case 'for_statement':
+        // A declaration in the initialization is scoped to the loop
+        this.currentFunction.scopes++;
+        this.pushScope();
+        if (first.type === 'variable_declaration') {
+          this.analyzeDeclaration(first, false);
+        } else {
+          this.checkExpression(first);
+        }
+        this.checkCondition(second);
+        this.checkExpression(node.children[2]);
+        this.analyzeStatement(node.children[3]);
+        this.popScope();
+        break;
+      case 'if_statement':
+      case 'while_statement':
+        this.checkCondition(first);
+        node.children.slice(1).forEach(statement => this.analyzeStatement(statement));
+        break;
+      case 'switch_statement': {
+        const type = this.checkExpression(first);
+        if (type && !new TypeC(type).isInteger()) {
+          this.report('error', first, 'switch quantity not an integer');
+        }
+        this.analyzeStatement(second);
+        break;
+      }
+      case 'do_while_statement':
+        this.analyzeStatement(first);
+        this.checkCondition(second);
+        break;
+      case 'return_statement':
+        this.analyzeReturn(node);
+        break;
+      case 'case_label':
+        this.checkExpression(first);
+        break;
+      case 'labeled_statement':
+        this.analyzeStatement(first);
+        break;
+      case 'goto_statement':
+        if (!this.currentFunction.labels.has(node.value)) {
+          this.report('error', node, `label '${node.value}' used but not defined`);
+        }
+        break;
+      default:
+        if (!STATEMENT_TYPES.includes(node.type)) {
+          this.checkExpression(node);
+        }
+    }
+  }
+
+  /**
+   * Resolve the names of a full expression, then infer and check its type
+   * @param {ASTNode} node - Expression node
+   * @returns {string|null} C type of the expression
+   */
+  checkExpression(node) {
+    this.analyzeExpression(node);
+    return this.types.typeOf(node);
+  }
+
+  /**
+   * Resolve and type-check an expression used as a condition (if, loops, ?:)
+   * @param {ASTNode} node - Condition expression
+   */
+  checkCondition(node) {
+    this.analyzeExpression(node);
+    this.types.checkCondition(node);
+  }
+
+  /**
+   * Check a return statement against the function's return type
+   * @param {ASTNode} node - Return statement node
+   */
+  analyzeReturn(node) {
+    const value = node.children[0];
+    const { name, returnType } = this.currentFunction;
+
+    if (value) {
+      this.analyzeExpression(value);
+      if (returnType === 'void') {
+        this.types.typeOf(value);
+        this.report('warning', node, `'return' with a value, in function '${name}' returning void`);
+      } else {
+        this.types.checkAssignment(returnType, value, 'return');
+      }
+    } else if (returnType !== 'void') {
+      this.report('warning', node, `'return' with no value, in function '${name}' returning non-void`);
+    }
+  }
+
+  /**
+   * Declare the variables of a declaration and analyze their initializers
+   * @param {ASTNode} node - Variable declaration node
+   * @param {boolean} isGlobal - Declaration at file scope
+   */
+  analyzeDeclaration(node, isGlobal) {
+    node.children.forEach(varNode => {
+      const name = varNode.value;
+      const type = varNode.dataType || node.dataType;
+      const initializer = varNode.children[0];
+      const previous = this.scopes[this.scopes.length - 1].get(name);
+
+      if (previous) {
+        this.checkRedeclaration(varNode, previous, type, isGlobal);
+      }
+
+      // The name is in scope from the end of its declarator, so its initializer already sees it
+      this.declare(name, {
+        kind: 'variable',
+        type,
+        node: varNode,
+        initialized: Boolean(initializer),
+        storage: varNode.storage
+      });
+      if (!isGlobal) {
+        this.currentFunction.locals++;
+      }
+
+      if (varNode.lengthExpression) {
+        this.checkExpression(varNode.lengthExpression);
+      }
+      if (initializer) {
+        this.analyzeExpression(initializer);
+        this.types.checkInitializer(type, initializer);
+      }
+    });
+  }
+
+  /**
+   * Report a name declared twice in the same scope
+   * @param {ASTNode} varNode - New declarator
+   * @param {Object} previous - Symbol already in the scope
+   * @param {string} type - Type of the new declaration
+   * @param {boolean} isGlobal - Declaration at file scope
+   */
+  checkRedeclaration(varNode, previous, type, isGlobal) {
+    const name = varNode.value;
+
+    if (previous.kind !== 'variable') {
+      this.report('error', varNode, `'${name}' redeclared as different kind of symbol (previous declaration at line ${previous.line})`);
+    } else if (previous.type !== type) {
+      this.report('error', varNode, `conflicting types for '${name}' (previous declaration at line ${previous.line})`);
+    } else if (isGlobal || (previous.storage === 'extern' && varNode.storage === 'extern')) {
+      // File-scope declarations may repeat (tentative definitions) but only one may initialize
+      if (previous.initialized && varNode.children[0]) {
+        this.report('error', varNode, `redefinition of '${name}' (previous definition at line ${previous.line})`);
+      }
+    } else {
+      this.report('error', varNode, `redeclaration of '${name}' (previous declaration at line ${previous.line})`);
+    }
+  }
+
+  /**
+   * Resolve the identifiers and check the calls of an expression
+   * @param {ASTNode} node - Expression node
+   */
+  analyzeExpression(node) {
+    switch (node.type) {
+      case 'identifier':
+        if (!this.lookup(node.value)) {
+          this.reportUndeclared(node);
+        }
+        break;
+      case 'call_expression':
+        this.analyzeCall(node);
+        break;
+      case 'designated_initializer':
+        node.designators
+          .filter(designator => designator.index)
+          .forEach(designator => this.analyzeExpression(designator.index));
+        node.children.forEach(child => this.analyzeExpression(child));
+        break;
+      default:
+        node.children.forEach(child => this.analyzeExpression(child));
+    }
+  }
+
+  /**
+   * Report an undeclared identifier once per function, as gcc does
+   * @param {ASTNode} node - Identifier node
+   */
+  reportUndeclared(node) {
+    const reported = this.currentFunction ? this.currentFunction.reported : this.reportedNames;
+    if (reported.has(node.value)) return;
+    reported.add(node.value);
+
+    this.report('error', node, this.currentFunction ?
+      `'${node.value}' undeclared (first use in this function)` :
+      `'${node.value}' undeclared here (not in a function)`);
+  }
+
+  /**
+   * Check a function call: the callee must be declared and get the right number of arguments
+   * @param {ASTNode} node - Call expression node
+   */
+  analyzeCall(node) {
+    node.children.forEach(argument => this.analyzeExpression(argument));
+
+    // Calls through a function pointer expression ((*cmp)(a, b), operacoes[i](x))
+    if (node.callee) {
+      this.analyzeExpression(node.callee);
+      return;
+    }
+
+    const name = node.value;
+    const symbol = this.lookup(name);
+
+    // Calls through a function pointer variable (op(x, y))
+    if (symbol && symbol.kind !== 'function') return;
+
+    if (!symbol) {
+      const header = findHeaderFor(name);
+      if (!this.definedFunctions.has(name) && !header) {
+        this.report('error', node, `undefined reference to '${name}'`);
+        return;
+      }
+
+      this.report('warning', node, header && !this.definedFunctions.has(name) ?
+        `implicit declaration of function '${name}'; include '<${header}>' or provide a declaration of '${name}'` :
+        `implicit declaration of function '${name}'`);
+
+      // The implicit declaration lasts for the rest of the file, so gcc warns only once
+      this.scopes[0].set(name, { name, kind: 'function', type: 'int', line: node.line, node });
+      return;
+    }
+
+    const signature = this.functions.get(name);
+    if (!signature || !signature.prototyped) return;
+
+    const count = node.children.length;
+    const expected = signature.parameters.length;
+    if (count < expected) {
+      this.report('error', node, `too few arguments to function '${name}' (expected ${expected}, have ${count})`);
+    } else if (count > expected && !signature.variadic) {
+      this.report('error', node, `too many arguments to function '${name}' (expected ${expected}, have ${count})`);
+    }
+  }
+}
@@ -3,6 +3,8 @@
  * State management module
  */
 
+import { Memory, MEMORY_LAYOUT } from './memory.js';
+
 /**
  * Token class for lexical analysis
  */
@@ -66,9 +68,26 @@ export class TypeC {
    * @returns {number} Size in bytes
    */
   getSizeof() {
-    switch (this.type) {
+    // Arrays (int[5]) take the size of all their elements
+    const arrayMatch = this.type.match(/^(.*)\[(\d+)\]$/);
+    if (arrayMatch) {
+      return parseInt(arrayMatch[2]) * new TypeC(arrayMatch[1]).getSizeof();
+    }
+    
+    if (this.type.endsWith('*')) return 8; // Pointers in 64-bit systems
+    if (this.type.startsWith('enum ')) return 4; // Enumerations are stored as int
+    
+    // Sign and qualifiers do not change the size (unsigned long, const char)
+    const base = this.type.replace(/\b(const|volatile|signed|unsigned)\b/g, '').trim() || 'int';
+    
+    switch (base) {
       case 'int': return 4;
       case 'char': return 1;
+      case '_Bool': return 1;
+      case 'short': return 2;
+      case 'long': return 8;
+      case 'long long': return 8;
+      case 'long double': return 16;
       case 'float': return 4;
       case 'double': return 8;
       case 'pointer': return 8; // Pointers in 64-bit systems
@@ -76,6 +95,197 @@ export class TypeC {
     }
   }
 
+  /**
+   * Check whether the type is a pointer (int*, char**, int(int)*)
+   * @returns {boolean} True for pointer types
+   */
+  isPointer() {
+    return this.type.endsWith('*');
+  }
+
+  /**
+   * Check whether the type is an array (int[5], char*[3])
+   * @returns {boolean} True for array types
+   */
+  isArray() {
+    return /\[\d*\]$/.test(this.type);
+  }
+
+  /**
+   * Check whether the type is a function type (int(int, int))
+   * @returns {boolean} True for function types
+   */
+  isFunction() {
+    return this.type.endsWith(')');
+  }
+
+  /**
+   * Check whether the type is a struct or union
+   * @returns {boolean} True for record types
+   */
+  isRecord() {
+    return /^(struct|union) /.test(this.type);
+  }
+
+  /**
+   * Check whether the type is float, double or long double
+   * @returns {boolean} True for floating types
+   */
+  isFloating() {
+    return ['float', 'double', 'long double'].includes(this.type);
+  }
+
+  /**
+   * Check whether the type is an integer type (char, _Bool and enumerations included)
+   * @returns {boolean} True for integer types
+   */
+  isInteger() {
+    return this.type.startsWith('enum ') || this.getRank() > 0;
+  }
+
+  /**
+   * Check whether the type is an integer or floating type
+   * @returns {boolean} True for arithmetic types
+   */
+  isArithmetic() {
+    return this.isInteger() || this.isFloating();
+  }
+
+  /**
+   * Check whether the type is arithmetic or a pointer (usable as a condition)
+   * @returns {boolean} True for scalar types
+   */
+  isScalar() {
+    return this.isArithmetic() || this.isPointer();
+  }
+
+  /**
+   * Check whether the type is an unsigned integer type
+   * @returns {boolean} True for unsigned types
+   */
+  isUnsigned() {
+    return this.type.startsWith('unsigned ') || this.type === '_Bool';
+  }
+
+  /**
+   * Get the integer conversion rank (_Bool < char < short < int < long < long long)
+   * @returns {number} Rank, or 0 if the type is not an integer type
+   */
+  getRank() {
+    if (this.type.startsWith('enum ')) return 4;
+    const ranks = { '_Bool': 1, 'char': 2, 'short': 3, 'int': 4, 'long': 5, 'long long': 6 };
+    return ranks[this.type.replace(/^(un)?signed /, '')] || 0;
+  }
+
+  /**
+   * Apply the integer promotions: types of lower rank than int become int
+   * @returns {string} Promoted type
+   */
+  promoted() {
+    return this.isInteger() && this.getRank() < 4 || this.type.startsWith('enum ') ? 'int' : this.type;
+  }
+
+  /**
+   * Convert an array to a pointer to its first element and a function to a function pointer
+   * @returns {string} Decayed type
+   */
+  decayed() {
+    if (this.isArray()) return this.type.replace(/\[\d*\](?=(\[\d*\])*$)/, '') + '*';
+    if (this.isFunction()) return `${this.type}*`;
+    return this.type;
+  }
+
+  /**
+   * Split a function type (int(int, char*)) or pointer to one into its return type and parameter types
+   * @returns {Object} Signature ({returnType, parameters, prototyped, variadic})
+   */
+  getSignature() {
+    const functionType = this.type.endsWith('*') ? this.type.slice(0, -1) : this.type;
+
+    // The parameter list is the parenthesized group that closes the type
+    let depth = 0;
+    let open = functionType.length - 1;
+    for (; open >= 0; open--) {
+      if (functionType[open] === ')') depth++;
+      if (functionType[open] === '(' && --depth === 0) break;
+    }
+
+    const list = functionType.slice(open + 1, -1);
+    const parameters = [];
+    let current = '';
+    depth = 0;
+    for (const char of list) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parameters.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) parameters.push(current.trim());
+
+    return {
+      returnType: functionType.slice(0, open).trim(),
+      parameters: parameters.filter(param => param !== '...'),
+      prototyped: parameters.length > 0,
+      variadic: parameters.includes('...')
+    };
+  }
+
+  /**
+   * Write the type the way gcc prints it in diagnostics (int *, long int, int (*)(int))
+   * @returns {string} Display form
+   */
+  getDisplayName() {
+    if (this.type.endsWith(')*')) {
+      const { returnType, parameters } = this.getSignature();
+      return `${new TypeC(returnType).getDisplayName()} (*)(${parameters.join(', ')})`;
+    }
+    const arrayPointer = this.type.match(/^([^[]*)((\[\d*\])+)\*$/);
+    if (arrayPointer) {
+      return `${new TypeC(arrayPointer[1]).getDisplayName()} (*)${arrayPointer[2]}`;
+    }
+
+    // gcc spells out the implicit int and puts unsigned last (long unsigned int)
+    const base = this.type.match(/^[^*[]*/)[0];
+    const names = {
+      'short': 'short int', 'unsigned short': 'short unsigned int',
+      'long': 'long int', 'unsigned long': 'long unsigned int',
+      'long long': 'long long int', 'unsigned long long': 'long long unsigned int'
+    };
+    const declarators = this.type.slice(base.length);
+    return (names[base] || base) + (declarators.startsWith('*') ? ` ${declarators}` : declarators);
+  }
+
+  /**
+   * Apply the usual arithmetic conversions to the operand types of a binary operator
+   * @param {string} left - Left operand type
+   * @param {string} right - Right operand type
+   * @returns {string} Common type both operands are converted to
+   */
+  static usualArithmeticConversion(left, right) {
+    // A floating operand converts the other one to the wider floating type
+    for (const floating of ['long double', 'double', 'float']) {
+      if (left === floating || right === floating) return floating;
+    }
+
+    const a = new TypeC(new TypeC(left).promoted());
+    const b = new TypeC(new TypeC(right).promoted());
+    if (a.type === b.type) return a.type;
+
+    const [higher, lower] = a.getRank() >= b.getRank() ? [a, b] : [b, a];
+    if (a.isUnsigned() === b.isUnsigned()) return higher.type;
+
+    // Mixed signedness: the unsigned type wins unless the signed one is wider and holds all its values
+    const unsigned = a.isUnsigned() ? a : b;
+    const signed = a.isUnsigned() ? b : a;
+    if (unsigned.getRank() >= signed.getRank()) return unsigned.type;
+    if (signed.getSizeof() > unsigned.getSizeof()) return signed.type;
+    return `unsigned ${signed.type}`;
+  }
+
   /**
    * Get binary representation of the value
    * @returns {string|null} Binary string or null if not applicable
@@ -115,6 +325,16 @@ export class ASTNode {
     this.type = type;
     this.value = value;
     this.children = children;
+    
+    // Filled in by the parser: tree-order id, source span ({line, column}) and token indices ({start, end})
+    this.id = null;
+    this.start = null;
+    this.end = null;
+    this.tokenRange = null;
+    
+    // Filled in by the type checker for expressions: C type and whether it designates an object
+    this.cType = null;
+    this.lvalue = false;
   }
 
   /**
@@ -142,6 +362,235 @@ export class ExecutionStep {
     this.line = line;
     this.description = description;
     this.changes = changes;
+    
+    // Id of the AST node the step executes (null for program start and end)
+    this.nodeId = null;
+    
+    // State of memory, stack, heap and output right after this step, sharing what did not change with earlier steps
+    this.snapshot = null;
+  }
+  
+  /**
+   * Rebuild the memory, stack, heap, files and output of this step from its snapshot
+   * Every object is a fresh copy, so the state can be changed without touching the trace
+   * @param {Array} trace - Steps of the run, whose output and file changes up to this step are replayed
+   * @param {number} index - Index of this step in the trace
+   * @returns {Object} State ({memory, ram, stack, heap, files, openFiles, consoleOutput})
+   */
+  snapshotState(trace, index) {
+    const { cells, ram, stack, heap, openFiles } = this.snapshot;
+    const { files, consoleOutput } = replayText(trace, index);
+    
+    const memory = {};
+    Object.values(cells).forEach(page => {
+      for (const address in page) {
+        memory[address] = { ...page[address] };
+      }
+    });
+    
+    const restoredHeap = {};
+    for (const address in heap) {
+      const block = heap[address];
+      // Concatenating keeps the holes of a sparse contents array
+      const content = block.contentPages ? [].concat(...block.contentPages) : block.content;
+      const copy = new HeapBlock(block.address, block.size, content, block.chunkSize);
+      copy.freed = block.freed;
+      copy.line = block.line;
+      restoredHeap[address] = copy;
+    }
+    
+    const restoredHandles = {};
+    for (const address in openFiles) {
+      const handle = openFiles[address];
+      restoredHandles[address] = Object.assign(new FileHandle(handle.address, handle.path, handle.mode, handle.line), handle);
+    }
+    
+    return {
+      memory,
+      ram: ram.clone(),
+      stack: stack.map(frame => {
+        const copy = new StackFrame(frame.functionName, frame.returnAddress, frame.returnLine);
+        for (const name in frame.variables) {
+          copy.variables[name] = { ...frame.variables[name] };
+        }
+        return copy;
+      }),
+      heap: restoredHeap,
+      files: { ...files },
+      openFiles: restoredHandles,
+      consoleOutput
+    };
+  }
+  
+  /**
+   * Copy a step for posting to the page, leaving out of its snapshot the parts it shares with the previous step
+   * A structured clone keeps objects shared only within one message, so otherwise every batch would carry
+   * the whole memory, stack and heap again; revive() puts the shared parts back
+   * @param {ExecutionStep} step - Step of the trace
+   * @param {ExecutionStep|null} previous - Step before it, already posted
+   * @returns {Object} Step whose snapshot has UNCHANGED in place of every part shared with the previous one
+   */
+  static pack(step, previous) {
+    const base = previous && previous.snapshot;
+    if (!step.snapshot || !base) return step;
+    
+    const { cells, ram, stack, heap } = step.snapshot;
+    const packedHeap = {};
+    for (const address in heap) {
+      const block = heap[address];
+      const baseBlock = base.heap[address];
+      packedHeap[address] = block === baseBlock ? UNCHANGED : {
+        ...block,
+        contentPages: block.contentPages && packList(block.contentPages, baseBlock && baseBlock.contentPages)
+      };
+    }
+    
+    const snapshot = {
+      ...step.snapshot,
+      cells: packEntries(cells, base.cells),
+      ram: {
+        ...ram,
+        segments: ram.segments.map((segment, index) => {
+          const basePages = base.ram.segments[index].pages;
+          return { ...segment, pages: segment.pages === basePages ? UNCHANGED : packList(segment.pages, basePages) };
+        })
+      },
+      stack: packList(stack, base.stack),
+      heap: packedHeap
+    };
+    return { ...step, snapshot };
+  }
+  
+  /**
+   * Give a step received from the worker its classes back; a structured clone keeps only the data
+   * The parts pack() left out are taken from the previous step, so they stay shared on the page too
+   * @param {Object} step - Cloned step
+   * @param {ExecutionStep|null} previous - Step before it, already revived
+   * @returns {ExecutionStep} The same object, as an ExecutionStep
+   */
+  static revive(step, previous = null) {
+    Object.setPrototypeOf(step, ExecutionStep.prototype);
+    
+    const { snapshot } = step;
+    const base = previous && previous.snapshot;
+    if (snapshot && base) {
+      unpackEntries(snapshot.cells, base.cells);
+      snapshot.ram.segments.forEach((segment, index) => {
+        const basePages = base.ram.segments[index].pages;
+        segment.pages = segment.pages === UNCHANGED ? basePages : unpackList(segment.pages, basePages);
+      });
+      unpackList(snapshot.stack, base.stack);
+      for (const address in snapshot.heap) {
+        const block = snapshot.heap[address];
+        const baseBlock = base.heap[address];
+        if (block === UNCHANGED) {
+          snapshot.heap[address] = baseBlock;
+        } else if (block.contentPages) {
+          unpackList(block.contentPages, baseBlock && baseBlock.contentPages);
+        }
+      }
+    }
+    if (snapshot) {
+      Object.setPrototypeOf(snapshot.ram, Memory.prototype);
+      snapshot.stack.forEach(frame => Object.setPrototypeOf(frame, StackFrame.prototype));
+      Object.values(snapshot.heap).forEach(block => Object.setPrototypeOf(block, HeapBlock.prototype));
+      Object.values(snapshot.openFiles).forEach(handle => Object.setPrototypeOf(handle, FileHandle.prototype));
+    }
+    return step;
+  }
+}
+
+/**
+ * Output and file contents of the step of each trace replayed last, so stepping forward replays one step
+ */
+const replays = new WeakMap();
+
+/**
+ * Rebuild the output and file contents at a step from what each step up to it added
+ * @param {Array} trace - Steps of the run
+ * @param {number} index - Index of the step
+ * @returns {Object} Text at that step ({files, consoleOutput}); files is shared with the next replay
+ */
+function replayText(trace, index) {
+  // Going back starts over from the first step
+  let replay = replays.get(trace);
+  if (!replay || replay.index > index) {
+    replay = { index: -1, files: {}, consoleOutput: '' };
+    replays.set(trace, replay);
+  }
+  
+  for (let i = replay.index + 1; i <= index; i++) {
+    const { snapshot } = trace[i];
+    if (!snapshot) continue;
+    
+    replay.consoleOutput += snapshot.output;
+    for (const path in snapshot.fileChanges) {
+      const change = snapshot.fileChanges[path];
+      if (change) {
+        replay.files[path] = (replay.files[path] || '').slice(0, change.at) + change.text;
+      } else {
+        delete replay.files[path];
+      }
+    }
+  }
+  replay.index = index;
+  return replay;
+}
+
+/**
+ * Stands in a packed snapshot for a part that is the same object as in the previous step's snapshot
+ */
+const UNCHANGED = 0;
+
+/**
+ * Replace the items of a list that are the same as in the previous snapshot's list with UNCHANGED
+ * @param {Array} list - Pages or frames (may have holes, which stay holes)
+ * @param {Array|null} baseList - Same list in the previous snapshot
+ * @returns {Array} Packed copy
+ */
+function packList(list, baseList) {
+  const packed = new Array(list.length);
+  list.forEach((item, index) => {
+    packed[index] = baseList && item === baseList[index] ? UNCHANGED : item;
+  });
+  return packed;
+}
+
+/**
+ * Put back the items packList() replaced, in place
+ * @param {Array} list - Packed list
+ * @param {Array|null} baseList - Same list in the previous snapshot
+ * @returns {Array} The same list
+ */
+function unpackList(list, baseList) {
+  list.forEach((item, index) => {
+    if (item === UNCHANGED) list[index] = baseList[index];
+  });
+  return list;
+}
+
+/**
+ * Replace the entries of an object that are the same as in the previous snapshot's object with UNCHANGED
+ * @param {Object} entries - Pages of labelled cells by key
+ * @param {Object} baseEntries - Same object in the previous snapshot
+ * @returns {Object} Packed copy
+ */
+function packEntries(entries, baseEntries) {
+  const packed = {};
+  for (const key in entries) {
+    packed[key] = entries[key] === baseEntries[key] ? UNCHANGED : entries[key];
+  }
+  return packed;
+}
+
+/**
+ * Put back the entries packEntries() replaced, in place
+ * @param {Object} entries - Packed object
+ * @param {Object} baseEntries - Same object in the previous snapshot
+ */
+function unpackEntries(entries, baseEntries) {
+  for (const key in entries) {
+    if (entries[key] === UNCHANGED) entries[key] = baseEntries[key];
   }
 }
 
@@ -153,10 +602,12 @@ export class StackFrame {
    * Create a new stack frame
    * @param {string} functionName - Function name
    * @param {number} returnAddress - Return address
+   * @param {number|null} returnLine - Caller's line execution goes back to (null for main)
    */
-  constructor(functionName, returnAddress) {
+  constructor(functionName, returnAddress, returnLine = null) {
     this.functionName = functionName;
     this.returnAddress = returnAddress;
+    this.returnLine = returnLine;
     this.variables = {};
   }
 
@@ -192,15 +643,45 @@ export class HeapBlock {
    * @param {number} address - Memory address
    * @param {number} size - Size in bytes
    * @param {*} content - Block content
+   * @param {number} chunkSize - Bytes the allocator set aside, header and padding included
    */
-  constructor(address, size, content) {
+  constructor(address, size, content, chunkSize = size) {
     this.address = address;
     this.size = size;
     this.content = content;
+    this.chunkSize = chunkSize;
     this.freed = false;
   }
 }
 
+/**
+ * Open stream on a virtual file (the library side of a FILE*)
+ */
+export class FileHandle {
+  /**
+   * Create a stream at the start of a file
+   * @param {number} address - Address of the FILE object
+   * @param {string} path - File name
+   * @param {string} mode - fopen mode string
+   * @param {number} line - Source line of the fopen call
+   */
+  constructor(address, path, mode, line) {
+    this.address = address;
+    this.path = path;
+    this.mode = mode;
+    this.line = line;
+    this.readable = false;
+    this.writable = false;
+    this.append = false;
+    this.position = 0;      // Cursor, counting bytes still in the buffer
+    this.buffer = '';       // Bytes written but not yet flushed to the file
+    this.bufferStart = 0;   // File position the buffer is flushed to
+    this.pushback = null;   // Character pushed back by ungetc, read before the file
+    this.eof = false;
+    this.error = false;
+  }
+}
+
 /**
  * Application state management class
  */
@@ -211,19 +692,30 @@ export class AppState {
   constructor() {
     // Core state
     this.code = "";
+    this.preprocessedCode = "";
+    this.sourceMap = [];
     this.tokens = [];
     this.ast = null;
     this.executionSteps = [];
     this.currentStep = 0;
-    this.memory = {};
+    this.memory = {};          // Labelled cells (variables) keyed by address
+    this.ram = new Memory();   // Bytes behind the labelled cells
     this.stack = [];
     this.heap = {};
+    this.heapLimit = MEMORY_LAYOUT.heap.size;   // Bytes malloc may hand out before it returns NULL
+    this.allocationStrategy = 'first-fit';      // Free chunk search: 'first-fit' or 'best-fit'
+    this.stepLimit = 10000;                     // Steps a trace may reach before it is stopped (runaway loops)
+    this.callDepthLimit = 256;                  // Nested calls before a stack overflow ends the trace
+    this.timeLimit = 0;                         // Milliseconds running the program may take before it is stopped (0: until Stop)
     this.isRunning = false;
+    this.isGenerating = false;                  // Whether the worker is still sending steps
     this.executionSpeed = 5;
     this.userInput = "";
+    this.stdinClosed = false;
     this.consoleOutput = "";
     this.intervalId = null;
     this.errors = [];
+    this.diagnostics = [];     // Syntax errors with line and column
     
     // UI references
     this.UIElements = {};
@@ -232,7 +724,9 @@ export class AppState {
     this.examples = {};
     
     // File handling state
-    this.openFiles = {};
+    this.inputFiles = {};      // Files created before a run, by name
+    this.files = {};           // Virtual files as the program sees them, by name
+    this.openFiles = {};       // FileHandle of each open FILE, keyed by FILE* address
     
     // Compilation process tracking
     this.compilationProcess = {
@@ -297,16 +791,32 @@ export class AppState {
    */
   resetExecutionState() {
     this.updateState({
+      preprocessedCode: "",
+      sourceMap: [],
       tokens: [],
       ast: null,
       executionSteps: [],
       currentStep: 0,
       memory: {},
+      ram: new Memory(),
       stack: [],
       heap: {},
+      files: {},
+      openFiles: {},
       isRunning: false,
+      isGenerating: false,
       consoleOutput: "",
-      errors: []
+      errors: [],
+      diagnostics: [],
+      compilationProcess: {
+        currentPhase: 'none',
+        preprocessing: [],
+        tokenization: [],
+        semanticAnalysis: [],
+        codeGeneration: [],
+        warnings: [],
+        errors: []
+      }
     });
     
     // Clear any running execution interval
@@ -322,7 +832,14 @@ export class AppState {
    */
   goToStep(stepIndex) {
     if (stepIndex >= 0 && stepIndex < this.executionSteps.length) {
-      this.updateState({ currentStep: stepIndex });
+      const step = this.executionSteps[stepIndex];
+      
+      // Restore memory, stack, heap and output as they were at that step
+      if (step.snapshot) {
+        this.updateState({ currentStep: stepIndex, ...step.snapshotState(this.executionSteps, stepIndex) });
+      } else {
+        this.updateState({ currentStep: stepIndex });
+      }
       return true;
     }
     return false;
@@ -373,8 +890,8 @@ export class AppState {
         if (this.currentStep < this.executionSteps.length - 1) {
           this.goToNextStep();
           stepRenderer(this);
-        } else {
-          // Stop when reaching the end
+        } else if (!this.isGenerating) {
+          // Stop when reaching the end; while steps are still arriving, wait for them
           this.toggleAutoExecution(stepRenderer);
         }
       }, 1000 / this.executionSpeed);
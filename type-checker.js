@@ -0,0 +1,717 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Type checking module: infers the C type of every expression and reports type errors
+ */
+
+import { TypeC } from './state.js';
+import { FORMAT_FUNCTIONS, SCAN_FUNCTIONS, checkFormatArguments, checkScanArguments } from './format.js';
+
+/**
+ * Binary operator node types and the operand types they accept
+ */
+const INTEGER_OPERATORS = ['shift_expression', 'bitwise_and_expression', 'bitwise_xor_expression', 'bitwise_or_expression'];
+const COMPARISON_OPERATORS = ['relational_expression', 'equality_expression'];
+const LOGICAL_OPERATORS = ['logical_and_expression', 'logical_or_expression'];
+
+/**
+ * Get the type a pointer or array refers to
+ * @param {string} type - Pointer or array type
+ * @returns {string} Element type
+ */
+function elementType(type) {
+  if (new TypeC(type).isArray()) {
+    return type.replace(/\[\d*\](?=(\[\d*\])*$)/, '');
+  }
+  return type.slice(0, -1);
+}
+
+/**
+ * Get the type of a literal from its spelling and suffix
+ * @param {string} text - Literal text
+ * @returns {string} C type
+ */
+export function literalType(text) {
+  if (text.startsWith('"')) {
+    const length = text.slice(1, -1).replace(/\\(x[0-9a-fA-F]+|[0-7]{1,3}|.)/g, '.').length;
+    return `char[${length + 1}]`;
+  }
+
+  // Character constants have type int in C
+  if (text.startsWith("'")) return 'int';
+
+  const isHex = /^0x/i.test(text);
+  if (!isHex && /[.eE]/.test(text)) {
+    if (/f$/i.test(text)) return 'float';
+    if (/l$/i.test(text)) return 'long double';
+    return 'double';
+  }
+
+  const suffix = (text.match(/[uUlL]+$/) || [''])[0].toLowerCase();
+  const digits = text.slice(0, text.length - suffix.length);
+  const value = isHex ? parseInt(digits, 16) : /^0[0-7]+$/.test(digits) ? parseInt(digits, 8) : parseInt(digits, 10);
+  const unsigned = suffix.includes('u');
+  const long = suffix.includes('ll') ? 'long long' : suffix.includes('l') ? 'long' : null;
+
+  // The first type in the list that can hold the value; octal and hex may also be unsigned
+  const candidates = long ? [long] : ['int', 'long'];
+  for (const candidate of candidates) {
+    const bits = candidate === 'int' ? 32 : 64;
+    if (unsigned) {
+      if (value < 2 ** bits) return `unsigned ${candidate}`;
+      continue;
+    }
+    if (value < 2 ** (bits - 1)) return candidate;
+    if ((isHex || digits.startsWith('0')) && value < 2 ** bits) return `unsigned ${candidate}`;
+  }
+  return unsigned ? 'unsigned long long' : 'long long';
+}
+
+/**
+ * Type checker run by the semantic analyzer on every full expression
+ */
+export class TypeChecker {
+  /**
+   * Create a new type checker
+   * @param {AppState} appState - Application state
+   * @param {SemanticAnalyzer} analyzer - Analyzer that resolves names and collects diagnostics
+   */
+  constructor(appState, analyzer) {
+    this.appState = appState;
+    this.analyzer = analyzer;
+
+    // Struct and union members by type name ({name, type, anonymous})
+    this.records = new Map();
+  }
+
+  /**
+   * Load the struct and union definitions of a program
+   * @param {ASTNode} ast - Program node
+   */
+  loadTypes(ast) {
+    this.records = new Map();
+    (ast.typeDefinitions || [])
+      .filter(node => node.type === 'struct_definition' || node.type === 'union_definition')
+      .forEach(node => {
+        this.records.set(node.dataType, node.children.map(member => ({
+          name: member.value,
+          type: member.dataType,
+          anonymous: Boolean(member.anonymous)
+        })));
+      });
+  }
+
+  /**
+   * Report a type warning or error through the analyzer
+   * @param {string} severity - error or warning
+   * @param {ASTNode} node - Node the diagnostic refers to
+   * @param {string} message - Diagnostic message
+   */
+  report(severity, node, message) {
+    this.analyzer.report(severity, node, message);
+  }
+
+  /**
+   * Infer the type of an expression, annotating it and every subexpression with cType
+   * @param {ASTNode} node - Expression node
+   * @returns {string|null} C type, or null if it cannot be known (after an earlier error)
+   */
+  typeOf(node) {
+    const type = this.inferType(node);
+    if (type) {
+      node.cType = type;
+      node.lvalue = this.isLvalue(node);
+    }
+    return type;
+  }
+
+  /**
+   * Infer the type of an expression and check its operands
+   * @param {ASTNode} node - Expression node
+   * @returns {string|null} C type or null
+   */
+  inferType(node) {
+    const [first, second] = node.children;
+
+    switch (node.type) {
+      case 'literal':
+        return literalType(node.value);
+      case 'identifier':
+        return this.identifierType(node.value);
+      case 'array_access':
+        return this.subscriptType(node);
+      case 'member_access':
+        return this.memberType(node);
+      case 'unary_expression':
+        return this.unaryType(node);
+      case 'postfix_expression':
+        return this.incrementType(node, first);
+      case 'cast_expression':
+        this.typeOf(first);
+        return node.dataType;
+      case 'sizeof_expression':
+        if (first) this.typeOf(first);
+        return 'unsigned long';
+      case 'call_expression':
+        return this.callType(node);
+      case 'assignment_expression':
+        return this.assignmentType(node);
+      case 'comma_expression':
+        this.typeOf(first);
+        return this.decayed(this.typeOf(second));
+      case 'conditional_expression':
+        return this.conditionalType(node);
+      case 'initializer_list':
+      case 'designated_initializer':
+        node.children.forEach(child => this.typeOf(child));
+        return null;
+      case 'error':
+        return null;
+      default:
+        if (node.children.length === 2) {
+          return this.binaryType(node);
+        }
+        node.children.forEach(child => this.typeOf(child));
+        return null;
+    }
+  }
+
+  /**
+   * Get the declared type of a name
+   * @param {string} name - Identifier
+   * @returns {string|null} C type, or null if undeclared
+   */
+  identifierType(name) {
+    const symbol = this.analyzer.lookup(name);
+    if (!symbol) return null;
+    if (symbol.kind === 'function') return this.functionType(name);
+    return symbol.type;
+  }
+
+  /**
+   * Build the type of a named function (int(int, char*))
+   * @param {string} name - Function name
+   * @returns {string} Function type
+   */
+  functionType(name) {
+    const signature = this.analyzer.functions.get(name);
+    if (!signature) return 'int()';
+
+    const parameterTypes = signature.parameters.map(param => param.type);
+    if (signature.variadic) parameterTypes.push('...');
+    return `${signature.returnType}(${parameterTypes.join(', ')})`;
+  }
+
+  /**
+   * Convert an array or function type to the pointer it decays to
+   * @param {string|null} type - C type
+   * @returns {string|null} Decayed type
+   */
+  decayed(type) {
+    return type ? new TypeC(type).decayed() : null;
+  }
+
+  /**
+   * Check whether an expression designates an object (may appear left of =)
+   * @param {ASTNode} node - Expression node
+   * @returns {boolean} True for lvalues
+   */
+  isLvalue(node) {
+    switch (node.type) {
+      case 'identifier': {
+        const symbol = this.analyzer.lookup(node.value);
+        return Boolean(symbol) && (symbol.kind === 'variable' || symbol.kind === 'parameter');
+      }
+      case 'array_access':
+        return true;
+      case 'member_access':
+        return node.operator === '->' || this.isLvalue(node.children[0]);
+      case 'unary_expression':
+        return node.value === '*';
+      case 'literal':
+        return node.value.startsWith('"');
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether an expression is a null pointer constant (0, '\0', (void *)0)
+   * @param {ASTNode} node - Expression node
+   * @returns {boolean} True for null pointer constants
+   */
+  isNullPointerConstant(node) {
+    if (node.type === 'cast_expression' && node.dataType === 'void*') {
+      return this.isNullPointerConstant(node.children[0]);
+    }
+    if (node.type !== 'literal' || node.value.startsWith('"')) return false;
+    return /^(0+[uUlL]*|0x0+[uUlL]*|'\\0')$/i.test(node.value);
+  }
+
+  /**
+   * Check whether an expression is an integer constant that is not negative
+   * @param {ASTNode} node - Expression node
+   * @returns {boolean} True for non-negative integer literals
+   */
+  isNonNegativeConstant(node) {
+    return node.type === 'literal' && !node.value.startsWith('"') && new TypeC(literalType(node.value)).isInteger();
+  }
+
+  /**
+   * Type an array subscript (a[i] is *(a + i), so i[a] works too)
+   * @param {ASTNode} node - Array access node
+   * @returns {string|null} Element type
+   */
+  subscriptType(node) {
+    const base = this.decayed(this.typeOf(node.children[0]));
+    const index = this.decayed(this.typeOf(node.children[1]));
+    if (!base || !index) return null;
+
+    const [pointer, integer] = new TypeC(base).isPointer() ? [base, index] : [index, base];
+    if (!new TypeC(pointer).isPointer()) {
+      this.report('error', node, 'subscripted value is neither array nor pointer nor vector');
+      return null;
+    }
+    if (!new TypeC(integer).isInteger()) {
+      this.report('error', node.children[1], 'array subscript is not an integer');
+    }
+    return elementType(pointer);
+  }
+
+  /**
+   * Type a member access (s.x, p->x)
+   * @param {ASTNode} node - Member access node
+   * @returns {string|null} Member type
+   */
+  memberType(node) {
+    let type = this.typeOf(node.children[0]);
+    if (!type) return null;
+
+    if (node.operator === '->') {
+      const decayed = this.decayed(type);
+      if (!new TypeC(decayed).isPointer()) {
+        this.report('error', node, `invalid type argument of '->' (have '${new TypeC(type).getDisplayName()}')`);
+        return null;
+      }
+      type = elementType(decayed);
+    }
+
+    if (!new TypeC(type).isRecord()) {
+      this.report('error', node, `request for member '${node.value}' in something not a structure or union`);
+      return null;
+    }
+
+    // Incomplete types are reported when the program runs
+    if (!this.records.has(type)) return null;
+
+    const member = this.findMember(type, node.value);
+    if (!member) {
+      this.report('error', node, `'${type}' has no member named '${node.value}'`);
+      return null;
+    }
+    return member.type;
+  }
+
+  /**
+   * Find a struct or union member, looking inside anonymous members
+   * @param {string} type - Record type
+   * @param {string} name - Member name
+   * @returns {Object|null} Member ({name, type}) or null
+   */
+  findMember(type, name) {
+    for (const member of this.records.get(type) || []) {
+      if (member.name === name) return member;
+      if (member.anonymous) {
+        const inner = this.findMember(member.type, name);
+        if (inner) return inner;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Type a prefix operator (&, *, +, -, ~, !, ++, --)
+   * @param {ASTNode} node - Unary expression node
+   * @returns {string|null} Result type
+   */
+  unaryType(node) {
+    const operand = node.children[0];
+    if (node.value === '++' || node.value === '--') {
+      return this.incrementType(node, operand);
+    }
+
+    const type = this.typeOf(operand);
+    if (!type) return null;
+    const decayed = new TypeC(this.decayed(type));
+
+    switch (node.value) {
+      case '&':
+        if (!this.isLvalue(operand) && !new TypeC(type).isFunction()) {
+          this.report('error', node, "lvalue required as unary '&' operand");
+        }
+        return `${type}*`;
+      case '*':
+        if (!decayed.isPointer()) {
+          this.report('error', node, `invalid type argument of unary '*' (have '${new TypeC(type).getDisplayName()}')`);
+          return null;
+        }
+        if (decayed.type === 'void*') {
+          this.report('warning', node, "dereferencing 'void *' pointer");
+        }
+        return elementType(decayed.type);
+      case '!':
+        if (!decayed.isScalar()) {
+          this.report('error', node, 'wrong type argument to unary exclamation mark');
+        }
+        return 'int';
+      case '~':
+        if (!decayed.isInteger()) {
+          this.report('error', node, 'wrong type argument to bit-complement');
+          return null;
+        }
+        return decayed.promoted();
+      default:
+        if (!decayed.isArithmetic()) {
+          this.report('error', node, `wrong type argument to unary ${node.value === '-' ? 'minus' : 'plus'}`);
+          return null;
+        }
+        return decayed.promoted();
+    }
+  }
+
+  /**
+   * Type an increment or decrement, which needs a modifiable scalar lvalue
+   * @param {ASTNode} node - Unary or postfix expression node
+   * @param {ASTNode} operand - Operand node
+   * @returns {string|null} Operand type
+   */
+  incrementType(node, operand) {
+    const type = this.typeOf(operand);
+    if (!type) return null;
+
+    const kind = node.value === '++' ? 'increment' : 'decrement';
+    if (!this.isLvalue(operand) || new TypeC(type).isArray()) {
+      this.report('error', node, `lvalue required as ${kind} operand`);
+    } else if (!new TypeC(type).isScalar()) {
+      this.report('error', node, `wrong type argument to ${kind}`);
+    }
+    return type;
+  }
+
+  /**
+   * Type a binary operator, applying the usual arithmetic conversions
+   * @param {ASTNode} node - Binary expression node
+   * @returns {string|null} Result type
+   */
+  binaryType(node) {
+    const [leftNode, rightNode] = node.children;
+    const leftType = this.typeOf(leftNode);
+    const rightType = this.typeOf(rightNode);
+    if (!leftType || !rightType) return null;
+
+    const left = new TypeC(this.decayed(leftType));
+    const right = new TypeC(this.decayed(rightType));
+    const invalid = () => {
+      this.report('error', node,
+        `invalid operands to binary ${node.value} (have '${new TypeC(leftType).getDisplayName()}' and '${new TypeC(rightType).getDisplayName()}')`);
+      return null;
+    };
+
+    if (LOGICAL_OPERATORS.includes(node.type)) {
+      return left.isScalar() && right.isScalar() ? 'int' : invalid();
+    }
+
+    if (COMPARISON_OPERATORS.includes(node.type)) {
+      return this.comparisonType(node, left, right) ? 'int' : invalid();
+    }
+
+    if (INTEGER_OPERATORS.includes(node.type) || node.value === '%') {
+      if (!left.isInteger() || !right.isInteger()) return invalid();
+      return node.type === 'shift_expression' ? left.promoted() : TypeC.usualArithmeticConversion(left.type, right.type);
+    }
+
+    if (left.isArithmetic() && right.isArithmetic()) {
+      return TypeC.usualArithmeticConversion(left.type, right.type);
+    }
+
+    // Pointer arithmetic: p + n, n + p, p - n and p - q
+    if (node.type === 'additive_expression') {
+      if (left.isPointer() && right.isInteger()) return left.type;
+      if (node.value === '+' && left.isInteger() && right.isPointer()) return right.type;
+      if (node.value === '-' && left.isPointer() && right.isPointer()) {
+        if (left.type !== right.type) {
+          this.report('error', node, 'invalid operands to binary - (pointers to different types)');
+        }
+        return 'long';
+      }
+    }
+
+    return invalid();
+  }
+
+  /**
+   * Check the operands of a comparison and warn about suspicious ones
+   * @param {ASTNode} node - Relational or equality expression node
+   * @param {TypeC} left - Decayed left operand type
+   * @param {TypeC} right - Decayed right operand type
+   * @returns {boolean} False if the operands cannot be compared at all
+   */
+  comparisonType(node, left, right) {
+    const [leftNode, rightNode] = node.children;
+
+    if (left.isArithmetic() && right.isArithmetic()) {
+      // A signed operand converted to unsigned changes the meaning of negative values
+      const common = new TypeC(TypeC.usualArithmeticConversion(left.type, right.type));
+      if (common.isInteger() && common.isUnsigned()) {
+        const signedSide = [[left, leftNode], [right, rightNode]]
+          .find(([type]) => !new TypeC(type.promoted()).isUnsigned());
+        if (signedSide && !this.isNonNegativeConstant(signedSide[1])) {
+          this.report('warning', node, 'comparison between signed and unsigned integer expressions');
+        }
+      }
+      return true;
+    }
+
+    if (left.isPointer() && right.isPointer()) {
+      if (left.type !== right.type && left.type !== 'void*' && right.type !== 'void*') {
+        this.report('warning', node, 'comparison of distinct pointer types lacks a cast');
+      }
+      return true;
+    }
+
+    if (left.isPointer() && right.isInteger() || left.isInteger() && right.isPointer()) {
+      const integerNode = left.isPointer() ? rightNode : leftNode;
+      if (!this.isNullPointerConstant(integerNode)) {
+        this.report('warning', node, 'comparison between pointer and integer');
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Type an assignment; the left side must be a modifiable lvalue
+   * @param {ASTNode} node - Assignment expression node
+   * @returns {string|null} Type of the left operand
+   */
+  assignmentType(node) {
+    const [target, source] = node.children;
+    const targetType = this.typeOf(target);
+
+    if (targetType && new TypeC(targetType).isArray()) {
+      this.typeOf(source);
+      this.report('error', node, 'assignment to expression with array type');
+      return targetType;
+    }
+    if (targetType && !this.isLvalue(target)) {
+      this.typeOf(source);
+      this.report('error', node, 'lvalue required as left operand of assignment');
+      return targetType;
+    }
+
+    if (node.value === '=') {
+      this.checkAssignment(targetType, source, 'assignment');
+      return targetType;
+    }
+
+    // Compound assignments (+=, <<=, ...) follow the rules of the binary operator
+    const sourceType = this.typeOf(source);
+    if (targetType && sourceType) {
+      const left = new TypeC(targetType);
+      const right = new TypeC(this.decayed(sourceType));
+      const operator = node.value.slice(0, -1);
+      const pointerStep = left.isPointer() && right.isInteger() && (operator === '+' || operator === '-');
+      const integerOnly = ['%', '<<', '>>', '&', '^', '|'].includes(operator);
+      const valid = pointerStep ||
+        (integerOnly ? left.isInteger() && right.isInteger() : left.isArithmetic() && right.isArithmetic());
+      if (!valid) {
+        this.report('error', node,
+          `invalid operands to binary ${operator} (have '${new TypeC(targetType).getDisplayName()}' and '${new TypeC(sourceType).getDisplayName()}')`);
+      }
+    }
+    return targetType;
+  }
+
+  /**
+   * Type a conditional expression from its two result operands
+   * @param {ASTNode} node - Conditional expression node
+   * @returns {string|null} Result type
+   */
+  conditionalType(node) {
+    const [condition, whenTrue, whenFalse] = node.children;
+    this.checkCondition(condition);
+
+    const trueType = this.decayed(this.typeOf(whenTrue));
+    const falseType = this.decayed(this.typeOf(whenFalse));
+    if (!trueType || !falseType) return null;
+
+    const a = new TypeC(trueType);
+    const b = new TypeC(falseType);
+    if (a.isArithmetic() && b.isArithmetic()) return TypeC.usualArithmeticConversion(a.type, b.type);
+    if (a.type === b.type) return a.type;
+
+    if (a.isPointer() && this.isNullPointerConstant(whenFalse)) return a.type;
+    if (b.isPointer() && this.isNullPointerConstant(whenTrue)) return b.type;
+    if (a.isPointer() && b.isPointer()) {
+      if (a.type === 'void*' || b.type === 'void*') return 'void*';
+      this.report('warning', node, 'pointer type mismatch in conditional expression');
+      return a.type;
+    }
+    if (a.isPointer() || b.isPointer()) {
+      this.report('warning', node, 'pointer/integer type mismatch in conditional expression');
+      return a.isPointer() ? a.type : b.type;
+    }
+
+    this.report('error', node, 'type mismatch in conditional expression');
+    return null;
+  }
+
+  /**
+   * Type a function call and check each argument against the parameter types
+   * @param {ASTNode} node - Call expression node
+   * @returns {string|null} Return type
+   */
+  callType(node) {
+    let calleeType;
+    if (node.callee) {
+      calleeType = this.decayed(this.typeOf(node.callee));
+    } else {
+      const symbol = this.analyzer.lookup(node.value);
+      calleeType = symbol ? this.decayed(this.identifierType(node.value)) : null;
+    }
+
+    if (!calleeType) {
+      node.children.forEach(argument => this.typeOf(argument));
+      return null;
+    }
+
+    if (!calleeType.endsWith(')*')) {
+      node.children.forEach(argument => this.typeOf(argument));
+      this.report('error', node, 'called object is not a function or function pointer');
+      return null;
+    }
+
+    const { returnType, parameters, prototyped } = new TypeC(calleeType).getSignature();
+    const name = node.value || 'function';
+    node.children.forEach((argument, index) => {
+      if (prototyped && index < parameters.length) {
+        this.checkAssignment(parameters[index], argument, `passing argument ${index + 1} of '${name}'`);
+      } else {
+        this.typeOf(argument);
+      }
+    });
+
+    if (node.value in FORMAT_FUNCTIONS) {
+      this.checkFormat(node, FORMAT_FUNCTIONS[node.value], checkFormatArguments);
+    } else if (node.value in SCAN_FUNCTIONS) {
+      this.checkFormat(node, SCAN_FUNCTIONS[node.value], checkScanArguments);
+    }
+    return returnType;
+  }
+
+  /**
+   * Check the arguments of a printf- or scanf-family call whose format is a string literal (-Wformat)
+   * @param {ASTNode} node - Function call node with typed arguments
+   * @param {number} formatIndex - Index of the format argument
+   * @param {Function} check - checkFormatArguments or checkScanArguments
+   */
+  checkFormat(node, formatIndex, check) {
+    const format = node.children[formatIndex];
+    if (!format || format.type !== 'literal' || !format.value.startsWith('"')) return;
+
+    const rest = node.children.slice(formatIndex + 1);
+    const types = rest.map(argument => argument.cType);
+    check(format.value.slice(1, -1), types, formatIndex + 2).forEach(problem => {
+      this.report('warning', problem.argument === null ? format : rest[problem.argument], problem.message);
+    });
+  }
+
+  /**
+   * Check that an expression can be used as a condition
+   * @param {ASTNode} node - Condition expression
+   */
+  checkCondition(node) {
+    const type = this.decayed(this.typeOf(node));
+    if (type && !new TypeC(type).isScalar()) {
+      this.report('error', node, `used ${type === 'void' ? 'void' : new TypeC(type).getDisplayName()} value where scalar is required`);
+    }
+  }
+
+  /**
+   * Check that a value can be stored in an object of the target type, as in assignment
+   * @param {string|null} targetType - Type of the destination
+   * @param {ASTNode} source - Value expression
+   * @param {string} context - What the conversion is for (assignment, initialization, return, passing argument 1 of 'f')
+   */
+  checkAssignment(targetType, source, context) {
+    const sourceType = this.typeOf(source);
+    if (!targetType || !sourceType) return;
+
+    const target = new TypeC(targetType);
+    const value = new TypeC(this.decayed(sourceType));
+
+    if (value.type === 'void') {
+      this.report('error', source, 'void value not ignored as it ought to be');
+      return;
+    }
+
+    if (target.isArithmetic() && value.isArithmetic()) return;
+
+    if (target.isPointer()) {
+      if (value.isPointer()) {
+        // void * converts to and from any object pointer
+        if (target.type !== value.type && target.type !== 'void*' && value.type !== 'void*') {
+          this.report('warning', source, `${context} from incompatible pointer type`);
+        }
+        return;
+      }
+      if (value.isInteger()) {
+        if (!this.isNullPointerConstant(source)) {
+          this.report('warning', source, `${context} makes pointer from integer without a cast`);
+        }
+        return;
+      }
+    }
+
+    if (target.isInteger() && value.isPointer()) {
+      this.report('warning', source, `${context} makes integer from pointer without a cast`);
+      return;
+    }
+
+    if (target.type !== value.type) {
+      this.report('error', source,
+        `incompatible types in ${context} (expected '${new TypeC(target.type).getDisplayName()}', have '${new TypeC(sourceType).getDisplayName()}')`);
+    }
+  }
+
+  /**
+   * Check the initializer of a declaration against the declared type
+   * @param {string} type - Declared type
+   * @param {ASTNode} initializer - Initializer expression or list
+   */
+  checkInitializer(type, initializer) {
+    const declared = new TypeC(type);
+
+    if (initializer.type === 'initializer_list') {
+      // Elements of scalar arrays are checked one by one; other aggregates only get their types inferred
+      const element = declared.isArray() ? elementType(type) : null;
+      initializer.children.forEach(child => {
+        if (element && new TypeC(element).isScalar() && child.type !== 'initializer_list' &&
+          child.type !== 'designated_initializer') {
+          this.checkAssignment(element, child, 'initialization');
+        } else {
+          this.typeOf(child);
+        }
+      });
+      return;
+    }
+
+    // char s[] = "text" copies the string into the array
+    if (declared.isArray()) {
+      this.typeOf(initializer);
+      return;
+    }
+
+    this.checkAssignment(type, initializer, 'initialization');
+  }
+}
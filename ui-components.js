@@ -13,6 +13,7 @@ export function initializeUI(appState) {
     codeInput: document.getElementById('code-input'),
     exampleSelector: document.getElementById('example-selector'),
     runBtn: document.getElementById('run-btn'),
+    stopBtn: document.getElementById('stop-btn'),
     firstBtn: document.getElementById('first-btn'),
     prevBtn: document.getElementById('prev-btn'),
     nextBtn: document.getElementById('next-btn'),
@@ -22,11 +23,21 @@ export function initializeUI(appState) {
     progressFill: document.getElementById('progress-fill'),
     stepCounter: document.getElementById('step-counter'),
     inputArea: document.getElementById('input-area'),
+    inputMode: document.getElementById('input-mode'),
     outputConsole: document.getElementById('output-console'),
     memoryContainer: document.getElementById('memory-container'),
     stackContainer: document.getElementById('stack-container'),
     heapContainer: document.getElementById('heap-container'),
     heapEmptyMessage: document.getElementById('heap-empty-message'),
+    allocationStrategy: document.getElementById('allocation-strategy'),
+    heapLimit: document.getElementById('heap-limit'),
+    stepLimit: document.getElementById('step-limit'),
+    timeLimit: document.getElementById('time-limit'),
+    depthLimit: document.getElementById('depth-limit'),
+    seedFileName: document.getElementById('seed-file-name'),
+    seedFileContent: document.getElementById('seed-file-content'),
+    seedFileBtn: document.getElementById('seed-file-btn'),
+    fileContainer: document.getElementById('file-container'),
     tokenContainer: document.getElementById('token-container'),
     astContainer: document.getElementById('ast-container')
   };
@@ -138,8 +149,8 @@ function showCompilationProcess(appState) {
   // Create modal content
   const modal = createModal('Compilation Process in C');
   
-  // Create process sections
-  const process = createCompilationProcess();
+  // What each phase actually found on the last run
+  const process = appState.compilationProcess;
   
   // Create content for each compilation phase
   const content = document.createElement('div');
@@ -282,45 +293,6 @@ function showCompilationProcess(appState) {
   document.body.appendChild(overlay);
 }
 
-/**
- * Create a simulated compilation process
- * @returns {Object} Compilation process object
- */
-function createCompilationProcess() {
-  return {
-    preprocessing: [
-      'Processing #include directives',
-      'Expanding macros defined with #define',
-      'Evaluating conditional compilation directives (#ifdef, #ifndef, etc.)'
-    ],
-    tokenization: [
-      'Identifying keywords, identifiers, operators, and literals',
-      'Creating a stream of tokens for the parser',
-      'Validating token sequence according to C grammar'
-    ],
-    semanticAnalysis: [
-      'Checking variable declarations before use',
-      'Validating type compatibility in expressions',
-      'Ensuring all functions are properly defined or declared'
-    ],
-    codeGeneration: [
-      'Generating intermediate representation',
-      'Performing optimizations',
-      'Producing final machine code or object files'
-    ],
-    warnings: [
-      'Using uninitialized variables',
-      'Implicit type conversions that may lose precision',
-      'Unused variables or functions'
-    ],
-    errors: [
-      'Undeclared variables or functions',
-      'Type mismatches in assignments',
-      'Missing semicolons or other syntax errors'
-    ]
-  };
-}
-
 /**
  * Show pointers explanation modal
  * @param {AppState} appState - Application state
@@ -3,6 +3,33 @@
  * Enhanced visualization module for rendering UI elements with animations
  */
 
+import { MEMORY_LAYOUT } from './memory.js';
+import { HeapAllocator, HEADER_SIZE } from './allocator.js';
+
+/**
+ * Turn a value of the simulated program into JSON; long long values are BigInts, which JSON has no form for
+ * @param {*} value - Value, possibly holding BigInts
+ * @param {number} indent - Spaces of indentation (0 for one line)
+ * @returns {string} JSON text with every BigInt written as its digits
+ */
+function stringifyValue(value, indent = 0) {
+  return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, indent);
+}
+
+/**
+ * Create an element holding text as it is, so values of the simulated program never become markup
+ * @param {string} tag - Element name
+ * @param {string} className - Classes of the element ('' for none)
+ * @param {*} text - Text content
+ * @returns {HTMLElement} New element
+ */
+function createTextElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  element.textContent = String(text);
+  return element;
+}
+
 /**
  * Visualizer class for rendering various visualizations with optimized performance
  */
@@ -57,10 +84,12 @@ export class Visualizer {
 
       setTimeout(() => {
         this.updateConsoleOutput(step);
+        this.updateFileVisualization(step);
       }, 150);
 
-      this.highlightSourceCode(step.line);
-      this.highlightTokens(step);
+      const span = this.stepSourceSpan(step);
+      this.highlightSourceCode(span.firstLine, span.lastLine);
+      this.highlightTokens(step, span);
       this.highlightASTNode(step);
       this.updateStepDescription(step);
     });
@@ -90,14 +119,26 @@ export class Visualizer {
     return false;
   }
 
+  /**
+   * Filter memory addresses that fall inside the given segments
+   * @param {Array} segmentNames - Segment names from MEMORY_LAYOUT
+   * @returns {Array} Sorted memory addresses
+   */
+  filterSegmentAddresses(segmentNames) {
+    return Object.keys(this.appState.memory)
+        .filter(address => segmentNames.some(name => {
+          const { start, size } = MEMORY_LAYOUT[name];
+          return parseInt(address) >= start && parseInt(address) < start + size;
+        }))
+        .sort((a, b) => parseInt(a) - parseInt(b));
+  }
+
   /**
    * Filter stack memory addresses
    * @returns {Array} Array of stack memory addresses
    */
   filterStackAddresses() {
-    return Object.keys(this.appState.memory)
-        .filter(address => parseInt(address) < 0x8000)
-        .sort((a, b) => parseInt(a) - parseInt(b));
+    return this.filterSegmentAddresses(['stack']);
   }
 
   /**
@@ -105,9 +146,15 @@ export class Visualizer {
    * @returns {Array} Array of heap memory addresses
    */
   filterHeapAddresses() {
-    return Object.keys(this.appState.memory)
-        .filter(address => parseInt(address) >= 0x8000)
-        .sort((a, b) => parseInt(a) - parseInt(b));
+    return this.filterSegmentAddresses(['heap']);
+  }
+
+  /**
+   * Filter global variable and string literal addresses
+   * @returns {Array} Array of data segment addresses
+   */
+  filterDataAddresses() {
+    return this.filterSegmentAddresses(['rodata', 'data']);
   }
 
   /**
@@ -182,6 +229,12 @@ export class Visualizer {
 
     // Check if there are memory changes in this step
     if (step.changes && step.changes.memory) {
+      // Globals and string literals
+      const dataAddresses = this.filterDataAddresses();
+      if (dataAddresses.length > 0) {
+        this.updateMemoryGroup(memoryWrapper, 'Data Segment', dataAddresses, step);
+      }
+
       // Stack memory group with incremental updates
       if (Object.keys(this.appState.memory).length > 0) {
         this.updateMemoryGroup(memoryWrapper, 'Stack Memory', this.filterStackAddresses(), step);
@@ -191,7 +244,52 @@ export class Visualizer {
       if (Object.keys(this.appState.heap).length > 0) {
         this.updateMemoryGroup(memoryWrapper, 'Heap Memory', this.filterHeapAddresses(), step);
       }
+
+      // Keep the byte view in step with the simulated RAM
+      const detailView = document.getElementById('memory-detail-view');
+      if (detailView && !shouldReset) {
+        detailView.innerHTML = '';
+        this.fillDetailedMemoryView(detailView);
+      }
     }
+
+    this.markMemoryError(step);
+  }
+
+  /**
+   * Highlight the memory cells and bytes of a memory checker finding, clearing those of the previous step
+   * @param {ExecutionStep} step - Current execution step
+   */
+  markMemoryError(step) {
+    const container = this.UIElements.memoryContainer;
+    container.querySelectorAll('.memory-error').forEach(element => {
+      element.classList.remove('memory-error');
+      element.removeAttribute('title');
+    });
+
+    const error = step.changes && step.changes.memoryError;
+    if (!error) return;
+
+    const title = `${error.kind}: 0x${error.start.toString(16).padStart(8, '0')} - 0x${(error.end - 1).toString(16).padStart(8, '0')}`;
+    const mark = element => {
+      element.classList.add('memory-error');
+      element.setAttribute('title', title);
+    };
+
+    // Cells holding a bad byte, and the object the pointer belongs to when the bytes fall outside every cell
+    container.querySelectorAll('.memory-item').forEach(element => {
+      const address = parseInt(element.getAttribute('data-address'));
+      const item = this.appState.memory[address];
+      const end = address + (item && item.size ? item.size : 1);
+      const holdsBadByte = address < error.end && end > error.start;
+      const isObject = error.object && address >= error.object.address && address < error.object.address + error.object.size;
+      if (holdsBadByte || isObject) mark(element);
+    });
+
+    container.querySelectorAll('.memory-bytes-row[data-address]').forEach(row => {
+      const address = parseInt(row.getAttribute('data-address'));
+      if (address >= error.start && address < error.end) mark(row);
+    });
   }
 
   /**
@@ -272,28 +370,33 @@ export class Visualizer {
         const valueElement = document.createElement('div');
         valueElement.classList.add('memory-value');
 
-        // Format value display based on type with enhanced styling
+        // Format value display based on type with enhanced styling; values are text, as they come from the program
+        const nameElement = createTextElement('span', 'value-name', `(${item.name}: ${item.type})`);
         if (typeof item.value === 'object' && item.value !== null) {
           // Object (like a struct)
-          valueElement.innerHTML = `<span class="value-object">${JSON.stringify(item.value)}</span> <span class="value-name">(${item.name}: ${item.type})</span>`;
+          valueElement.append(createTextElement('span', 'value-object', stringifyValue(item.value)), ' ', nameElement);
         } else if (item.type.includes('*')) {
           // Pointer with better visual indication
-          let additionalClass = '';
-          let additionalInfo = '';
+          let dangling = false;
 
           // Check for dangling pointer
-          if (item.value >= 0x8000) {
-            const heapBlock = Object.values(this.appState.heap).find(b => b.address === item.value);
-            if (heapBlock && heapBlock.freed) {
-              additionalClass = 'dangling';
-              additionalInfo = '<span class="warning-icon">⚠️</span> <span class="warning-text">dangling pointer</span>';
-            }
+          if (item.value >= MEMORY_LAYOUT.heap.start) {
+            // Free chunks may have been merged, so look for the one that contains the address
+            const heapBlock = Object.values(this.appState.heap).find(b =>
+              item.value >= b.address && item.value < b.address + Math.max(b.size, 1));
+            dangling = Boolean(heapBlock && heapBlock.freed);
           }
 
-          valueElement.innerHTML = `<span class="pointer-arrow ${additionalClass}">${item.value ? '0x' + parseInt(item.value).toString(16).padStart(8, '0') : 'NULL'}</span> <span class="value-name">(${item.name}: ${item.type})</span> ${additionalInfo}`;
+          const pointerText = item.value ? '0x' + parseInt(item.value).toString(16).padStart(8, '0') : 'NULL';
+          valueElement.append(
+            createTextElement('span', dangling ? 'pointer-arrow dangling' : 'pointer-arrow', pointerText), ' ', nameElement);
+          if (dangling) {
+            valueElement.append(' ', createTextElement('span', 'warning-icon', '⚠️'), ' ',
+              createTextElement('span', 'warning-text', 'dangling pointer'));
+          }
         } else {
           // Normal value with enhanced display
-          valueElement.innerHTML = `<span class="value-primitive">${item.value}</span> <span class="value-name">(${item.name}: ${item.type})</span>`;
+          valueElement.append(createTextElement('span', 'value-primitive', item.value), ' ', nameElement);
         }
 
         memoryItem.appendChild(addressElement);
@@ -411,27 +514,8 @@ export class Visualizer {
     // For each address, create rows with staggered animations
     allAddresses.forEach((address, addressIndex) => {
       const item = this.appState.memory[address];
-      let size = 4; // Default size for int
-
-      if (item.type.includes('*')) size = 8; // Pointers
-      else if (item.type.includes('char')) size = 1; // char
-      else if (item.type.includes('float')) size = 4; // float
-      else if (item.type.includes('double')) size = 8; // double
-      else if (item.type.includes('struct')) {
-        // For structs, simulate size based on object
-        size = Object.keys(item.value).length * 4;
-      } else if (item.type.includes('[')) {
-        // For arrays, get size from array declaration
-        const match = item.type.match(/\[(\d+)\]/);
-        if (match) {
-          const elementType = item.type.split('[')[0].trim();
-          let elementSize = 4; // int by default
-          if (elementType.includes('char')) elementSize = 1;
-          else if (elementType.includes('double')) elementSize = 8;
-
-          size = parseInt(match[1]) * elementSize;
-        }
-      }
+      // Each cell records how many bytes it occupies
+      const size = item.size || 1;
 
       // Create a section for each memory item
       const section = document.createElement('div');
@@ -458,6 +542,7 @@ export class Visualizer {
         byteRow.setAttribute('data-byte-index', i);
 
         const currentAddress = address + i;
+        byteRow.setAttribute('data-address', currentAddress);
 
         const byteAddr = document.createElement('div');
         byteAddr.classList.add('byte-address');
@@ -466,21 +551,8 @@ export class Visualizer {
         const byteValue = document.createElement('div');
         byteValue.classList.add('byte-value');
 
-        // Simulate byte value based on position
-        let byteValueHex;
-        if (typeof item.value === 'number') {
-          // Simulation for number
-          byteValueHex = ((item.value >> (i * 8)) & 0xFF).toString(16).padStart(2, '0');
-        } else if (typeof item.value === 'string' && i < item.value.length) {
-          // Character from string
-          byteValueHex = item.value.charCodeAt(i).toString(16).padStart(2, '0');
-        } else if (typeof item.value === 'object' && item.value !== null) {
-          // Object (struct) - simulate bytes
-          byteValueHex = 'xx';
-        } else {
-          // Default - unknown bytes
-          byteValueHex = 'xx';
-        }
+        // Actual byte stored in simulated RAM (little-endian)
+        const byteValueHex = this.appState.ram.readByte(currentAddress).toString(16).padStart(2, '0');
 
         byteValue.textContent = byteValueHex;
 
@@ -521,6 +593,17 @@ export class Visualizer {
     container.appendChild(fragment);
   }
 
+  /**
+   * Build the DOM id of a stack frame
+   * Recursive calls share name and return address, so the depth keeps them apart
+   * @param {StackFrame} frame - Stack frame
+   * @param {number} depth - Position of the frame counting from main
+   * @returns {string} Frame id
+   */
+  getFrameId(frame, depth) {
+    return `frame-${depth}-${frame.functionName}-${frame.returnAddress}`;
+  }
+
   /**
    * Update stack visualization with enhanced animations
    * @param {ExecutionStep} step - Current execution step
@@ -570,269 +653,284 @@ export class Visualizer {
     const stackWrapper = document.querySelector('.stack-animation-wrapper');
     if (!stackWrapper) return;
 
-    // Check if there are stack changes in this step
-    if (step.changes && step.changes.stack) {
-      // For each frame in stack (reversed to show newest on top)
-      [...this.appState.stack].reverse().forEach((frame, index) => {
-        const frameId = `frame-${frame.functionName}-${frame.returnAddress}`;
-
-        // Check if this frame already exists
-        let frameElement = stackWrapper.querySelector(`.stack-frame[data-frame-id="${frameId}"]`);
-        const isNewFrame = !frameElement;
-        const isChangedFrame = step.changes.stack && step.changes.stack[frame.functionName];
-
-        // If frame should be updated or is new
-        if (isNewFrame || isChangedFrame) {
-          // If frame exists and changed, apply change animation
-          if (frameElement && isChangedFrame) {
-            // Apply change animation
-            frameElement.classList.add('frame-changed');
-
-            // Reset animation after completion
-            setTimeout(() => {
-              frameElement.classList.remove('frame-changed');
-            }, 1500);
-          }
+    // Frames are kept in step with the stack on every step, so jumping around the trace works too
+    const stackChanges = (step.changes && step.changes.stack) || {};
+    const frames = [...this.appState.stack].reverse();
+
+    // For each frame in stack (reversed to show newest on top)
+    frames.forEach((frame, index) => {
+      const depth = this.appState.stack.length - 1 - index;
+      const frameId = this.getFrameId(frame, depth);
+
+      // Check if this frame already exists
+      let frameElement = stackWrapper.querySelector(`.stack-frame[data-frame-id="${frameId}"]`);
+      const isNewFrame = !frameElement;
+      // Changes name a function; in recursion they belong to its newest frame
+      const isChangedFrame = Boolean(stackChanges[frame.functionName]) &&
+          frames.findIndex(other => other.functionName === frame.functionName) === index;
+      const returnValue = index === 0 && step.changes ? step.changes.returnValue : null;
+      const signature = stringifyValue([frame.variables, index === 0, returnValue || null]);
+
+      // If frame should be updated or is new
+      if (isNewFrame || isChangedFrame || frameElement.getAttribute('data-signature') !== signature) {
+        // If frame exists and changed, apply change animation
+        if (frameElement && isChangedFrame) {
+          // Apply change animation
+          frameElement.classList.add('frame-changed');
 
-          // If it's a new frame, create it with entrance animation
-          if (isNewFrame) {
-            frameElement = document.createElement('div');
-            frameElement.classList.add('stack-frame');
-            frameElement.setAttribute('data-frame-id', frameId);
+          // Reset animation after completion
+          setTimeout(() => {
+            frameElement.classList.remove('frame-changed');
+          }, 1500);
+        }
 
-            // Prepare for entrance animation
-            frameElement.style.opacity = '0';
-            frameElement.style.transform = 'translateY(20px) scale(0.95)';
-            frameElement.style.transition = 'opacity 350ms ease, transform 350ms ease';
+        // If it's a new frame, create it with entrance animation
+        if (isNewFrame) {
+          frameElement = document.createElement('div');
+          frameElement.classList.add('stack-frame');
+          frameElement.setAttribute('data-frame-id', frameId);
 
-            // Add frame ID for tracking
-            this.visualizedElements.stack.add(frameId);
-          }
+          // Prepare for entrance animation
+          frameElement.style.opacity = '0';
+          frameElement.style.transform = 'translateY(20px) scale(0.95)';
+          frameElement.style.transition = 'opacity 350ms ease, transform 350ms ease';
 
-          // Clear existing content for update
-          frameElement.innerHTML = '';
+          // Add frame ID for tracking
+          this.visualizedElements.stack.add(frameId);
+        }
 
-          // Special styling for current frame (top frame)
-          if (index === 0) {
-            frameElement.classList.add('current-frame');
-          } else {
-            frameElement.classList.remove('current-frame');
-          }
+        // Clear existing content for update
+        frameElement.innerHTML = '';
+        frameElement.setAttribute('data-signature', signature);
 
-          // Frame header
-          const headerElement = document.createElement('div');
-          headerElement.classList.add('stack-frame-header');
+        // Special styling for current frame (top frame)
+        if (index === 0) {
+          frameElement.classList.add('current-frame');
+        } else {
+          frameElement.classList.remove('current-frame');
+        }
 
-          // Icon based on function
-          let icon = '📋';
-          if (frame.functionName === 'main') icon = '🏠';
-          else if (frame.functionName === 'fatorial') icon = '🔢';
-          else if (frame.functionName === 'contarRegressiva') icon = '⏳';
+        // Frame header
+        const headerElement = document.createElement('div');
+        headerElement.classList.add('stack-frame-header');
+
+        // Icon based on function
+        let icon = '📋';
+        if (frame.functionName === 'main') icon = '🏠';
+        else if (frame.functionName === 'fatorial') icon = '🔢';
+        else if (frame.functionName === 'contarRegressiva') icon = '⏳';
+
+        // Depth, and where the caller resumes when this frame is popped
+        const returnText = frame.returnLine ?
+            `returns to line ${frame.returnLine} (0x${frame.returnAddress.toString(16).padStart(8, '0')})` :
+            'called at program start';
+        headerElement.innerHTML = `${icon} <strong>${frame.functionName}()</strong> <span class="frame-depth">#${depth}</span> <span class="return-address">${returnText}</span>`;
+        frameElement.appendChild(headerElement);
+
+        // The value a callee just handed back to this frame's expression
+        if (returnValue) {
+          const returnElement = document.createElement('div');
+          returnElement.classList.add('frame-return-value');
+          returnElement.textContent = returnValue.value === null ?
+              `↩ ${returnValue.expression} returned` :
+              `↩ ${returnValue.expression} returned ${returnValue.value}`;
+          frameElement.appendChild(returnElement);
+        }
 
-          headerElement.innerHTML = `${icon} <strong>${frame.functionName}()</strong> <span class="return-address">return: 0x${frame.returnAddress.toString(16).padStart(8, '0')}</span>`;
-          frameElement.appendChild(headerElement);
+        // Frame content (variables)
+        const contentElement = document.createElement('div');
+        contentElement.classList.add('stack-frame-content');
 
-          // Frame content (variables)
-          const contentElement = document.createElement('div');
-          contentElement.classList.add('stack-frame-content');
-
-          // Variables container
-          const variablesContainer = document.createElement('div');
-          variablesContainer.classList.add('stack-variables');
-
-          // Add each variable with staggered animation
-          Object.keys(frame.variables).forEach((varName, varIndex) => {
-            const variable = frame.variables[varName];
-            const varElement = document.createElement('div');
-            varElement.classList.add('stack-variable');
-            varElement.setAttribute('data-var-name', varName);
-
-            // Prepare staggered entrance animation for variables
-            if (isNewFrame) {
-              varElement.style.opacity = '0';
-              varElement.style.transform = 'translateX(10px)';
-              varElement.style.transition = 'opacity 300ms ease, transform 300ms ease';
-              varElement.style.transitionDelay = `${varIndex * 50}ms`;
-            }
+        // Variables container
+        const variablesContainer = document.createElement('div');
+        variablesContainer.classList.add('stack-variables');
 
-            // Check if variable was changed in current step
-            if (step.changes.stack &&
-                step.changes.stack[frame.functionName] &&
-                (step.changes.stack[frame.functionName].add?.name === varName ||
-                    step.changes.stack[frame.functionName].update?.name === varName)) {
-              varElement.classList.add('changed');
-
-              // Reset animation after completion
-              setTimeout(() => {
-                varElement.classList.remove('changed');
-              }, 1500);
-            }
+        // Add each variable with staggered animation
+        Object.keys(frame.variables).forEach((varName, varIndex) => {
+          const variable = frame.variables[varName];
+          const varElement = document.createElement('div');
+          varElement.classList.add('stack-variable');
+          varElement.setAttribute('data-var-name', varName);
 
-            // Variable type determines icon and color
-            let varIcon = '📄';
-            let bgColor = '#f1f8e9';
-
-            if (variable.type.includes('*')) {
-              varIcon = '🔗';
-              bgColor = '#e3f2fd';
-            } else if (variable.type.includes('int')) {
-              varIcon = '🔢';
-              bgColor = '#fff3e0';
-            } else if (variable.type.includes('float') || variable.type.includes('double')) {
-              varIcon = '📊';
-              bgColor = '#e8f5e9';
-            } else if (variable.type.includes('char')) {
-              varIcon = '🔤';
-              bgColor = '#e1f5fe';
-            } else if (variable.type.includes('struct')) {
-              varIcon = '📦';
-              bgColor = '#f3e5f5';
-            }
+          // Prepare staggered entrance animation for variables
+          if (isNewFrame) {
+            varElement.style.opacity = '0';
+            varElement.style.transform = 'translateX(10px)';
+            varElement.style.transition = 'opacity 300ms ease, transform 300ms ease';
+            varElement.style.transitionDelay = `${varIndex * 50}ms`;
+          }
 
-            varElement.style.backgroundColor = bgColor;
-            varElement.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-            varElement.style.borderRadius = '5px';
-            varElement.style.padding = '8px';
-            varElement.style.marginBottom = '8px';
-            varElement.style.border = '1px solid rgba(0,0,0,0.1)';
-            varElement.style.transition = 'background-color 0.3s ease, transform 0.3s ease, box-shadow 0.3s ease';
-
-            // Add hover effect for variables
-            varElement.addEventListener('mouseover', () => {
-              varElement.style.transform = 'translateY(-2px)';
-              varElement.style.boxShadow = '0 4px 8px rgba(0,0,0,0.15)';
-            });
+          // Check if variable was changed in current step
+          if (isChangedFrame &&
+              (stackChanges[frame.functionName].add?.name === varName ||
+                  stackChanges[frame.functionName].update?.name === varName)) {
+            varElement.classList.add('changed');
 
-            varElement.addEventListener('mouseout', () => {
-              varElement.style.transform = '';
-              varElement.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-            });
+            // Reset animation after completion
+            setTimeout(() => {
+              varElement.classList.remove('changed');
+            }, 1500);
+          }
 
-            // Variable content with enhanced styling
-            if (variable.type.includes('*')) {
-              // Pointer with improved visual
-              varElement.innerHTML = `
-                <div class="var-header">
-                  <span class="var-icon">${varIcon}</span> 
-                  <span class="var-name">${varName}</span>
-                  <span class="var-type">${variable.type}</span>
-                </div>
-                <div class="var-value pointer">
-                  <span class="pointer-arrow">${variable.value ? '0x' + parseInt(variable.value).toString(16).padStart(8, '0') : 'NULL'}</span>
-                </div>
-              `;
-            } else if (typeof variable.value === 'object' && variable.value !== null) {
-              // Object (struct) with enhanced display
-              varElement.innerHTML = `
-                <div class="var-header">
-                  <span class="var-icon">${varIcon}</span> 
-                  <span class="var-name">${varName}</span>
-                  <span class="var-type">${variable.type}</span>
-                </div>
-                <div class="var-value object">
-                  ${JSON.stringify(variable.value, null, 2).replace(/\\n/g, '<br>').replace(/\\s/g, '&nbsp;')}
-                </div>
-              `;
-            } else {
-              // Normal value with enhanced styling
-              varElement.innerHTML = `
-                <div class="var-header">
-                  <span class="var-icon">${varIcon}</span> 
-                  <span class="var-name">${varName}</span>
-                  <span class="var-type">${variable.type}</span>
-                </div>
-                <div class="var-value primitive">
-                  ${variable.value}
-                </div>
-              `;
-            }
+          // Variable type determines icon and color
+          let varIcon = '📄';
+          let bgColor = '#f1f8e9';
+
+          if (variable.type.includes('*')) {
+            varIcon = '🔗';
+            bgColor = '#e3f2fd';
+          } else if (variable.type.includes('int')) {
+            varIcon = '🔢';
+            bgColor = '#fff3e0';
+          } else if (variable.type.includes('float') || variable.type.includes('double')) {
+            varIcon = '📊';
+            bgColor = '#e8f5e9';
+          } else if (variable.type.includes('char')) {
+            varIcon = '🔤';
+            bgColor = '#e1f5fe';
+          } else if (variable.type.includes('struct')) {
+            varIcon = '📦';
+            bgColor = '#f3e5f5';
+          }
 
-            variablesContainer.appendChild(varElement);
+          varElement.style.backgroundColor = bgColor;
+          varElement.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+          varElement.style.borderRadius = '5px';
+          varElement.style.padding = '8px';
+          varElement.style.marginBottom = '8px';
+          varElement.style.border = '1px solid rgba(0,0,0,0.1)';
+          varElement.style.transition = 'background-color 0.3s ease, transform 0.3s ease, box-shadow 0.3s ease';
+
+          // Add hover effect for variables
+          varElement.addEventListener('mouseover', () => {
+            varElement.style.transform = 'translateY(-2px)';
+            varElement.style.boxShadow = '0 4px 8px rgba(0,0,0,0.15)';
+          });
 
-            // Trigger staggered entrance animation for variables in new frames
-            if (isNewFrame) {
-              setTimeout(() => {
-                varElement.style.opacity = '1';
-                varElement.style.transform = 'translateX(0)';
-              }, 10 + varIndex * 50);
-            }
+          varElement.addEventListener('mouseout', () => {
+            varElement.style.transform = '';
+            varElement.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
           });
 
-          contentElement.appendChild(variablesContainer);
-          frameElement.appendChild(contentElement);
+          // Variable content with enhanced styling; values are text, as they come from the program
+          const varHeader = document.createElement('div');
+          varHeader.classList.add('var-header');
+          varHeader.append(createTextElement('span', 'var-icon', varIcon), ' ',
+            createTextElement('span', 'var-name', varName), createTextElement('span', 'var-type', variable.type));
+          varElement.appendChild(varHeader);
+
+          let varValue;
+          if (variable.type.includes('*')) {
+            // Pointer with improved visual
+            varValue = document.createElement('div');
+            varValue.className = 'var-value pointer';
+            varValue.appendChild(createTextElement('span', 'pointer-arrow',
+              variable.value ? '0x' + parseInt(variable.value).toString(16).padStart(8, '0') : 'NULL'));
+          } else if (typeof variable.value === 'object' && variable.value !== null) {
+            // Object (struct) with enhanced display, keeping the indentation of its lines
+            varValue = createTextElement('div', 'var-value object', stringifyValue(variable.value, 2));
+            varValue.style.whiteSpace = 'pre';
+          } else {
+            // Normal value with enhanced styling
+            varValue = createTextElement('div', 'var-value primitive', variable.value);
+          }
+          varElement.appendChild(varValue);
 
-          // Add to container if new
-          if (isNewFrame) {
-            // Add frame to the beginning for proper stacking (newest on top)
-            if (stackWrapper.firstChild) {
-              stackWrapper.insertBefore(frameElement, stackWrapper.firstChild);
-            } else {
-              stackWrapper.appendChild(frameElement);
-            }
+          variablesContainer.appendChild(varElement);
 
-            // Trigger entrance animation
+          // Trigger staggered entrance animation for variables in new frames
+          if (isNewFrame) {
             setTimeout(() => {
-              frameElement.style.opacity = '1';
-              frameElement.style.transform = 'translateY(0) scale(1)';
-            }, 10);
+              varElement.style.opacity = '1';
+              varElement.style.transform = 'translateX(0)';
+            }, 10 + varIndex * 50);
+          }
+        });
+
+        contentElement.appendChild(variablesContainer);
+        frameElement.appendChild(contentElement);
+
+        // Add to container if new
+        if (isNewFrame) {
+          // Add frame to the beginning for proper stacking (newest on top)
+          if (stackWrapper.firstChild) {
+            stackWrapper.insertBefore(frameElement, stackWrapper.firstChild);
+          } else {
+            stackWrapper.appendChild(frameElement);
           }
+
+          // Trigger entrance animation
+          setTimeout(() => {
+            frameElement.style.opacity = '1';
+            frameElement.style.transform = 'translateY(0) scale(1)';
+          }, 10);
         }
-      });
+      }
+    });
 
-      // Remove frames that are no longer in the stack with exit animation
-      const currentFrameIds = new Set([...this.appState.stack].map(frame =>
-          `frame-${frame.functionName}-${frame.returnAddress}`));
+    // Newest frame on top, even when several frames appear at once
+    frames.forEach((frame, index) => {
+      const frameId = this.getFrameId(frame, this.appState.stack.length - 1 - index);
+      const frameElement = stackWrapper.querySelector(`.stack-frame[data-frame-id="${frameId}"]`);
+      if (frameElement) stackWrapper.appendChild(frameElement);
+    });
 
-      this.visualizedElements.stack.forEach(frameId => {
-        if (!currentFrameIds.has(frameId)) {
-          const frameElement = stackWrapper.querySelector(`.stack-frame[data-frame-id="${frameId}"]`);
+    // Remove frames that are no longer in the stack with exit animation
+    const currentFrameIds = new Set([...this.appState.stack].map((frame, depth) =>
+        this.getFrameId(frame, depth)));
 
-          if (frameElement) {
-            // Apply exit animation
-            frameElement.style.opacity = '0';
-            frameElement.style.transform = 'translateY(-20px) scale(0.95)';
+    this.visualizedElements.stack.forEach(frameId => {
+      if (!currentFrameIds.has(frameId)) {
+        const frameElement = stackWrapper.querySelector(`.stack-frame[data-frame-id="${frameId}"]`);
 
-            // Remove after animation completes
-            setTimeout(() => {
-              if (frameElement.parentNode) {
-                frameElement.parentNode.removeChild(frameElement);
-              }
+        if (frameElement) {
+          // Apply exit animation
+          frameElement.style.opacity = '0';
+          frameElement.style.transform = 'translateY(-20px) scale(0.95)';
 
-              // Remove from tracked elements
-              this.visualizedElements.stack.delete(frameId);
-            }, 300);
-          }
-        }
-      });
+          // A frame pushed again right away (stepping back over a return) gets a new element
+          frameElement.removeAttribute('data-frame-id');
 
-      // Show empty message if no frames
-      if (this.appState.stack.length === 0) {
-        if (!stackWrapper.querySelector('.stack-empty-message')) {
-          const emptyMessage = document.createElement('div');
-          emptyMessage.classList.add('stack-empty-message');
-          emptyMessage.textContent = 'No stack frames';
-          emptyMessage.style.padding = '20px';
-          emptyMessage.style.textAlign = 'center';
-          emptyMessage.style.color = '#888';
-          emptyMessage.style.fontStyle = 'italic';
-          emptyMessage.style.opacity = '0';
-          emptyMessage.style.transform = 'translateY(10px)';
-          emptyMessage.style.transition = 'opacity 300ms ease, transform 300ms ease';
-
-          stackWrapper.appendChild(emptyMessage);
-
-          // Animate message entrance
+          // Remove after animation completes
           setTimeout(() => {
-            emptyMessage.style.opacity = '1';
-            emptyMessage.style.transform = 'translateY(0)';
-          }, 10);
-        }
-      } else {
-        // Remove empty message if it exists
-        const emptyMessage = stackWrapper.querySelector('.stack-empty-message');
-        if (emptyMessage) {
-          emptyMessage.remove();
+            if (frameElement.parentNode) {
+              frameElement.parentNode.removeChild(frameElement);
+            }
+          }, 300);
         }
+
+        // Remove from tracked elements
+        this.visualizedElements.stack.delete(frameId);
+      }
+    });
+
+    // Show empty message if no frames
+    if (this.appState.stack.length === 0) {
+      if (!stackWrapper.querySelector('.stack-empty-message')) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.classList.add('stack-empty-message');
+        emptyMessage.textContent = 'No stack frames';
+        emptyMessage.style.padding = '20px';
+        emptyMessage.style.textAlign = 'center';
+        emptyMessage.style.color = '#888';
+        emptyMessage.style.fontStyle = 'italic';
+        emptyMessage.style.opacity = '0';
+        emptyMessage.style.transform = 'translateY(10px)';
+        emptyMessage.style.transition = 'opacity 300ms ease, transform 300ms ease';
+
+        stackWrapper.appendChild(emptyMessage);
+
+        // Animate message entrance
+        setTimeout(() => {
+          emptyMessage.style.opacity = '1';
+          emptyMessage.style.transform = 'translateY(0)';
+        }, 10);
+      }
+    } else {
+      // Remove empty message if it exists
+      const emptyMessage = stackWrapper.querySelector('.stack-empty-message');
+      if (emptyMessage) {
+        emptyMessage.remove();
       }
     }
   }
@@ -887,12 +985,15 @@ export class Visualizer {
     const heapWrapper = document.querySelector('.heap-animation-wrapper');
     if (!heapWrapper) return;
 
-    const heapBlocks = Object.values(this.appState.heap);
+    // Chunks in address order, so free space shows up where it really is
+    const heapBlocks = Object.values(this.appState.heap).sort((a, b) => a.address - b.address);
 
     if (heapBlocks.length > 0) {
       // Hide empty message
       this.UIElements.heapEmptyMessage.style.display = 'none';
 
+      this.updateHeapUsageMap(heapBlocks);
+
       // Process each heap block
       heapBlocks.forEach((block, blockIndex) => {
         const blockId = `heap-block-${block.address}`;
@@ -965,7 +1066,7 @@ export class Visualizer {
 
           if (block.freed) {
             statusIndicator.style.backgroundColor = '#f44336';
-            statusIndicator.title = 'Freed (free)';
+            statusIndicator.title = 'Free chunk (free)';
           } else {
             statusIndicator.style.backgroundColor = '#4CAF50';
             statusIndicator.title = 'Allocated (malloc)';
@@ -976,6 +1077,13 @@ export class Visualizer {
               `Address: 0x${block.address.toString(16).padStart(8, '0')}, Size: ${block.size} bytes`
           ));
 
+          // Header and padding the allocator adds around the payload
+          const chunkElement = document.createElement('span');
+          chunkElement.classList.add('heap-chunk-info');
+          chunkElement.textContent = ` (chunk ${block.chunkSize} bytes: ${HEADER_SIZE}-byte header` +
+              `${block.freed ? '' : `, ${block.chunkSize - HEADER_SIZE - block.size} bytes padding`})`;
+          headerElement.appendChild(chunkElement);
+
           // Block status badge
           const statusElement = document.createElement('div');
           statusElement.classList.add('heap-status-badge');
@@ -987,7 +1095,7 @@ export class Visualizer {
           statusElement.style.transition = 'background-color 0.3s ease, color 0.3s ease';
 
           if (block.freed) {
-            statusElement.textContent = 'FREED';
+            statusElement.textContent = 'FREE';
             statusElement.style.backgroundColor = '#ffebee';
             statusElement.style.color = '#c62828';
           } else {
@@ -1004,7 +1112,7 @@ export class Visualizer {
           contentElement.classList.add('heap-content');
 
           if (block.freed) {
-            contentElement.innerHTML = '<span class="freed-message"><span class="warning-icon">⚠️</span> Memory freed - content indeterminate</span>';
+            contentElement.innerHTML = '<span class="freed-message"><span class="warning-icon">⚠️</span> Free chunk - content indeterminate, available for the next allocation</span>';
             contentElement.style.fontStyle = 'italic';
             contentElement.style.color = '#999';
           } else if (typeof block.content === 'object' && block.content !== null) {
@@ -1151,6 +1259,12 @@ export class Visualizer {
         }
       });
 
+      // Keep the blocks in address order (split and merged chunks appear between existing ones)
+      heapBlocks.forEach(block => {
+        const blockElement = heapWrapper.querySelector(`.heap-block[data-block-id="heap-block-${block.address}"]`);
+        if (blockElement) heapWrapper.appendChild(blockElement);
+      });
+
       // Remove blocks that are no longer in the heap with exit animation
       const currentBlockIds = new Set(heapBlocks.map(block => `heap-block-${block.address}`));
 
@@ -1176,6 +1290,9 @@ export class Visualizer {
         }
       });
     } else {
+      const usageMap = this.UIElements.heapContainer.querySelector('.heap-usage-map');
+      if (usageMap) usageMap.remove();
+
       // Show empty message with animation
       if (this.UIElements.heapEmptyMessage.style.display === 'none') {
         this.UIElements.heapEmptyMessage.style.opacity = '0';
@@ -1192,6 +1309,166 @@ export class Visualizer {
     }
   }
 
+  /**
+   * Draw the heap as a bar of chunks, free space and untouched top, with usage totals
+   * @param {Array} heapBlocks - Heap blocks in address order
+   */
+  updateHeapUsageMap(heapBlocks) {
+    let usageMap = this.UIElements.heapContainer.querySelector('.heap-usage-map');
+    if (!usageMap) {
+      usageMap = document.createElement('div');
+      usageMap.classList.add('heap-usage-map');
+      this.UIElements.heapContainer.insertBefore(usageMap,
+          this.UIElements.heapContainer.querySelector('.heap-blocks-container'));
+    }
+    usageMap.innerHTML = '';
+
+    const allocator = new HeapAllocator(this.appState);
+    const usage = allocator.usage();
+    const heapTop = allocator.top();
+    // The bar covers what has been handed out so far plus a slice of the untouched top
+    const span = Math.max(heapTop - MEMORY_LAYOUT.heap.start, 1) * 1.25;
+
+    const bar = document.createElement('div');
+    bar.classList.add('heap-usage-bar');
+
+    const addSegment = (kind, bytes, title) => {
+      const segment = document.createElement('div');
+      segment.classList.add('heap-usage-segment', kind);
+      segment.style.flexGrow = String(bytes / span);
+      segment.title = title;
+      bar.appendChild(segment);
+    };
+
+    heapBlocks.forEach(block => {
+      const address = `0x${block.address.toString(16).padStart(8, '0')}`;
+      addSegment('header', HEADER_SIZE, `Header of the chunk at ${address}`);
+      addSegment(block.freed ? 'free' : 'used', block.chunkSize - HEADER_SIZE,
+          block.freed ? `Free: ${block.size} bytes at ${address}` : `Allocated: ${block.size} bytes at ${address}`);
+    });
+    addSegment('top', span - (heapTop - MEMORY_LAYOUT.heap.start), `Top of the heap: ${usage.top} bytes never allocated`);
+    usageMap.appendChild(bar);
+
+    const freeChunks = heapBlocks.filter(block => block.freed).length;
+    const summary = document.createElement('div');
+    summary.classList.add('heap-usage-summary');
+    summary.textContent = `In use: ${usage.used} bytes | Free: ${usage.free} bytes in ${freeChunks} ` +
+        `chunk${freeChunks === 1 ? '' : 's'} (largest ${usage.largestFree}) | ` +
+        `Top: ${usage.top} bytes | Fragmentation: ${usage.fragmentation}%`;
+    usageMap.appendChild(summary);
+  }
+
+  /**
+   * Show the virtual files with their contents and the open streams with their cursors
+   * Before a run (no step) it lists the files seeded for the next run, which can be removed
+   * @param {ExecutionStep|null} step - Current execution step
+   */
+  updateFileVisualization(step = null) {
+    const container = this.UIElements.fileContainer;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const files = step ? this.appState.files : this.appState.inputFiles;
+    const handles = step ? Object.values(this.appState.openFiles).sort((a, b) => a.address - b.address) : [];
+    const changedFiles = (step && step.changes && step.changes.files) || {};
+    const names = Object.keys(files).sort();
+
+    if (names.length === 0) {
+      const empty = document.createElement('div');
+      empty.classList.add('file-empty-message');
+      empty.textContent = step ?
+          'No files - the program has not created any' :
+          'No files yet - add input files above, or create them with fopen';
+      container.appendChild(empty);
+      return;
+    }
+
+    names.forEach(name => {
+      const content = files[name];
+      const fileElement = document.createElement('div');
+      fileElement.classList.add('file-card');
+      if (changedFiles[name]) fileElement.classList.add('changed');
+
+      const header = document.createElement('div');
+      header.classList.add('file-header');
+      header.textContent = `${name} (${content.length} byte${content.length === 1 ? '' : 's'})`;
+      if (!step) {
+        const removeButton = document.createElement('button');
+        removeButton.classList.add('remove-file-btn');
+        removeButton.setAttribute('data-file', name);
+        removeButton.title = 'Remove this file';
+        removeButton.textContent = '✕';
+        header.appendChild(removeButton);
+      }
+      fileElement.appendChild(header);
+
+      // The contents with a marker where each open stream's cursor stands
+      const contentElement = document.createElement('pre');
+      contentElement.classList.add('file-content');
+      const cursors = handles.filter(handle => handle.path === name);
+      let start = 0;
+      [...new Set(cursors.map(handle => Math.min(handle.position, content.length)))].sort((a, b) => a - b)
+        .forEach(position => {
+          contentElement.appendChild(document.createTextNode(this.formatFileText(content.slice(start, position))));
+          const marker = document.createElement('span');
+          marker.classList.add('file-cursor');
+          marker.title = cursors.filter(handle => Math.min(handle.position, content.length) === position)
+            .map(handle => `Cursor of FILE* 0x${handle.address.toString(16).padStart(8, '0')} at byte ${handle.position}`)
+            .join('\n');
+          marker.textContent = '▌';
+          contentElement.appendChild(marker);
+          start = position;
+        });
+      contentElement.appendChild(document.createTextNode(this.formatFileText(content.slice(start))));
+      fileElement.appendChild(contentElement);
+
+      container.appendChild(fileElement);
+    });
+
+    if (handles.length === 0) return;
+
+    // Open streams: where each one reads or writes next and what it has not flushed yet
+    const table = document.createElement('table');
+    table.classList.add('file-handles');
+    const headerRow = document.createElement('tr');
+    ['FILE*', 'File', 'Mode', 'Cursor', 'Buffered', 'Indicators'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      headerRow.appendChild(cell);
+    });
+    table.appendChild(headerRow);
+
+    handles.forEach(handle => {
+      const row = document.createElement('tr');
+      if (changedFiles[handle.path]) row.classList.add('changed');
+      const indicators = [handle.eof && 'EOF', handle.error && 'error'].filter(Boolean).join(', ') || '-';
+      [
+        `0x${handle.address.toString(16).padStart(8, '0')}`,
+        handle.path,
+        `"${handle.mode}"`,
+        `byte ${handle.position}`,
+        handle.buffer ? `${handle.buffer.length} bytes: ${JSON.stringify(handle.buffer).slice(0, 40)}` : '-',
+        indicators
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  /**
+   * Make file contents printable, showing control bytes other than newlines and tabs as escapes
+   * @param {string} text - File contents
+   * @returns {string} Displayable text
+   */
+  formatFileText(text) {
+    return text.replace(/[\x00-\x08\x0b-\x1f\x7f-\xff]/g,
+        char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  }
+
   /**
    * Update console output display with enhanced animations
    * @param {ExecutionStep} step - Current execution step
@@ -1291,11 +1568,43 @@ export class Visualizer {
     }
   }
 
+  /**
+   * Show the result of an expression evaluated from the input area in the console
+   * @param {string} input - Expression or statement as typed
+   * @param {string} result - Output and value, or the error message
+   * @param {boolean} isError - Whether the evaluation failed
+   */
+  showEvaluation(input, result, isError) {
+    if (!this.UIElements.outputConsole) return;
+
+    const entry = document.createElement('div');
+    entry.classList.add('console-evaluation');
+    entry.style.fontFamily = 'monospace';
+    entry.style.whiteSpace = 'pre-wrap';
+    entry.style.padding = '4px 10px';
+    entry.style.borderLeft = `3px solid ${isError ? '#d32f2f' : '#1565C0'}`;
+    entry.style.margin = '4px 0';
+
+    const prompt = document.createElement('div');
+    prompt.textContent = `> ${input}`;
+    prompt.style.color = '#555';
+
+    const value = document.createElement('div');
+    value.textContent = result;
+    value.style.color = isError ? '#b71c1c' : '#1565C0';
+
+    entry.appendChild(prompt);
+    entry.appendChild(value);
+    this.UIElements.outputConsole.appendChild(entry);
+    entry.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
   /**
    * Highlight source code line with improved visual effect
    * @param {number} lineNumber - Line number to highlight
+   * @param {number} lastLine - Last line of a construct spanning several lines
    */
-  highlightSourceCode(lineNumber) {
+  highlightSourceCode(lineNumber, lastLine = lineNumber) {
     if (!this.UIElements.codeInput) return;
 
     // Get code as text
@@ -1348,7 +1657,7 @@ export class Visualizer {
       const topPosition = (lineNumber - 1) * lineHeight;
 
       highlightOverlay.style.top = `${topPosition}px`;
-      highlightOverlay.style.height = `${lineHeight}px`;
+      highlightOverlay.style.height = `${lineHeight * (Math.max(lastLine, lineNumber) - lineNumber + 1)}px`;
       highlightOverlay.style.opacity = '1';
 
       // Add glow effect
@@ -1370,15 +1679,107 @@ export class Visualizer {
     }
   }
 
+  /**
+   * Mark compile errors and warnings in the editor gutter, replacing any previous markers
+   * @param {Array} diagnostics - Diagnostics ({line, column, message, severity})
+   */
+  showDiagnostics(diagnostics) {
+    if (!this.UIElements.codeInput) return;
+
+    let markerContainer = document.getElementById('code-diagnostics-container');
+    if (!markerContainer) {
+      markerContainer = document.createElement('div');
+      markerContainer.id = 'code-diagnostics-container';
+      markerContainer.style.position = 'absolute';
+      markerContainer.style.top = '0';
+      markerContainer.style.left = '0';
+      markerContainer.style.right = '0';
+      markerContainer.style.bottom = '0';
+      markerContainer.style.overflow = 'hidden';
+      markerContainer.style.pointerEvents = 'none';
+      markerContainer.style.zIndex = '2';
+
+      // Markers follow the code when the editor scrolls
+      this.UIElements.codeInput.addEventListener('scroll', () => {
+        Array.from(markerContainer.children).forEach(marker => {
+          marker.style.transform = `translateY(${-this.UIElements.codeInput.scrollTop}px)`;
+        });
+      });
+
+      this.UIElements.codeInput.parentNode.style.position = 'relative';
+      this.UIElements.codeInput.parentNode.insertBefore(markerContainer, this.UIElements.codeInput);
+    }
+
+    markerContainer.innerHTML = '';
+    if (diagnostics.length === 0) return;
+
+    const lines = this.UIElements.codeInput.value.split('\n');
+    const lineHeight = this.UIElements.codeInput.scrollHeight / lines.length;
+
+    // One marker per line, listing every diagnostic found on it
+    const messagesByLine = {};
+    const errorLines = new Set();
+    diagnostics.forEach(diagnostic => {
+      if (!messagesByLine[diagnostic.line]) {
+        messagesByLine[diagnostic.line] = [];
+      }
+      const severity = diagnostic.severity || 'error';
+      messagesByLine[diagnostic.line].push(`${diagnostic.line}:${diagnostic.column}: ${severity}: ${diagnostic.message}`);
+      if (severity === 'error') {
+        errorLines.add(String(diagnostic.line));
+      }
+    });
+
+    Object.entries(messagesByLine).forEach(([line, messages]) => {
+      // Lines with only warnings are marked in orange
+      const color = errorLines.has(line) ? '#d32f2f' : '#f57c00';
+      const marker = document.createElement('div');
+      marker.classList.add('diagnostic-marker');
+      marker.title = messages.join('\n');
+      marker.style.position = 'absolute';
+      marker.style.top = `${(line - 1) * lineHeight}px`;
+      marker.style.left = '0';
+      marker.style.right = '0';
+      marker.style.height = `${lineHeight}px`;
+      marker.style.backgroundColor = errorLines.has(line) ? 'rgba(244, 67, 54, 0.12)' : 'rgba(255, 152, 0, 0.12)';
+      marker.style.borderLeft = `4px solid ${color}`;
+      marker.style.transform = `translateY(${-this.UIElements.codeInput.scrollTop}px)`;
+
+      // Gutter dot that shows the messages on hover
+      const dot = document.createElement('span');
+      dot.textContent = '●';
+      dot.style.position = 'absolute';
+      dot.style.left = '2px';
+      dot.style.fontSize = '10px';
+      dot.style.lineHeight = `${lineHeight}px`;
+      dot.style.color = color;
+      dot.style.cursor = 'help';
+      dot.style.pointerEvents = 'auto';
+      dot.title = marker.title;
+      marker.appendChild(dot);
+
+      markerContainer.appendChild(marker);
+    });
+  }
+
+  /**
+   * Get the tokens of the user's own file (tokens from #included headers are left out)
+   * @returns {Array} Source tokens
+   */
+  sourceTokens() {
+    return this.appState.tokens.filter(token => !token.file || token.file === 'main.c');
+  }
+
   /**
    * Highlight tokens for current step with improved visual effects
    * @param {ExecutionStep} step - Current execution step
+   * @param {Object} span - Source span of the step (from stepSourceSpan)
    */
-  highlightTokens(step) {
+  highlightTokens(step, span = this.stepSourceSpan(step)) {
     if (!this.UIElements.tokenContainer) return;
 
     // Find tokens related to current line
-    const lineTokens = this.appState.tokens.filter(token => token.line === step.line);
+    const lineTokens = this.sourceTokens().filter(token => token.line === step.line);
 
     // Clear previous highlights with smooth transition
     const allTokenElements = this.UIElements.tokenContainer.querySelectorAll('.token-item');
@@ -1400,13 +1801,18 @@ export class Visualizer {
     // Highlight tokens for current line
     if (lineTokens.length > 0) {
       // Reset token container if it's empty or doesn't have line labels
-      if (!this.UIElements.tokenContainer.querySelector('.line-tokens')) {
+      if (!this.UIElements.tokenContainer.querySelector('.linha-tokens')) {
         this.renderTokenContainer();
       }
 
-      // Get all token elements from current line
+      // Tokens of the executed node, or of the whole line when the step has no node
       const currentLineSelector = `.linha-tokens[data-line="${step.line}"] .token-item`;
-      const currentLineTokens = this.UIElements.tokenContainer.querySelectorAll(currentLineSelector);
+      const currentLineTokens = span.tokenStart === null ?
+        this.UIElements.tokenContainer.querySelectorAll(currentLineSelector) :
+        Array.from(this.UIElements.tokenContainer.querySelectorAll('.token-item')).filter(element => {
+          const index = parseInt(element.getAttribute('data-token-index'));
+          return index >= span.tokenStart && index <= span.tokenEnd;
+        });
 
       // Apply highlight with staggered animation
       currentLineTokens.forEach((tokenElement, index) => {
@@ -1440,9 +1846,13 @@ export class Visualizer {
     this.UIElements.tokenContainer.innerHTML = '';
 
     // Group tokens by line for better visualization
+    const tokens = this.sourceTokens();
     const tokensByLine = {};
 
-    this.appState.tokens.forEach(token => {
+    // Position of each token in the full token list, which node token ranges refer to
+    const tokenIndex = new Map(this.appState.tokens.map((token, index) => [token, index]));
+
+    tokens.forEach(token => {
       if (!tokensByLine[token.line]) {
         tokensByLine[token.line] = [];
       }
@@ -1472,6 +1882,7 @@ export class Visualizer {
       tokensByLine[lineNumber].forEach(token => {
         const tokenElement = document.createElement('span');
         tokenElement.classList.add('token-item', `token-${token.tipo || token.type}`);
+        tokenElement.setAttribute('data-token-index', tokenIndex.get(token));
         tokenElement.textContent = token.valor || token.value;
         tokenElement.title = `Type: ${token.tipo || token.type}, Line: ${token.line}, Column: ${token.column}`;
         tokenElement.style.margin = '2px';
@@ -1531,7 +1942,7 @@ export class Visualizer {
     });
 
     // Add token statistics if there are tokens
-    if (this.appState.tokens.length > 0) {
+    if (tokens.length > 0) {
       const statsContainer = document.createElement('div');
       statsContainer.classList.add('token-stats');
       statsContainer.style.marginTop = '15px';
@@ -1544,7 +1955,7 @@ export class Visualizer {
 
       // Count token types
       const typeCount = {};
-      this.appState.tokens.forEach(token => {
+      tokens.forEach(token => {
         const type = token.tipo || token.type;
         typeCount[type] = (typeCount[type] || 0) + 1;
       });
@@ -1560,7 +1971,7 @@ export class Visualizer {
       chartContainer.style.overflow = 'hidden';
 
       // Total count for percentage calculation
-      const totalTokens = this.appState.tokens.length;
+      const totalTokens = tokens.length;
 
       // Color map for types
       const typeColors = {
@@ -1660,8 +2071,7 @@ export class Visualizer {
       }
     });
 
-    // Attempt to find AST node related to the current step
-    // This is an approximate matching since there's no direct line to node mapping
+    // The step records the id of the node it executes
     const matchingNodes = this.findASTNodesForStep(step);
 
     if (matchingNodes.length > 0) {
@@ -1691,51 +2101,67 @@ export class Visualizer {
   }
 
   /**
-   * Find AST nodes that might be related to the current execution step
+   * Find the AST node element for the node the current execution step executes
    * @param {ExecutionStep} step - Current execution step
-   * @returns {Array} Array of matching node elements
+   * @returns {Array} Array of matching node elements (empty for steps without a node)
    */
   findASTNodesForStep(step) {
-    const matchingNodes = [];
+    if (step.nodeId === null || step.nodeId === undefined) return [];
 
-    // Try to match based on step type
-    let nodeType = '';
+    const element = this.UIElements.astContainer.querySelector(
+      `.ast-node-interactive[data-node-id="${step.nodeId}"]`
+    );
+    return element ? [element] : [];
+  }
 
-    switch (step.type) {
-      case 'declaration':
-        nodeType = 'variable_declaration';
-        break;
-      case 'assignment':
-        nodeType = 'assignment_expression';
-        break;
-      case 'call':
-        nodeType = 'call_expression';
-        break;
-      case 'return':
-        nodeType = 'return_statement';
-        break;
-      case 'conditional':
-        nodeType = 'if_statement';
-        break;
-      case 'execution':
-        // Look for loops or blocks
-        nodeType = 'for_statement,while_statement,compound_statement';
-        break;
+  /**
+   * Find an AST node by the id the parser gave it
+   * @param {number|null} id - Node id
+   * @returns {ASTNode|null} Node or null if there is no such node
+   */
+  findASTNodeById(id) {
+    const { ast } = this.appState;
+    if (!ast || id === null || id === undefined) return null;
+
+    const pending = [ast, ...(ast.headerDeclarations || [])];
+    while (pending.length > 0) {
+      const node = pending.pop();
+      if (node.id === id) return node;
+      pending.push(...node.children);
+      if (node.callee) pending.push(node.callee);
     }
+    return null;
+  }
 
-    if (nodeType) {
-      // Support multiple comma-separated types
-      const types = nodeType.split(',');
+  /**
+   * Work out which part of the source a step refers to
+   * Statements with a body (functions, loops, if, switch) only cover their first line
+   * @param {ExecutionStep} step - Execution step
+   * @returns {Object} Span ({firstLine, lastLine, tokenStart, tokenEnd}); token bounds are null without a node
+   */
+  stepSourceSpan(step) {
+    const node = this.findASTNodeById(step.nodeId);
+    if (!node || !node.tokenRange || node.start.line !== step.line) {
+      return { firstLine: step.line, lastLine: step.line, tokenStart: null, tokenEnd: null };
+    }
 
-      // Find all matching node elements
-      types.forEach(type => {
-        const selector = `.ast-node-interactive[data-type="${type}"]`;
-        const nodes = this.UIElements.astContainer.querySelectorAll(selector);
-        nodes.forEach(node => matchingNodes.push(node));
-      });
+    const headerOnly = ['function_definition', 'compound_statement', 'if_statement', 'for_statement',
+      'while_statement', 'do_while_statement', 'switch_statement'].includes(node.type);
+    if (headerOnly) {
+      // Tokens from the start of the statement to the end of its first line
+      let tokenEnd = node.tokenRange.start;
+      while (tokenEnd < node.tokenRange.end && this.appState.tokens[tokenEnd + 1].line === node.start.line) {
+        tokenEnd++;
+      }
+      return { firstLine: node.start.line, lastLine: node.start.line, tokenStart: node.tokenRange.start, tokenEnd };
     }
 
-    return matchingNodes;
+    return {
+      firstLine: node.start.line,
+      lastLine: node.end.line,
+      tokenStart: node.tokenRange.start,
+      tokenEnd: node.tokenRange.end
+    };
   }
 
   /**
@@ -1906,6 +2332,7 @@ export class Visualizer {
     const nodeElement = document.createElement('div');
     nodeElement.classList.add('ast-node-interactive');
     nodeElement.setAttribute('data-type', node.type);
+    nodeElement.setAttribute('data-node-id', node.id);
     nodeElement.setAttribute('data-level', level);
 
     // Apply styling based on node type
@@ -1919,7 +2346,10 @@ export class Visualizer {
       'if_statement': { class: 'ast-if', color: '#01579B', bgColor: '#e1f5fe' },
       'for_statement': { class: 'ast-for', color: '#004D40', bgColor: '#e0f2f1' },
       'while_statement': { class: 'ast-while', color: '#33691E', bgColor: '#f1f8e9' },
-      'compound_statement': { class: 'ast-compound', color: '#546E7A', bgColor: '#eceff1' }
+      'do_while_statement': { class: 'ast-while', color: '#33691E', bgColor: '#f1f8e9' },
+      'switch_statement': { class: 'ast-if', color: '#01579B', bgColor: '#e1f5fe' },
+      'compound_statement': { class: 'ast-compound', color: '#546E7A', bgColor: '#eceff1' },
+      'error': { class: 'ast-error', color: '#B71C1C', bgColor: '#ffcdd2' }
     };
 
     const nodeStyle = nodeTypes[node.type] || { class: 'ast-default', color: '#616161', bgColor: '#f5f5f5' };
@@ -1990,7 +2420,7 @@ export class Visualizer {
 
       if (node.value) nodeText += `: ${node.value}`;
       if (node.returnType) nodeText += ` (returns ${node.returnType})`;
-      if (node.type === 'variable_declaration' && node.tipo) nodeText += ` (type: ${node.tipo})`;
+      if (node.type === 'variable_declaration' && node.dataType) nodeText += ` (type: ${node.dataType})`;
       if (node.isPointer) nodeText += ' (pointer)';
 
       // Add parameter info
@@ -2001,6 +2431,21 @@ export class Visualizer {
 
     nodeInfo.textContent = nodeText;
 
+    // Type inferred by the type checker, shown for expressions
+    const typeBadge = document.createElement('span');
+    if (node.cType && detailLevel !== 'low') {
+      typeBadge.classList.add('ast-type-badge');
+      typeBadge.textContent = node.cType;
+      typeBadge.title = `Type: ${node.cType}${node.lvalue ? ' (lvalue)' : ''}`;
+      typeBadge.style.fontSize = '11px';
+      typeBadge.style.fontFamily = 'monospace';
+      typeBadge.style.color = '#37474F';
+      typeBadge.style.backgroundColor = '#CFD8DC';
+      typeBadge.style.padding = '1px 6px';
+      typeBadge.style.borderRadius = '3px';
+      typeBadge.style.marginLeft = '8px';
+    }
+
     // Children count badge
     const childrenCount = document.createElement('span');
     childrenCount.classList.add('ast-children-count');
@@ -2021,6 +2466,7 @@ export class Visualizer {
     headerContent.style.alignItems = 'center';
     headerContent.appendChild(expandIcon);
     headerContent.appendChild(nodeInfo);
+    headerContent.appendChild(typeBadge);
 
     header.appendChild(headerContent);
     header.appendChild(childrenCount);
@@ -2040,7 +2486,7 @@ export class Visualizer {
       // Add each child node
       node.children.forEach((child, index) => {
         // Add specific labels for control flow nodes
-        if (['if_statement', 'for_statement', 'while_statement'].includes(node.type)) {
+        if (['if_statement', 'for_statement', 'while_statement', 'do_while_statement', 'switch_statement'].includes(node.type)) {
           let label = '';
 
           if (node.type === 'if_statement') {
@@ -2052,6 +2498,12 @@ export class Visualizer {
           } else if (node.type === 'while_statement') {
             const labels = ['Condition', 'Body'];
             label = index < labels.length ? labels[index] : '';
+          } else if (node.type === 'do_while_statement') {
+            const labels = ['Body', 'Condition'];
+            label = index < labels.length ? labels[index] : '';
+          } else if (node.type === 'switch_statement') {
+            const labels = ['Expression', 'Body'];
+            label = index < labels.length ? labels[index] : '';
           }
 
           if (label) {
@@ -2343,6 +2795,21 @@ export class Visualizer {
         bgColor = '#e8eaf6';
         textColor = '#303F9F';
         break;
+      case 'input':
+        icon = '⌨️';
+        bgColor = '#fffde7';
+        textColor = '#F57F17';
+        break;
+      case 'warning':
+        icon = '⚠️';
+        bgColor = '#fff8e1';
+        textColor = '#E65100';
+        break;
+      case 'error':
+        icon = '❌';
+        bgColor = '#ffebee';
+        textColor = '#B71C1C';
+        break;
       case 'finalization':
         icon = '🏁';
         bgColor = '#eceff1';
@@ -2413,11 +2880,17 @@ export class Visualizer {
         if (addresses.length === 1) {
           const address = addresses[0];
           const item = step.changes.memory[address];
-          memoryCard.content.innerHTML = `
-            <div><strong>${item.name}</strong> (${item.type})</div>
-            <div>Value: <span style="font-weight: bold;">${item.value}</span></div>
-            <div>Address: <span style="font-family: monospace;">0x${parseInt(address).toString(16).padStart(8, '0')}</span></div>
-          `;
+          const nameLine = document.createElement('div');
+          nameLine.append(createTextElement('strong', '', item.name), ` (${item.type})`);
+          const valueLine = document.createElement('div');
+          const valueText = createTextElement('span', '', item.value);
+          valueText.style.fontWeight = 'bold';
+          valueLine.append('Value: ', valueText);
+          const addressLine = document.createElement('div');
+          const addressText = createTextElement('span', '', `0x${parseInt(address).toString(16).padStart(8, '0')}`);
+          addressText.style.fontFamily = 'monospace';
+          addressLine.append('Address: ', addressText);
+          memoryCard.content.append(nameLine, valueLine, addressLine);
         } else {
           const list = document.createElement('ul');
           list.style.margin = '5px 0';
@@ -2449,16 +2922,23 @@ export class Visualizer {
 
           if (funcChanges.add) {
             const addedVar = funcChanges.add;
-            funcInfo.innerHTML = `
-              <div><strong>Function:</strong> ${func}</div>
-              <div><strong>Added:</strong> ${addedVar.name} = ${addedVar.value}</div>
-              <div><strong>Type:</strong> ${addedVar.type}</div>
-            `;
+            [['Function:', func], ['Added:', `${addedVar.name} = ${addedVar.value}`], ['Type:', addedVar.type]]
+              .forEach(([label, text]) => {
+                const line = document.createElement('div');
+                line.append(createTextElement('strong', '', label), ` ${text}`);
+                funcInfo.appendChild(line);
+              });
           } else if (funcChanges.update) {
             const updatedVar = funcChanges.update;
+            [['Function:', func], ['Updated:', `${updatedVar.name} → ${updatedVar.value}`]].forEach(([label, text]) => {
+              const line = document.createElement('div');
+              line.append(createTextElement('strong', '', label), ` ${text}`);
+              funcInfo.appendChild(line);
+            });
+          } else if (funcChanges.push) {
             funcInfo.innerHTML = `
               <div><strong>Function:</strong> ${func}</div>
-              <div><strong>Updated:</strong> ${updatedVar.name} → ${updatedVar.value}</div>
+              <div><strong>Action:</strong> Frame created (function call)</div>
             `;
           } else if (funcChanges.remove) {
             funcInfo.innerHTML = `
@@ -2501,6 +2981,21 @@ export class Visualizer {
         changesLayout.appendChild(heapCard.card);
       }
 
+      // File changes
+      if (step.changes.files) {
+        const fileCard = this.createChangeCard('File Changes', '#f3e5f5', '#7B1FA2', '📄');
+        Object.keys(step.changes.files).forEach(name => {
+          const content = this.appState.files[name] || '';
+          const handle = Object.values(this.appState.openFiles).find(open => open.path === name);
+          const line = document.createElement('div');
+          line.textContent = `${name}: ${content.length} bytes in the file` +
+              (handle ? `, cursor at byte ${handle.position}, ${handle.buffer.length} bytes buffered` : ' (closed)');
+          fileCard.content.appendChild(line);
+        });
+
+        changesLayout.appendChild(fileCard.card);
+      }
+
       // Output changes
       if (step.changes.saida) {
         const outputCard = this.createChangeCard('Console Output', '#e0f7fa', '#0097A7', '📃');
@@ -2813,6 +3308,7 @@ export class Visualizer {
     // Error message
     const messageText = document.createElement('div');
     messageText.textContent = message;
+    messageText.style.whiteSpace = 'pre-wrap';
     messageText.style.marginBottom = '10px';
     errorDiv.appendChild(messageText);
 
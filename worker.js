@@ -0,0 +1,17 @@
+/**
+ * IFSCee - C Programming Visualization Tool
+ * Worker entry point: runs the pipeline off the page so a long trace does not freeze it,
+ * posting the execution steps back in batches as they are generated
+ */
+
+import { AppState } from './state.js';
+import { runPipeline } from './pipeline.js';
+
+/**
+ * Run the program described by the settings the page posts ({settings}); each run uses a new worker
+ */
+self.addEventListener('message', ({ data }) => {
+  const appState = new AppState();
+  Object.assign(appState, data.settings);
+  runPipeline(appState, message => self.postMessage(message));
+});